@@ -2,24 +2,24 @@ import { useState, useEffect } from 'react';
 import { Play, Pause, RotateCcw, Plus, Minus } from 'lucide-react';
 import { useSession } from 'next-auth/react';
 import toast from 'react-hot-toast';
+import { useMatchClock } from './MatchClock';
+import { formatClock } from '../../utils/matchClock';
 
 export default function LiveMatchManager({ match, onUpdate }) {
   const { data: session } = useSession();
-  const [isLive, setIsLive] = useState(match?.liveData?.isLive || false);
-  const [currentMinute, setCurrentMinute] = useState(match?.liveData?.currentMinute || 0);
+  // The clock is the server's: stored start/stop times, read at the server's time
+  const [liveData, setLiveData] = useState(match?.liveData || null);
+  const [serverTime, setServerTime] = useState(match?.serverTime || null);
+  const clock = useMatchClock(liveData, match?.rules, serverTime);
+  const isLive = clock.running;
   const [homeScore, setHomeScore] = useState(match?.homeScore || 0);
   const [awayScore, setAwayScore] = useState(match?.awayScore || 0);
   const [events, setEvents] = useState(match?.events || []);
 
   useEffect(() => {
-    let interval;
-    if (isLive) {
-      interval = setInterval(() => {
-        setCurrentMinute(prev => prev + 1);
-      }, 60000); // Update every minute
-    }
-    return () => clearInterval(interval);
-  }, [isLive]);
+    setLiveData(match?.liveData || null);
+    setServerTime(match?.serverTime || null);
+  }, [match?._id]);
 
   const toggleMatch = async () => {
     if (session?.user?.role !== 'admin') {
@@ -33,14 +33,17 @@ export default function LiveMatchManager({ match, onUpdate }) {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           matchId: match._id,
-          action: isLive ? 'pause' : 'start',
-          currentMinute,
+          action: isLive ? 'pause' : clock.phase === 'in_play' ? 'resume' : 'start',
         }),
       });
 
+      const data = await response.json();
       if (response.ok) {
-        setIsLive(!isLive);
-        toast.success(isLive ? 'Match paused' : 'Match started');
+        setLiveData(data.match.liveData);
+        setServerTime(data.serverTime);
+        toast.success(isLive ? 'Clock stopped' : 'Clock running');
+      } else {
+        toast.error(data.message || 'Failed to update match status');
       }
     } catch (error) {
       toast.error('Failed to update match status');
@@ -66,7 +69,6 @@ export default function LiveMatchManager({ match, onUpdate }) {
           matchId: match._id,
           homeScore: newHomeScore,
           awayScore: newAwayScore,
-          currentMinute,
         }),
       });
 
@@ -79,7 +81,8 @@ export default function LiveMatchManager({ match, onUpdate }) {
           const newEvent = {
             type: 'goal',
             team: team === 'home' ? match.homeTeam._id : match.awayTeam._id,
-            minute: currentMinute,
+            minute: clock.minute,
+            second: clock.matchSeconds,
             description: `Goal scored by ${team === 'home' ? match.homeTeam.name : match.awayTeam.name}`,
           };
           setEvents(prev => [...prev, newEvent]);
@@ -114,8 +117,7 @@ export default function LiveMatchManager({ match, onUpdate }) {
         });
 
         if (response.ok) {
-          setIsLive(false);
-          setCurrentMinute(0);
+          setLiveData(null);
           setHomeScore(0);
           setAwayScore(0);
           setEvents([]);
@@ -147,7 +149,7 @@ export default function LiveMatchManager({ match, onUpdate }) {
                 className={`btn ${isLive ? 'btn-danger' : 'btn-primary'} flex items-center`}
               >
                 {isLive ? <Pause className="w-4 h-4 mr-2" /> : <Play className="w-4 h-4 mr-2" />}
-                {isLive ? 'Pause' : 'Start'}
+                {isLive ? 'Stop Clock' : clock.phase === 'in_play' ? 'Restart Clock' : 'Start'}
               </button>
               <button
                 onClick={resetMatch}
@@ -167,7 +169,7 @@ export default function LiveMatchManager({ match, onUpdate }) {
           <div className="flex items-center justify-center mb-4">
             {isLive && <div className="w-3 h-3 bg-red-500 rounded-full animate-pulse mr-2"></div>}
             <span className={`text-lg font-semibold ${isLive ? 'text-red-600' : 'text-gray-600'}`}>
-              {isLive ? 'LIVE' : 'PAUSED'} - {currentMinute}'
+              {isLive ? 'LIVE' : 'STOPPED'} - {clock.display} ({clock.label})
             </span>
           </div>
           
@@ -235,7 +237,9 @@ export default function LiveMatchManager({ match, onUpdate }) {
               {events.map((event, index) => (
                 <div key={index} className="flex items-center justify-between p-2 bg-gray-50 rounded">
                   <div className="flex items-center space-x-3">
-                    <span className="text-sm font-medium text-gray-600">{event.minute}'</span>
+                    <span className="text-sm font-medium text-gray-600">
+                      {event.second != null ? formatClock(event.second) : `${event.minute}'`}
+                    </span>
                     <span className="text-sm">{event.description}</span>
                   </div>
                   <span className={`px-2 py-1 rounded text-xs font-medium ${
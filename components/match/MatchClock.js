@@ -0,0 +1,66 @@
+// ===========================================
+// FILE: components/match/MatchClock.js
+// Live match clock read from the server's stored clock (utils/matchClock); it only re-renders each
+// second, so every device shows the same time and a reload picks up where the clock is
+// ===========================================
+import { useEffect, useState } from 'react';
+import { clockState, formatClock } from '../../utils/matchClock';
+import { resolveSeasonRules } from '../../utils/seasonRules';
+
+/**
+ * Current clock of a match, ticking while it runs or a break or timeout counts down
+ * @param {Object} liveData - Match liveData
+ * @param {Object} rules - Season rules (resolved or as stored)
+ * @param {string|Date} serverTime - Server time the liveData was read at, to correct this device's clock
+ * @returns {Object} - clockState
+ */
+export function useMatchClock(liveData, rules, serverTime) {
+  const [offset, setOffset] = useState(0);
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    setOffset(serverTime ? new Date(serverTime).getTime() - Date.now() : 0);
+    setNow(Date.now());
+  }, [serverTime, liveData]);
+
+  const resolvedRules = resolveSeasonRules(rules);
+  const clock = clockState(liveData, resolvedRules, now + offset);
+  const ticking = clock.running || clock.breakRemainingSeconds > 0 || clock.timeout?.remainingSeconds > 0;
+
+  useEffect(() => {
+    if (!ticking) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [ticking]);
+
+  return clock;
+}
+
+export default function MatchClock({ liveData, rules, serverTime, homeTeamName, awayTeamName, className = '' }) {
+  const clock = useMatchClock(liveData, rules, serverTime);
+
+  if (clock.phase === 'not_started') {
+    return null;
+  }
+
+  return (
+    <span className={`inline-flex items-center space-x-2 ${className}`}>
+      <span>{clock.label}</span>
+      {(clock.phase === 'in_play' || clock.phase === 'break') && (
+        <span className="font-mono font-bold">{clock.display}</span>
+      )}
+      {clock.phase === 'in_play' && !clock.running && !clock.expired && !clock.timeout && (
+        <span className="text-xs uppercase">stopped</span>
+      )}
+      {clock.timeout && (
+        <span className="text-xs">
+          {clock.timeout.team === 'home' ? homeTeamName || 'Home' : awayTeamName || 'Away'}
+          {clock.timeout.remainingSeconds > 0 && ` ${formatClock(clock.timeout.remainingSeconds)}`}
+        </span>
+      )}
+      {clock.breakRemainingSeconds > 0 && (
+        <span className="text-xs">restart in {formatClock(clock.breakRemainingSeconds)}</span>
+      )}
+    </span>
+  );
+}
@@ -0,0 +1,38 @@
+// ===========================================
+// FILE: components/match/PowerPlays.js
+// Running power plays of a live match (utils/powerPlay), counting down on the server clock
+// ===========================================
+import { useMatchClock } from './MatchClock';
+import { formatClock } from '../../utils/matchClock';
+import { activePowerPlays } from '../../utils/powerPlay';
+import { resolveSeasonRules } from '../../utils/seasonRules';
+
+export default function PowerPlays({ events, liveData, rules, serverTime, homeTeamName, awayTeamName, className = '' }) {
+  const clock = useMatchClock(liveData, rules, serverTime);
+
+  if (clock.phase !== 'in_play') {
+    return null;
+  }
+
+  const plays = activePowerPlays(events, clock.matchSeconds, resolveSeasonRules(rules));
+  if (plays.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className={`flex flex-wrap justify-center gap-2 ${className}`}>
+      {plays.map(play => (
+        <span
+          key={`${play.team}-${play.startSecond}`}
+          className="inline-flex items-center space-x-2 px-3 py-1 rounded-full bg-red-100 text-red-800 text-sm"
+        >
+          <span className="font-medium">
+            {play.team === 'home' ? homeTeamName || 'Home' : awayTeamName || 'Away'} a player short
+          </span>
+          <span className="font-mono font-bold">{formatClock(play.remainingSeconds)}</span>
+          {!clock.running && <span className="text-xs uppercase">stopped</span>}
+        </span>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,232 @@
+// ===========================================
+// FILE: components/match/SquadEditor.js
+// Submit a match's matchday squads (pages/api/admin/matches/squad.js): players named, starters,
+// goalkeeper and captain of each team. Players' eligibility is shown, and naming an ineligible player
+// needs confirming (optionally with a fair-play record)
+// ===========================================
+import { useEffect, useState } from 'react';
+import toast from 'react-hot-toast';
+import LoadingSpinner from '../ui/LoadingSpinner';
+
+const idOf = (value) => (value && value._id ? value._id : value)?.toString();
+
+// Editable form of a stored squad: player id -> starting, and the goalkeeper and captain ids
+// Eligibility issues of a player as one line for the confirmation prompt
+const issueLine = (result) => `${result.name}: ${result.issues.filter(entry => entry.severity === 'block').map(entry => entry.message).join('; ')}`;
+
+const editableSquad = (squad) => ({
+  players: Object.fromEntries((squad?.players || []).map(entry => [idOf(entry.player), Boolean(entry.starting)])),
+  goalkeeper: idOf(squad?.goalkeeper) || '',
+  captain: idOf(squad?.captain) || ''
+});
+
+export default function SquadEditor({ matchId, onSaved, onClose }) {
+  const [data, setData] = useState(null);
+  const [side, setSide] = useState('home');
+  const [squads, setSquads] = useState({ home: editableSquad(null), away: editableSquad(null) });
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const fetchSquads = async () => {
+      try {
+        const response = await fetch(`/api/admin/matches/squad?matchId=${matchId}`);
+        const result = await response.json();
+        if (!response.ok) {
+          toast.error(result.message || 'Failed to load squads');
+          return;
+        }
+        setData(result);
+        setSquads({ home: editableSquad(result.squads.home), away: editableSquad(result.squads.away) });
+      } catch (error) {
+        console.error('Error fetching squads:', error);
+        toast.error('Failed to load squads');
+      }
+    };
+
+    if (matchId) fetchSquads();
+  }, [matchId]);
+
+  if (!data) {
+    return (
+      <div className="flex justify-center py-8">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  const squad = squads[side];
+  const { maxSquadSize, maxPlayersOnCourt } = data.limits;
+  const named = Object.keys(squad.players);
+  const starters = named.filter(id => squad.players[id]);
+
+  const updateSquad = (changes) => setSquads(prev => ({ ...prev, [side]: { ...prev[side], ...changes } }));
+
+  const toggleNamed = (playerId) => {
+    const players = { ...squad.players };
+    if (playerId in players) {
+      delete players[playerId];
+      updateSquad({
+        players,
+        goalkeeper: squad.goalkeeper === playerId ? '' : squad.goalkeeper,
+        captain: squad.captain === playerId ? '' : squad.captain
+      });
+    } else {
+      players[playerId] = false;
+      updateSquad({ players });
+    }
+  };
+
+  const toggleStarting = (playerId) => {
+    const starting = !squad.players[playerId];
+    updateSquad({
+      players: { ...squad.players, [playerId]: starting },
+      goalkeeper: !starting && squad.goalkeeper === playerId ? '' : squad.goalkeeper
+    });
+  };
+
+  const saveSquad = async (confirmation = {}) => {
+    setIsSaving(true);
+    try {
+      const response = await fetch('/api/admin/matches/squad', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          matchId,
+          team: side,
+          players: named.map(player => ({ player, starting: squad.players[player] })),
+          goalkeeper: squad.goalkeeper || null,
+          captain: squad.captain || null,
+          ...confirmation
+        })
+      });
+      const result = await response.json();
+      if (response.status === 409 && result.requiresConfirmation) {
+        const names = result.ineligible.map(issueLine).join('\n');
+        if (confirm(`${result.message}:\n\n${names}\n\nName them anyway?`)) {
+          const recordFairPlay = confirm('Create a "Suspended Player Participated" fair-play record for each of them?');
+          await saveSquad({ confirmIneligible: true, recordFairPlay });
+        }
+        return;
+      }
+      if (response.ok) {
+        toast.success(`${data.teams[side].name} squad saved`);
+        if (result.fairPlayRecords > 0) {
+          toast(`${result.fairPlayRecords} fair-play record${result.fairPlayRecords === 1 ? '' : 's'} created`, { icon: '⚠️' });
+        }
+        setData(prev => ({ ...prev, squads: result.squads }));
+        onSaved?.(result.squads);
+      } else {
+        toast.error(result.message || 'Failed to save squad');
+      }
+    } catch (error) {
+      console.error('Error saving squad:', error);
+      toast.error('Failed to save squad');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex space-x-2">
+        {['home', 'away'].map(key => (
+          <button
+            key={key}
+            type="button"
+            onClick={() => setSide(key)}
+            className={`btn flex-1 ${side === key ? 'btn-primary' : 'btn-secondary'}`}
+          >
+            {data.teams[key].name}
+            {data.squads[key] && <span className="ml-2 text-xs">(submitted)</span>}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex justify-between text-sm text-gray-600">
+        <span className={named.length > maxSquadSize ? 'text-red-600 font-medium' : ''}>
+          {named.length}/{maxSquadSize} in squad
+        </span>
+        <span className={starters.length !== maxPlayersOnCourt ? 'text-orange-600 font-medium' : ''}>
+          {starters.length}/{maxPlayersOnCourt} starting
+        </span>
+      </div>
+
+      {data.players[side].length === 0 ? (
+        <p className="text-center text-gray-500 py-6">No players in this team</p>
+      ) : (
+        <div className="max-h-96 overflow-y-auto border rounded-lg divide-y">
+          <div className="grid grid-cols-12 gap-2 px-3 py-2 text-xs font-medium text-gray-500 uppercase bg-gray-50">
+            <span className="col-span-6">Player</span>
+            <span className="col-span-2 text-center">Squad</span>
+            <span className="col-span-2 text-center">Starts</span>
+            <span className="col-span-1 text-center">GK</span>
+            <span className="col-span-1 text-center">C</span>
+          </div>
+          {data.players[side].map(player => {
+            const inSquad = player._id in squad.players;
+            const eligibility = data.eligibility?.[side]?.[player._id];
+            return (
+              <div
+                key={player._id}
+                className={`grid grid-cols-12 gap-2 items-center px-3 py-2 ${inSquad ? 'bg-blue-50' : eligibility && !eligibility.eligible ? 'bg-red-50' : ''}`}
+              >
+                <div className="col-span-6">
+                  <span className="font-medium">{player.name}</span>
+                  {player.jerseyNumber && <span className="text-sm text-gray-500 ml-2">#{player.jerseyNumber}</span>}
+                  {player.status !== 'active' && (
+                    <span className="text-xs text-orange-600 ml-2 capitalize">{player.status}</span>
+                  )}
+                  {eligibility?.issues.map(entry => (
+                    <p key={entry.code} className={`text-xs ${entry.severity === 'block' ? 'text-red-600' : 'text-orange-600'}`}>
+                      {entry.message}
+                    </p>
+                  ))}
+                </div>
+                <div className="col-span-2 text-center">
+                  <input type="checkbox" checked={inSquad} onChange={() => toggleNamed(player._id)} />
+                </div>
+                <div className="col-span-2 text-center">
+                  <input
+                    type="checkbox"
+                    checked={Boolean(squad.players[player._id])}
+                    disabled={!inSquad}
+                    onChange={() => toggleStarting(player._id)}
+                  />
+                </div>
+                <div className="col-span-1 text-center">
+                  <input
+                    type="radio"
+                    name={`goalkeeper-${side}`}
+                    checked={squad.goalkeeper === player._id}
+                    disabled={!squad.players[player._id]}
+                    onChange={() => updateSquad({ goalkeeper: player._id })}
+                  />
+                </div>
+                <div className="col-span-1 text-center">
+                  <input
+                    type="radio"
+                    name={`captain-${side}`}
+                    checked={squad.captain === player._id}
+                    disabled={!inSquad}
+                    onChange={() => updateSquad({ captain: player._id })}
+                  />
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <div className="flex justify-end space-x-2">
+        {onClose && (
+          <button type="button" onClick={onClose} className="btn btn-secondary">
+            Close
+          </button>
+        )}
+        <button type="button" onClick={() => saveSquad()} className="btn btn-primary" disabled={isSaving || named.length === 0}>
+          {isSaving ? 'Saving...' : `Save ${data.teams[side].name} Squad`}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -8,15 +8,15 @@ import { useSession, signOut } from 'next-auth/react';
 import { 
   Menu, X, Home, Users, Calendar, Trophy, ArrowRightLeft, 
   Settings, LogOut, Play, BarChart3, Search, Bell, 
-  ChevronDown, Shield, UserPlus, FileText, Activity
+  ChevronDown, Shield, UserPlus, FileText, Activity, Medal
 } from 'lucide-react';
+import useLiveFeed from '../../lib/useLiveFeed';
 
 export default function Navbar() {
   const { data: session } = useSession();
   const router = useRouter();
   const [isOpen, setIsOpen] = useState(false);
   const [isAdminOpen, setIsAdminOpen] = useState(false);
-  const [liveMatchCount, setLiveMatchCount] = useState(0);
   const [searchQuery, setSearchQuery] = useState('');
   const [showSearch, setShowSearch] = useState(false);
 
@@ -26,6 +26,7 @@ export default function Navbar() {
     { name: 'Players', href: '/players', icon: Users },
     { name: 'Matches', href: '/matches', icon: Calendar },
     { name: 'Standings', href: '/standings', icon: Trophy },
+    { name: 'Cup', href: '/bracket', icon: Medal },
     { name: 'Transfers', href: '/transfers', icon: ArrowRightLeft },
   ];
 
@@ -34,29 +35,41 @@ export default function Navbar() {
     { name: 'Teams', href: '/admin/teams', icon: Shield, description: 'Manage teams' },
     { name: 'Players', href: '/admin/players', icon: UserPlus, description: 'Manage players' },
     { name: 'Matches', href: '/admin/matches', icon: Calendar, description: 'Schedule matches' },
+    { name: 'Competitions', href: '/admin/competitions', icon: Medal, description: 'Knockout cup brackets' },
     { name: 'Live Match', href: '/matches/live', icon: Play, description: 'Live match manager' },
     { name: 'Reports', href: '/admin/reports', icon: FileText, description: 'Generate reports' },
   ];
 
-  // Check for live matches
-  useEffect(() => {
-    const fetchLiveMatches = async () => {
-      try {
-        const response = await fetch('/api/public/matches?status=live');
-        if (response.ok) {
-          const matches = await response.json();
-          setLiveMatchCount(Array.isArray(matches) ? matches.length : 0);
-        }
-      } catch (error) {
-        console.error('Failed to fetch live matches:', error);
+  // Live matches are pushed by the live feed: the matches live now, then every change
+  const [liveMatchIds, setLiveMatchIds] = useState(() => new Set());
+  const liveMatchCount = liveMatchIds.size;
+
+  const fetchLiveMatches = async () => {
+    try {
+      const response = await fetch('/api/public/matches?status=live');
+      if (response.ok) {
+        const matches = await response.json();
+        setLiveMatchIds(new Set(Array.isArray(matches) ? matches.map(match => match._id) : []));
       }
-    };
+    } catch (error) {
+      console.error('Failed to fetch live matches:', error);
+    }
+  };
 
-    fetchLiveMatches();
-    // Poll every 30 seconds for live matches
-    const interval = setInterval(fetchLiveMatches, 30000);
-    return () => clearInterval(interval);
-  }, []);
+  useLiveFeed({
+    onLive: matches => setLiveMatchIds(new Set(matches.map(match => match._id))),
+    onMatch: match => setLiveMatchIds(prev => {
+      const next = new Set(prev);
+      if (match.status === 'live') {
+        next.add(match._id);
+      } else {
+        next.delete(match._id);
+      }
+      return next;
+    }),
+    // Fallback: poll every 30 seconds for live matches
+    poll: fetchLiveMatches
+  });
 
   // Close mobile menu on route change
   useEffect(() => {
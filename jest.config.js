@@ -0,0 +1,12 @@
+const nextJest = require('next/jest')
+
+// Compile the ESM sources with Next's SWC setup, as the app does
+const createJestConfig = nextJest({ dir: './' })
+
+/** @type {import('jest').Config} */
+const customJestConfig = {
+  testEnvironment: 'node',
+  testMatch: ['**/__tests__/**/*.test.js'],
+}
+
+module.exports = createJestConfig(customJestConfig)
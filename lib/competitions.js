@@ -0,0 +1,609 @@
+// ===========================================
+// FILE: lib/competitions.js
+// Competition service: group stages, knockout brackets and advancing winners
+// ===========================================
+import mongoose from 'mongoose';
+import Competition from '../models/Competition';
+import Match from '../models/Match';
+import Team from '../models/Team';
+import Season from '../models/Season';
+import {
+  buildKnockoutBracket,
+  determineKnockoutWinner,
+  determineTieWinner,
+  nextTieSlot,
+  findTie,
+  advanceWinner
+} from '../utils/bracket';
+import { generateRoundRobin } from '../utils/fixtureGenerator';
+import { calculateTeamStats, rankStandings } from '../utils/standings';
+import { selectQualifiers, countQualifiers, separateGroupRematches } from '../utils/groupStage';
+import { loadSeasonRules } from './seasonRules';
+import { createSeasonConstraintChecker } from './scheduling';
+import { formatViolations, leagueDay } from '../utils/schedulingConstraints';
+import { TABLE_STATUSES, FINAL_STATUSES } from '../utils/matchStatus';
+
+const idOf = (value) => (value && value._id ? value._id : value)?.toString();
+
+/**
+ * Kick-off of a round: the first round date plus the gap between rounds, same local time
+ */
+function roundDate(firstRoundDate, roundNumber, daysBetweenRounds) {
+  const date = new Date(firstRoundDate);
+  date.setDate(date.getDate() + (roundNumber - 1) * daysBetweenRounds);
+  return date;
+}
+
+/**
+ * Date every knockout round; a two-legged round takes up two round gaps
+ * @param {Array} rounds - Bracket rounds ({ number, name })
+ * @param {Date} start - First round kick-off
+ * @param {number} daysBetweenRounds - Gap between rounds (and between legs)
+ * @param {Array} twoLeggedRounds - Names of the rounds played home and away
+ * @returns {Array} - Rounds with legs, date and secondLegDate
+ */
+function planRounds(rounds, start, daysBetweenRounds, twoLeggedRounds = []) {
+  let slot = 0;
+
+  return rounds.map(round => {
+    const legs = twoLeggedRounds.includes(round.name) ? 2 : 1;
+    const date = roundDate(start, slot + 1, daysBetweenRounds);
+    const secondLegDate = legs === 2 ? roundDate(start, slot + 2, daysBetweenRounds) : null;
+    slot += legs;
+    return { ...round, legs, date, secondLegDate };
+  });
+}
+
+/**
+ * Clean up the two-legged tie settings of a create request
+ * @param {Object} twoLegged - { rounds, awayGoals, extraTime } from a request body
+ * @returns {Object} - Settings ready to store on a Competition
+ */
+function normalizeTwoLegged(twoLegged = {}) {
+  return {
+    rounds: [...new Set((Array.isArray(twoLegged?.rounds) ? twoLegged.rounds : [])
+      .map(name => String(name).trim())
+      .filter(Boolean))],
+    awayGoals: Boolean(twoLegged?.awayGoals),
+    extraTime: twoLegged?.extraTime !== false
+  };
+}
+
+/**
+ * Book planned competition matches on the season's scheduling constraints (blackouts, rest hours, venue
+ * overlaps and capacity), in order, so each is checked against the ones before it too
+ * A match that clashes moves to the next free slot of its day, as generated league fixtures do
+ * @param {Array} matches - Planned matches ({ homeTeam, awayTeam, matchDate, venue, round }), kick-offs
+ *   updated in place
+ * @param {string} seasonId - Season whose fixtures, blackouts and rules apply
+ * @param {Object} options - { refuse: throw when a match breaks a rule instead of only logging it }
+ * @returns {Promise<Array>} - [{ round, violations }] of the matches that break a rule
+ */
+async function checkScheduling(matches, seasonId, { refuse = false } = {}) {
+  if (matches.length === 0) return [];
+
+  const checker = await createSeasonConstraintChecker(seasonId);
+  const slotMs = checker.rules.matchDurationMinutes * 60 * 1000;
+  const problems = [];
+  matches.forEach(match => {
+    const day = leagueDay(match.matchDate);
+    for (let kickOff = new Date(match.matchDate); leagueDay(kickOff) === day; kickOff = new Date(kickOff.getTime() + slotMs)) {
+      if (checker.reserve({ ...match, matchDate: kickOff })) {
+        match.matchDate = kickOff;
+        return;
+      }
+    }
+    problems.push({ round: match.round, violations: checker.check(match) });
+  });
+
+  if (problems.length > 0) {
+    const summary = problems.map(problem => `${problem.round}: ${formatViolations(problem.violations)}`).join('; ');
+    if (refuse) {
+      throw new Error(`Scheduling constraints violated: ${summary}`);
+    }
+    console.warn(`⚠️ Competition matches scheduled despite constraint violations: ${summary}`);
+  }
+
+  return problems;
+}
+
+/**
+ * Create the Match (or both legs) for every tie whose two teams are known
+ * The matches are checked against the season's scheduling constraints first: with refuseViolations
+ * nothing is created when one breaks a rule, otherwise the violations are logged (a round that follows a
+ * result cannot wait) and show up in the constraint report
+ * @param {Object} competition - Competition document (mutated, not saved)
+ * @param {Object} options - { refuseViolations }
+ * @returns {Promise<number>} - Number of matches created
+ */
+export async function scheduleReadyTies(competition, { refuseViolations = false } = {}) {
+  const planned = [];
+
+  for (const tie of competition.ties) {
+    if (tie.isBye || tie.match || !tie.homeTeam || !tie.awayTeam) continue;
+
+    const round = competition.rounds.find(r => r.number === tie.round);
+    const roundLabel = `${competition.name} ${round?.name || `Round ${tie.round}`}`;
+    const base = {
+      venue: competition.venue || '',
+      season: competition.season,
+      competition: competition._id,
+      status: 'scheduled'
+    };
+
+    if (round?.legs === 2) {
+      // Ids up front so each leg can point at the other
+      const firstLegId = new mongoose.Types.ObjectId();
+      const secondLegId = new mongoose.Types.ObjectId();
+
+      planned.push(
+        {
+          ...base,
+          _id: firstLegId,
+          homeTeam: tie.homeTeam,
+          awayTeam: tie.awayTeam,
+          matchDate: round.date || new Date(),
+          round: `${roundLabel} - 1st leg`.slice(0, 100),
+          leg: 1,
+          otherLeg: secondLegId
+        },
+        {
+          ...base,
+          _id: secondLegId,
+          homeTeam: tie.awayTeam,
+          awayTeam: tie.homeTeam,
+          matchDate: round.secondLegDate || round.date || new Date(),
+          round: `${roundLabel} - 2nd leg`.slice(0, 100),
+          leg: 2,
+          otherLeg: firstLegId
+        }
+      );
+
+      tie.match = firstLegId;
+      tie.secondLeg = secondLegId;
+      continue;
+    }
+
+    const matchId = new mongoose.Types.ObjectId();
+    planned.push({
+      ...base,
+      _id: matchId,
+      homeTeam: tie.homeTeam,
+      awayTeam: tie.awayTeam,
+      matchDate: round?.date || new Date(),
+      round: roundLabel.slice(0, 100)
+    });
+
+    tie.match = matchId;
+  }
+
+  await checkScheduling(planned, competition.season, { refuse: refuseViolations });
+  if (planned.length > 0) {
+    await Match.create(planned);
+  }
+
+  return planned.length;
+}
+
+/**
+ * Create a knockout competition and the matches of its opening round
+ * @param {Object} options - { name, seasonId, teamIds (seed order), seeding, twoLegged, firstRoundDate, daysBetweenRounds, venue }
+ * @returns {Promise<Object>} - Saved competition
+ */
+export async function createKnockoutCompetition({
+  name, seasonId, teamIds, seeding = 'seeded', twoLegged, firstRoundDate, daysBetweenRounds = 7, venue = ''
+}) {
+  const uniqueIds = [...new Set((teamIds || []).map(id => id.toString()))];
+  if (uniqueIds.length < 2) {
+    throw new Error('At least two teams are required for a knockout bracket');
+  }
+
+  const teamCount = await Team.countDocuments({ _id: { $in: uniqueIds }, season: seasonId });
+  if (teamCount !== uniqueIds.length) {
+    throw new Error('Every team must belong to the selected season');
+  }
+
+  const firstRound = new Date(firstRoundDate);
+  if (!firstRoundDate || isNaN(firstRound.getTime())) {
+    throw new Error('A valid first round date is required');
+  }
+
+  const gap = Math.max(1, parseInt(daysBetweenRounds) || 7);
+  const legSettings = normalizeTwoLegged(twoLegged);
+  const bracket = buildKnockoutBracket(uniqueIds, { seeding });
+
+  // Seeds as placed in the bracket (for drawn brackets this is the draw order)
+  const teams = [];
+  bracket.ties.filter(t => t.round === 1).forEach(tie => {
+    if (tie.homeTeam) teams.push({ team: tie.homeTeam, seed: tie.homeSeed });
+    if (tie.awayTeam) teams.push({ team: tie.awayTeam, seed: tie.awaySeed });
+  });
+  teams.sort((a, b) => a.seed - b.seed);
+
+  const competition = new Competition({
+    name,
+    season: seasonId,
+    seeding,
+    twoLegged: legSettings,
+    venue,
+    daysBetweenRounds: gap,
+    teams,
+    rounds: planRounds(bracket.rounds, firstRound, gap, legSettings.rounds),
+    ties: bracket.ties
+  });
+
+  await competition.validate();
+  const created = await scheduleReadyTies(competition, { refuseViolations: true });
+  await competition.save();
+
+  console.log(`Created knockout competition ${name}: ${teams.length} teams, ${bracket.size}-slot bracket, ${created} opening matches`);
+
+  return competition;
+}
+
+/**
+ * Create a group-stage competition and the round-robin fixtures of every group
+ * Each group matchday shares a day; kick-offs follow each other on the season's match slot length
+ * Nothing is created when a fixture breaks the season's scheduling constraints
+ * @param {Object} options - { name, seasonId, groups: [{ name, teamIds }], qualification, twoLegged, firstRoundDate, daysBetweenRounds, venue }
+ * @returns {Promise<Object>} - Saved competition
+ */
+export async function createGroupCompetition({
+  name, seasonId, groups, qualification = {}, twoLegged, firstRoundDate, daysBetweenRounds = 7, venue = ''
+}) {
+  const cleanGroups = (groups || [])
+    .map(group => ({
+      name: String(group.name || '').trim(),
+      teams: [...new Set((group.teamIds || []).map(id => id.toString()))]
+    }))
+    .filter(group => group.teams.length > 0);
+
+  if (cleanGroups.length === 0) {
+    throw new Error('At least one group with teams is required');
+  }
+  if (cleanGroups.some(group => !group.name || group.teams.length < 2)) {
+    throw new Error('Every group needs a name and at least two teams');
+  }
+
+  const allTeams = cleanGroups.flatMap(group => group.teams);
+  if (new Set(allTeams).size !== allTeams.length) {
+    throw new Error('A team can only be placed in one group');
+  }
+
+  const teamCount = await Team.countDocuments({ _id: { $in: allTeams }, season: seasonId });
+  if (teamCount !== allTeams.length) {
+    throw new Error('Every team must belong to the selected season');
+  }
+
+  const firstRound = new Date(firstRoundDate);
+  if (!firstRoundDate || isNaN(firstRound.getTime())) {
+    throw new Error('A valid first matchday date is required');
+  }
+
+  const rule = {
+    topPerGroup: Math.max(1, parseInt(qualification.topPerGroup) || 2),
+    bestNextPlaced: Math.max(0, parseInt(qualification.bestNextPlaced) || 0)
+  };
+  const groupsWithNextPlace = cleanGroups.filter(group => group.teams.length > rule.topPerGroup).length;
+  if (rule.bestNextPlaced > groupsWithNextPlace) {
+    throw new Error(`Only ${groupsWithNextPlace} groups have a team finishing in position ${rule.topPerGroup + 1}`);
+  }
+  if (countQualifiers(cleanGroups.map(group => group.teams.length), rule) < 2) {
+    throw new Error('The qualification rule must send at least two teams to the knockout stage');
+  }
+
+  const season = await Season.findById(seasonId).select('scheduling').lean();
+  const slotMinutes = season?.scheduling?.matchDurationMinutes || 60;
+  const gap = Math.max(1, parseInt(daysBetweenRounds) || 7);
+
+  const competition = new Competition({
+    name,
+    season: seasonId,
+    type: 'groups_knockout',
+    stage: 'groups',
+    groups: cleanGroups,
+    qualification: rule,
+    twoLegged: normalizeTwoLegged(twoLegged),
+    venue,
+    daysBetweenRounds: gap,
+    teams: allTeams.map((team, index) => ({ team, seed: index + 1 })),
+    rounds: [],
+    ties: []
+  });
+  await competition.validate();
+
+  const fixtures = [];
+  cleanGroups.forEach(group => {
+    generateRoundRobin(group.teams).forEach(round => {
+      round.fixtures.forEach(fixture => {
+        fixtures.push({ ...fixture, group: group.name, matchday: round.matchday });
+      });
+    });
+  });
+  fixtures.sort((a, b) => a.matchday - b.matchday);
+
+  const slotIndex = {};
+  const matches = fixtures.map(fixture => {
+    slotIndex[fixture.matchday] = (slotIndex[fixture.matchday] ?? -1) + 1;
+    const matchDate = roundDate(firstRound, fixture.matchday, gap);
+    matchDate.setMinutes(matchDate.getMinutes() + slotIndex[fixture.matchday] * slotMinutes);
+
+    return {
+      homeTeam: fixture.homeTeam,
+      awayTeam: fixture.awayTeam,
+      matchDate,
+      venue,
+      matchday: fixture.matchday,
+      round: `${name} Group ${fixture.group} - Matchday ${fixture.matchday}`.slice(0, 100),
+      season: seasonId,
+      competition: competition._id,
+      group: fixture.group,
+      status: 'scheduled'
+    };
+  });
+
+  await checkScheduling(matches, seasonId, { refuse: true });
+  await Match.create(matches);
+  await competition.save();
+
+  console.log(`Created group competition ${name}: ${cleanGroups.length} groups, ${matches.length} group matches`);
+
+  return competition;
+}
+
+/**
+ * Standings of every group from its completed matches, using the league tie-breakers
+ * @param {Object} competition - Competition with groups
+ * @returns {Promise<Array>} - [{ name, standings }]
+ */
+export async function buildGroupTables(competition) {
+  const teamIds = competition.groups.flatMap(group => group.teams);
+
+  const [teams, matches, rules] = await Promise.all([
+    Team.find({ _id: { $in: teamIds } }).select('name logo').lean(),
+    Match.find({
+      competition: competition._id,
+      group: { $ne: null },
+      status: { $in: TABLE_STATUSES } // Forfeits count with their scoreline
+    }).lean(),
+    loadSeasonRules(competition.season)
+  ]);
+
+  return competition.groups.map(group => {
+    const groupMatches = matches.filter(match => match.group === group.name);
+
+    const standings = group.teams.map(teamId => {
+      const team = teams.find(t => idOf(t._id) === idOf(teamId)) || { _id: teamId, name: 'Unknown team' };
+      const teamMatches = groupMatches.filter(match =>
+        idOf(match.homeTeam) === idOf(teamId) || idOf(match.awayTeam) === idOf(teamId)
+      );
+      const stats = calculateTeamStats(teamId, teamMatches, rules);
+      return { ...team, stats, enhancedStats: stats };
+    });
+
+    return { name: group.name, standings: rankStandings(standings, rules.tieBreakers) };
+  });
+}
+
+/**
+ * Seed the knockout bracket once every group match has been played, forfeited or cancelled
+ * @param {Object} competition - Competition document in its group stage
+ * @returns {Promise<Object|null>} - Updated competition, or null while groups are still being played
+ */
+export async function completeGroupStage(competition) {
+  if (competition.stage !== 'groups') return null;
+
+  const groupMatchQuery = { competition: competition._id, group: { $ne: null } };
+  // Abandoned matches hold the stage up until they are resumed, or replayed (the replay counts instead)
+  const remaining = await Match.countDocuments({
+    ...groupMatchQuery,
+    status: { $nin: FINAL_STATUSES },
+    'abandonment.resolution': { $ne: 'replay' }
+  });
+  if (remaining > 0) {
+    console.log(`${competition.name}: ${remaining} group matches left before the knockout stage`);
+    return null;
+  }
+
+  const [tables, rules] = await Promise.all([
+    buildGroupTables(competition),
+    loadSeasonRules(competition.season)
+  ]);
+  const qualifiers = selectQualifiers(tables, competition.qualification, rules.tieBreakers);
+
+  const groupOf = {};
+  qualifiers.forEach(q => { groupOf[idOf(q.team)] = q.group; });
+
+  const bracket = buildKnockoutBracket(qualifiers.map(q => idOf(q.team)), { seeding: 'seeded' });
+  separateGroupRematches(bracket.ties, groupOf);
+
+  // Knockout starts one round gap after the last group match, at the group stage kick-off time
+  const [firstGroupMatch, lastGroupMatch] = await Promise.all([
+    Match.findOne(groupMatchQuery).sort({ matchDate: 1 }).select('matchDate').lean(),
+    Match.findOne(groupMatchQuery).sort({ matchDate: -1 }).select('matchDate').lean()
+  ]);
+  const kickOff = new Date(firstGroupMatch?.matchDate || new Date());
+  const start = new Date(lastGroupMatch?.matchDate || new Date());
+  start.setDate(start.getDate() + competition.daysBetweenRounds);
+  start.setHours(kickOff.getHours(), kickOff.getMinutes(), 0, 0);
+
+  competition.rounds = planRounds(
+    bracket.rounds, start, competition.daysBetweenRounds, competition.twoLegged?.rounds || []
+  );
+  competition.ties = bracket.ties;
+  competition.teams = qualifiers.map((q, index) => ({ team: q.team, seed: index + 1 }));
+  competition.stage = 'knockout';
+
+  const created = await scheduleReadyTies(competition);
+  await competition.save();
+
+  console.log(`${competition.name}: group stage complete, ${qualifiers.length} qualifiers, ${created} knockout matches scheduled`);
+
+  return competition;
+}
+
+/**
+ * Run competition bookkeeping after a match result is saved
+ * Group matches may complete the group stage; knockout matches advance their winner
+ * @param {Object} match - Saved match (document or lean object)
+ * @returns {Promise<Object|null>} - Updated competition, or null when nothing changed
+ */
+export async function processCompetitionMatch(match) {
+  if (!match?.competition) return null;
+
+  if (match.group) {
+    if (!FINAL_STATUSES.includes(match.status)) return null;
+    const competition = await Competition.findById(idOf(match.competition));
+    return competition ? completeGroupStage(competition) : null;
+  }
+
+  return advanceKnockoutMatch(match);
+}
+
+/**
+ * Why a knockout match cannot be completed with a score from the live pages, which record no extra time
+ * or shootout: the match would end level, or a second leg would leave the tie level on aggregate
+ * @param {Object} match - Match with competition, group, leg, otherLeg, forfeit, extraTime and penalties
+ * @param {Object} score - { homeScore, awayScore } the match would end with
+ * @returns {Promise<string|null>} - Message, or null when the match can be completed
+ */
+export async function unsettledKnockoutResult(match, score) {
+  if (!match?.competition || match.group || match.leg === 1) return null;
+  // Judged as the completed match it would become
+  const result = {
+    ...match,
+    status: 'completed',
+    homeScore: Number(score.homeScore) || 0,
+    awayScore: Number(score.awayScore) || 0
+  };
+
+  if (match.leg === 2) {
+    const [firstLeg, competition] = await Promise.all([
+      Match.findById(idOf(match.otherLeg)).lean(),
+      Competition.findById(idOf(match.competition)).select('twoLegged').lean()
+    ]);
+    if (firstLeg?.status !== 'completed') {
+      return 'Complete the first leg before the second leg';
+    }
+    return determineTieWinner(firstLeg, result, competition?.twoLegged).winner
+      ? null
+      : 'The tie is level on aggregate: record extra time or the penalty shootout on the match result form';
+  }
+
+  return determineKnockoutWinner(result).winner
+    ? null
+    : 'A knockout match cannot end level: record extra time or the penalty shootout on the match result form';
+}
+
+/**
+ * Record the winner of a decided knockout match (or two-legged tie) and move them into the next tie
+ * Completed matches are decided on the score, forfeits and walkovers go to the other team
+ * Does nothing for league matches, drawn matches without a shootout, or a played first leg on its own
+ * @param {Object} match - Completed or forfeited match (document or lean object)
+ * @returns {Promise<Object|null>} - Updated competition, or null when nothing advanced
+ */
+export async function advanceKnockoutMatch(match) {
+  if (!match?.competition || !TABLE_STATUSES.includes(match.status)) return null;
+
+  // A played first leg decides nothing, but a corrected first leg re-decides an already played tie
+  if (match.leg === 1 && match.status !== 'forfeit') {
+    const secondLeg = match.otherLeg ? await Match.findById(idOf(match.otherLeg)).lean() : null;
+    return TABLE_STATUSES.includes(secondLeg?.status) ? advanceKnockoutMatch(secondLeg) : null;
+  }
+
+  const competition = await Competition.findById(idOf(match.competition));
+  if (!competition) return null;
+
+  const tie = competition.ties.find(t =>
+    idOf(t.match) === idOf(match._id) || idOf(t.secondLeg) === idOf(match._id)
+  );
+  if (!tie) return null;
+
+  let outcome;
+  let winnerId = null;
+  if (match.leg) {
+    const [firstLeg, secondLeg] = match.leg === 1
+      ? [match, tie.secondLeg ? await Match.findById(tie.secondLeg).lean() : null]
+      : [await Match.findById(tie.match).lean(), match];
+    // A forfeited leg settles the tie on its own; otherwise both legs need a result
+    const forfeited = [firstLeg, secondLeg].some(leg => leg?.status === 'forfeit');
+    if (!forfeited && !TABLE_STATUSES.includes(firstLeg?.status)) {
+      console.log(`Second leg ${match._id} completed before its first leg; tie not decided yet`);
+      return null;
+    }
+    outcome = determineTieWinner(firstLeg, secondLeg, competition.twoLegged);
+    if (outcome.winner) winnerId = idOf(outcome.winner === 'home' ? tie.homeTeam : tie.awayTeam);
+  } else {
+    outcome = determineKnockoutWinner(match);
+    if (outcome.winner) winnerId = idOf(outcome.winner === 'home' ? match.homeTeam : match.awayTeam);
+  }
+
+  if (!winnerId) {
+    console.log(`Knockout tie for match ${match._id} has no winner yet (needs extra time or penalties)`);
+    return null;
+  }
+
+  const { decidedBy } = outcome;
+  await Match.updateMany(
+    { _id: { $in: [tie.match, tie.secondLeg].filter(Boolean) } },
+    { winner: winnerId, decidedBy }
+  );
+
+  if (idOf(tie.winner) === winnerId) {
+    return competition;
+  }
+
+  // A corrected result may only change the bracket while the next tie is unplayed
+  const slot = nextTieSlot(tie);
+  const next = findTie(competition.ties, slot.round, slot.position);
+  if (next?.match) {
+    const nextLegs = await Match.find({ _id: { $in: [next.match, next.secondLeg].filter(Boolean) } })
+      .select('status leg');
+    const started = nextLegs.find(m => !['draft', 'scheduled', 'postponed'].includes(m.status));
+    if (started) {
+      console.warn(`Not moving ${winnerId} into round ${slot.round}: the next match is already ${started.status}`);
+      return null;
+    }
+    for (const nextMatch of nextLegs) {
+      // The second leg has home and away reversed
+      const home = nextMatch.leg === 2 ? slot.side === 'away' : slot.side === 'home';
+      await Match.findByIdAndUpdate(nextMatch._id, { [home ? 'homeTeam' : 'awayTeam']: winnerId });
+    }
+  }
+
+  advanceWinner(competition.ties, tie, winnerId);
+
+  if (!next) {
+    competition.status = 'completed';
+    competition.winner = winnerId;
+    console.log(`🏆 ${competition.name} won by ${winnerId}`);
+  }
+
+  await scheduleReadyTies(competition);
+  await competition.save();
+
+  console.log(`Knockout advance: ${winnerId} wins round ${tie.round} tie ${tie.position} (${decidedBy})`);
+
+  return competition;
+}
+
+/**
+ * Delete a competition and its unplayed matches
+ * Refuses once any of its matches has been played
+ * @param {string} competitionId - Competition to delete
+ */
+export async function deleteCompetition(competitionId) {
+  const played = await Match.countDocuments({
+    competition: competitionId,
+    status: { $in: ['live', ...TABLE_STATUSES] }
+  });
+
+  if (played > 0) {
+    throw new Error('Cannot delete a competition that already has played matches');
+  }
+
+  const removed = await Match.deleteMany({ competition: competitionId });
+  await Competition.findByIdAndDelete(competitionId);
+
+  console.log(`Deleted competition ${competitionId} and ${removed.deletedCount} matches`);
+}
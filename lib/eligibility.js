@@ -0,0 +1,132 @@
+// ===========================================
+// FILE: lib/eligibility.js
+// Player eligibility for a match (utils/playerEligibility) loaded from the database, and the fair-play
+// record an admin can create when an ineligible player takes part anyway
+// ===========================================
+import mongoose from 'mongoose';
+import Player from '../models/Player';
+import FairPlayRecord from '../models/FairPlayRecord';
+import { refreshSeasonStandings } from './standings';
+import { getActiveSuspensions } from './suspensions';
+import { playerEligibility, eligibilityReasons, eventParticipant, teamOnDate } from '../utils/playerEligibility';
+import { squadPlayerIds } from '../utils/matchSquads';
+
+const idOf = (value) => (value && value._id ? value._id : value)?.toString();
+
+// Fields playerEligibility reads
+const ELIGIBILITY_FIELDS = 'name status statusSince currentTeam contractStatus currentContract transferHistory contractHistory currentTeamHistory';
+
+// Default fair-play points for fielding an ineligible player
+export const INELIGIBLE_PLAYER_POINTS = 5;
+
+/**
+ * Eligibility of players for one team in a match
+ * @param {Array} playerIds - Players
+ * @param {Object} match - Match with season and matchDate
+ * @param {string} team - Team the players are named for
+ * @returns {Promise<Map>} - player id -> playerEligibility result (unknown players are left out)
+ */
+export const loadEligibility = async (playerIds, match, team) => {
+  const ids = [...new Set(playerIds.map(idOf).filter(Boolean))];
+  if (ids.length === 0) return new Map();
+
+  const [players, suspensions] = await Promise.all([
+    Player.find({ _id: { $in: ids } }).select(ELIGIBILITY_FIELDS).lean(),
+    getActiveSuspensions(ids)
+  ]);
+  const context = { team, season: match.season, matchDate: match.matchDate };
+  return new Map(players.map(player => [idOf(player._id), playerEligibility(player, {
+    ...context,
+    suspensions: suspensions.filter(suspension => idOf(suspension.player) === idOf(player._id))
+  })]));
+};
+
+/**
+ * Players registered to a team on a date (teamOnDate), including those who have left it since
+ * @param {string} team - Team
+ * @param {Date} date - Match date
+ * @returns {Promise<Array>} - Player ids
+ */
+export const findTeamPlayersOnDate = async (team, date) => {
+  const teamId = idOf(team);
+  const candidates = await Player.find({
+    $or: [
+      { currentTeam: teamId },
+      { 'transferHistory.toTeam': teamId },
+      { 'transferHistory.fromTeam': teamId },
+      { 'currentContract.team': teamId },
+      { 'contractHistory.team': teamId }
+    ]
+  }).select('currentTeam currentContract transferHistory contractHistory').lean();
+
+  return candidates.filter(player => teamOnDate(player, date) === teamId).map(player => player._id);
+};
+
+/**
+ * Whether the player an event puts on court may take part: eligible, and named in the team's matchday
+ * squad once one is submitted
+ * @param {Object} event - Match event
+ * @param {Object} match - Match with homeTeam, awayTeam, season, matchDate and squads
+ * @returns {Promise<Object|null>} - { ineligible (playerEligibility results, for fair-play records),
+ *   notInSquad, message }, or null when the player may take part
+ */
+export const checkEventParticipant = async (event, match) => {
+  const participant = event?.type ? eventParticipant(event) : null;
+  if (!participant) return null;
+
+  const side = event.team === 'away' ? 'away' : 'home';
+  const result = (await loadEligibility([participant], match, match[`${side}Team`])).get(participant);
+  const ineligible = result && !result.eligible ? [result] : [];
+  const squadIds = squadPlayerIds(match, side);
+  const notInSquad = Boolean(squadIds && !squadIds.has(participant));
+  if (ineligible.length === 0 && !notInSquad) return null;
+
+  const reasons = [notInSquad && 'Not in the matchday squad', ineligible.length > 0 && eligibilityReasons(result)].filter(Boolean);
+  return {
+    ineligible,
+    notInSquad,
+    message: `${result?.name || event.playerName || 'The player'} is not eligible for this match: ${reasons.join('; ')}`
+  };
+};
+
+/**
+ * Record a 'suspended_player_participated' fair-play action for each ineligible player confirmed into a match
+ * A player already recorded for the match is skipped, so confirming twice does not double the points
+ * @param {Array} ineligible - playerEligibility results
+ * @param {Object} match - Match with _id, season and matchDate
+ * @param {string} team - Team the players took part for
+ * @param {Object} session - Admin session (the record's addedBy)
+ * @param {number} points - Fair-play points of each record
+ * @returns {Promise<number>} - Records created
+ */
+export const recordIneligibleParticipation = async (ineligible, match, team, session, points = INELIGIBLE_PLAYER_POINTS) => {
+  const reference = `Match ${idOf(match._id)}`;
+  const existing = new Set((await FairPlayRecord.distinct('player', {
+    actionType: 'suspended_player_participated',
+    reference,
+    player: { $in: ineligible.map(result => result.player) }
+  })).map(idOf));
+
+  const records = ineligible
+    .filter(result => !existing.has(result.player))
+    .map(result => ({
+      team: new mongoose.Types.ObjectId(idOf(team)),
+      player: new mongoose.Types.ObjectId(result.player),
+      season: new mongoose.Types.ObjectId(idOf(match.season)),
+      actionType: 'suspended_player_participated',
+      points,
+      description: `${result.name} took part while ineligible: ${eligibilityReasons(result)}`.slice(0, 500),
+      actionDate: match.matchDate || new Date(),
+      reference,
+      addedBy: new mongoose.Types.ObjectId(session.user.id)
+    }));
+
+  if (records.length === 0) return 0;
+
+  await FairPlayRecord.insertMany(records);
+  // Fair play points break ties in the league table
+  await refreshSeasonStandings(match.season, records.map(record => record.team));
+
+  console.log(`Fair-play records created for ${records.length} ineligible players in match ${idOf(match._id)}`);
+  return records.length;
+};
@@ -0,0 +1,44 @@
+// ===========================================
+// FILE: lib/leagueData.js
+// Source data of a season's league table, shared by the standings and the team stats service
+// ===========================================
+import Team from '../models/Team';
+import Match from '../models/Match';
+import PointDeduction from '../models/PointDeduction';
+import FairPlayRecord from '../models/FairPlayRecord';
+import { resolveSeasonRules } from '../utils/seasonRules';
+import { TABLE_STATUSES } from '../utils/matchStatus';
+
+/**
+ * Teams, counted league matches and disciplinary records of a season
+ * @param {Object} season - Season document (rules are read from it); null gives no data
+ * @returns {Promise<Object>} - { rules, teams, matches, deductions, fairPlayRecords }
+ */
+export const loadLeagueData = async (season) => {
+  const rules = resolveSeasonRules(season);
+  if (!season) {
+    return { rules, teams: [], matches: [], deductions: [], fairPlayRecords: [] };
+  }
+
+  const [teams, matches, deductions, fairPlayRecords] = await Promise.all([
+    Team.find({ season: season._id }).populate('season', 'name').lean(),
+    Match.find({
+      season: season._id,
+      status: { $in: TABLE_STATUSES }, // Forfeits count with their awarded scoreline
+      competition: null // Cup matches are not part of the league table
+    })
+      .populate('homeTeam awayTeam', 'name')
+      .sort({ matchDate: 1 })
+      .lean(),
+    // Disciplinary point deductions still in force
+    PointDeduction.find({ season: season._id, status: 'active' })
+      .select('team points reason decisionReference decisionDate')
+      .lean(),
+    // Manual fair play points from administrative actions
+    FairPlayRecord.find({ season: season._id, status: 'active' })
+      .select('team points actionDate')
+      .lean()
+  ]);
+
+  return { rules, teams, matches, deductions, fairPlayRecords };
+};
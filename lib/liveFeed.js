@@ -0,0 +1,187 @@
+// ===========================================
+// FILE: lib/liveFeed.js
+// Live match feed: the Server-Sent Events endpoint (pages/api/public/live-feed.js) subscribes to one
+// change reader per process, which reads changed matches from the database every few seconds, so a change
+// written by any server instance reaches every stream without each stream querying on its own. Routes
+// that change a match also publish it in-process, which only speeds up streams served by the same
+// instance; clients fall back to polling when the stream keeps failing
+// ===========================================
+import { EventEmitter } from 'events';
+import Match from '../models/Match';
+
+const idOf = (value) => (value && value._id ? value._id : value)?.toString();
+
+// Kept on global so hot reloads and every API route of this process share one emitter
+let feed = global.liveFeed;
+
+if (!feed) {
+  feed = global.liveFeed = new EventEmitter();
+  // One listener per open stream
+  feed.setMaxListeners(0);
+}
+
+// How often the change reader reads changed matches
+const CHANGE_POLL_MS = 3000;
+// Changes are read back this far before the last read, so a writer whose clock runs a little behind is
+// not missed (streams skip a match they already sent at that version)
+const CHANGE_OVERLAP_MS = 5000;
+
+// The process's change reader: running while any stream is subscribed, the ids of the matches it last saw
+// live (so it also reads the change that ends them) and how many streams follow each single match
+let reader = global.liveFeedReader;
+
+if (!reader) {
+  reader = global.liveFeedReader = { running: false, lastRead: null, live: null, watched: new Map() };
+}
+
+// What spectators see of a match
+const SNAPSHOT_FIELDS = 'homeTeam awayTeam status homeScore awayScore liveData events matchDate venue updatedAt';
+
+/**
+ * Spectator view of a match: teams, status, score, clock and events
+ * @param {Object} match - Lean match with homeTeam and awayTeam populated
+ */
+export const matchSnapshot = (match) => ({
+  _id: idOf(match._id),
+  status: match.status,
+  homeTeam: match.homeTeam ? { _id: idOf(match.homeTeam), name: match.homeTeam.name, logo: match.homeTeam.logo } : null,
+  awayTeam: match.awayTeam ? { _id: idOf(match.awayTeam), name: match.awayTeam.name, logo: match.awayTeam.logo } : null,
+  homeScore: match.homeScore || 0,
+  awayScore: match.awayScore || 0,
+  matchDate: match.matchDate,
+  venue: match.venue,
+  liveData: match.liveData || null,
+  events: match.events || [],
+  // Streams send a match again only when it changed since this
+  updatedAt: match.updatedAt || null,
+  // Clients read the clock from liveData at server time (utils/matchClock)
+  serverTime: new Date()
+});
+
+/**
+ * Read a match and its spectator snapshot, or null if it no longer exists
+ * @param {string} matchId - Match id
+ */
+export const loadMatchSnapshot = async (matchId) => {
+  const match = await Match.findById(matchId)
+    .select(SNAPSHOT_FIELDS)
+    .populate('homeTeam', 'name logo')
+    .populate('awayTeam', 'name logo')
+    .lean();
+  return match ? matchSnapshot(match) : null;
+};
+
+/**
+ * Snapshots of every live match
+ */
+export const loadLiveSnapshots = async () => {
+  const matches = await Match.find({ status: 'live' })
+    .select(SNAPSHOT_FIELDS)
+    .populate('homeTeam', 'name logo')
+    .populate('awayTeam', 'name logo')
+    .sort({ matchDate: 1 })
+    .lean();
+  return matches.map(matchSnapshot);
+};
+
+const trackLive = (snapshot) => {
+  if (!reader.live) return;
+  if (snapshot.status === 'live') {
+    reader.live.add(snapshot._id);
+  } else {
+    reader.live.delete(snapshot._id);
+  }
+};
+
+/**
+ * One read of the change reader: publishes the live matches and followed matches changed since the last
+ * read, oldest change first, and a { _id, deleted } snapshot for each followed match that no longer exists
+ */
+const readChanges = async () => {
+  if (feed.listenerCount('match') === 0) {
+    reader.running = false;
+    return;
+  }
+
+  const readAt = Date.now();
+  try {
+    if (!reader.live) {
+      reader.live = new Set((await Match.distinct('_id', { status: 'live' })).map(idOf));
+    }
+    const watched = [...reader.watched.keys()];
+    const followed = [...new Set([...reader.live, ...watched])];
+
+    const matches = await Match.find({
+      updatedAt: { $gt: new Date(reader.lastRead - CHANGE_OVERLAP_MS) },
+      $or: [{ status: 'live' }, { _id: { $in: followed } }]
+    })
+      .select(SNAPSHOT_FIELDS)
+      .populate('homeTeam', 'name logo')
+      .populate('awayTeam', 'name logo')
+      .sort({ updatedAt: 1 })
+      .lean();
+    matches.map(matchSnapshot).forEach(snapshot => {
+      trackLive(snapshot);
+      feed.emit('match', snapshot);
+    });
+
+    if (watched.length > 0) {
+      const existing = new Set((await Match.distinct('_id', { _id: { $in: watched } })).map(idOf));
+      watched.filter(matchId => !existing.has(matchId)).forEach(matchId => feed.emit('match', { _id: matchId, deleted: true }));
+    }
+    reader.lastRead = readAt;
+  } catch (error) {
+    console.error('❌ Live feed change read failed:', error);
+  }
+
+  setTimeout(readChanges, CHANGE_POLL_MS);
+};
+
+/**
+ * Push a match's current state to the subscribers in this process, without failing the caller
+ * Streams on other instances pick the change up from the database
+ * The match is re-read so every subscriber gets the stored state; a deleted match is sent as { _id, deleted }
+ * @param {string|Object} match - Match id or document
+ */
+export const publishMatchUpdate = async (match) => {
+  const matchId = idOf(match);
+  if (feed.listenerCount('match') === 0) return;
+
+  try {
+    const snapshot = await loadMatchSnapshot(matchId) || { _id: matchId, deleted: true };
+    trackLive(snapshot);
+    feed.emit('match', snapshot);
+  } catch (error) {
+    console.error(`❌ Failed to publish live update for match ${matchId}:`, error);
+  }
+};
+
+/**
+ * Listen for match snapshots: those published in this process and those the change reader reads from the
+ * database (started with the first listener, stopped after the last one leaves)
+ * Without a matchId only live matches, and the change that ends them, are read from the database
+ * @param {Function} listener - Called with each snapshot
+ * @param {string} matchId - Match to follow whatever its status
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribeToMatches = (listener, matchId = null) => {
+  feed.on('match', listener);
+  if (matchId) reader.watched.set(matchId, (reader.watched.get(matchId) || 0) + 1);
+
+  if (!reader.running) {
+    reader.running = true;
+    reader.lastRead = Date.now();
+    setTimeout(readChanges, CHANGE_POLL_MS);
+  }
+
+  return () => {
+    feed.off('match', listener);
+    if (!matchId) return;
+    const count = reader.watched.get(matchId) - 1;
+    if (count > 0) {
+      reader.watched.set(matchId, count);
+    } else {
+      reader.watched.delete(matchId);
+    }
+  };
+};
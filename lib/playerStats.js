@@ -0,0 +1,212 @@
+// ===========================================
+// FILE: lib/playerStats.js
+// Player statistics as a projection of match events: per-match stat lines, rebuilt whenever a match
+// changes, and player career stats and season stats summed from them
+// The stat lines are also the player's appearances, paged by getPlayerAppearances
+// ===========================================
+import Player from '../models/Player';
+import Match from '../models/Match';
+import PlayerMatchStat from '../models/PlayerMatchStat';
+import { loadSeasonRules } from './seasonRules';
+import { countsPlayerStats } from '../utils/matchStatus';
+import { tableScore } from '../utils/standings';
+import { buildMatchStatLines, totalsFromStatLines } from '../utils/playerStats';
+import { matchPlayedSeconds, onCourtMinutes } from '../utils/minutesPlayed';
+
+const idOf = (value) => (value && value._id ? value._id : value)?.toString();
+
+// Fields a stat line is built from
+const MATCH_FIELDS = 'homeTeam awayTeam season status forfeit abandonment awardedResult homeScore awayScore matchDate events squads liveData decidedBy';
+
+// Stat lines of a match as it stands: none unless its events count under the season's rules
+const statLinesFor = (match, rules) => (countsPlayerStats(match, rules) ? buildMatchStatLines(match, rules) : []);
+
+/**
+ * Re-sum players' career stats and season stats from all their stat lines
+ * @param {Array} playerIds - Players to refresh (duplicates are fine)
+ * @returns {Promise<number>} - Number of players written
+ */
+export const refreshPlayerTotals = async (playerIds) => {
+  const ids = [...new Set(playerIds.map(idOf))];
+  if (ids.length === 0) return 0;
+
+  const lines = await PlayerMatchStat.find({ player: { $in: ids } }).lean();
+  const linesByPlayer = new Map(ids.map(id => [id, []]));
+  lines.forEach(line => linesByPlayer.get(idOf(line.player)).push(line));
+
+  await Player.bulkWrite(ids.map(id => ({
+    updateOne: {
+      filter: { _id: id },
+      update: { $set: totalsFromStatLines(linesByPlayer.get(id)) }
+    }
+  })));
+
+  return ids.length;
+};
+
+/**
+ * Replace the stat lines matching a filter with lines built from events
+ * Legacy lines (migrated match history) are kept, unless the events now give the player a line in that match
+ * @param {Object} filter - Lines to replace
+ * @param {Array} lines - New stat lines
+ */
+const replaceStatLines = async (filter, lines) => {
+  await PlayerMatchStat.deleteMany({ ...filter, source: { $ne: 'legacy' } });
+  if (lines.length === 0) return;
+
+  await PlayerMatchStat.deleteMany({
+    source: 'legacy',
+    $or: lines.map(line => ({ player: line.player, match: line.match }))
+  });
+  await PlayerMatchStat.insertMany(lines);
+};
+
+/**
+ * Replace a match's stat lines from its current events and status, and re-sum the players involved
+ * before and after, so a removed or corrected event is taken back out
+ * @param {string|Object} match - Match id or document (always re-read); a deleted match just loses its lines
+ * @returns {Promise<Object>} - { lines, players }
+ */
+export const rebuildMatchPlayerStats = async (match) => {
+  const matchId = idOf(match);
+  const [current, previousPlayers] = await Promise.all([
+    Match.findById(matchId).select(MATCH_FIELDS).lean(),
+    PlayerMatchStat.distinct('player', { match: matchId })
+  ]);
+
+  const lines = current ? statLinesFor(current, await loadSeasonRules(current.season)) : [];
+
+  if (current) {
+    await replaceStatLines({ match: matchId }, lines);
+  } else {
+    await PlayerMatchStat.deleteMany({ match: matchId });
+  }
+
+  const players = await refreshPlayerTotals([...previousPlayers, ...lines.map(line => line.player)]);
+  return { lines: lines.length, players };
+};
+
+/**
+ * Rebuild a match's player stats after it changed, without failing the caller
+ * @param {string|Object} match - Match id or document
+ */
+export const refreshPlayerStatsForMatch = async (match) => {
+  try {
+    const { lines, players } = await rebuildMatchPlayerStats(match);
+    console.log(`✅ Player stats rebuilt for match ${idOf(match)}: ${lines} stat lines, ${players} players`);
+  } catch (error) {
+    console.error(`❌ Failed to rebuild player stats for match ${idOf(match)}:`, error);
+  }
+};
+
+/**
+ * Rebuild every stat line of a season, or of all time, and re-sum the players
+ * An all-time rebuild re-sums every player, which also clears numbers no stat line accounts for
+ * @param {Object} options - { seasonId: limit to one season }
+ * @returns {Promise<Object>} - { matches, lines, players }
+ */
+export const rebuildPlayerStats = async ({ seasonId = null } = {}) => {
+  const filter = seasonId ? { season: seasonId } : {};
+  const [matches, previousPlayers] = await Promise.all([
+    Match.find(filter).select(MATCH_FIELDS).lean(),
+    PlayerMatchStat.distinct('player', filter)
+  ]);
+
+  const rulesCache = new Map();
+  const lines = [];
+  for (const match of matches) {
+    lines.push(...statLinesFor(match, await loadSeasonRules(match.season, rulesCache)));
+  }
+
+  await replaceStatLines(filter, lines);
+
+  const playerIds = seasonId
+    ? [...previousPlayers, ...lines.map(line => line.player)]
+    : await Player.distinct('_id');
+  const players = await refreshPlayerTotals(playerIds);
+
+  console.log(`✅ Player stats rebuilt${seasonId ? ` for season ${seasonId}` : ''}: ${matches.length} matches, ${lines.length} stat lines, ${players} players`);
+  return { matches: matches.length, lines: lines.length, players };
+};
+
+/**
+ * Set the minutes played of existing stat lines to the players' time on court (utils/minutesPlayed), leaving
+ * every other field of the lines alone, and re-sum the players whose minutes changed
+ * Replaces the flat per-match minutes earlier versions stored
+ * @param {Object} options - { seasonId: limit to one season }
+ * @returns {Promise<Object>} - { matches, linesUpdated, players }
+ */
+export const recomputeMinutesPlayed = async ({ seasonId = null } = {}) => {
+  // Legacy lines have no events to time players from
+  const filter = { source: { $ne: 'legacy' }, ...(seasonId ? { season: seasonId } : {}) };
+  const lines = await PlayerMatchStat.find(filter).select('player match minutesPlayed').lean();
+  const matchIds = [...new Set(lines.map(line => idOf(line.match)))];
+  const matches = await Match.find({ _id: { $in: matchIds } }).select(MATCH_FIELDS).lean();
+
+  const rulesCache = new Map();
+  const minutesByMatch = new Map();
+  for (const match of matches) {
+    const rules = await loadSeasonRules(match.season, rulesCache);
+    minutesByMatch.set(idOf(match._id), {
+      players: onCourtMinutes(match, rules),
+      whole: Math.round(matchPlayedSeconds(match, rules) / 60)
+    });
+  }
+
+  const updates = [];
+  const changedPlayers = [];
+  lines.forEach(line => {
+    const minutes = minutesByMatch.get(idOf(line.match));
+    if (!minutes) return;
+    const player = idOf(line.player);
+    const minutesPlayed = minutes.players.has(player) ? minutes.players.get(player) : minutes.whole;
+    if (minutesPlayed === line.minutesPlayed) return;
+
+    updates.push({ updateOne: { filter: { _id: line._id }, update: { $set: { minutesPlayed } } } });
+    changedPlayers.push(player);
+  });
+
+  if (updates.length > 0) {
+    await PlayerMatchStat.bulkWrite(updates);
+  }
+  const players = await refreshPlayerTotals(changedPlayers);
+
+  console.log(`✅ Minutes played recomputed${seasonId ? ` for season ${seasonId}` : ''}: ${matches.length} matches, ${updates.length} stat lines, ${players} players`);
+  return { matches: matches.length, linesUpdated: updates.length, players };
+};
+
+/**
+ * One page of a player's appearances, newest first, each with the score from the player's side
+ * @param {string} playerId - Player id
+ * @param {Object} options - { page (from 1), limit, seasonId: limit to one season }
+ * @returns {Promise<Object>} - { appearances, page, limit, total, totalPages }
+ */
+export const getPlayerAppearances = async (playerId, { page = 1, limit = 10, seasonId = null } = {}) => {
+  const filter = { player: playerId };
+  if (seasonId) filter.season = seasonId;
+
+  const [lines, total] = await Promise.all([
+    PlayerMatchStat.find(filter)
+      .sort({ date: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('team', 'name logo')
+      .populate('opponent', 'name logo')
+      .populate('season', 'name')
+      .populate('match', 'homeScore awayScore status forfeit awardedResult matchday venue')
+      .lean(),
+    PlayerMatchStat.countDocuments(filter)
+  ]);
+
+  const appearances = lines.map(line => {
+    if (!line.match) return { ...line, goalsFor: null, goalsAgainst: null };
+    const { homeScore, awayScore } = tableScore(line.match);
+    return {
+      ...line,
+      goalsFor: line.isHome ? homeScore : awayScore,
+      goalsAgainst: line.isHome ? awayScore : homeScore
+    };
+  });
+
+  return { appearances, page, limit, total, totalPages: Math.ceil(total / limit) };
+};
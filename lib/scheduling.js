@@ -0,0 +1,44 @@
+// ===========================================
+// FILE: lib/scheduling.js
+// Season-level helpers for the scheduling constraint checker
+// ===========================================
+import Match from '../models/Match';
+import Team from '../models/Team';
+import Season from '../models/Season';
+import { createConstraintChecker } from '../utils/schedulingConstraints';
+
+/**
+ * Load everything the scheduling constraint checker needs for a season
+ * @param {string} seasonId - Season to load
+ * @param {Object} options - { includeDrafts: false when drafts are about to be replaced }
+ * @returns {Promise<Object>} - Checker created from the season's fixtures, teams and rules
+ */
+export const createSeasonConstraintChecker = async (seasonId, { includeDrafts = true } = {}) => {
+  const ignoredStatuses = includeDrafts ? ['cancelled', 'postponed'] : ['cancelled', 'postponed', 'draft'];
+
+  const [season, teams, matches] = await Promise.all([
+    Season.findById(seasonId).select('scheduling').lean(),
+    Team.find({ season: seasonId }).select('name blackoutDates').lean(),
+    Match.find({ season: seasonId, status: { $nin: ignoredStatuses } })
+      .select('homeTeam awayTeam matchDate venue status')
+      .lean()
+  ]);
+
+  const teamNames = {};
+  const blackouts = {};
+  teams.forEach(team => {
+    const teamId = team._id.toString();
+    teamNames[teamId] = team.name;
+    blackouts[teamId] = {};
+    (team.blackoutDates || []).forEach(blackout => {
+      blackouts[teamId][blackout.date] = blackout.reason || '';
+    });
+  });
+
+  return createConstraintChecker({
+    rules: season?.scheduling,
+    matches,
+    blackouts,
+    teamNames
+  });
+};
@@ -0,0 +1,30 @@
+// ===========================================
+// FILE: lib/seasonRules.js
+// Load a season's competition rules from the database
+// ===========================================
+import Season from '../models/Season';
+import { resolveSeasonRules } from '../utils/seasonRules';
+
+/**
+ * Resolved rules of a season; unknown seasons get the default rules
+ * @param {string|Object} season - Season id or (populated) season
+ * @param {Map} cache - Optional map reused across calls when processing many matches
+ * @returns {Promise<Object>} - Complete rules object
+ */
+export const loadSeasonRules = async (season, cache = null) => {
+  // A populated season already carries its rules
+  if (season?.rules) return resolveSeasonRules(season);
+
+  const seasonId = (season && season._id ? season._id : season)?.toString();
+  if (!seasonId) return resolveSeasonRules(null);
+
+  if (cache?.has(seasonId)) {
+    return cache.get(seasonId);
+  }
+
+  const doc = await Season.findById(seasonId).select('rules').lean();
+  const rules = resolveSeasonRules(doc);
+
+  if (cache) cache.set(seasonId, rules);
+  return rules;
+};
@@ -0,0 +1,470 @@
+// ===========================================
+// FILE: lib/standings.js
+// League tables: the aggregation that materializes them (with Team.stats) and their consistency check
+// A change to some teams' results updates their rows and re-ranks the table (updateSeasonStandings); the
+// full rebuild is kept for new or reshaped tables, rule changes and repairs
+// ===========================================
+import mongoose from 'mongoose';
+import Team from '../models/Team';
+import Match from '../models/Match';
+import Season from '../models/Season';
+import Standing from '../models/Standing';
+import PointDeduction from '../models/PointDeduction';
+import FairPlayRecord from '../models/FairPlayRecord';
+import { loadLeagueData } from './leagueData';
+import { writeTeamStats } from './teamStats';
+import { resolveSeasonRules } from '../utils/seasonRules';
+import { TABLE_STATUSES } from '../utils/matchStatus';
+import { buildLeagueTable, emptyStats, rankLeagueTable, teamForm, viewMatches } from '../utils/standings';
+
+const idOf = (value) => (value && value._id ? value._id : value)?.toString();
+
+// Results kept with each table row: the longest form the standings API lists
+export const STORED_FORM_LENGTH = 20;
+
+// Fields the form of a team is read from
+const FORM_FIELDS = 'homeTeam awayTeam status homeScore awayScore awardedResult forfeit matchDate';
+
+// Fields compared by the consistency check
+const CHECKED_FIELDS = [
+  'matchesPlayed', 'wins', 'draws', 'losses', 'goalsFor', 'goalsAgainst', 'points', 'pointsDeducted', 'fairPlayPoints', 'fouls'
+];
+
+// Number of a side's events of one type in a match (cards, fouls)
+const eventCount = (type) => ({
+  $size: { $filter: { input: '$sideEvents', cond: { $eq: ['$$this.type', type] } } }
+});
+
+const countWhere = (result) => ({ $sum: { $cond: [{ $eq: ['$result', result] }, 1, 0] } });
+
+/**
+ * Aggregation pipeline giving each team's match stats in a season, with a head-to-head row per opponent
+ * Counts the same as calculateTeamStats: awarded results, then forfeit scorelines, then the played score
+ * @param {string} seasonId - Season
+ * @param {Object} rules - Resolved season rules (points per result)
+ * @param {Array} teamIds - Only the rows of these teams (all teams when null)
+ * @returns {Array} - Pipeline stages
+ */
+const seasonStatsPipeline = (seasonId, rules, teamIds = null) => {
+  const teams = teamIds && teamIds.map(teamId => new mongoose.Types.ObjectId(idOf(teamId)));
+  return [
+    {
+      $match: {
+        season: new mongoose.Types.ObjectId(idOf(seasonId)),
+        status: { $in: TABLE_STATUSES },
+        competition: null,
+        ...(teams ? { $or: [{ homeTeam: { $in: teams } }, { awayTeam: { $in: teams } }] } : {})
+      }
+    },
+    // Score the table counts
+    {
+      $project: {
+        homeTeam: 1,
+        awayTeam: 1,
+        events: { $ifNull: ['$events', []] },
+        score: {
+          $switch: {
+            branches: [
+              {
+                case: { $and: [{ $isNumber: '$awardedResult.homeScore' }, { $isNumber: '$awardedResult.awayScore' }] },
+                then: { home: '$awardedResult.homeScore', away: '$awardedResult.awayScore' }
+              },
+              {
+                case: {
+                  $and: [
+                    { $eq: ['$status', 'forfeit'] },
+                    { $isNumber: '$forfeit.homeScore' },
+                    { $isNumber: '$forfeit.awayScore' }
+                  ]
+                },
+                then: { home: '$forfeit.homeScore', away: '$forfeit.awayScore' }
+              }
+            ],
+            default: { home: { $ifNull: ['$homeScore', 0] }, away: { $ifNull: ['$awayScore', 0] } }
+          }
+        }
+      }
+    },
+    // One row per side of each match
+    {
+      $project: {
+        events: 1,
+        sides: [
+          { side: 'home', team: '$homeTeam', opponent: '$awayTeam', goalsFor: '$score.home', goalsAgainst: '$score.away' },
+          { side: 'away', team: '$awayTeam', opponent: '$homeTeam', goalsFor: '$score.away', goalsAgainst: '$score.home' }
+        ]
+      }
+    },
+    { $unwind: '$sides' },
+    {
+      $project: {
+        team: '$sides.team',
+        opponent: '$sides.opponent',
+        goalsFor: '$sides.goalsFor',
+        goalsAgainst: '$sides.goalsAgainst',
+        result: { $cmp: ['$sides.goalsFor', '$sides.goalsAgainst'] },
+        sideEvents: { $filter: { input: '$events', cond: { $eq: ['$$this.team', '$sides.side'] } } }
+      }
+    },
+    ...(teams ? [{ $match: { team: { $in: teams } } }] : []),
+    {
+      $addFields: {
+        points: {
+          $switch: {
+            branches: [
+              { case: { $eq: ['$result', 1] }, then: rules.points.win },
+              { case: { $eq: ['$result', -1] }, then: rules.points.loss }
+            ],
+            default: rules.points.draw
+          }
+        },
+        // Yellow card = 1 point, red card = 3 points
+        fairPlayPoints: { $add: [eventCount('yellow_card'), { $multiply: [3, eventCount('red_card')] }] },
+        fouls: eventCount('foul')
+      }
+    },
+    // Head-to-head against each opponent first, then the team's totals
+    {
+      $group: {
+        _id: { team: '$team', opponent: '$opponent' },
+        matchesPlayed: { $sum: 1 },
+        wins: countWhere(1),
+        draws: countWhere(0),
+        losses: countWhere(-1),
+        goalsFor: { $sum: '$goalsFor' },
+        goalsAgainst: { $sum: '$goalsAgainst' },
+        points: { $sum: '$points' },
+        fairPlayPoints: { $sum: '$fairPlayPoints' },
+        fouls: { $sum: '$fouls' }
+      }
+    },
+    {
+      $group: {
+        _id: '$_id.team',
+        matchesPlayed: { $sum: '$matchesPlayed' },
+        wins: { $sum: '$wins' },
+        draws: { $sum: '$draws' },
+        losses: { $sum: '$losses' },
+        goalsFor: { $sum: '$goalsFor' },
+        goalsAgainst: { $sum: '$goalsAgainst' },
+        points: { $sum: '$points' },
+        fairPlayPoints: { $sum: '$fairPlayPoints' },
+        fouls: { $sum: '$fouls' },
+        headToHead: {
+          $push: { opponent: '$_id.opponent', points: '$points', goalsFor: '$goalsFor', goalsAgainst: '$goalsAgainst' }
+        }
+      }
+    }
+  ];
+};
+
+// Stats record (as calculateTeamStats returns) from an aggregated row; teams without matches get empty stats
+const statsFromAggregate = (row) => {
+  const stats = emptyStats();
+  if (!row) return stats;
+
+  CHECKED_FIELDS.forEach(field => {
+    if (row[field] !== undefined) stats[field] = row[field];
+  });
+  stats.goalDifference = stats.goalsFor - stats.goalsAgainst;
+  row.headToHead.forEach(({ opponent, points, goalsFor, goalsAgainst }) => {
+    stats.headToHeadResults[idOf(opponent)] = { points, goalsFor, goalsAgainst };
+  });
+  return stats;
+};
+
+const findSeason = async (season) => (season?.rules !== undefined && season?._id ? season : Season.findById(idOf(season)).lean());
+
+/**
+ * Compute a season's league table with the aggregation pipeline
+ * @param {string|Object} season - Season id or document
+ * @returns {Promise<Array>} - Ranked teams, as rankLeagueTable
+ */
+export const computeSeasonStandings = async (season) => {
+  const seasonDoc = await findSeason(season);
+  if (!seasonDoc) return [];
+
+  const rules = resolveSeasonRules(seasonDoc);
+  const [teams, rows, deductions, fairPlayRecords] = await Promise.all([
+    Team.find({ season: seasonDoc._id }).lean(),
+    Match.aggregate(seasonStatsPipeline(seasonDoc._id, rules)),
+    PointDeduction.find({ season: seasonDoc._id, status: 'active' })
+      .select('team points reason decisionReference decisionDate')
+      .lean(),
+    FairPlayRecord.find({ season: seasonDoc._id, status: 'active' })
+      .select('team points actionDate')
+      .lean()
+  ]);
+
+  const rowsByTeam = new Map(rows.map(row => [idOf(row._id), row]));
+  return rankLeagueTable(teams, team => statsFromAggregate(rowsByTeam.get(idOf(team._id))), {
+    rules,
+    deductions,
+    fairPlayRecords
+  });
+};
+
+/**
+ * Recompute a season's table and store it in the standings collection, and each team's stats with it
+ * @param {string|Object} season - Season id or document
+ * @returns {Promise<number>} - Number of table rows written
+ */
+export const rebuildSeasonStandings = async (season) => {
+  const seasonId = idOf(season);
+  const [table, formMatches] = await Promise.all([
+    computeSeasonStandings(season),
+    Match.find({ season: seasonId, status: { $in: TABLE_STATUSES }, competition: null })
+      .select(FORM_FIELDS)
+      .sort({ matchDate: 1 })
+      .lean()
+  ]);
+  const calculatedAt = new Date();
+
+  if (table.length > 0) {
+    await Standing.bulkWrite(table.map(team => ({
+      replaceOne: {
+        filter: { season: seasonId, team: team._id },
+        replacement: {
+          season: seasonId,
+          team: team._id,
+          position: team.position,
+          stats: team.enhancedStats,
+          separatedBy: team.separatedBy,
+          ...teamForm(team._id, viewMatches(team._id, formMatches), STORED_FORM_LENGTH),
+          pointDeductions: team.pointDeductions.map(({ points, reason, decisionReference, decisionDate }) => ({
+            points, reason, decisionReference, decisionDate
+          })),
+          calculatedAt
+        },
+        upsert: true
+      }
+    })));
+  }
+
+  // Teams removed from the season leave the table
+  await Standing.deleteMany({ season: seasonId, team: { $nin: table.map(team => team._id) } });
+  await writeTeamStats(table);
+
+  return table.length;
+};
+
+/**
+ * Update the stored table after a change to some teams' results (a match, a fair-play record, a point
+ * deduction): their rows are recomputed from their own matches and the table is re-ranked with the other
+ * rows as stored, since no other team's stats change
+ * The table is rebuilt in full when it is not stored for every team of the season (or lacks form)
+ * @param {string|Object} season - Season id or document
+ * @param {Array} teamIds - Teams whose results changed
+ * @returns {Promise<number>} - Number of table rows written
+ */
+export const updateSeasonStandings = async (season, teamIds) => {
+  const seasonDoc = await findSeason(season);
+  if (!seasonDoc) return 0;
+
+  const [teams, stored] = await Promise.all([
+    Team.find({ season: seasonDoc._id }).lean(),
+    Standing.find({ season: seasonDoc._id }).lean()
+  ]);
+  const storedByTeam = new Map(stored.map(row => [idOf(row.team), row]));
+  if (stored.length !== teams.length || teams.some(team => !storedByTeam.get(idOf(team._id))?.form)) {
+    return rebuildSeasonStandings(seasonDoc);
+  }
+
+  const seasonTeams = new Set(teams.map(team => idOf(team._id)));
+  const changed = [...new Set(teamIds.map(idOf))].filter(teamId => seasonTeams.has(teamId));
+  if (changed.length === 0) return 0;
+
+  const rules = resolveSeasonRules(seasonDoc);
+  const [rows, deductions, fairPlayRecords, formMatches] = await Promise.all([
+    Match.aggregate(seasonStatsPipeline(seasonDoc._id, rules, changed)),
+    PointDeduction.find({ season: seasonDoc._id, status: 'active', team: { $in: changed } })
+      .select('team points reason decisionReference decisionDate')
+      .lean(),
+    FairPlayRecord.find({ season: seasonDoc._id, status: 'active', team: { $in: changed } })
+      .select('team points actionDate')
+      .lean(),
+    Match.find({
+      season: seasonDoc._id,
+      status: { $in: TABLE_STATUSES },
+      competition: null,
+      $or: [{ homeTeam: { $in: changed } }, { awayTeam: { $in: changed } }]
+    })
+      .select(FORM_FIELDS)
+      .sort({ matchDate: 1 })
+      .lean()
+  ]);
+
+  // Stored stats already have their deductions and fair-play records applied, so only the changed
+  // teams' are passed on to be applied again
+  const isChanged = (team) => changed.includes(idOf(team._id));
+  const rowsByTeam = new Map(rows.map(row => [idOf(row._id), row]));
+  const table = rankLeagueTable(teams, team => (isChanged(team)
+    ? statsFromAggregate(rowsByTeam.get(idOf(team._id)))
+    : { ...storedByTeam.get(idOf(team._id)).stats }
+  ), { rules, deductions, fairPlayRecords });
+  const calculatedAt = new Date();
+
+  await Standing.bulkWrite(table.map(team => {
+    const filter = { season: seasonDoc._id, team: team._id };
+    if (!isChanged(team)) {
+      return { updateOne: { filter, update: { $set: { position: team.position, separatedBy: team.separatedBy } } } };
+    }
+    return {
+      replaceOne: {
+        filter,
+        replacement: {
+          season: seasonDoc._id,
+          team: team._id,
+          position: team.position,
+          stats: team.enhancedStats,
+          separatedBy: team.separatedBy,
+          ...teamForm(team._id, viewMatches(team._id, formMatches), STORED_FORM_LENGTH),
+          pointDeductions: team.pointDeductions.map(({ points, reason, decisionReference, decisionDate }) => ({
+            points, reason, decisionReference, decisionDate
+          })),
+          calculatedAt
+        }
+      }
+    };
+  }));
+  await writeTeamStats(table.filter(isChanged));
+
+  return changed.length;
+};
+
+/**
+ * Rebuild the stored table of every season from scratch
+ * @returns {Promise<Array>} - [{ season, name, teams }]
+ */
+export const rebuildAllStandings = async () => {
+  const seasons = await Season.find({}).lean();
+  const results = [];
+
+  for (const season of seasons) {
+    results.push({ season: season._id, name: season.name, teams: await rebuildSeasonStandings(season) });
+  }
+
+  // Rows left behind by deleted seasons
+  await Standing.deleteMany({ season: { $nin: seasons.map(season => season._id) } });
+
+  return results;
+};
+
+/**
+ * Update a season's table after something it depends on changed, without failing the caller
+ * @param {string|Object} season - Season id or document
+ * @param {Array} teamIds - Teams whose results changed; without them (rules, teams) the table is rebuilt
+ */
+export const refreshSeasonStandings = async (season, teamIds = null) => {
+  if (!season) return;
+  try {
+    if (teamIds) {
+      const rows = await updateSeasonStandings(season, teamIds);
+      console.log(`Standings updated for season ${idOf(season)} (${rows} teams)`);
+    } else {
+      const rows = await rebuildSeasonStandings(season);
+      console.log(`Standings rebuilt for season ${idOf(season)} (${rows} teams)`);
+    }
+  } catch (error) {
+    console.error('Failed to update standings:', error);
+  }
+};
+
+/**
+ * Update the league table a match belongs to (cup matches are not part of it): the rows of its two teams
+ * @param {Object} match - Match (season as id or document)
+ * @param {Object} options - { previous: the match before an edit, whose teams are updated too }
+ */
+export const refreshStandingsForMatch = async (match, { previous = null } = {}) => {
+  if (!match || match.competition) return;
+  const teams = [match.homeTeam, match.awayTeam, previous?.homeTeam, previous?.awayTeam].filter(Boolean);
+  await refreshSeasonStandings(match.season, teams);
+};
+
+/**
+ * Stored table of a season in the shape the standings API returns, building it first if it was never stored
+ * (or was stored before form was kept with it)
+ * @param {Object} season - Season document
+ * @returns {Promise<Array>} - Teams with stats, enhancedStats, pointDeductions, position, separatedBy,
+ *   form (the last STORED_FORM_LENGTH results, opponents named) and streaks
+ */
+export const getStoredStandings = async (season) => {
+  const load = () => Standing.find({ season: season._id })
+    .sort({ position: 1 })
+    .populate({ path: 'team', populate: { path: 'season', select: 'name' } })
+    .lean();
+
+  let rows = await load();
+  const stale = rows.length > 0 ? rows.some(row => !row.form) : await Team.exists({ season: season._id });
+  if (stale) {
+    await rebuildSeasonStandings(season);
+    rows = await load();
+  }
+
+  // Opponents take their current names from the table
+  const names = new Map(rows.filter(row => row.team).map(row => [idOf(row.team._id), row.team.name]));
+
+  return rows
+    .filter(row => row.team)
+    .map(row => ({
+      ...row.team,
+      stats: row.stats,
+      enhancedStats: row.stats,
+      pointDeductions: row.pointDeductions,
+      position: row.position,
+      separatedBy: row.separatedBy,
+      form: (row.form || []).map(result => ({
+        ...result,
+        opponent: { ...result.opponent, name: names.get(result.opponent?._id) || null }
+      })),
+      streaks: row.streaks,
+      calculatedAt: row.calculatedAt
+    }));
+};
+
+/**
+ * Compare a season's stored table with one calculated from scratch from its matches
+ * @param {string|Object} season - Season id or document
+ * @returns {Promise<Object>} - { consistent, checkedTeams, differences: [{ team, name, field, stored, expected }] }
+ */
+export const checkSeasonStandings = async (season) => {
+  const seasonDoc = await findSeason(season);
+  if (!seasonDoc) {
+    return { consistent: true, checkedTeams: 0, differences: [] };
+  }
+
+  const [{ rules, teams, matches, deductions, fairPlayRecords }, stored] = await Promise.all([
+    loadLeagueData(seasonDoc),
+    Standing.find({ season: seasonDoc._id }).lean()
+  ]);
+  const expected = buildLeagueTable(teams, matches, { rules, deductions, fairPlayRecords });
+  const storedByTeam = new Map(stored.map(row => [idOf(row.team), row]));
+
+  const differences = [];
+  expected.forEach(team => {
+    const row = storedByTeam.get(idOf(team._id));
+    if (!row) {
+      differences.push({ team: idOf(team._id), name: team.name, field: 'row', stored: null, expected: 'present' });
+      return;
+    }
+    storedByTeam.delete(idOf(team._id));
+
+    if (row.position !== team.position) {
+      differences.push({ team: idOf(team._id), name: team.name, field: 'position', stored: row.position, expected: team.position });
+    }
+    CHECKED_FIELDS.forEach(field => {
+      if ((row.stats?.[field] || 0) !== team.enhancedStats[field]) {
+        differences.push({
+          team: idOf(team._id), name: team.name, field, stored: row.stats?.[field], expected: team.enhancedStats[field]
+        });
+      }
+    });
+  });
+
+  // Rows of teams no longer in the season
+  storedByTeam.forEach((row, teamId) => {
+    differences.push({ team: teamId, name: null, field: 'row', stored: 'present', expected: null });
+  });
+
+  return { consistent: differences.length === 0, checkedTeams: expected.length, differences };
+};
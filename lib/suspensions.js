@@ -0,0 +1,85 @@
+// ===========================================
+// FILE: lib/suspensions.js
+// Suspensions as a projection of a season's card events (utils/suspensions): rebuilt whenever a match
+// result or its events change, keeping the cancellations and notes admins added
+// ===========================================
+import Match from '../models/Match';
+import Suspension from '../models/Suspension';
+import { loadSeasonRules } from './seasonRules';
+import { computeSuspensions, suspensionKey } from '../utils/suspensions';
+
+const idOf = (value) => (value && value._id ? value._id : value)?.toString();
+
+// Fields suspensions are replayed from
+const MATCH_FIELDS = 'homeTeam awayTeam season status forfeit abandonment matchDate events';
+
+/**
+ * Replay a season's suspensions from its matches and store them
+ * @param {string|Object} season - Season id or document
+ * @returns {Promise<Object>} - { suspensions, active }
+ */
+export const rebuildSeasonSuspensions = async (season) => {
+  const seasonId = idOf(season);
+  const [matches, existing, rules] = await Promise.all([
+    Match.find({ season: seasonId }).select(MATCH_FIELDS).lean(),
+    Suspension.find({ season: seasonId }).select('player sourceMatch reason cancelled').lean(),
+    loadSeasonRules(seasonId)
+  ]);
+
+  const cancelled = new Set(existing.filter(suspension => suspension.cancelled).map(suspensionKey));
+  const suspensions = computeSuspensions(matches, rules, cancelled);
+
+  if (suspensions.length > 0) {
+    await Suspension.bulkWrite(suspensions.map(suspension => ({
+      updateOne: {
+        filter: { player: suspension.player, sourceMatch: suspension.sourceMatch, reason: suspension.reason },
+        update: { $set: suspension },
+        upsert: true
+      }
+    })));
+  }
+
+  // Cards taken back out (events removed, results reset) take their suspensions with them
+  const keys = new Set(suspensions.map(suspensionKey));
+  const stale = existing.filter(suspension => !keys.has(suspensionKey(suspension))).map(suspension => suspension._id);
+  if (stale.length > 0) {
+    await Suspension.deleteMany({ _id: { $in: stale } });
+  }
+
+  const active = suspensions.filter(suspension => suspension.status === 'active').length;
+  return { suspensions: suspensions.length, active };
+};
+
+/**
+ * Rebuild the suspensions of a match's season after the match changed, without failing the caller
+ * @param {string|Object} match - Match id or document (a deleted match must be passed as the document)
+ */
+export const refreshSuspensionsForMatch = async (match) => {
+  try {
+    const season = match?.season || (await Match.findById(idOf(match)).select('season').lean())?.season;
+    if (!season) return;
+    const { suspensions, active } = await rebuildSeasonSuspensions(season);
+    console.log(`✅ Suspensions rebuilt for season ${idOf(season)}: ${suspensions} suspensions, ${active} active`);
+  } catch (error) {
+    console.error(`❌ Failed to rebuild suspensions for match ${idOf(match)}:`, error);
+  }
+};
+
+/**
+ * Running suspensions of some players
+ * @param {Array} playerIds - Players
+ * @returns {Promise<Array>} - Active suspensions with the source match's teams
+ */
+export const getActiveSuspensions = async (playerIds) => {
+  const ids = [...new Set(playerIds.map(idOf).filter(Boolean))];
+  if (ids.length === 0) return [];
+
+  return Suspension.find({ player: { $in: ids }, status: 'active' })
+    .populate('team', 'name')
+    .populate({ path: 'sourceMatch', select: 'homeTeam awayTeam matchDate', populate: [
+      { path: 'homeTeam', select: 'name' },
+      { path: 'awayTeam', select: 'name' }
+    ] })
+    .sort({ sourceDate: 1 })
+    .lean();
+};
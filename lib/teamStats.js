@@ -0,0 +1,91 @@
+// ===========================================
+// FILE: lib/teamStats.js
+// Team.stats service: stats are always recomputed from the season's counted matches, never incremented,
+// so writing them again is harmless and any drift can be reported and repaired
+// ===========================================
+import Team from '../models/Team';
+import Season from '../models/Season';
+import { loadLeagueData } from './leagueData';
+import { buildLeagueTable } from '../utils/standings';
+
+const idOf = (value) => (value && value._id ? value._id : value)?.toString();
+
+// Stats stored on the team document (points are after point deductions, as in the table)
+export const TEAM_STATS_FIELDS = ['matchesPlayed', 'wins', 'draws', 'losses', 'goalsFor', 'goalsAgainst', 'points', 'fouls'];
+
+const pickTeamStats = (stats) => Object.fromEntries(TEAM_STATS_FIELDS.map(field => [field, stats?.[field] || 0]));
+
+/**
+ * Store each team's stats from a computed season table
+ * Called by the standings rebuild, which runs after every change to a counted match
+ * @param {Array} table - Ranked teams with enhancedStats (as rankLeagueTable returns)
+ * @returns {Promise<number>} - Number of teams written
+ */
+export const writeTeamStats = async (table) => {
+  if (table.length === 0) return 0;
+
+  await Team.bulkWrite(table.map(team => ({
+    updateOne: {
+      filter: { _id: team._id },
+      update: { $set: { stats: pickTeamStats(team.enhancedStats) } }
+    }
+  })));
+
+  return table.length;
+};
+
+/**
+ * Compare a season's stored team stats with stats recomputed from its matches, and optionally repair them
+ * @param {Object} season - Season document
+ * @param {Object} options - { repair: write the recomputed stats of the teams that differ }
+ * @returns {Promise<Object>} - { season, checkedTeams, teams: [{ team, name, differences: [{ field, stored, expected }] }], repaired }
+ */
+export const verifySeasonTeamStats = async (season, { repair = false } = {}) => {
+  const { rules, teams, matches, deductions, fairPlayRecords } = await loadLeagueData(season);
+  const storedById = new Map(teams.map(team => [idOf(team._id), pickTeamStats(team.stats)]));
+  const table = buildLeagueTable(teams, matches, { rules, deductions, fairPlayRecords });
+
+  const mismatched = [];
+  const repairs = [];
+  table.forEach(team => {
+    const stored = storedById.get(idOf(team._id));
+    const expected = pickTeamStats(team.enhancedStats);
+    const differences = TEAM_STATS_FIELDS
+      .filter(field => stored[field] !== expected[field])
+      .map(field => ({ field, stored: stored[field], expected: expected[field] }));
+
+    if (differences.length > 0) {
+      mismatched.push({ team: idOf(team._id), name: team.name, differences });
+      repairs.push(team);
+    }
+  });
+
+  if (repair && mismatched.length > 0) {
+    await writeTeamStats(repairs);
+    console.log(`🔧 Repaired stats of ${mismatched.length} teams in ${season.name}`);
+  }
+
+  return {
+    season: { _id: season._id, name: season.name },
+    checkedTeams: table.length,
+    teams: mismatched,
+    repaired: repair ? mismatched.length : 0
+  };
+};
+
+/**
+ * Verify (and optionally repair) the team stats of one season or of every season
+ * @param {Object} options - { seasonId: limit to one season, repair }
+ * @returns {Promise<Array>} - One report per season, as verifySeasonTeamStats
+ */
+export const verifyTeamStats = async ({ seasonId = null, repair = false } = {}) => {
+  const seasons = seasonId
+    ? await Season.find({ _id: seasonId }).lean()
+    : await Season.find({}).sort({ startDate: -1 }).lean();
+
+  const reports = [];
+  for (const season of seasons) {
+    reports.push(await verifySeasonTeamStats(season, { repair }));
+  }
+  return reports;
+};
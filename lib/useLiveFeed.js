@@ -0,0 +1,98 @@
+// ===========================================
+// FILE: lib/useLiveFeed.js
+// React hook for the live match feed (pages/api/public/live-feed.js), with polling as the fallback
+// when the browser has no EventSource or the stream keeps failing
+// ===========================================
+import { useEffect, useRef, useState } from 'react';
+
+// Consecutive failed connections before falling back to polling
+const MAX_STREAM_ERRORS = 3;
+// A connection that stays open this long counts as healthy, even if the server then drops it
+const HEALTHY_CONNECTION_MS = 15000;
+
+/**
+ * Subscribe to live match changes
+ * @param {Object} options
+ * @param {string} options.matchId - Follow one match; omit to follow every live match
+ * @param {boolean} options.enabled - Connect only while true
+ * @param {Function} options.onMatch - Called with each match snapshot
+ * @param {Function} options.onLive - Called with the snapshots of every live match (feed without matchId)
+ * @param {Function} options.poll - Called at once and then on an interval while falling back to polling
+ * @param {number} options.pollInterval - Polling interval in ms
+ * @returns {string} - 'stream', 'polling' or 'idle'
+ */
+export default function useLiveFeed({ matchId = null, enabled = true, onMatch, onLive, poll, pollInterval = 30000 }) {
+  const [mode, setMode] = useState('idle');
+
+  // Latest callbacks, so changing them does not reconnect the stream
+  const handlers = useRef({ onMatch, onLive, poll });
+  handlers.current = { onMatch, onLive, poll };
+
+  useEffect(() => {
+    if (!enabled) {
+      setMode('idle');
+      return;
+    }
+
+    let source = null;
+    let pollTimer = null;
+    // Failed connections in a row: a connection that opens, sends its snapshot and drops again soon after
+    // still counts, so a server that cannot keep streams open ends up polled
+    let errors = 0;
+    let openedAt = null;
+    let reconnectPlanned = false;
+
+    const startPolling = () => {
+      if (pollTimer || !handlers.current.poll) return;
+      console.log('Live feed unavailable, polling instead');
+      setMode('polling');
+      // Catch up on what the stream missed, then keep polling
+      handlers.current.poll();
+      pollTimer = setInterval(() => handlers.current.poll?.(), pollInterval);
+    };
+
+    if (typeof window === 'undefined' || typeof window.EventSource === 'undefined') {
+      startPolling();
+      return () => clearInterval(pollTimer);
+    }
+
+    source = new EventSource(`/api/public/live-feed${matchId ? `?matchId=${matchId}` : ''}`);
+
+    const parse = (handler) => (event) => {
+      try {
+        handler?.(JSON.parse(event.data));
+      } catch (error) {
+        console.error('Failed to read live feed message:', error);
+      }
+    };
+
+    source.addEventListener('open', () => {
+      openedAt = Date.now();
+      setMode('stream');
+    });
+    source.addEventListener('match', parse(data => handlers.current.onMatch?.(data)));
+    source.addEventListener('live', parse(data => handlers.current.onLive?.(data)));
+    // The server ends each stream before its time limit and says so first
+    source.addEventListener('reconnect', () => {
+      reconnectPlanned = true;
+    });
+    source.addEventListener('error', () => {
+      const healthy = reconnectPlanned || (openedAt && Date.now() - openedAt >= HEALTHY_CONNECTION_MS);
+      errors = healthy ? 0 : errors + 1;
+      openedAt = null;
+      reconnectPlanned = false;
+      // The browser retries on its own; give up on the stream only when it keeps failing or is closed
+      if (errors >= MAX_STREAM_ERRORS || source.readyState === EventSource.CLOSED) {
+        source.close();
+        startPolling();
+      }
+    });
+
+    return () => {
+      source.close();
+      clearInterval(pollTimer);
+    };
+  }, [matchId, enabled, pollInterval]);
+
+  return mode;
+}
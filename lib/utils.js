@@ -33,26 +33,6 @@ export const calculateAge = (birthDate) => {
   return age;
 };
 
-export const generateMatchSchedule = (teams, rounds = 2) => {
-  const matches = [];
-  const teamList = [...teams];
-  
-  // Simple round-robin algorithm
-  for (let round = 0; round < rounds; round++) {
-    for (let i = 0; i < teamList.length; i++) {
-      for (let j = i + 1; j < teamList.length; j++) {
-        matches.push({
-          homeTeam: teamList[i]._id,
-          awayTeam: teamList[j]._id,
-          round: `Round ${round + 1}`,
-        });
-      }
-    }
-  }
-  
-  return matches;
-};
-
 export const validateFileType = (file, allowedTypes) => {
   return allowedTypes.includes(file.type);
 };
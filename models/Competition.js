@@ -0,0 +1,100 @@
+// ===========================================
+// FILE: models/Competition.js
+// Cup competitions within a season: knockout brackets, optionally preceded by a group stage
+// ===========================================
+import mongoose from 'mongoose';
+
+const roundSchema = new mongoose.Schema({
+  number: { type: Number, required: true, min: 1 },
+  name: { type: String, required: true },
+  date: { type: Date, default: null },
+  // Two-legged rounds play the second leg one round gap later, home and away reversed
+  legs: { type: Number, enum: [1, 2], default: 1 },
+  secondLegDate: { type: Date, default: null }
+}, { _id: false });
+
+// One pairing in the bracket; later-round teams stay empty until the previous ties are decided
+const tieSchema = new mongoose.Schema({
+  round: { type: Number, required: true, min: 1 },
+  position: { type: Number, required: true, min: 0 },
+  homeTeam: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', default: null },
+  awayTeam: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', default: null },
+  homeSeed: { type: Number, default: null },
+  awaySeed: { type: Number, default: null },
+  match: { type: mongoose.Schema.Types.ObjectId, ref: 'Match', default: null },
+  // Second leg of a two-legged tie; `match` is then the first leg
+  secondLeg: { type: mongoose.Schema.Types.ObjectId, ref: 'Match', default: null },
+  winner: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', default: null },
+  isBye: { type: Boolean, default: false }
+}, { _id: false });
+
+const groupSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  teams: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Team' }]
+}, { _id: false });
+
+const competitionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [100, 'Competition name cannot exceed 100 characters']
+  },
+  season: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Season',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['knockout', 'groups_knockout'],
+    default: 'knockout'
+  },
+  // Group-stage competitions only build their bracket once every group match is played
+  stage: {
+    type: String,
+    enum: ['groups', 'knockout'],
+    default: 'knockout'
+  },
+  groups: [groupSchema],
+  qualification: {
+    topPerGroup: { type: Number, default: 2, min: 1 },
+    // Extra places for the best teams finishing just below, e.g. best third-placed teams
+    bestNextPlaced: { type: Number, default: 0, min: 0 }
+  },
+  seeding: {
+    type: String,
+    enum: ['seeded', 'drawn'],
+    default: 'seeded'
+  },
+  // Knockout rounds played home and away, by round name (e.g. 'Semi-finals')
+  // Level on aggregate: away goals (if enabled), then extra time in the second leg, then penalties
+  twoLegged: {
+    rounds: [{ type: String, trim: true }],
+    awayGoals: { type: Boolean, default: false },
+    extraTime: { type: Boolean, default: true }
+  },
+  venue: { type: String, default: '', trim: true },
+  daysBetweenRounds: { type: Number, default: 7, min: 1 },
+  teams: [{
+    _id: false,
+    team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', required: true },
+    seed: { type: Number, required: true, min: 1 }
+  }],
+  rounds: [roundSchema],
+  ties: [tieSchema],
+  status: {
+    type: String,
+    enum: ['active', 'completed'],
+    default: 'active'
+  },
+  winner: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', default: null }
+}, {
+  timestamps: true
+});
+
+competitionSchema.index({ season: 1, name: 1 }, { unique: true });
+competitionSchema.index({ 'ties.match': 1 });
+competitionSchema.index({ 'ties.secondLeg': 1 });
+
+export default mongoose.models.Competition || mongoose.model('Competition', competitionSchema);
@@ -2,12 +2,14 @@
 // FILE: models/Match.js (ENHANCED WITH OWN GOALS & OFFICIAL CARDS)
 // ===========================================
 import mongoose from 'mongoose';
+import { MATCH_STATUSES } from '../utils/matchStatus';
+import { CLOCK_PHASES } from '../utils/matchClock';
 
 const eventSchema = new mongoose.Schema({
   id: { type: Number, required: true },
   type: { 
     type: String, 
-    enum: ['goal', 'own_goal', 'yellow_card', 'red_card', 'substitution', 'assist', 'other'],
+    enum: ['goal', 'own_goal', 'yellow_card', 'red_card', 'foul', 'timeout', 'substitution', 'assist', 'other'],
     required: true 
   },
   team: { 
@@ -15,7 +17,12 @@ const eventSchema = new mongoose.Schema({
     enum: ['home', 'away'],
     required: true 
   },
-  minute: { type: Number, required: true, min: 0, max: 120 },
+  // Upper bound depends on the season's match length (utils/seasonRules maxMatchMinute)
+  minute: { type: Number, required: true, min: 0 },
+  // Second of the match from the live clock (utils/matchClock), when the event was recorded live
+  second: { type: Number, default: null, min: 0 },
+  // Period index from the live clock (utils/matchClock matchPeriods); older events only have the minute
+  period: { type: Number, default: null, min: 0 },
   
   // Enhanced player/official handling
   player: { type: mongoose.Schema.Types.ObjectId, ref: 'Player' },
@@ -36,7 +43,24 @@ const eventSchema = new mongoose.Schema({
   
   // Substitution specific fields
   playerOut: { type: mongoose.Schema.Types.ObjectId, ref: 'Player' },
-  playerIn: { type: mongoose.Schema.Types.ObjectId, ref: 'Player' }
+  playerIn: { type: mongoose.Schema.Types.ObjectId, ref: 'Player' },
+
+  // Foul specific fields (utils/accumulatedFouls): the team's count in the half including this foul,
+  // and whether it gave a kick from the second penalty mark
+  accumulatedFoul: { type: Number, default: null, min: 1 },
+  secondPenaltyKick: { type: Boolean, default: false },
+
+  // Goal specific: scored by the team with more players on court during a power play (utils/powerPlay)
+  powerPlayGoal: { type: Boolean, default: false }
+}, { _id: false });
+
+// One kick of a penalty shootout, stored in the order taken
+const penaltyKickSchema = new mongoose.Schema({
+  order: { type: Number, required: true, min: 1 },
+  team: { type: String, enum: ['home', 'away'], required: true },
+  player: { type: mongoose.Schema.Types.ObjectId, ref: 'Player', default: null },
+  playerName: { type: String, default: '' },
+  scored: { type: Boolean, required: true }
 }, { _id: false });
 
 const matchStatsSchema = new mongoose.Schema({
@@ -59,12 +83,43 @@ const matchStatsSchema = new mongoose.Schema({
   // Additional match statistics
   totalGoals: { type: Number, default: 0 },
   yellowCards: { home: { type: Number, default: 0 }, away: { type: Number, default: 0 } },
-  redCards: { home: { type: Number, default: 0 }, away: { type: Number, default: 0 } }
+  redCards: { home: { type: Number, default: 0 }, away: { type: Number, default: 0 } },
+  fouls: { home: { type: Number, default: 0 }, away: { type: Number, default: 0 } },
+  secondPenaltyKicks: { home: { type: Number, default: 0 }, away: { type: Number, default: 0 } },
+  powerPlayGoals: { home: { type: Number, default: 0 }, away: { type: Number, default: 0 } }
+}, { _id: false });
+
+// A team's matchday squad (utils/matchSquads): who is named, who starts, goalkeeper and captain
+const squadPlayerSchema = new mongoose.Schema({
+  player: { type: mongoose.Schema.Types.ObjectId, ref: 'Player', required: true },
+  starting: { type: Boolean, default: false }
+}, { _id: false });
+
+const squadSchema = new mongoose.Schema({
+  players: [squadPlayerSchema],
+  goalkeeper: { type: mongoose.Schema.Types.ObjectId, ref: 'Player', default: null },
+  captain: { type: mongoose.Schema.Types.ObjectId, ref: 'Player', default: null },
+  submittedAt: { type: Date, default: null },
+  submittedBy: { type: String, default: null }
+}, { _id: false });
+
+// A team's timeout in progress; the clock is stopped until it is restarted
+const liveTimeoutSchema = new mongoose.Schema({
+  team: { type: String, enum: ['home', 'away'], required: true },
+  startedAt: { type: Date, required: true },
+  endsAt: { type: Date, required: true }
 }, { _id: false });
 
 const liveDataSchema = new mongoose.Schema({
-  currentMinute: { type: Number, default: 0, min: 0, max: 120 },
-  isLive: { type: Boolean, default: false },
+  currentMinute: { type: Number, default: 0, min: 0 }, // capped by the season's rules in the live APIs
+  isLive: { type: Boolean, default: false }, // the clock is running
+  // Server clock (utils/matchClock): phase, period index, running time banked in the period and
+  // when the clock last started; the time on the clock is derived from these
+  phase: { type: String, enum: CLOCK_PHASES }, // unset before kick-off and on matches run before the server clock
+  period: { type: Number, default: 0, min: 0 },
+  periodElapsedMs: { type: Number, default: 0, min: 0 },
+  runningSince: { type: Date, default: null },
+  timeout: { type: liveTimeoutSchema, default: null },
   startedAt: { type: Date, default: null },
   pausedAt: { type: Date, default: null },
   resumedAt: { type: Date, default: null },
@@ -118,10 +173,106 @@ const matchSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['scheduled', 'live', 'completed', 'postponed', 'cancelled'],
+    enum: MATCH_STATUSES,
     default: 'scheduled'
   },
   
+  // Forfeits: the side that forfeited and the table scoreline from the season's rules
+  // A walkover was never played (no events); other forfeits keep what was played
+  forfeit: {
+    team: { type: String, enum: [null, 'home', 'away'], default: null },
+    walkover: { type: Boolean, default: false },
+    reason: { type: String, default: null, trim: true },
+    homeScore: { type: Number, default: null, min: 0 },
+    awayScore: { type: Number, default: null, min: 0 }
+  },
+  
+  // Abandoned matches: the minute play stopped and how the match is finished off
+  // 'resume' continues this match from that minute, 'replay' starts a new match (replayMatch)
+  // A match waiting to resume is scheduled again, with no score of its own: the score at the stoppage
+  // is kept here and put back when play restarts
+  abandonment: {
+    minute: { type: Number, default: null, min: 0 },
+    homeScore: { type: Number, default: null, min: 0 },
+    awayScore: { type: Number, default: null, min: 0 },
+    reason: { type: String, default: null, trim: true },
+    abandonedAt: { type: Date, default: null },
+    resolution: { type: String, enum: [null, 'resume', 'replay'], default: null },
+    replayMatch: { type: mongoose.Schema.Types.ObjectId, ref: 'Match', default: null }
+  },
+  replayOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Match',
+    default: null
+  },
+  
+  // Matchday number for generated league fixtures (null for one-off matches)
+  matchday: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  
+  // Knockout competition this match belongs to (null for league matches)
+  competition: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Competition',
+    default: null
+  },
+  
+  // Group name for group-stage matches of a competition (e.g. 'A')
+  group: {
+    type: String,
+    default: null,
+    trim: true
+  },
+  
+  // Two-legged knockout ties: which leg this is and the match holding the other leg
+  leg: {
+    type: Number,
+    enum: [null, 1, 2],
+    default: null
+  },
+  otherLeg: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Match',
+    default: null
+  },
+  
+  // Knockout results: scores above include extra time, these hold the extra-time goals only
+  extraTime: {
+    played: { type: Boolean, default: false },
+    homeScore: { type: Number, default: 0, min: 0 },
+    awayScore: { type: Number, default: 0, min: 0 }
+  },
+  penalties: {
+    taken: { type: Boolean, default: false },
+    homeScore: { type: Number, default: 0, min: 0 },
+    awayScore: { type: Number, default: 0, min: 0 },
+    kicks: [penaltyKickSchema]
+  },
+  // Team that went through; both legs of a two-legged tie carry the tie winner
+  winner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    default: null
+  },
+  decidedBy: {
+    type: String,
+    enum: [null, 'regulation', 'extra_time', 'penalties', 'aggregate', 'away_goals', 'forfeit'],
+    default: null
+  },
+  
+  // Result awarded by a disciplinary decision (e.g. 3-0): the league table uses it instead of the
+  // played score, while homeScore/awayScore, events and player stats keep what happened on court
+  awardedResult: {
+    homeScore: { type: Number, default: null, min: 0 },
+    awayScore: { type: Number, default: null, min: 0 },
+    reason: { type: String, default: null, trim: true },
+    decisionReference: { type: String, default: null, trim: true },
+    awardedAt: { type: Date, default: null }
+  },
+  
   // ENHANCED: Use detailed match stats instead of simple scores
   stats: {
     type: matchStatsSchema,
@@ -141,6 +292,11 @@ const matchSchema = new mongoose.Schema({
   awayScore: { type: Number, default: 0 },
   
   events: [eventSchema],
+  // Matchday squads; a team without one has every player of the team available
+  squads: {
+    home: { type: squadSchema, default: null },
+    away: { type: squadSchema, default: null }
+  },
   liveData: {
     type: liveDataSchema,
     default: () => ({
@@ -150,7 +306,6 @@ const matchSchema = new mongoose.Schema({
     })
   },
   
-  statsUpdated: { type: Boolean, default: false },
   notes: { type: String, default: '', trim: true }
 }, {
   timestamps: true
@@ -167,6 +322,9 @@ matchSchema.index({
   name: 'unique_match_constraint'
 });
 
+matchSchema.index({ season: 1, status: 1, matchday: 1 });
+matchSchema.index({ competition: 1 });
+
 // Pre-save middleware to calculate stats from events
 matchSchema.pre('save', function(next) {
   if (this.events && this.events.length > 0) {
@@ -181,7 +339,10 @@ matchSchema.methods.calculateMatchStats = function() {
     homeGoals: { regular: 0, ownGoals: 0, total: 0 },
     awayGoals: { regular: 0, ownGoals: 0, total: 0 },
     yellowCards: { home: 0, away: 0 },
-    redCards: { home: 0, away: 0 }
+    redCards: { home: 0, away: 0 },
+    fouls: { home: 0, away: 0 },
+    secondPenaltyKicks: { home: 0, away: 0 },
+    powerPlayGoals: { home: 0, away: 0 }
   };
 
   this.events.forEach(event => {
@@ -192,6 +353,9 @@ matchSchema.methods.calculateMatchStats = function() {
         } else {
           stats.awayGoals.regular++;
         }
+        if (event.powerPlayGoal) {
+          stats.powerPlayGoals[event.team]++;
+        }
         break;
         
       case 'own_goal':
@@ -203,6 +367,9 @@ matchSchema.methods.calculateMatchStats = function() {
           // Away player scored own goal, benefits home team
           stats.homeGoals.ownGoals++;
         }
+        if (event.powerPlayGoal) {
+          stats.powerPlayGoals[event.team === 'home' ? 'away' : 'home']++;
+        }
         break;
         
       case 'yellow_card':
@@ -220,6 +387,13 @@ matchSchema.methods.calculateMatchStats = function() {
           stats.redCards.away++;
         }
         break;
+
+      case 'foul':
+        stats.fouls[event.team]++;
+        if (event.secondPenaltyKick) {
+          stats.secondPenaltyKicks[event.team]++;
+        }
+        break;
     }
   });
 
@@ -236,7 +410,10 @@ matchSchema.methods.calculateMatchStats = function() {
     awayGoals: stats.awayGoals,
     totalGoals: stats.totalGoals,
     yellowCards: stats.yellowCards,
-    redCards: stats.redCards
+    redCards: stats.redCards,
+    fouls: stats.fouls,
+    secondPenaltyKicks: stats.secondPenaltyKicks,
+    powerPlayGoals: stats.powerPlayGoals
   };
   
   // Legacy compatibility
@@ -255,7 +432,7 @@ matchSchema.pre('save', function(next) {
 
 // Validation for scores based on status
 matchSchema.pre('save', function(next) {
-  if (this.status === 'scheduled' || this.status === 'postponed' || this.status === 'cancelled') {
+  if (['draft', 'scheduled', 'postponed', 'cancelled'].includes(this.status)) {
     // Reset scores for non-active matches
     if (this.homeScore > 0 || this.awayScore > 0) {
       this.homeScore = 0;
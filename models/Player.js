@@ -3,24 +3,6 @@
 // ===========================================
 import mongoose from 'mongoose';
 
-// ENHANCED: Match history schema with own goals tracking
-const matchHistorySchema = new mongoose.Schema({
-  match: { type: mongoose.Schema.Types.ObjectId, ref: 'Match', required: true },
-  season: { type: mongoose.Schema.Types.ObjectId, ref: 'Season', required: true },
-  team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', required: true },
-  date: { type: Date, required: true },
-  opponent: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', required: true },
-  homeTeam: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', required: true },
-  awayTeam: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', required: true },
-  result: { type: String, enum: ['win', 'loss', 'draw'], required: true },
-  goals: { type: Number, default: 0 },
-  ownGoals: { type: Number, default: 0 }, // NEW: Own goals tracking
-  assists: { type: Number, default: 0 },
-  yellowCards: { type: Number, default: 0 },
-  redCards: { type: Number, default: 0 },
-  minutesPlayed: { type: Number, default: 0 }
-}, { _id: false });
-
 // ENHANCED: Season stats schema with own goals tracking
 const seasonStatsSchema = new mongoose.Schema({
   season: { type: mongoose.Schema.Types.ObjectId, ref: 'Season', required: true },
@@ -200,6 +182,8 @@ const playerSchema = new mongoose.Schema({
     enum: ['active', 'inactive', 'injured', 'suspended', 'retired'],
     default: 'active'
   },
+  // When the status was last changed, so matches before it are not judged by it (unknown for older players)
+  statusSince: { type: Date, default: null },
   
   // CONTRACT INFORMATION
   contractStatus: {
@@ -247,7 +231,7 @@ const playerSchema = new mongoose.Schema({
   
   // History
   transferHistory: [transferHistorySchema],
-  matchHistory: [matchHistorySchema],
+  // Appearances are PlayerMatchStat documents, not embedded here
   contractHistory: [contractHistorySchema],
   currentTeamHistory: [{
     team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', required: true },
@@ -392,93 +376,6 @@ playerSchema.methods.getEnhancedSeasonStats = function(seasonId) {
   };
 };
 
-// NEW: Method to update stats from match events
-playerSchema.methods.updateStatsFromMatch = function(matchData, playerEvents) {
-  const { matchId, seasonId, teamId, result, minutesPlayed = 40 } = matchData;
-  
-  // Calculate stats from events
-  const matchStats = {
-    goals: 0,
-    ownGoals: 0,
-    assists: 0,
-    yellowCards: 0,
-    redCards: 0
-  };
-  
-  playerEvents.forEach(event => {
-    switch (event.type) {
-      case 'goal':
-        matchStats.goals++;
-        break;
-      case 'own_goal':
-        matchStats.ownGoals++;
-        break;
-      case 'assist':
-        matchStats.assists++;
-        break;
-      case 'yellow_card':
-        matchStats.yellowCards++;
-        break;
-      case 'red_card':
-        matchStats.redCards++;
-        break;
-    }
-  });
-  
-  // Update career stats
-  if (!this.careerStats) {
-    this.careerStats = {
-      appearances: 0, goals: 0, ownGoals: 0, assists: 0,
-      yellowCards: 0, redCards: 0, minutesPlayed: 0,
-      wins: 0, losses: 0, draws: 0
-    };
-  }
-  
-  this.careerStats.appearances += 1;
-  this.careerStats.goals += matchStats.goals;
-  this.careerStats.ownGoals += matchStats.ownGoals;
-  this.careerStats.assists += matchStats.assists;
-  this.careerStats.yellowCards += matchStats.yellowCards;
-  this.careerStats.redCards += matchStats.redCards;
-  this.careerStats.minutesPlayed += minutesPlayed;
-  
-  // Update result stats
-  if (result === 'win') this.careerStats.wins += 1;
-  else if (result === 'loss') this.careerStats.losses += 1;
-  else if (result === 'draw') this.careerStats.draws += 1;
-  
-  // Update season stats
-  if (!this.seasonStats) {
-    this.seasonStats = new Map();
-  }
-  
-  let seasonStats = this.seasonStats.get(seasonId.toString());
-  if (!seasonStats) {
-    seasonStats = {
-      season: seasonId,
-      appearances: 0, goals: 0, ownGoals: 0, assists: 0,
-      yellowCards: 0, redCards: 0, minutesPlayed: 0,
-      wins: 0, losses: 0, draws: 0
-    };
-  }
-  
-  seasonStats.appearances += 1;
-  seasonStats.goals += matchStats.goals;
-  seasonStats.ownGoals += matchStats.ownGoals;
-  seasonStats.assists += matchStats.assists;
-  seasonStats.yellowCards += matchStats.yellowCards;
-  seasonStats.redCards += matchStats.redCards;
-  seasonStats.minutesPlayed += minutesPlayed;
-  
-  if (result === 'win') seasonStats.wins += 1;
-  else if (result === 'loss') seasonStats.losses += 1;
-  else if (result === 'draw') seasonStats.draws += 1;
-  
-  this.seasonStats.set(seasonId.toString(), seasonStats);
-  
-  return this;
-};
-
 // Method to check if player can be transferred
 playerSchema.methods.canTransfer = async function(targetSeason) {
   if (this.contractStatus === 'free_agent') return { canTransfer: true, reason: 'Free agent' };
@@ -617,6 +514,10 @@ playerSchema.pre('save', async function(next) {
       }
     }
     
+    if (this.isModified('status')) {
+      this.statusSince = new Date();
+    }
+
     // Update contract status based on current contract
     if (this.currentContract && this.currentContract.team) {
       this.contractStatus = this.currentContract.contractType || 'normal';
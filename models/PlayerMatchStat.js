@@ -0,0 +1,39 @@
+// ===========================================
+// FILE: models/PlayerMatchStat.js
+// A player's stat line in one match, projected from the match events (rebuilt by lib/playerStats)
+// Player career stats and season stats are summed from these lines, and they are the player's appearances
+// ===========================================
+import mongoose from 'mongoose';
+
+const playerMatchStatSchema = new mongoose.Schema({
+  player: { type: mongoose.Schema.Types.ObjectId, ref: 'Player', required: true },
+  match: { type: mongoose.Schema.Types.ObjectId, ref: 'Match', required: true },
+  season: { type: mongoose.Schema.Types.ObjectId, ref: 'Season', required: true },
+  team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', required: true },
+  opponent: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', required: true },
+  homeTeam: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', required: true },
+  awayTeam: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', required: true },
+  isHome: { type: Boolean, required: true },
+  date: { type: Date, required: true },
+  result: { type: String, enum: ['win', 'loss', 'draw'], required: true },
+  goals: { type: Number, default: 0 },
+  ownGoals: { type: Number, default: 0 },
+  assists: { type: Number, default: 0 },
+  yellowCards: { type: Number, default: 0 },
+  redCards: { type: Number, default: 0 },
+  minutesPlayed: { type: Number, default: 0 },
+  // In the starting players of the team's matchday squad
+  started: { type: Boolean, default: false },
+  // 'legacy' lines were migrated from the old embedded Player.matchHistory and have no events behind them,
+  // so rebuilds keep them
+  source: { type: String, enum: ['events', 'legacy'], default: 'events' }
+}, {
+  timestamps: true
+});
+
+playerMatchStatSchema.index({ player: 1, match: 1 }, { unique: true });
+playerMatchStatSchema.index({ match: 1 });
+playerMatchStatSchema.index({ season: 1, player: 1 });
+playerMatchStatSchema.index({ player: 1, date: -1 });
+
+export default mongoose.models.PlayerMatchStat || mongoose.model('PlayerMatchStat', playerMatchStatSchema);
@@ -0,0 +1,56 @@
+// ===========================================
+// FILE: models/PointDeduction.js
+// League points taken off a team by a disciplinary decision
+// ===========================================
+import mongoose from 'mongoose';
+
+const pointDeductionSchema = new mongoose.Schema({
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true
+  },
+  season: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Season',
+    required: true
+  },
+  points: {
+    type: Number,
+    required: true,
+    min: 1 // Points removed from the table, always positive
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+  decisionReference: {
+    type: String, // Disciplinary decision / case number
+    default: null,
+    trim: true
+  },
+  decisionDate: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['active', 'overturned'],
+    default: 'active' // Only active deductions count in the standings
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+pointDeductionSchema.index({ season: 1, team: 1, status: 1 });
+
+const PointDeduction = mongoose.models.PointDeduction || mongoose.model('PointDeduction', pointDeductionSchema);
+
+export default PointDeduction;
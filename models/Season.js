@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { TIE_BREAKER_KEYS, DEFAULT_TIE_BREAKERS } from '../utils/tieBreakers';
 
 const SeasonSchema = new mongoose.Schema({
   name: {
@@ -28,6 +29,57 @@ const SeasonSchema = new mongoose.Schema({
   description: {
     type: String,
     default: '',
+  },
+  // Scheduling constraints used by match creation, CSV import and fixture generation
+  scheduling: {
+    minRestHours: { type: Number, default: 24, min: 0 },
+    matchDurationMinutes: { type: Number, default: 60, min: 10 },
+    timeSlots: [{ type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/ }],
+    venues: [{
+      _id: false,
+      name: { type: String, required: true, trim: true },
+      slotsPerDay: { type: Number, default: null, min: 1 },
+    }],
+  },
+  // Competition rules read by standings, stats updates, match validation and the live clock
+  // (see utils/seasonRules.js for the defaults)
+  rules: {
+    points: {
+      win: { type: Number, default: 3, min: 0 },
+      draw: { type: Number, default: 1, min: 0 },
+      loss: { type: Number, default: 0, min: 0 },
+    },
+    periods: {
+      count: { type: Number, default: 2, min: 1 },
+      minutes: { type: Number, default: 20, min: 1 },
+    },
+    extraTimeMinutes: { type: Number, default: 10, min: 0 },
+    extraTimePeriods: { type: Number, default: 2, min: 1 },
+    breakMinutes: { type: Number, default: 10, min: 0 },
+    stopClock: { type: Boolean, default: true },
+    timeoutsPerPeriod: { type: Number, default: 1, min: 0 },
+    timeoutSeconds: { type: Number, default: 60, min: 1 },
+    maxSquadSize: { type: Number, default: 15, min: 1 },
+    yellowCardSuspensionThreshold: { type: Number, default: 5, min: 1 },
+    yellowCardSuspensionMatches: { type: Number, default: 1, min: 1 },
+    redCardSuspensionMatches: { type: Number, default: 1, min: 1 },
+    maxPlayersOnCourt: { type: Number, default: 5, min: 1 },
+    accumulatedFoulLimit: { type: Number, default: 5, min: 1 },
+    powerPlaySeconds: { type: Number, default: 120, min: 1 },
+    // Ordered standings tie-breakers applied after points (utils/tieBreakers catalogue)
+    tieBreakers: {
+      type: [{ type: String, enum: TIE_BREAKER_KEYS }],
+      default: () => [...DEFAULT_TIE_BREAKERS],
+    },
+    // Forfeits and walkovers count with this scoreline; player stats only if allowed
+    forfeit: {
+      winnerScore: { type: Number, default: 3, min: 1 },
+      loserScore: { type: Number, default: 0, min: 0 },
+      countPlayerStats: { type: Boolean, default: false },
+    },
+    abandoned: {
+      countPlayerStats: { type: Boolean, default: false },
+    },
   }
 }, {
   timestamps: true,
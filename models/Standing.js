@@ -0,0 +1,79 @@
+// ===========================================
+// FILE: models/Standing.js
+// Precomputed league table row of a team in a season (rebuilt from matches by lib/standings)
+// ===========================================
+import mongoose from 'mongoose';
+
+const standingSchema = new mongoose.Schema({
+  season: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Season',
+    required: true
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: true
+  },
+  position: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // Table stats, with point deductions already taken off and manual fair play added
+  stats: {
+    matchesPlayed: { type: Number, default: 0 },
+    wins: { type: Number, default: 0 },
+    draws: { type: Number, default: 0 },
+    losses: { type: Number, default: 0 },
+    goalsFor: { type: Number, default: 0 },
+    goalsAgainst: { type: Number, default: 0 },
+    goalDifference: { type: Number, default: 0 },
+    points: { type: Number, default: 0 },
+    pointsDeducted: { type: Number, default: 0 },
+    fairPlayPoints: { type: Number, default: 0 },
+    fouls: { type: Number, default: 0 },
+    // Opponent id -> { points, goalsFor, goalsAgainst }
+    headToHeadResults: { type: mongoose.Schema.Types.Mixed, default: {} }
+  },
+
+  // What put the team below the one above it: { criterion, label, tiedTeams }
+  separatedBy: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Latest results, oldest first, as teamForm (utils/standings) gives them; opponents are stored by id only
+  form: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: undefined
+  },
+
+  // Current, unbeaten and winless runs over all the season's results
+  streaks: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Active deductions shown with the table
+  pointDeductions: [{
+    points: Number,
+    reason: String,
+    decisionReference: String,
+    decisionDate: Date
+  }],
+
+  calculatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+standingSchema.index({ season: 1, team: 1 }, { unique: true });
+standingSchema.index({ season: 1, position: 1 });
+
+export default mongoose.models.Standing || mongoose.model('Standing', standingSchema);
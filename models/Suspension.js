@@ -0,0 +1,39 @@
+// ===========================================
+// FILE: models/Suspension.js
+// A player's ban from the next matches of their team after a red card or yellow card accumulation,
+// projected from match events by lib/suspensions (only `cancelled` and `notes` are set by admins)
+// ===========================================
+import mongoose from 'mongoose';
+
+const suspensionSchema = new mongoose.Schema({
+  player: { type: mongoose.Schema.Types.ObjectId, ref: 'Player', required: true },
+  team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', required: true },
+  season: { type: mongoose.Schema.Types.ObjectId, ref: 'Season', required: true },
+  reason: { type: String, enum: ['red_card', 'yellow_accumulation'], required: true },
+  // Match the card was shown in
+  sourceMatch: { type: mongoose.Schema.Types.ObjectId, ref: 'Match', required: true },
+  sourceDate: { type: Date },
+  // Season yellow count that triggered a yellow accumulation ban
+  yellowCards: { type: Number, default: null },
+  matchesBanned: { type: Number, required: true, min: 1 },
+  // The team's completed matches the player has sat out, oldest first
+  matchesServed: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Match' }],
+  status: {
+    type: String,
+    enum: ['active', 'served', 'cancelled'],
+    default: 'active'
+  },
+  // Set by an admin (e.g. a red card rescinded on appeal); the rebuild keeps it
+  cancelled: { type: Boolean, default: false },
+  notes: { type: String, default: '', trim: true, maxlength: 500 }
+}, {
+  timestamps: true
+});
+
+suspensionSchema.index({ player: 1, sourceMatch: 1, reason: 1 }, { unique: true });
+suspensionSchema.index({ season: 1, status: 1 });
+suspensionSchema.index({ player: 1, status: 1 });
+
+const Suspension = mongoose.models.Suspension || mongoose.model('Suspension', suspensionSchema);
+
+export default Suspension;
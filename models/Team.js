@@ -46,7 +46,14 @@ const TeamSchema = new mongoose.Schema({
     goalsFor: { type: Number, default: 0 },
     goalsAgainst: { type: Number, default: 0 },
     points: { type: Number, default: 0 },
+    fouls: { type: Number, default: 0 },
   },
+  // Days the team cannot play (YYYY-MM-DD in the league's timezone, LEAGUE_TIMEZONE)
+  blackoutDates: [{
+    _id: false,
+    date: { type: String, required: true, match: /^\d{4}-\d{2}-\d{2}$/ },
+    reason: { type: String, default: '', trim: true },
+  }],
   isActive: {
     type: Boolean,
     default: true,
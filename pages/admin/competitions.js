@@ -0,0 +1,573 @@
+// ===========================================
+// FILE: pages/admin/competitions.js
+// Manage cup competitions: knockout brackets and group stages
+// ===========================================
+import { useState, useEffect } from 'react';
+import { useSession } from 'next-auth/react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import { Plus, Trash2, Trophy, Calendar } from 'lucide-react';
+import Modal from '../../components/ui/Modal';
+import LoadingSpinner from '../../components/ui/LoadingSpinner';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { groupNames, countQualifiers } from '../../utils/groupStage';
+import { knockoutRoundNames } from '../../utils/bracket';
+
+export default function AdminCompetitions() {
+  const { data: session, status } = useSession();
+  const router = useRouter();
+  const [competitions, setCompetitions] = useState([]);
+  const [seasons, setSeasons] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [selectedSeason, setSelectedSeason] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+
+  useEffect(() => {
+    if (status === 'loading') return;
+    if (!session || session.user.role !== 'admin') {
+      router.push('/');
+      return;
+    }
+    fetchSeasons();
+  }, [session, status, router]);
+
+  useEffect(() => {
+    if (selectedSeason) {
+      fetchCompetitions();
+      fetchTeams();
+    }
+  }, [selectedSeason]);
+
+  const fetchSeasons = async () => {
+    try {
+      const response = await fetch('/api/admin/seasons');
+      const data = await response.json();
+      setSeasons(data);
+
+      const activeSeason = data.find(s => s.isActive);
+      if (activeSeason) {
+        setSelectedSeason(activeSeason._id);
+      } else if (data.length > 0) {
+        setSelectedSeason(data[0]._id);
+      } else {
+        setIsLoading(false);
+      }
+    } catch (error) {
+      toast.error('Failed to fetch seasons');
+      setIsLoading(false);
+    }
+  };
+
+  const fetchCompetitions = async () => {
+    try {
+      setIsLoading(true);
+      const response = await fetch(`/api/admin/competitions?seasonId=${selectedSeason}`);
+      const data = await response.json();
+      setCompetitions(Array.isArray(data) ? data : []);
+    } catch (error) {
+      toast.error('Failed to fetch competitions');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const fetchTeams = async () => {
+    try {
+      const response = await fetch(`/api/admin/teams?seasonId=${selectedSeason}`);
+      const data = await response.json();
+      setTeams(Array.isArray(data) ? data : []);
+    } catch (error) {
+      toast.error('Failed to fetch teams');
+    }
+  };
+
+  const handleDeleteCompetition = async (competitionId) => {
+    if (!confirm('Delete this competition and all of its unplayed matches?')) return;
+
+    try {
+      const response = await fetch(`/api/admin/competitions?id=${competitionId}`, {
+        method: 'DELETE',
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        toast.success('Competition deleted successfully');
+        fetchCompetitions();
+      } else {
+        toast.error(data.message || 'Failed to delete competition');
+      }
+    } catch (error) {
+      toast.error('Failed to delete competition');
+    }
+  };
+
+  if (status === 'loading' || isLoading) {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-4">
+        <h1 className="text-3xl font-bold text-gray-900">Manage Competitions</h1>
+        <div className="flex items-center gap-4">
+          <select
+            value={selectedSeason}
+            onChange={(e) => setSelectedSeason(e.target.value)}
+            className="form-input w-48"
+          >
+            {seasons.map(season => (
+              <option key={season._id} value={season._id}>
+                {season.name} {season.isActive && '(Active)'}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={() => setShowModal(true)}
+            disabled={!selectedSeason}
+            className="btn btn-primary flex items-center"
+          >
+            <Plus className="w-4 h-4 mr-2" />
+            New Competition
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+        {competitions.map((competition) => (
+          <div key={competition._id} className="card">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold">{competition.name}</h3>
+              <span className={`px-2 py-1 rounded text-sm ${
+                competition.status === 'completed' ? 'bg-gray-100 text-gray-800' : 'bg-green-100 text-green-800'
+              }`}>
+                {competition.status === 'completed' ? 'Completed' : 'In Progress'}
+              </span>
+            </div>
+
+            <div className="space-y-2 text-sm text-gray-600 mb-4">
+              {competition.type === 'groups_knockout' ? (
+                <div>
+                  {competition.groups.length} groups • top {competition.qualification.topPerGroup} qualify
+                  {competition.qualification.bestNextPlaced > 0 && ` + ${competition.qualification.bestNextPlaced} best next-placed`}
+                  {competition.stage === 'groups' ? ' • Group stage' : ' • Knockout stage'}
+                </div>
+              ) : (
+                <div>{competition.teams.length} teams • {competition.seeding === 'drawn' ? 'Drawn' : 'Seeded'} bracket</div>
+              )}
+              {competition.twoLegged?.rounds?.length > 0 && (
+                <div>
+                  Two legs: {competition.twoLegged.rounds.join(', ')}
+                  {competition.twoLegged.awayGoals && ' • away goals'}
+                </div>
+              )}
+              {competition.rounds.length > 0 && competition.rounds[0].date && (
+                <div className="flex items-center">
+                  <Calendar className="w-4 h-4 mr-2" />
+                  {competition.rounds[0].name}: {format(new Date(competition.rounds[0].date), 'MMM dd, yyyy')}
+                </div>
+              )}
+              {competition.winner && (
+                <div className="flex items-center font-medium text-gray-900">
+                  <Trophy className="w-4 h-4 mr-2 text-yellow-500" />
+                  {competition.winner.name}
+                </div>
+              )}
+            </div>
+
+            <div className="flex justify-end space-x-2">
+              <Link href="/bracket" className="btn btn-secondary flex items-center">
+                View Bracket
+              </Link>
+              <button
+                onClick={() => handleDeleteCompetition(competition._id)}
+                className="btn btn-danger flex items-center"
+              >
+                <Trash2 className="w-4 h-4 mr-1" />
+                Delete
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {competitions.length === 0 && (
+        <div className="card text-center py-12">
+          <Trophy className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No competitions found</h3>
+          <p className="text-gray-500">Create a cup competition for this season to get started.</p>
+        </div>
+      )}
+
+      <Modal
+        isOpen={showModal}
+        onClose={() => setShowModal(false)}
+        title="New Competition"
+        size="lg"
+      >
+        <CompetitionForm
+          seasonId={selectedSeason}
+          teams={teams}
+          onClose={() => setShowModal(false)}
+          onSuccess={() => {
+            setShowModal(false);
+            fetchCompetitions();
+          }}
+        />
+      </Modal>
+    </div>
+  );
+}
+
+// Competition Form Component
+function CompetitionForm({ seasonId, teams, onClose, onSuccess }) {
+  const [formData, setFormData] = useState({
+    name: '',
+    type: 'knockout',
+    groupCount: 2,
+    topPerGroup: 2,
+    bestNextPlaced: 0,
+    seeding: 'seeded',
+    firstRoundDate: '',
+    daysBetweenRounds: 7,
+    venue: '',
+    twoLeggedRounds: [],
+    awayGoals: false,
+    legExtraTime: true,
+  });
+  // Selected team ids in seed order
+  const [selectedTeams, setSelectedTeams] = useState([]);
+  // Group assignment for group-stage competitions: { [teamId]: 'A' }
+  const [teamGroups, setTeamGroups] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const isGroupStage = formData.type === 'groups_knockout';
+  const groups = groupNames(Math.max(1, parseInt(formData.groupCount) || 1));
+
+  // Knockout rounds the selection will produce, for choosing which are played over two legs
+  const knockoutTeamCount = isGroupStage
+    ? countQualifiers(
+      groups.map(name => Object.values(teamGroups).filter(group => group === name).length),
+      { topPerGroup: formData.topPerGroup, bestNextPlaced: formData.bestNextPlaced }
+    )
+    : selectedTeams.length;
+  const knockoutRounds = knockoutRoundNames(knockoutTeamCount);
+
+  const toggleTwoLeggedRound = (name) => {
+    const rounds = formData.twoLeggedRounds;
+    setFormData({
+      ...formData,
+      twoLeggedRounds: rounds.includes(name) ? rounds.filter(r => r !== name) : [...rounds, name]
+    });
+  };
+
+  const toggleTeam = (teamId) => {
+    setSelectedTeams(selectedTeams.includes(teamId)
+      ? selectedTeams.filter(id => id !== teamId)
+      : [...selectedTeams, teamId]);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const groupPayload = groups.map(name => ({
+      name,
+      teamIds: Object.keys(teamGroups).filter(teamId => teamGroups[teamId] === name)
+    }));
+
+    if (isGroupStage) {
+      if (groupPayload.some(group => group.teamIds.length < 2)) {
+        toast.error('Every group needs at least two teams');
+        return;
+      }
+    } else if (selectedTeams.length < 2) {
+      toast.error('Select at least two teams');
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      const response = await fetch('/api/admin/competitions', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: formData.name,
+          type: formData.type,
+          seeding: formData.seeding,
+          venue: formData.venue,
+          daysBetweenRounds: formData.daysBetweenRounds,
+          seasonId,
+          teamIds: selectedTeams,
+          groups: isGroupStage ? groupPayload : undefined,
+          qualification: isGroupStage
+            ? { topPerGroup: formData.topPerGroup, bestNextPlaced: formData.bestNextPlaced }
+            : undefined,
+          twoLegged: {
+            rounds: formData.twoLeggedRounds.filter(name => knockoutRounds.includes(name)),
+            awayGoals: formData.awayGoals,
+            extraTime: formData.legExtraTime
+          },
+          firstRoundDate: new Date(formData.firstRoundDate).toISOString(),
+        }),
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        toast.success(data.message || 'Competition created successfully');
+        onSuccess();
+      } else {
+        toast.error(data.message || 'Failed to create competition');
+      }
+    } catch (error) {
+      toast.error('Failed to create competition');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="form-group">
+        <label className="form-label">Competition Name *</label>
+        <input
+          type="text"
+          className="form-input"
+          value={formData.name}
+          onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+          placeholder="e.g. League Cup"
+          required
+        />
+      </div>
+
+      <div className="form-group">
+        <label className="form-label">Format</label>
+        <select
+          className="form-input"
+          value={formData.type}
+          onChange={(e) => setFormData({ ...formData, type: e.target.value })}
+        >
+          <option value="knockout">Knockout bracket</option>
+          <option value="groups_knockout">Group stage + knockout</option>
+        </select>
+      </div>
+
+      {isGroupStage && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="form-group">
+            <label className="form-label">Groups</label>
+            <input
+              type="number"
+              min="1"
+              max="16"
+              className="form-input"
+              value={formData.groupCount}
+              onChange={(e) => setFormData({ ...formData, groupCount: parseInt(e.target.value) || 1 })}
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Qualify per Group</label>
+            <input
+              type="number"
+              min="1"
+              className="form-input"
+              value={formData.topPerGroup}
+              onChange={(e) => setFormData({ ...formData, topPerGroup: parseInt(e.target.value) || 1 })}
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Best Next-Placed</label>
+            <input
+              type="number"
+              min="0"
+              className="form-input"
+              value={formData.bestNextPlaced}
+              onChange={(e) => setFormData({ ...formData, bestNextPlaced: parseInt(e.target.value) || 0 })}
+            />
+            <p className="text-xs text-gray-500 mt-1">e.g. best third-placed teams when 2 qualify per group</p>
+          </div>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="form-group">
+          <label className="form-label">{isGroupStage ? 'First Matchday Kick-off *' : 'First Round Kick-off *'}</label>
+          <input
+            type="datetime-local"
+            className="form-input"
+            value={formData.firstRoundDate}
+            onChange={(e) => setFormData({ ...formData, firstRoundDate: e.target.value })}
+            required
+          />
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">{isGroupStage ? 'Days Between Matchdays' : 'Days Between Rounds'}</label>
+          <input
+            type="number"
+            min="1"
+            className="form-input"
+            value={formData.daysBetweenRounds}
+            onChange={(e) => setFormData({ ...formData, daysBetweenRounds: parseInt(e.target.value) || 1 })}
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="form-group">
+          <label className="form-label">Bracket</label>
+          <select
+            disabled={isGroupStage}
+            className="form-input"
+            value={formData.seeding}
+            onChange={(e) => setFormData({ ...formData, seeding: e.target.value })}
+          >
+            <option value="seeded">Seeded (selection order = seed)</option>
+            <option value="drawn">Random draw</option>
+          </select>
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Venue</label>
+          <input
+            type="text"
+            className="form-input"
+            value={formData.venue}
+            onChange={(e) => setFormData({ ...formData, venue: e.target.value })}
+          />
+        </div>
+      </div>
+
+      {knockoutRounds.length > 0 && (
+        <div className="form-group">
+          <label className="form-label">Two-legged Rounds</label>
+          <div className="flex flex-wrap gap-2">
+            {knockoutRounds.map(name => (
+              <label
+                key={name}
+                className={`flex items-center px-3 py-1 rounded border cursor-pointer text-sm ${
+                  formData.twoLeggedRounds.includes(name) ? 'bg-blue-50 border-blue-300' : 'border-gray-200'
+                }`}
+              >
+                <input
+                  type="checkbox"
+                  checked={formData.twoLeggedRounds.includes(name)}
+                  onChange={() => toggleTwoLeggedRound(name)}
+                  className="mr-2"
+                />
+                {name}
+              </label>
+            ))}
+          </div>
+          {formData.twoLeggedRounds.some(name => knockoutRounds.includes(name)) && (
+            <div className="mt-2 space-y-1">
+              <label className="flex items-center text-sm">
+                <input
+                  type="checkbox"
+                  checked={formData.awayGoals}
+                  onChange={(e) => setFormData({ ...formData, awayGoals: e.target.checked })}
+                  className="mr-2"
+                />
+                Away goals decide a tie level on aggregate
+              </label>
+              <label className="flex items-center text-sm">
+                <input
+                  type="checkbox"
+                  checked={formData.legExtraTime}
+                  onChange={(e) => setFormData({ ...formData, legExtraTime: e.target.checked })}
+                  className="mr-2"
+                />
+                Extra time in the second leg before penalties
+              </label>
+            </div>
+          )}
+        </div>
+      )}
+
+      {isGroupStage ? (
+        <div className="form-group">
+          <label className="form-label">
+            Group Draw ({Object.keys(teamGroups).length} teams placed)
+          </label>
+          <p className="text-xs text-gray-500 mb-2">
+            Knockout seeds follow the group tables: group winners first, then runners-up.
+          </p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 max-h-64 overflow-y-auto">
+            {teams.map(team => (
+              <div key={team._id} className="flex items-center justify-between p-2 rounded border border-gray-200">
+                <span>{team.name}</span>
+                <select
+                  className="form-input w-28"
+                  value={teamGroups[team._id] || ''}
+                  onChange={(e) => {
+                    const updated = { ...teamGroups };
+                    if (e.target.value) {
+                      updated[team._id] = e.target.value;
+                    } else {
+                      delete updated[team._id];
+                    }
+                    setTeamGroups(updated);
+                  }}
+                >
+                  <option value="">—</option>
+                  {groups.map(name => (
+                    <option key={name} value={name}>Group {name}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+        </div>
+      ) : (
+        <div className="form-group">
+          <label className="form-label">
+            Teams ({selectedTeams.length} selected)
+          </label>
+          <p className="text-xs text-gray-500 mb-2">
+            {formData.seeding === 'seeded'
+              ? 'Select teams in seed order; top seeds receive any byes.'
+              : 'Teams are placed by random draw.'}
+          </p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 max-h-64 overflow-y-auto">
+            {teams.map(team => {
+              const seed = selectedTeams.indexOf(team._id) + 1;
+              return (
+                <label
+                  key={team._id}
+                  className={`flex items-center p-2 rounded border cursor-pointer ${
+                    seed > 0 ? 'bg-blue-50 border-blue-300' : 'border-gray-200'
+                  }`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={seed > 0}
+                    onChange={() => toggleTeam(team._id)}
+                    className="mr-2"
+                  />
+                  <span className="flex-1">{team.name}</span>
+                  {seed > 0 && formData.seeding === 'seeded' && (
+                    <span className="text-xs font-medium text-blue-700">Seed {seed}</span>
+                  )}
+                </label>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      <div className="flex justify-end space-x-4">
+        <button type="button" onClick={onClose} className="btn btn-secondary">
+          Cancel
+        </button>
+        <button type="submit" disabled={isSubmitting} className="btn btn-primary">
+          {isSubmitting ? 'Creating...' : isGroupStage ? 'Create Groups' : 'Create Bracket'}
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,534 @@
+// ===========================================
+// FILE: pages/admin/decisions.js
+// Disciplinary decisions that change the league table: point deductions and awarded results
+// ===========================================
+import { useState, useEffect } from 'react';
+import { useSession } from 'next-auth/react';
+import { useRouter } from 'next/router';
+import { Plus, Trash2, Gavel, RotateCcw } from 'lucide-react';
+import Modal from '../../components/ui/Modal';
+import LoadingSpinner from '../../components/ui/LoadingSpinner';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+
+export default function AdminDecisions() {
+  const { data: session, status } = useSession();
+  const router = useRouter();
+  const [seasons, setSeasons] = useState([]);
+  const [selectedSeason, setSelectedSeason] = useState('');
+  const [teams, setTeams] = useState([]);
+  const [deductions, setDeductions] = useState([]);
+  const [matches, setMatches] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [showDeductionModal, setShowDeductionModal] = useState(false);
+  const [showAwardModal, setShowAwardModal] = useState(false);
+
+  useEffect(() => {
+    if (status === 'loading') return;
+    if (!session || session.user.role !== 'admin') {
+      router.push('/');
+      return;
+    }
+    fetchSeasons();
+  }, [session, status, router]);
+
+  useEffect(() => {
+    if (selectedSeason) {
+      fetchSeasonData();
+    }
+  }, [selectedSeason]);
+
+  const fetchSeasons = async () => {
+    try {
+      const response = await fetch('/api/admin/seasons');
+      const data = await response.json();
+      setSeasons(data);
+
+      const activeSeason = data.find(s => s.isActive);
+      if (activeSeason) {
+        setSelectedSeason(activeSeason._id);
+      } else if (data.length > 0) {
+        setSelectedSeason(data[0]._id);
+      } else {
+        setIsLoading(false);
+      }
+    } catch (error) {
+      toast.error('Failed to fetch seasons');
+      setIsLoading(false);
+    }
+  };
+
+  const fetchSeasonData = async () => {
+    try {
+      setIsLoading(true);
+      const [teamsResponse, deductionsResponse, matchesResponse] = await Promise.all([
+        fetch(`/api/admin/teams?seasonId=${selectedSeason}`),
+        fetch(`/api/admin/point-deductions?season=${selectedSeason}`),
+        fetch(`/api/admin/matches?seasonId=${selectedSeason}&status=completed&limit=500`)
+      ]);
+      const [teamsData, deductionsData, matchesData] = await Promise.all([
+        teamsResponse.json(), deductionsResponse.json(), matchesResponse.json()
+      ]);
+
+      setTeams(Array.isArray(teamsData) ? teamsData : []);
+      setDeductions(Array.isArray(deductionsData) ? deductionsData : []);
+      // Awarded results only apply to league matches
+      setMatches(Array.isArray(matchesData) ? matchesData.filter(m => !m.competition) : []);
+    } catch (error) {
+      toast.error('Failed to fetch disciplinary decisions');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleToggleDeduction = async (deduction) => {
+    const newStatus = deduction.status === 'active' ? 'overturned' : 'active';
+    try {
+      const response = await fetch(`/api/admin/point-deductions?id=${deduction._id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status: newStatus }),
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        toast.success(newStatus === 'overturned' ? 'Deduction overturned' : 'Deduction reinstated');
+        fetchSeasonData();
+      } else {
+        toast.error(data.message || 'Failed to update deduction');
+      }
+    } catch (error) {
+      toast.error('Failed to update deduction');
+    }
+  };
+
+  const handleDeleteDeduction = async (deductionId) => {
+    if (!confirm('Delete this point deduction?')) return;
+
+    try {
+      const response = await fetch(`/api/admin/point-deductions?id=${deductionId}`, {
+        method: 'DELETE',
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        toast.success('Point deduction deleted');
+        fetchSeasonData();
+      } else {
+        toast.error(data.message || 'Failed to delete deduction');
+      }
+    } catch (error) {
+      toast.error('Failed to delete deduction');
+    }
+  };
+
+  const handleWithdrawAward = async (matchId) => {
+    if (!confirm('Withdraw the awarded result? The played score will count in the table again.')) return;
+
+    try {
+      const response = await fetch(`/api/admin/matches/award?matchId=${matchId}`, {
+        method: 'DELETE',
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        toast.success('Awarded result withdrawn');
+        fetchSeasonData();
+      } else {
+        toast.error(data.message || 'Failed to withdraw awarded result');
+      }
+    } catch (error) {
+      toast.error('Failed to withdraw awarded result');
+    }
+  };
+
+  const awardedMatches = matches.filter(m => m.awardedResult?.homeScore != null);
+
+  if (status === 'loading' || isLoading) {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Disciplinary Decisions</h1>
+          <p className="text-gray-600 mt-1">Point deductions and awarded results applied to the league table</p>
+        </div>
+        <select
+          value={selectedSeason}
+          onChange={(e) => setSelectedSeason(e.target.value)}
+          className="form-input w-48"
+        >
+          {seasons.map(season => (
+            <option key={season._id} value={season._id}>
+              {season.name} {season.isActive && '(Active)'}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="card">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">Point Deductions</h3>
+          <button
+            onClick={() => setShowDeductionModal(true)}
+            disabled={!selectedSeason}
+            className="btn btn-primary flex items-center"
+          >
+            <Plus className="w-4 h-4 mr-2" />
+            Deduct Points
+          </button>
+        </div>
+
+        {deductions.length === 0 ? (
+          <p className="text-gray-500 text-sm">No point deductions this season.</p>
+        ) : (
+          <div className="divide-y">
+            {deductions.map(deduction => (
+              <div key={deduction._id} className="py-3 flex items-center justify-between">
+                <div>
+                  <div className="font-medium text-gray-900">
+                    {deduction.team?.name} <span className="text-red-600">-{deduction.points} pts</span>
+                    {deduction.status === 'overturned' && (
+                      <span className="ml-2 px-2 py-0.5 rounded text-xs bg-gray-100 text-gray-600">Overturned</span>
+                    )}
+                  </div>
+                  <div className="text-sm text-gray-600">{deduction.reason}</div>
+                  <div className="text-xs text-gray-500">
+                    {format(new Date(deduction.decisionDate), 'MMM dd, yyyy')}
+                    {deduction.decisionReference && ` • Ref. ${deduction.decisionReference}`}
+                  </div>
+                </div>
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => handleToggleDeduction(deduction)}
+                    className="btn btn-secondary text-sm"
+                  >
+                    {deduction.status === 'active' ? 'Overturn' : 'Reinstate'}
+                  </button>
+                  <button
+                    onClick={() => handleDeleteDeduction(deduction._id)}
+                    className="btn btn-danger flex items-center"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="card">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">Awarded Results</h3>
+          <button
+            onClick={() => setShowAwardModal(true)}
+            disabled={matches.length === 0}
+            className="btn btn-primary flex items-center"
+          >
+            <Gavel className="w-4 h-4 mr-2" />
+            Award Result
+          </button>
+        </div>
+
+        {awardedMatches.length === 0 ? (
+          <p className="text-gray-500 text-sm">No awarded results this season.</p>
+        ) : (
+          <div className="divide-y">
+            {awardedMatches.map(match => (
+              <div key={match._id} className="py-3 flex items-center justify-between">
+                <div>
+                  <div className="font-medium text-gray-900">
+                    {match.homeTeam?.name} {match.awardedResult.homeScore}-{match.awardedResult.awayScore} {match.awayTeam?.name}
+                    <span className="ml-2 text-sm text-gray-500">(played {match.homeScore}-{match.awayScore})</span>
+                  </div>
+                  <div className="text-sm text-gray-600">{match.awardedResult.reason}</div>
+                  <div className="text-xs text-gray-500">
+                    {format(new Date(match.matchDate), 'MMM dd, yyyy')}
+                    {match.awardedResult.decisionReference && ` • Ref. ${match.awardedResult.decisionReference}`}
+                  </div>
+                </div>
+                <button
+                  onClick={() => handleWithdrawAward(match._id)}
+                  className="btn btn-secondary flex items-center text-sm"
+                >
+                  <RotateCcw className="w-4 h-4 mr-1" />
+                  Withdraw
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <Modal
+        isOpen={showDeductionModal}
+        onClose={() => setShowDeductionModal(false)}
+        title="Deduct Points"
+      >
+        <DeductionForm
+          seasonId={selectedSeason}
+          teams={teams}
+          onClose={() => setShowDeductionModal(false)}
+          onSuccess={() => {
+            setShowDeductionModal(false);
+            fetchSeasonData();
+          }}
+        />
+      </Modal>
+
+      <Modal
+        isOpen={showAwardModal}
+        onClose={() => setShowAwardModal(false)}
+        title="Award Result"
+      >
+        <AwardForm
+          matches={matches}
+          onClose={() => setShowAwardModal(false)}
+          onSuccess={() => {
+            setShowAwardModal(false);
+            fetchSeasonData();
+          }}
+        />
+      </Modal>
+    </div>
+  );
+}
+
+// Point Deduction Form Component
+function DeductionForm({ seasonId, teams, onClose, onSuccess }) {
+  const [formData, setFormData] = useState({
+    team: '',
+    points: 3,
+    reason: '',
+    decisionReference: '',
+    decisionDate: format(new Date(), 'yyyy-MM-dd'),
+  });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+
+    try {
+      const response = await fetch('/api/admin/point-deductions', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...formData, season: seasonId }),
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        toast.success('Point deduction recorded');
+        onSuccess();
+      } else {
+        toast.error(data.message || 'Failed to record deduction');
+      }
+    } catch (error) {
+      toast.error('Failed to record deduction');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="form-group">
+        <label className="form-label">Team *</label>
+        <select
+          required
+          className="form-input"
+          value={formData.team}
+          onChange={(e) => setFormData({ ...formData, team: e.target.value })}
+        >
+          <option value="">Select team</option>
+          {teams.map(team => (
+            <option key={team._id} value={team._id}>{team.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div className="form-group">
+          <label className="form-label">Points Deducted *</label>
+          <input
+            type="number"
+            min="1"
+            max="100"
+            required
+            className="form-input"
+            value={formData.points}
+            onChange={(e) => setFormData({ ...formData, points: e.target.value })}
+          />
+        </div>
+        <div className="form-group">
+          <label className="form-label">Decision Date</label>
+          <input
+            type="date"
+            className="form-input"
+            value={formData.decisionDate}
+            onChange={(e) => setFormData({ ...formData, decisionDate: e.target.value })}
+          />
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label className="form-label">Reason *</label>
+        <textarea
+          required
+          rows={3}
+          className="form-input"
+          value={formData.reason}
+          onChange={(e) => setFormData({ ...formData, reason: e.target.value })}
+          placeholder="e.g. Fielded a suspended player"
+        />
+      </div>
+
+      <div className="form-group">
+        <label className="form-label">Decision Reference</label>
+        <input
+          type="text"
+          className="form-input"
+          value={formData.decisionReference}
+          onChange={(e) => setFormData({ ...formData, decisionReference: e.target.value })}
+          placeholder="Disciplinary case number"
+        />
+      </div>
+
+      <div className="flex justify-end space-x-4">
+        <button type="button" onClick={onClose} className="btn btn-secondary">
+          Cancel
+        </button>
+        <button type="submit" disabled={isSubmitting} className="btn btn-primary">
+          {isSubmitting ? 'Saving...' : 'Deduct Points'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+// Awarded Result Form Component
+function AwardForm({ matches, onClose, onSuccess }) {
+  const [formData, setFormData] = useState({
+    matchId: '',
+    homeScore: 3,
+    awayScore: 0,
+    reason: '',
+    decisionReference: '',
+  });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const selectedMatch = matches.find(m => m._id === formData.matchId);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+
+    try {
+      const response = await fetch('/api/admin/matches/award', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(formData),
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        toast.success('Result awarded');
+        onSuccess();
+      } else {
+        toast.error(data.message || 'Failed to award result');
+      }
+    } catch (error) {
+      toast.error('Failed to award result');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="form-group">
+        <label className="form-label">Match *</label>
+        <select
+          required
+          className="form-input"
+          value={formData.matchId}
+          onChange={(e) => setFormData({ ...formData, matchId: e.target.value })}
+        >
+          <option value="">Select completed match</option>
+          {matches.map(match => (
+            <option key={match._id} value={match._id}>
+              {format(new Date(match.matchDate), 'MMM dd')} • {match.homeTeam?.name} {match.homeScore}-{match.awayScore} {match.awayTeam?.name}
+            </option>
+          ))}
+        </select>
+        <p className="text-xs text-gray-500 mt-1">
+          The played score, events and player stats are kept; only the league table uses the awarded score
+        </p>
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div className="form-group">
+          <label className="form-label">{selectedMatch?.homeTeam?.name || 'Home'} *</label>
+          <input
+            type="number"
+            min="0"
+            required
+            className="form-input"
+            value={formData.homeScore}
+            onChange={(e) => setFormData({ ...formData, homeScore: e.target.value })}
+          />
+        </div>
+        <div className="form-group">
+          <label className="form-label">{selectedMatch?.awayTeam?.name || 'Away'} *</label>
+          <input
+            type="number"
+            min="0"
+            required
+            className="form-input"
+            value={formData.awayScore}
+            onChange={(e) => setFormData({ ...formData, awayScore: e.target.value })}
+          />
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label className="form-label">Reason *</label>
+        <textarea
+          required
+          rows={3}
+          className="form-input"
+          value={formData.reason}
+          onChange={(e) => setFormData({ ...formData, reason: e.target.value })}
+          placeholder="e.g. Away team fielded an ineligible player"
+        />
+      </div>
+
+      <div className="form-group">
+        <label className="form-label">Decision Reference</label>
+        <input
+          type="text"
+          className="form-input"
+          value={formData.decisionReference}
+          onChange={(e) => setFormData({ ...formData, decisionReference: e.target.value })}
+          placeholder="Disciplinary case number"
+        />
+      </div>
+
+      <div className="flex justify-end space-x-4">
+        <button type="button" onClick={onClose} className="btn btn-secondary">
+          Cancel
+        </button>
+        <button type="submit" disabled={isSubmitting} className="btn btn-primary">
+          {isSubmitting ? 'Saving...' : 'Award Result'}
+        </button>
+      </div>
+    </form>
+  );
+}
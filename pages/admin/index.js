@@ -1,7 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useSession } from 'next-auth/react';
 import { useRouter } from 'next/router';
-import { Users, Calendar, Trophy, TrendingUp, Plus, FileDown, Upload, Calculator, Shield, Settings } from 'lucide-react';
+import { Users, Calendar, Trophy, TrendingUp, Plus, FileDown, Upload, Calculator, Shield, Settings, ListChecks, Wrench, RefreshCw, Database, Clock } from 'lucide-react';
 import Modal from '../../components/ui/Modal';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
 import toast from 'react-hot-toast';
@@ -116,6 +116,162 @@ export default function AdminDashboard() {
     }
   };
 
+  // The table is stored and updated on every result; compare it with a full recalculation
+  const checkStoredStandings = async () => {
+    try {
+      const response = await fetch('/api/admin/standings');
+      const result = await response.json();
+
+      if (!response.ok) {
+        toast.error(result.message || 'Failed to check standings');
+        return;
+      }
+
+      console.log('Standings check result:', result);
+      if (result.consistent) {
+        toast.success(`Stored standings match the results for all ${result.checkedTeams} teams`);
+        return;
+      }
+
+      if (!confirm(`${result.differences.length} differences found in the stored ${result.season.name} standings. Rebuild them now?`)) {
+        return;
+      }
+
+      const rebuildRes = await fetch('/api/admin/standings', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ seasonId: result.season._id })
+      });
+      const rebuilt = await rebuildRes.json();
+
+      if (rebuildRes.ok) {
+        toast.success(rebuilt.message);
+      } else {
+        toast.error(rebuilt.message || 'Failed to rebuild standings');
+      }
+    } catch (error) {
+      console.error('Standings check error:', error);
+      toast.error('Failed to check stored standings');
+    }
+  };
+
+  // Stored team stats against stats recomputed from the matches; repairs the teams that differ on confirmation
+  const verifyTeamStats = async () => {
+    try {
+      const response = await fetch('/api/admin/team-stats');
+      const report = await response.json();
+
+      if (!response.ok) {
+        toast.error(report.message || 'Failed to verify team stats');
+        return;
+      }
+
+      console.log('Team stats report:', report);
+      if (report.consistent) {
+        toast.success(`Team stats are correct for all ${report.checkedTeams} teams`);
+        return;
+      }
+
+      const lines = report.seasons.flatMap(season => season.teams.map(team =>
+        `${season.season.name} - ${team.name}: ${team.differences.map(d => `${d.field} ${d.stored} -> ${d.expected}`).join(', ')}`
+      ));
+      const shown = lines.slice(0, 10).join('\n') + (lines.length > 10 ? `\n...and ${lines.length - 10} more` : '');
+      if (!confirm(`${report.mismatchedTeams} teams have stats that differ from their matches:\n\n${shown}\n\nRepair them now?`)) {
+        return;
+      }
+
+      const repairRes = await fetch('/api/admin/team-stats', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({})
+      });
+      const repaired = await repairRes.json();
+
+      if (repairRes.ok) {
+        toast.success(`Repaired stats of ${repaired.repaired} teams`);
+      } else {
+        toast.error(repaired.message || 'Failed to repair team stats');
+      }
+    } catch (error) {
+      console.error('Team stats verify error:', error);
+      toast.error('Failed to verify team stats');
+    }
+  };
+
+  // Player stats are summed from per-match stat lines; this rebuilds every line from the match events
+  const rebuildAllPlayerStats = async () => {
+    if (!confirm('Rebuild all player statistics from match events? Numbers no match accounts for will be cleared.')) {
+      return;
+    }
+
+    try {
+      const response = await fetch('/api/admin/player-stats', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({})
+      });
+      const result = await response.json();
+
+      if (response.ok) {
+        toast.success(`Player stats rebuilt: ${result.lines} stat lines from ${result.matches} matches`);
+        console.log('Player stats rebuild result:', result);
+      } else {
+        toast.error(result.message || 'Failed to rebuild player stats');
+      }
+    } catch (error) {
+      console.error('Player stats rebuild error:', error);
+      toast.error('Failed to rebuild player statistics');
+    }
+  };
+
+  // One-off: move legacy embedded match history into the stat line collection
+  const migrateMatchHistory = async () => {
+    if (!confirm('Move every player\'s embedded match history into the appearances collection? The embedded arrays are removed.')) {
+      return;
+    }
+
+    try {
+      const response = await fetch('/api/admin/migrate-match-history', { method: 'POST' });
+      const result = await response.json();
+
+      if (response.ok) {
+        toast.success(result.message);
+        console.log('Match history migration result:', result);
+      } else {
+        toast.error(result.message || 'Failed to migrate match history');
+      }
+    } catch (error) {
+      console.error('Match history migration error:', error);
+      toast.error('Failed to migrate match history');
+    }
+  };
+
+  // One-off: replace the flat minutes stored on stat lines with each player's time on court
+  const migrateMinutesPlayed = async () => {
+    if (!confirm('Recompute every appearance\'s minutes played from the starting lineups and substitutions?')) {
+      return;
+    }
+
+    try {
+      const response = await fetch('/api/admin/migrate-minutes', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({})
+      });
+      const result = await response.json();
+
+      if (response.ok) {
+        toast.success(`Minutes played updated on ${result.summary.matchRecordsUpdated} appearances for ${result.summary.playersUpdated} players`);
+        console.log('Minutes played migration result:', result);
+      } else {
+        toast.error(result.message || 'Failed to migrate minutes played');
+      }
+    } catch (error) {
+      console.error('Minutes played migration error:', error);
+      toast.error('Failed to migrate minutes played');
+    }
+  };
+
   const downloadSchedulePDF = async () => {
     try {
       const response = await fetch('/api/schedule-pdf');
@@ -225,7 +381,7 @@ export default function AdminDashboard() {
           </div>
         </div>
 
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
           {/* Update All Stats */}
           <div className="p-4 bg-white rounded-lg border">
             <div className="flex items-center mb-3">
@@ -279,12 +435,102 @@ export default function AdminDashboard() {
               Test Standings
             </button>
           </div>
+
+          {/* Check Stored Standings */}
+          <div className="p-4 bg-white rounded-lg border">
+            <div className="flex items-center mb-3">
+              <ListChecks className="w-4 h-4 text-blue-600 mr-2" />
+              <h4 className="font-medium">Check Stored Standings</h4>
+            </div>
+            <p className="text-sm text-gray-600 mb-3">
+              Compare the active season's stored table with its results, and rebuild it if they differ.
+            </p>
+            <button
+              onClick={checkStoredStandings}
+              className="btn btn-secondary w-full"
+            >
+              <ListChecks className="w-4 h-4 mr-2" />
+              Check Standings
+            </button>
+          </div>
+
+          {/* Verify Team Stats */}
+          <div className="p-4 bg-white rounded-lg border">
+            <div className="flex items-center mb-3">
+              <Wrench className="w-4 h-4 text-orange-600 mr-2" />
+              <h4 className="font-medium">Verify Team Stats</h4>
+            </div>
+            <p className="text-sm text-gray-600 mb-3">
+              List teams whose stored stats differ from their matches, and repair them.
+            </p>
+            <button
+              onClick={verifyTeamStats}
+              className="btn btn-secondary w-full"
+            >
+              <Wrench className="w-4 h-4 mr-2" />
+              Verify and Repair
+            </button>
+          </div>
+
+          {/* Rebuild Player Stats */}
+          <div className="p-4 bg-white rounded-lg border">
+            <div className="flex items-center mb-3">
+              <RefreshCw className="w-4 h-4 text-indigo-600 mr-2" />
+              <h4 className="font-medium">Rebuild Player Stats</h4>
+            </div>
+            <p className="text-sm text-gray-600 mb-3">
+              Recount every player's goals, cards and appearances from the match events.
+            </p>
+            <button
+              onClick={rebuildAllPlayerStats}
+              className="btn btn-secondary w-full"
+            >
+              <RefreshCw className="w-4 h-4 mr-2" />
+              Rebuild Player Stats
+            </button>
+          </div>
+
+          {/* Migrate Match History */}
+          <div className="p-4 bg-white rounded-lg border">
+            <div className="flex items-center mb-3">
+              <Database className="w-4 h-4 text-gray-600 mr-2" />
+              <h4 className="font-medium">Migrate Match History</h4>
+            </div>
+            <p className="text-sm text-gray-600 mb-3">
+              Move match history still embedded in player records into the appearances collection. Safe to run again.
+            </p>
+            <button
+              onClick={migrateMatchHistory}
+              className="btn btn-secondary w-full"
+            >
+              <Database className="w-4 h-4 mr-2" />
+              Migrate History
+            </button>
+          </div>
+
+          {/* Migrate Minutes Played */}
+          <div className="p-4 bg-white rounded-lg border">
+            <div className="flex items-center mb-3">
+              <Clock className="w-4 h-4 text-gray-600 mr-2" />
+              <h4 className="font-medium">Migrate Minutes Played</h4>
+            </div>
+            <p className="text-sm text-gray-600 mb-3">
+              Replace the flat minutes on older appearances with each player's time on court from lineups and substitutions.
+            </p>
+            <button
+              onClick={migrateMinutesPlayed}
+              className="btn btn-secondary w-full"
+            >
+              <Clock className="w-4 h-4 mr-2" />
+              Migrate Minutes
+            </button>
+          </div>
         </div>
 
         <div className="mt-4 p-3 bg-yellow-50 rounded-lg border border-yellow-200">
           <p className="text-yellow-800 text-sm">
-            <strong>When to use:</strong> Run "Update All Stats" after entering match results to refresh league standings. 
-            The standings and team profile pages will then show current win/loss records and points.
+            <strong>When to use:</strong> Team stats and standings are recomputed automatically whenever a result changes.
+            Run "Verify and Repair" if they look wrong, or "Update All Stats" to recompute every season.
           </p>
         </div>
       </div>
@@ -356,6 +602,18 @@ export default function AdminDashboard() {
               <Shield className="w-4 h-4 mr-2" />
               Manage Fair Play
             </button>
+            <button
+              onClick={() => router.push('/admin/decisions')}
+              className="w-full btn btn-secondary"
+            >
+              Point Deductions & Awarded Results
+            </button>
+            <button
+              onClick={() => router.push('/admin/suspensions')}
+              className="w-full btn btn-secondary"
+            >
+              Suspensions Register
+            </button>
             <button
               onClick={() => router.push('/standings')}
               className="w-full btn btn-secondary"
@@ -4,11 +4,14 @@
 import { useState, useEffect } from 'react';
 import { useSession } from 'next-auth/react';
 import { useRouter } from 'next/router';
-import { Plus, Edit, Trash2, Calendar, Play, Upload, FileDown, AlertCircle, CheckCircle } from 'lucide-react';
+import { Plus, Edit, Trash2, Calendar, Play, Upload, FileDown, AlertCircle, CheckCircle, Shuffle, Send, ShieldAlert, RotateCcw, Users } from 'lucide-react';
 import Modal from '../../components/ui/Modal';
+import SquadEditor from '../../components/match/SquadEditor';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
 import toast from 'react-hot-toast';
 import { format } from 'date-fns';
+import { resolveSeasonRules, regulationMinutes, maxMatchMinute } from '../../utils/seasonRules';
+import { matchStatusLabel } from '../../utils/matchStatus';
 
 // ===========================================
 // DATE HELPER FUNCTIONS
@@ -102,6 +105,12 @@ const validateMatchDate = (dateInput, status = 'scheduled') => {
         return { isValid: false, error: 'Completed match date cannot be more than 24 hours in the future' };
       }
       break;
+    case 'forfeit':
+    case 'abandoned':
+      if (timeDifference > 24 * 60 * 60 * 1000) {
+        return { isValid: false, error: `A ${status} match date cannot be more than 24 hours in the future` };
+      }
+      break;
     case 'postponed':
     case 'cancelled':
       // These can have any reasonable date
@@ -126,7 +135,11 @@ export default function AdminMatches() {
   const [isLoading, setIsLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [showImportModal, setShowImportModal] = useState(false);
+  const [showFixturesModal, setShowFixturesModal] = useState(false);
+  const [showConstraintsModal, setShowConstraintsModal] = useState(false);
   const [editingMatch, setEditingMatch] = useState(null);
+  const [resolvingMatch, setResolvingMatch] = useState(null);
+  const [squadMatch, setSquadMatch] = useState(null);
 
   useEffect(() => {
     if (status === 'loading') return;
@@ -267,6 +280,50 @@ export default function AdminMatches() {
     }
   };
 
+  const handlePublishDrafts = async () => {
+    if (!confirm('Publish all draft fixtures for this season? They will become visible to the public.')) return;
+
+    try {
+      const response = await fetch('/api/admin/matches/fixtures', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ seasonId: selectedSeason }),
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        toast.success(data.message || 'Fixtures published');
+        fetchMatches();
+      } else {
+        toast.error(data.message || 'Failed to publish fixtures');
+      }
+    } catch (error) {
+      console.error('Error publishing fixtures:', error);
+      toast.error('Failed to publish fixtures');
+    }
+  };
+
+  const handleDiscardDrafts = async () => {
+    if (!confirm('Discard all draft fixtures for this season?')) return;
+
+    try {
+      const response = await fetch(`/api/admin/matches/fixtures?seasonId=${selectedSeason}`, {
+        method: 'DELETE',
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        toast.success(data.message || 'Draft fixtures discarded');
+        fetchMatches();
+      } else {
+        toast.error(data.message || 'Failed to discard fixtures');
+      }
+    } catch (error) {
+      console.error('Error discarding fixtures:', error);
+      toast.error('Failed to discard fixtures');
+    }
+  };
+
   const downloadSchedulePDF = async () => {
     try {
       const response = await fetch(`/api/schedule-pdf?seasonId=${selectedSeason}`);
@@ -328,6 +385,9 @@ export default function AdminMatches() {
       case 'completed': return 'bg-green-100 text-green-800';
       case 'postponed': return 'bg-yellow-100 text-yellow-800';
       case 'cancelled': return 'bg-gray-100 text-gray-800';
+      case 'draft': return 'bg-purple-100 text-purple-800';
+      case 'forfeit': return 'bg-orange-100 text-orange-800';
+      case 'abandoned': return 'bg-pink-100 text-pink-800';
       default: return 'bg-blue-100 text-blue-800';
     }
   };
@@ -361,10 +421,13 @@ export default function AdminMatches() {
             className="form-input w-40"
           >
             <option value="all">All Status</option>
+            <option value="draft">Draft</option>
             <option value="scheduled">Scheduled</option>
             <option value="live">Live</option>
             <option value="completed">Completed</option>
             <option value="postponed">Postponed</option>
+            <option value="forfeit">Forfeit</option>
+            <option value="abandoned">Abandoned</option>
           </select>
           <select
             value={selectedSeason}
@@ -377,6 +440,20 @@ export default function AdminMatches() {
               </option>
             ))}
           </select>
+          <button
+            onClick={() => setShowFixturesModal(true)}
+            className="btn btn-secondary flex items-center"
+          >
+            <Shuffle className="w-4 h-4 mr-2" />
+            Generate Fixtures
+          </button>
+          <button
+            onClick={() => setShowConstraintsModal(true)}
+            className="btn btn-secondary flex items-center"
+          >
+            <ShieldAlert className="w-4 h-4 mr-2" />
+            Check Schedule
+          </button>
           <button
             onClick={() => setShowImportModal(true)}
             className="btn btn-secondary flex items-center"
@@ -398,6 +475,29 @@ export default function AdminMatches() {
         </div>
       </div>
 
+      {/* Draft Fixtures Review */}
+      {matches.some(m => m.status === 'draft') && (
+        <div className="bg-purple-50 border border-purple-200 rounded-lg p-4 flex items-center justify-between">
+          <div>
+            <h3 className="font-semibold text-purple-800">
+              {matches.filter(m => m.status === 'draft').length} draft fixtures awaiting review
+            </h3>
+            <p className="text-sm text-purple-700">
+              Drafts are hidden from the public schedule until they are published. Edit any fixture before publishing.
+            </p>
+          </div>
+          <div className="flex space-x-2">
+            <button onClick={handleDiscardDrafts} className="btn btn-secondary">
+              Discard Drafts
+            </button>
+            <button onClick={handlePublishDrafts} className="btn btn-primary flex items-center">
+              <Send className="w-4 h-4 mr-2" />
+              Publish Drafts
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Match Statistics Summary */}
       {matches.length > 0 && (
         <div className="grid grid-cols-2 md:grid-cols-6 gap-4">
@@ -472,7 +572,14 @@ export default function AdminMatches() {
                     </div>
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">
-                    {match.status === 'completed' || match.status === 'live' ? (
+                    {match.status === 'forfeit' ? (
+                      <div className="text-sm font-bold text-gray-900">
+                        {match.forfeit?.homeScore} - {match.forfeit?.awayScore}
+                        <span className="ml-1 text-xs font-medium text-orange-700">
+                          {match.forfeit?.walkover ? 'W/O' : 'Forfeit'}
+                        </span>
+                      </div>
+                    ) : ['completed', 'live', 'abandoned'].includes(match.status) ? (
                       <div className="text-sm font-bold text-gray-900">
                         {match.homeScore || 0} - {match.awayScore || 0}
                       </div>
@@ -483,7 +590,7 @@ export default function AdminMatches() {
                   <td className="px-6 py-4 whitespace-nowrap">
                     <div className="flex items-center">
                       <span className={`px-3 py-1 rounded-full text-sm font-medium ${getStatusColor(match.status)}`}>
-                        {match.status ? match.status.charAt(0).toUpperCase() + match.status.slice(1) : 'Unknown'}
+                        {match.status ? matchStatusLabel(match) : 'Unknown'}
                         {match.status === 'live' && match.liveData?.currentMinute && (
                           <span className="ml-1">{match.liveData.currentMinute}'</span>
                         )}
@@ -520,6 +627,24 @@ export default function AdminMatches() {
                           <Play className="w-4 h-4" />
                         </button>
                       )}
+                      {match.status === 'abandoned' && !match.abandonment?.resolution && (
+                        <button
+                          onClick={() => setResolvingMatch(match)}
+                          className="text-pink-600 hover:text-pink-900"
+                          title="Resume or Replay"
+                        >
+                          <RotateCcw className="w-4 h-4" />
+                        </button>
+                      )}
+                      {!['draft', 'cancelled', 'postponed'].includes(match.status) && (
+                        <button
+                          onClick={() => setSquadMatch(match)}
+                          className="text-indigo-600 hover:text-indigo-900"
+                          title="Matchday Squads"
+                        >
+                          <Users className="w-4 h-4" />
+                        </button>
+                      )}
                       <button
                         onClick={() => handleEditMatch(match)}
                         className="text-blue-600 hover:text-blue-900"
@@ -571,6 +696,77 @@ export default function AdminMatches() {
         />
       </Modal>
 
+      {/* Abandoned Match Modal */}
+      <Modal
+        isOpen={Boolean(resolvingMatch)}
+        onClose={() => setResolvingMatch(null)}
+        title="Resume or Replay Abandoned Match"
+        size="md"
+      >
+        {resolvingMatch && (
+          <AbandonedMatchForm
+            match={resolvingMatch}
+            onClose={() => setResolvingMatch(null)}
+            onSuccess={() => {
+              setResolvingMatch(null);
+              fetchMatches();
+            }}
+          />
+        )}
+      </Modal>
+
+      {/* Matchday Squads Modal */}
+      <Modal
+        isOpen={Boolean(squadMatch)}
+        onClose={() => setSquadMatch(null)}
+        title={squadMatch ? `Matchday Squads - ${squadMatch.homeTeam?.name} vs ${squadMatch.awayTeam?.name}` : 'Matchday Squads'}
+        size="lg"
+      >
+        {squadMatch && (
+          <SquadEditor matchId={squadMatch._id} onClose={() => setSquadMatch(null)} />
+        )}
+      </Modal>
+
+      {/* Generate Fixtures Modal */}
+      <Modal
+        isOpen={showFixturesModal}
+        onClose={() => setShowFixturesModal(false)}
+        title="Generate Fixtures"
+        size="xl"
+      >
+        <GenerateFixturesForm
+          seasonId={selectedSeason}
+          teamCount={teams.filter(t => t.isActive !== false).length}
+          onClose={() => setShowFixturesModal(false)}
+          onSuccess={() => {
+            setShowFixturesModal(false);
+            setStatusFilter('draft');
+            fetchMatches();
+          }}
+        />
+      </Modal>
+
+      {/* Scheduling Constraints Report Modal */}
+      <Modal
+        isOpen={showConstraintsModal}
+        onClose={() => setShowConstraintsModal(false)}
+        title="Scheduling Constraints Report"
+        size="xl"
+      >
+        {showConstraintsModal && (
+          <SchedulingReport
+            seasonId={selectedSeason}
+            onEditMatch={(matchId) => {
+              const match = matches.find(m => m._id === matchId);
+              if (match) {
+                setShowConstraintsModal(false);
+                handleEditMatch(match);
+              }
+            }}
+          />
+        )}
+      </Modal>
+
       {/* Import CSV Modal */}
       <Modal
         isOpen={showImportModal}
@@ -607,14 +803,36 @@ function EnhancedMatchForm({ match, teams, seasons, selectedSeason, onClose, onS
     homeScore: match?.homeScore || 0,
     awayScore: match?.awayScore || 0,
     notes: match?.notes || '',
-    events: match?.events || []
+    events: match?.events || [],
+    extraTime: {
+      played: match?.extraTime?.played || false,
+      homeScore: match?.extraTime?.homeScore || 0,
+      awayScore: match?.extraTime?.awayScore || 0
+    },
+    penalties: {
+      taken: match?.penalties?.taken || false,
+      kicks: match?.penalties?.kicks || []
+    },
+    forfeit: {
+      team: match?.forfeit?.team || '',
+      walkover: match?.forfeit?.walkover || false,
+      reason: match?.forfeit?.reason || ''
+    },
+    abandonment: {
+      minute: match?.abandonment?.minute ?? '',
+      reason: match?.abandonment?.reason || ''
+    }
   });
+  // First legs of two-legged ties are ordinary matches; the second leg settles the tie
+  const isKnockout = Boolean(match?.competition) && !match?.group && match?.leg !== 1;
+  const seasonRules = resolveSeasonRules(Array.isArray(seasons) ? seasons.find(s => s._id === formData.season) : null);
   
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [dateTimeError, setDateTimeError] = useState('');
   const [homePlayers, setHomePlayers] = useState([]);
   const [awayPlayers, setAwayPlayers] = useState([]);
   const [showPlayerStats, setShowPlayerStats] = useState(false);
+  const [schedulingIssues, setSchedulingIssues] = useState(null);
 
   // Fetch team players when teams change
   useEffect(() => {
@@ -679,7 +897,8 @@ function EnhancedMatchForm({ match, teams, seasons, selectedSeason, onClose, onS
     const newFormData = { ...formData, status };
     
     // Reset scores and events for non-active matches
-    if (status === 'scheduled' || status === 'postponed' || status === 'cancelled') {
+    if (status === 'scheduled' || status === 'postponed' || status === 'cancelled' ||
+        (status === 'forfeit' && formData.forfeit.walkover)) {
       newFormData.homeScore = 0;
       newFormData.awayScore = 0;
       newFormData.events = [];
@@ -699,7 +918,7 @@ function EnhancedMatchForm({ match, teams, seasons, selectedSeason, onClose, onS
       id: Date.now(),
       type: eventType,
       team: team,
-      minute: 40, // Changed from 90 to 40 for full match duration
+      minute: regulationMinutes(seasonRules), // Full match length from the season's rules
       player: playerId,
       playerName: playerName,
       description: `${eventType.replace('_', ' ').toUpperCase()} - ${playerName}`,
@@ -740,7 +959,40 @@ function EnhancedMatchForm({ match, teams, seasons, selectedSeason, onClose, onS
     toast.success('Event removed');
   };
 
-  const handleSubmit = async (e) => {
+  const updatePenalties = (penalties) => {
+    setFormData({ ...formData, penalties: { ...formData.penalties, ...penalties } });
+  };
+
+  // Kicks alternate between the teams, starting with the home side
+  const addPenaltyKick = () => {
+    const kicks = formData.penalties.kicks;
+    const lastTeam = kicks.length > 0 ? kicks[kicks.length - 1].team : 'away';
+    updatePenalties({
+      taken: true,
+      kicks: [...kicks, { team: lastTeam === 'home' ? 'away' : 'home', player: '', playerName: '', scored: true }]
+    });
+  };
+
+  const updatePenaltyKick = (index, changes) => {
+    updatePenalties({
+      kicks: formData.penalties.kicks.map((kick, i) => (i === index ? { ...kick, ...changes } : kick))
+    });
+  };
+
+  const removePenaltyKick = (index) => {
+    updatePenalties({ kicks: formData.penalties.kicks.filter((_, i) => i !== index) });
+  };
+
+  const applySuggestion = (suggestion) => {
+    setFormData({
+      ...formData,
+      matchDate: formatToLocalDateTime(suggestion.matchDate),
+      venue: suggestion.venue || formData.venue
+    });
+    setSchedulingIssues(null);
+  };
+
+  const handleSubmit = async (e, overrideConstraints = false) => {
     e.preventDefault();
     
     // Basic validation
@@ -774,7 +1026,8 @@ function EnhancedMatchForm({ match, teams, seasons, selectedSeason, onClose, onS
         matchDate: parseLocalDateTimeToISO(formData.matchDate),
         homeScore: parseInt(formData.homeScore) || 0,
         awayScore: parseInt(formData.awayScore) || 0,
-        events: formData.events
+        events: formData.events,
+        overrideConstraints
       };
 
       if (match) {
@@ -791,6 +1044,12 @@ function EnhancedMatchForm({ match, teams, seasons, selectedSeason, onClose, onS
 
       const data = await response.json();
 
+      if (response.status === 409 && data.violations) {
+        setSchedulingIssues(data);
+        toast.error('Scheduling constraints violated');
+        return;
+      }
+
       if (response.ok) {
         toast.success(
           formData.status === 'completed' && formData.events.length > 0 
@@ -916,11 +1175,14 @@ function EnhancedMatchForm({ match, teams, seasons, selectedSeason, onClose, onS
             value={formData.status}
             onChange={(e) => handleStatusChange(e.target.value)}
           >
+            <option value="draft">Draft</option>
             <option value="scheduled">Scheduled</option>
             <option value="live">Live</option>
             <option value="completed">Completed</option>
             <option value="postponed">Postponed</option>
             <option value="cancelled">Cancelled</option>
+            <option value="forfeit">Forfeit / Walkover</option>
+            <option value="abandoned">Abandoned</option>
           </select>
           {formData.status === 'completed' && (
             <div className="text-sm text-green-600 mt-1">
@@ -929,7 +1191,8 @@ function EnhancedMatchForm({ match, teams, seasons, selectedSeason, onClose, onS
           )}
         </div>
 
-        {(formData.status === 'completed' || formData.status === 'live') && (
+        {(['completed', 'live', 'abandoned'].includes(formData.status) ||
+          (formData.status === 'forfeit' && !formData.forfeit.walkover)) && (
           <>
             <div className="form-group">
               <label className="form-label">
@@ -960,8 +1223,108 @@ function EnhancedMatchForm({ match, teams, seasons, selectedSeason, onClose, onS
         )}
       </div>
 
+      {/* Forfeit / Walkover */}
+      {formData.status === 'forfeit' && (
+        <div className="bg-orange-50 border border-orange-200 rounded-lg p-4 space-y-3">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="form-group">
+              <label className="form-label">Forfeiting Team *</label>
+              <select
+                className="form-input"
+                value={formData.forfeit.team}
+                onChange={(e) => setFormData({ ...formData, forfeit: { ...formData.forfeit, team: e.target.value } })}
+              >
+                <option value="">Select team</option>
+                <option value="home">{teams.find(t => t._id === formData.homeTeam)?.name || 'Home'}</option>
+                <option value="away">{teams.find(t => t._id === formData.awayTeam)?.name || 'Away'}</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label className="form-label">Reason</label>
+              <input
+                type="text"
+                className="form-input"
+                value={formData.forfeit.reason}
+                onChange={(e) => setFormData({ ...formData, forfeit: { ...formData.forfeit, reason: e.target.value } })}
+                placeholder="e.g., Not enough players"
+              />
+            </div>
+          </div>
+          <label className="flex items-center space-x-2 text-sm">
+            <input
+              type="checkbox"
+              checked={formData.forfeit.walkover}
+              onChange={(e) => setFormData({
+                ...formData,
+                forfeit: { ...formData.forfeit, walkover: e.target.checked },
+                ...(e.target.checked ? { homeScore: 0, awayScore: 0, events: [] } : {})
+              })}
+            />
+            <span>Walkover (the match was never played)</span>
+          </label>
+          <div className="text-sm text-orange-700">
+            The table counts {seasonRules.forfeit.winnerScore}-{seasonRules.forfeit.loserScore} for the other team.
+            {!formData.forfeit.walkover && (seasonRules.forfeit.countPlayerStats
+              ? ' Player statistics from the played part count.'
+              : ' Player statistics from the played part do not count this season.')}
+          </div>
+        </div>
+      )}
+
+      {/* Abandoned */}
+      {formData.status === 'abandoned' && (
+        <div className="bg-pink-50 border border-pink-200 rounded-lg p-4 space-y-3">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="form-group">
+              <label className="form-label">Minute Abandoned *</label>
+              <input
+                type="number"
+                min="0"
+                max={maxMatchMinute(seasonRules)}
+                className="form-input"
+                value={formData.abandonment.minute}
+                onChange={(e) => setFormData({
+                  ...formData,
+                  abandonment: { ...formData.abandonment, minute: e.target.value === '' ? '' : parseInt(e.target.value) }
+                })}
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label">Reason</label>
+              <input
+                type="text"
+                className="form-input"
+                value={formData.abandonment.reason}
+                onChange={(e) => setFormData({ ...formData, abandonment: { ...formData.abandonment, reason: e.target.value } })}
+                placeholder="e.g., Floodlight failure"
+              />
+            </div>
+          </div>
+          <div className="text-sm text-pink-700">
+            Abandoned matches do not count in the table. Once saved, resume or replay it from the match list.
+          </div>
+        </div>
+      )}
+
+      {/* Knockout: Extra Time & Penalties */}
+      {isKnockout && (formData.status === 'completed' || formData.status === 'live') && (
+        <KnockoutResultSection
+          formData={formData}
+          setFormData={setFormData}
+          homeName={teams.find(t => t._id === formData.homeTeam)?.name || 'Home'}
+          awayName={teams.find(t => t._id === formData.awayTeam)?.name || 'Away'}
+          homePlayers={homePlayers}
+          awayPlayers={awayPlayers}
+          onAddKick={addPenaltyKick}
+          onUpdateKick={updatePenaltyKick}
+          onRemoveKick={removePenaltyKick}
+          isSecondLeg={match?.leg === 2}
+        />
+      )}
+
       {/* Player Statistics Section */}
-      {formData.status === 'completed' && (homePlayers.length > 0 || awayPlayers.length > 0) && (
+      {(['completed', 'abandoned'].includes(formData.status) ||
+        (formData.status === 'forfeit' && !formData.forfeit.walkover)) && (homePlayers.length > 0 || awayPlayers.length > 0) && (
         <div className="bg-green-50 border border-green-200 rounded-lg p-4">
           <div className="flex items-center justify-between mb-4">
             <h3 className="text-lg font-semibold">Player Statistics</h3>
@@ -1064,6 +1427,44 @@ function EnhancedMatchForm({ match, teams, seasons, selectedSeason, onClose, onS
         />
       </div>
 
+      {/* Scheduling Constraint Violations */}
+      {schedulingIssues && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 space-y-3">
+          <h4 className="font-semibold text-red-800">Scheduling constraints violated</h4>
+          <ul className="list-disc list-inside text-sm text-red-700 space-y-1">
+            {schedulingIssues.violations.map((violation, index) => (
+              <li key={index}>{violation.message}</li>
+            ))}
+          </ul>
+          {schedulingIssues.suggestions?.length > 0 && (
+            <div>
+              <div className="text-sm font-medium text-gray-700 mb-1">Free slots:</div>
+              <div className="flex flex-wrap gap-2">
+                {schedulingIssues.suggestions.map((suggestion, index) => (
+                  <button
+                    key={index}
+                    type="button"
+                    onClick={() => applySuggestion(suggestion)}
+                    className="bg-white border border-gray-300 rounded px-2 py-1 text-xs hover:bg-gray-50"
+                  >
+                    {formatDisplayDate(suggestion.matchDate)} {formatDisplayTime(suggestion.matchDate)}
+                    {suggestion.venue && ` • ${suggestion.venue}`}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+          <button
+            type="button"
+            onClick={(e) => handleSubmit(e, true)}
+            disabled={isSubmitting}
+            className="btn btn-danger text-sm"
+          >
+            Save Anyway
+          </button>
+        </div>
+      )}
+
       <div className="flex justify-end space-x-4">
         <button type="button" onClick={onClose} className="btn btn-secondary">
           Cancel
@@ -1076,6 +1477,155 @@ function EnhancedMatchForm({ match, teams, seasons, selectedSeason, onClose, onS
   );
 }
 
+// Resume an abandoned match from the minute it stopped, or schedule a full replay
+function AbandonedMatchForm({ match, onClose, onSuccess }) {
+  const [action, setAction] = useState('resume');
+  const [matchDate, setMatchDate] = useState('');
+  const [venue, setVenue] = useState(match.venue || '');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [schedulingIssues, setSchedulingIssues] = useState(null);
+  const isKnockoutTie = Boolean(match.competition) && !match.group;
+
+  const handleSubmit = async (e, overrideConstraints = false) => {
+    e.preventDefault();
+
+    if (!matchDate) {
+      toast.error('Please select the new date and time');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      const response = await fetch('/api/admin/matches/abandoned', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          matchId: match._id,
+          action,
+          matchDate: parseLocalDateTimeToISO(matchDate),
+          venue,
+          overrideConstraints
+        })
+      });
+      const data = await response.json();
+
+      if (response.status === 409 && data.violations) {
+        setSchedulingIssues(data);
+        toast.error('Scheduling constraints violated');
+        return;
+      }
+
+      if (response.ok) {
+        toast.success(data.message);
+        onSuccess();
+      } else {
+        toast.error(data.message || 'Operation failed');
+      }
+    } catch (error) {
+      console.error('Error resolving abandoned match:', error);
+      toast.error('Operation failed');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="text-sm text-gray-700">
+        {match.homeTeam?.name} vs {match.awayTeam?.name} was abandoned in minute {match.abandonment?.minute}
+        {match.abandonment?.reason && ` (${match.abandonment.reason})`}, at {match.homeScore || 0} - {match.awayScore || 0}.
+      </div>
+
+      <div className="space-y-2">
+        <label className="flex items-center space-x-2 text-sm">
+          <input type="radio" checked={action === 'resume'} onChange={() => setAction('resume')} />
+          <span>Resume from minute {match.abandonment?.minute}, keeping the score and events</span>
+        </label>
+        <label className="flex items-center space-x-2 text-sm">
+          <input
+            type="radio"
+            checked={action === 'replay'}
+            onChange={() => setAction('replay')}
+            disabled={isKnockoutTie}
+          />
+          <span className={isKnockoutTie ? 'text-gray-400' : ''}>
+            Replay the full match as a new fixture{isKnockoutTie && ' (not for knockout ties)'}
+          </span>
+        </label>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="form-group">
+          <label className="form-label">New Date & Time *</label>
+          <input
+            type="datetime-local"
+            className="form-input"
+            value={matchDate}
+            onChange={(e) => setMatchDate(e.target.value)}
+            required
+          />
+        </div>
+        <div className="form-group">
+          <label className="form-label">Venue</label>
+          <input
+            type="text"
+            className="form-input"
+            value={venue}
+            onChange={(e) => setVenue(e.target.value)}
+          />
+        </div>
+      </div>
+
+      {schedulingIssues && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 space-y-3">
+          <h4 className="font-semibold text-red-800">Scheduling constraints violated</h4>
+          <ul className="list-disc list-inside text-sm text-red-700 space-y-1">
+            {schedulingIssues.violations.map((violation, index) => (
+              <li key={index}>{violation.message}</li>
+            ))}
+          </ul>
+          {schedulingIssues.suggestions?.length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {schedulingIssues.suggestions.map((suggestion, index) => (
+                <button
+                  key={index}
+                  type="button"
+                  onClick={() => {
+                    setMatchDate(formatToLocalDateTime(suggestion.matchDate));
+                    if (suggestion.venue) setVenue(suggestion.venue);
+                    setSchedulingIssues(null);
+                  }}
+                  className="bg-white border border-gray-300 rounded px-2 py-1 text-xs hover:bg-gray-50"
+                >
+                  {formatDisplayDate(suggestion.matchDate)} {formatDisplayTime(suggestion.matchDate)}
+                  {suggestion.venue && ` • ${suggestion.venue}`}
+                </button>
+              ))}
+            </div>
+          )}
+          <button
+            type="button"
+            onClick={(e) => handleSubmit(e, true)}
+            disabled={isSubmitting}
+            className="btn btn-danger text-sm"
+          >
+            Save Anyway
+          </button>
+        </div>
+      )}
+
+      <div className="flex justify-end space-x-4">
+        <button type="button" onClick={onClose} className="btn btn-secondary">
+          Cancel
+        </button>
+        <button type="submit" disabled={isSubmitting} className="btn btn-primary">
+          {isSubmitting ? 'Saving...' : action === 'resume' ? 'Schedule Resumption' : 'Schedule Replay'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
 // Player Statistics Section Component
 function PlayerStatsSection({ players, team, events, onAddEvent }) {
   const getPlayerEvents = (playerId, eventType) => {
@@ -1154,6 +1704,490 @@ function PlayerStatsSection({ players, team, events, onAddEvent }) {
   );
 }
 
+// ===========================================
+// KNOCKOUT RESULT COMPONENT
+// ===========================================
+
+function KnockoutResultSection({
+  formData, setFormData, homeName, awayName, homePlayers, awayPlayers,
+  onAddKick, onUpdateKick, onRemoveKick, isSecondLeg = false
+}) {
+  const { extraTime, penalties } = formData;
+  const shootout = penalties.kicks.reduce((score, kick) => {
+    if (kick.scored) score[kick.team]++;
+    return score;
+  }, { home: 0, away: 0 });
+  const isLevel = parseInt(formData.homeScore) === parseInt(formData.awayScore);
+
+  const updateExtraTime = (changes) => {
+    setFormData({ ...formData, extraTime: { ...extraTime, ...changes } });
+  };
+
+  return (
+    <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 space-y-4">
+      <h3 className="text-lg font-semibold">Knockout Result</h3>
+      <p className="text-sm text-gray-600">
+        {isSecondLeg
+          ? 'Second leg: scores above include extra time. The tie is decided on aggregate with the first leg; a tie still level needs a penalty shootout.'
+          : 'Scores above are the final score including extra time. A level score needs a penalty shootout.'}
+      </p>
+
+      <div className="space-y-2">
+        <label className="flex items-center">
+          <input
+            type="checkbox"
+            checked={extraTime.played}
+            onChange={(e) => updateExtraTime({ played: e.target.checked })}
+            className="mr-2"
+          />
+          Extra time played
+        </label>
+        {extraTime.played && (
+          <div className="grid grid-cols-2 gap-4">
+            <div className="form-group">
+              <label className="form-label">{homeName} goals in extra time</label>
+              <input
+                type="number"
+                min="0"
+                className="form-input"
+                value={extraTime.homeScore}
+                onChange={(e) => updateExtraTime({ homeScore: parseInt(e.target.value) || 0 })}
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label">{awayName} goals in extra time</label>
+              <input
+                type="number"
+                min="0"
+                className="form-input"
+                value={extraTime.awayScore}
+                onChange={(e) => updateExtraTime({ awayScore: parseInt(e.target.value) || 0 })}
+              />
+            </div>
+          </div>
+        )}
+      </div>
+
+      {(isLevel || isSecondLeg || penalties.kicks.length > 0) && (
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <h4 className="font-semibold">
+              Penalty Shootout
+              {penalties.kicks.length > 0 && (
+                <span className="ml-2 text-gray-600">{shootout.home} - {shootout.away}</span>
+              )}
+            </h4>
+            <button type="button" onClick={onAddKick} className="btn btn-secondary text-sm">
+              <Plus className="w-4 h-4 mr-1 inline" />
+              Add Kick
+            </button>
+          </div>
+
+          {penalties.kicks.map((kick, index) => {
+            const players = kick.team === 'home' ? homePlayers : awayPlayers;
+            return (
+              <div key={index} className="flex items-center gap-2 bg-white p-2 rounded border">
+                <span className="text-sm text-gray-500 w-6">{index + 1}.</span>
+                <select
+                  className="form-input w-32"
+                  value={kick.team}
+                  onChange={(e) => onUpdateKick(index, { team: e.target.value, player: '', playerName: '' })}
+                >
+                  <option value="home">{homeName}</option>
+                  <option value="away">{awayName}</option>
+                </select>
+                <select
+                  className="form-input flex-1"
+                  value={kick.player || ''}
+                  onChange={(e) => {
+                    const player = players.find(p => p._id === e.target.value);
+                    onUpdateKick(index, { player: e.target.value, playerName: player?.name || '' });
+                  }}
+                >
+                  <option value="">Select taker</option>
+                  {players.map(player => (
+                    <option key={player._id} value={player._id}>
+                      {player.jerseyNumber ? `#${player.jerseyNumber} ` : ''}{player.name}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  className="form-input w-28"
+                  value={kick.scored ? 'scored' : 'missed'}
+                  onChange={(e) => onUpdateKick(index, { scored: e.target.value === 'scored' })}
+                >
+                  <option value="scored">Scored</option>
+                  <option value="missed">Missed</option>
+                </select>
+                <button
+                  type="button"
+                  onClick={() => onRemoveKick(index)}
+                  className="text-red-600 hover:text-red-800"
+                  title="Remove Kick"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ===========================================
+// SCHEDULING REPORT COMPONENT
+// ===========================================
+
+function SchedulingReport({ seasonId, onEditMatch }) {
+  const [report, setReport] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchReport = async () => {
+      try {
+        setIsLoading(true);
+        const response = await fetch(`/api/admin/matches/constraints?seasonId=${seasonId}`);
+        const data = await response.json();
+
+        if (response.ok) {
+          setReport(data);
+        } else {
+          toast.error(data.message || 'Failed to check schedule');
+        }
+      } catch (error) {
+        console.error('Error fetching scheduling report:', error);
+        toast.error('Failed to check schedule');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchReport();
+  }, [seasonId]);
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center py-8">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  if (!report) return null;
+
+  return (
+    <div className="space-y-4 max-h-[70vh] overflow-y-auto">
+      <div className="text-sm text-gray-600">
+        Checked {report.checked} upcoming fixtures • minimum rest {report.rules.minRestHours}h •
+        match slot {report.rules.matchDurationMinutes} min
+      </div>
+
+      {report.report.length === 0 ? (
+        <div className="bg-green-50 border border-green-200 rounded-lg p-4 text-green-800 flex items-center">
+          <CheckCircle className="w-5 h-5 mr-2" />
+          No scheduling conflicts found
+        </div>
+      ) : (
+        report.report.map(entry => (
+          <div key={entry.match._id} className="border border-red-200 rounded-lg p-3">
+            <div className="flex justify-between items-start">
+              <div>
+                <div className="font-medium text-gray-900">
+                  {entry.match.homeTeam?.name} vs {entry.match.awayTeam?.name}
+                </div>
+                <div className="text-sm text-gray-500">
+                  {formatDisplayDate(entry.match.matchDate)} {formatDisplayTime(entry.match.matchDate)}
+                  {entry.match.venue && ` • ${entry.match.venue}`} • {entry.match.status}
+                </div>
+              </div>
+              <button
+                onClick={() => onEditMatch(entry.match._id)}
+                className="text-blue-600 hover:text-blue-900"
+                title="Edit Match"
+              >
+                <Edit className="w-4 h-4" />
+              </button>
+            </div>
+            <ul className="list-disc list-inside text-sm text-red-700 mt-2">
+              {entry.violations.map((violation, index) => (
+                <li key={index}>{violation.message}</li>
+              ))}
+            </ul>
+            {entry.suggestions.length > 0 && (
+              <div className="text-sm text-gray-600 mt-2">
+                Suggested slots:{' '}
+                {entry.suggestions.map(s => (
+                  `${formatDisplayDate(s.matchDate)} ${formatDisplayTime(s.matchDate)}${s.venue ? ` (${s.venue})` : ''}`
+                )).join(', ')}
+              </div>
+            )}
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
+
+// ===========================================
+// GENERATE FIXTURES FORM COMPONENT
+// ===========================================
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Splits a comma separated input into trimmed, non-empty values
+ */
+const splitList = (value) => value.split(',').map(v => v.trim()).filter(Boolean);
+
+function GenerateFixturesForm({ seasonId, teamCount, onClose, onSuccess }) {
+  const [formData, setFormData] = useState({
+    format: 'single',
+    startDate: format(new Date(), 'yyyy-MM-dd'),
+    matchDays: [new Date().getDay()],
+    timeSlots: '19:00, 20:00, 21:00',
+    venues: '',
+    daysBetweenMatchdays: 7,
+    excludedDates: '',
+    replaceDrafts: true
+  });
+  const [preview, setPreview] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const updateField = (field, value) => {
+    setFormData({ ...formData, [field]: value });
+    setPreview(null);
+  };
+
+  const toggleMatchDay = (day) => {
+    const matchDays = formData.matchDays.includes(day)
+      ? formData.matchDays.filter(d => d !== day)
+      : [...formData.matchDays, day].sort();
+    updateField('matchDays', matchDays);
+  };
+
+  const buildRequest = (isPreview) => ({
+    seasonId,
+    format: formData.format,
+    startDate: formData.startDate,
+    matchDays: formData.matchDays,
+    timeSlots: splitList(formData.timeSlots),
+    venues: splitList(formData.venues),
+    daysBetweenMatchdays: parseInt(formData.daysBetweenMatchdays) || 7,
+    excludedDates: splitList(formData.excludedDates),
+    replaceDrafts: formData.replaceDrafts,
+    preview: isPreview
+  });
+
+  const submit = async (isPreview) => {
+    if (formData.matchDays.length === 0) {
+      toast.error('Select at least one match day');
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      const response = await fetch('/api/admin/matches/fixtures', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(buildRequest(isPreview)),
+      });
+      const data = await response.json();
+
+      if (!response.ok) {
+        toast.error(data.message || 'Failed to generate fixtures');
+        return;
+      }
+
+      if (isPreview) {
+        setPreview(data);
+      } else {
+        toast.success(data.message || 'Draft fixtures created');
+        onSuccess();
+      }
+    } catch (error) {
+      console.error('Error generating fixtures:', error);
+      toast.error('Failed to generate fixtures');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const previewByMatchday = preview
+    ? preview.fixtures.reduce((groups, fixture) => {
+        (groups[fixture.matchday] = groups[fixture.matchday] || []).push(fixture);
+        return groups;
+      }, {})
+    : {};
+
+  return (
+    <div className="space-y-6 max-h-[80vh] overflow-y-auto">
+      <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 text-sm text-blue-700">
+        Builds a balanced round-robin for the {teamCount} active teams of this season. Teams alternate
+        home and away, odd team counts get a bye each matchday, and fixtures are saved as drafts
+        you can review before publishing.
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="form-group">
+          <label className="form-label">Format</label>
+          <select
+            className="form-input"
+            value={formData.format}
+            onChange={(e) => updateField('format', e.target.value)}
+          >
+            <option value="single">Single round-robin</option>
+            <option value="double">Double round-robin (home & away)</option>
+          </select>
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">First Matchday *</label>
+          <input
+            type="date"
+            className="form-input"
+            value={formData.startDate}
+            onChange={(e) => updateField('startDate', e.target.value)}
+            required
+          />
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Days Between Matchdays</label>
+          <input
+            type="number"
+            min="1"
+            className="form-input"
+            value={formData.daysBetweenMatchdays}
+            onChange={(e) => updateField('daysBetweenMatchdays', e.target.value)}
+          />
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label className="form-label">Match Days</label>
+        <div className="flex flex-wrap gap-2">
+          {WEEKDAYS.map((label, day) => (
+            <button
+              key={label}
+              type="button"
+              onClick={() => toggleMatchDay(day)}
+              className={`px-3 py-1 rounded border text-sm ${
+                formData.matchDays.includes(day)
+                  ? 'bg-blue-600 text-white border-blue-600'
+                  : 'bg-white text-gray-700 border-gray-300'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="form-group">
+          <label className="form-label">Kick-off Slots *</label>
+          <input
+            type="text"
+            className="form-input"
+            value={formData.timeSlots}
+            onChange={(e) => updateField('timeSlots', e.target.value)}
+            placeholder="19:00, 20:00"
+          />
+          <div className="text-gray-500 text-xs mt-1">Comma separated, 24-hour format</div>
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Venues</label>
+          <input
+            type="text"
+            className="form-input"
+            value={formData.venues}
+            onChange={(e) => updateField('venues', e.target.value)}
+            placeholder="Court 1, Court 2"
+          />
+          <div className="text-gray-500 text-xs mt-1">Each slot is used once per venue</div>
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label className="form-label">Excluded Dates</label>
+        <input
+          type="text"
+          className="form-input"
+          value={formData.excludedDates}
+          onChange={(e) => updateField('excludedDates', e.target.value)}
+          placeholder="2025-12-25, 2026-01-01"
+        />
+      </div>
+
+      <label className="flex items-center space-x-2 text-sm text-gray-700">
+        <input
+          type="checkbox"
+          checked={formData.replaceDrafts}
+          onChange={(e) => updateField('replaceDrafts', e.target.checked)}
+        />
+        <span>Replace existing draft fixtures for this season</span>
+      </label>
+
+      {preview && (
+        <div className="border rounded-lg p-4 space-y-4">
+          <h4 className="font-semibold text-gray-900">
+            Preview: {preview.fixtures.length} matches over {preview.matchdays} matchdays
+          </h4>
+          {Object.entries(previewByMatchday).map(([matchday, fixtures]) => (
+            <div key={matchday}>
+              <div className="text-sm font-semibold text-gray-700 mb-1">
+                Matchday {matchday}
+                {preview.byes.find(b => String(b.matchday) === matchday) && (
+                  <span className="ml-2 text-gray-500 font-normal">
+                    (bye: {preview.byes.find(b => String(b.matchday) === matchday).team})
+                  </span>
+                )}
+              </div>
+              <div className="space-y-1">
+                {fixtures.map((fixture, index) => (
+                  <div key={index} className="text-sm text-gray-600 flex justify-between bg-gray-50 px-2 py-1 rounded">
+                    <span>{fixture.homeTeamName} vs {fixture.awayTeamName}</span>
+                    <span>
+                      {formatDisplayDate(fixture.matchDate)} {formatDisplayTime(fixture.matchDate)}
+                      {fixture.venue && ` • ${fixture.venue}`}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex justify-end space-x-4">
+        <button type="button" onClick={onClose} className="btn btn-secondary">
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={() => submit(true)}
+          disabled={isSubmitting}
+          className="btn btn-secondary"
+        >
+          Preview
+        </button>
+        <button
+          type="button"
+          onClick={() => submit(false)}
+          disabled={isSubmitting || teamCount < 2}
+          className="btn btn-primary"
+        >
+          {isSubmitting ? 'Generating...' : 'Create Draft Fixtures'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
 // ===========================================
 // IMPORT MATCHES FORM COMPONENT
 // ===========================================
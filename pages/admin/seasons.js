@@ -1,11 +1,13 @@
 import { useState, useEffect } from 'react';
 import { useSession } from 'next-auth/react';
 import { useRouter } from 'next/router';
-import { Plus, Edit, Trash2, Calendar } from 'lucide-react';
+import { Plus, Edit, Trash2, Calendar, ArrowUp, ArrowDown, X } from 'lucide-react';
 import Modal from '../../components/ui/Modal';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
 import toast from 'react-hot-toast';
 import { format } from 'date-fns';
+import { resolveSeasonRules, validateSeasonRules } from '../../utils/seasonRules';
+import { TIE_BREAKER_CATALOGUE, TIE_BREAKER_KEYS } from '../../utils/tieBreakers';
 
 export default function AdminSeasons() {
   const { data: session, status } = useSession();
@@ -170,17 +172,72 @@ function SeasonForm({ season, onClose, onSuccess }) {
     description: season?.description || '',
     isActive: season?.isActive || false,
   });
+  const [scheduling, setScheduling] = useState({
+    minRestHours: season?.scheduling?.minRestHours ?? 24,
+    matchDurationMinutes: season?.scheduling?.matchDurationMinutes ?? 60,
+    timeSlots: (season?.scheduling?.timeSlots || []).join(', '),
+    venues: (season?.scheduling?.venues || [])
+      .map(v => (v.slotsPerDay ? `${v.name}:${v.slotsPerDay}` : v.name))
+      .join(', '),
+  });
+  // Competition rules (defaults in utils/seasonRules)
+  const [rules, setRules] = useState(resolveSeasonRules(season));
   const [isSubmitting, setIsSubmitting] = useState(false);
 
+  // Tie-breakers are applied in list order after points
+  const moveTieBreaker = (index, offset) => {
+    const tieBreakers = [...rules.tieBreakers];
+    const target = index + offset;
+    if (target < 0 || target >= tieBreakers.length) return;
+    [tieBreakers[index], tieBreakers[target]] = [tieBreakers[target], tieBreakers[index]];
+    setRules({ ...rules, tieBreakers });
+  };
+
+  const removeTieBreaker = (key) => {
+    setRules({ ...rules, tieBreakers: rules.tieBreakers.filter(k => k !== key) });
+  };
+
+  const addTieBreaker = (key) => {
+    if (!key || rules.tieBreakers.includes(key)) return;
+    setRules({ ...rules, tieBreakers: [...rules.tieBreakers, key] });
+  };
+
+  const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+  // Build Season.scheduling from the form fields; venues use "Name:slotsPerDay"
+  const buildScheduling = () => ({
+    minRestHours: Number(scheduling.minRestHours) || 0,
+    matchDurationMinutes: Number(scheduling.matchDurationMinutes) || 60,
+    timeSlots: splitList(scheduling.timeSlots),
+    venues: splitList(scheduling.venues).map(entry => {
+      const [name, slots] = entry.split(':').map(part => part.trim());
+      return { name, slotsPerDay: slots ? parseInt(slots) || null : null };
+    })
+  });
+
   const handleSubmit = async (e) => {
     e.preventDefault();
+
+    const rulesError = validateSeasonRules(rules);
+    if (rulesError) {
+      toast.error(rulesError);
+      return;
+    }
+
+    const invalidSlot = splitList(scheduling.timeSlots).find(slot => !/^([01]\d|2[0-3]):[0-5]\d$/.test(slot));
+    if (invalidSlot) {
+      toast.error(`Invalid time slot: ${invalidSlot} (use HH:MM)`);
+      return;
+    }
+
     setIsSubmitting(true);
 
     try {
+      const payload = { ...formData, scheduling: buildScheduling(), rules: resolveSeasonRules(rules) };
       const method = season ? 'PUT' : 'POST';
       const body = season 
-        ? { ...formData, id: season._id }
-        : formData;
+        ? { ...payload, id: season._id }
+        : payload;
 
       const response = await fetch('/api/admin/seasons', {
         method,
@@ -274,6 +331,320 @@ function SeasonForm({ season, onClose, onSuccess }) {
         />
       </div>
 
+      <div className="border-t pt-4">
+        <h4 className="font-semibold text-gray-900 mb-3">Scheduling Rules</h4>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="form-group">
+            <label className="form-label">Minimum Rest (hours)</label>
+            <input
+              type="number"
+              min="0"
+              className="form-input"
+              value={scheduling.minRestHours}
+              onChange={(e) => setScheduling({ ...scheduling, minRestHours: e.target.value })}
+            />
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Match Slot Length (minutes)</label>
+            <input
+              type="number"
+              min="10"
+              className="form-input"
+              value={scheduling.matchDurationMinutes}
+              onChange={(e) => setScheduling({ ...scheduling, matchDurationMinutes: e.target.value })}
+            />
+          </div>
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Kick-off Slots</label>
+          <input
+            type="text"
+            className="form-input"
+            value={scheduling.timeSlots}
+            onChange={(e) => setScheduling({ ...scheduling, timeSlots: e.target.value })}
+            placeholder="18:00, 19:30, 21:00"
+          />
+          <p className="text-xs text-gray-500 mt-1">Used to suggest free slots when a fixture breaks a rule</p>
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Venues</label>
+          <input
+            type="text"
+            className="form-input"
+            value={scheduling.venues}
+            onChange={(e) => setScheduling({ ...scheduling, venues: e.target.value })}
+            placeholder="Court 1:3, Court 2"
+          />
+          <p className="text-xs text-gray-500 mt-1">Comma separated; add :N to limit a venue to N matches per day</p>
+        </div>
+      </div>
+
+      <div className="border-t pt-4">
+        <h4 className="font-semibold text-gray-900 mb-3">Competition Rules</h4>
+        <div className="grid grid-cols-3 gap-4">
+          {['win', 'draw', 'loss'].map(result => (
+            <div key={result} className="form-group">
+              <label className="form-label">Points for a {result}</label>
+              <input
+                type="number"
+                min="0"
+                className="form-input"
+                value={rules.points[result]}
+                onChange={(e) => setRules({ ...rules, points: { ...rules.points, [result]: e.target.value } })}
+              />
+            </div>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-3 gap-4">
+          <div className="form-group">
+            <label className="form-label">Periods</label>
+            <input
+              type="number"
+              min="1"
+              className="form-input"
+              value={rules.periods.count}
+              onChange={(e) => setRules({ ...rules, periods: { ...rules.periods, count: e.target.value } })}
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Period Length (min)</label>
+            <input
+              type="number"
+              min="1"
+              className="form-input"
+              value={rules.periods.minutes}
+              onChange={(e) => setRules({ ...rules, periods: { ...rules.periods, minutes: e.target.value } })}
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Extra Time (min)</label>
+            <input
+              type="number"
+              min="0"
+              className="form-input"
+              value={rules.extraTimeMinutes}
+              onChange={(e) => setRules({ ...rules, extraTimeMinutes: e.target.value })}
+            />
+          </div>
+        </div>
+
+        <div className="grid grid-cols-3 gap-4">
+          <div className="form-group">
+            <label className="form-label">Extra Time Periods</label>
+            <input
+              type="number"
+              min="1"
+              className="form-input"
+              value={rules.extraTimePeriods}
+              onChange={(e) => setRules({ ...rules, extraTimePeriods: e.target.value })}
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Break Between Periods (min)</label>
+            <input
+              type="number"
+              min="0"
+              className="form-input"
+              value={rules.breakMinutes}
+              onChange={(e) => setRules({ ...rules, breakMinutes: e.target.value })}
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Match Clock</label>
+            <label className="flex items-center space-x-2 text-sm">
+              <input
+                type="checkbox"
+                checked={rules.stopClock}
+                onChange={(e) => setRules({ ...rules, stopClock: e.target.checked })}
+              />
+              <span>Stop clock (stopped when the ball is out of play)</span>
+            </label>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-3 gap-4">
+          <div className="form-group">
+            <label className="form-label">Max Squad Size</label>
+            <input
+              type="number"
+              min="1"
+              className="form-input"
+              value={rules.maxSquadSize}
+              onChange={(e) => setRules({ ...rules, maxSquadSize: e.target.value })}
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Players on Court</label>
+            <input
+              type="number"
+              min="1"
+              className="form-input"
+              value={rules.maxPlayersOnCourt}
+              onChange={(e) => setRules({ ...rules, maxPlayersOnCourt: e.target.value })}
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Yellows for a Ban</label>
+            <input
+              type="number"
+              min="1"
+              className="form-input"
+              value={rules.yellowCardSuspensionThreshold}
+              onChange={(e) => setRules({ ...rules, yellowCardSuspensionThreshold: e.target.value })}
+            />
+          </div>
+        </div>
+
+        <div className="grid grid-cols-3 gap-4">
+          <div className="form-group">
+            <label className="form-label">Fouls per Half Before 10 m Kicks</label>
+            <input
+              type="number"
+              min="1"
+              className="form-input"
+              value={rules.accumulatedFoulLimit}
+              onChange={(e) => setRules({ ...rules, accumulatedFoulLimit: e.target.value })}
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Timeouts per Half</label>
+            <input
+              type="number"
+              min="0"
+              className="form-input"
+              value={rules.timeoutsPerPeriod}
+              onChange={(e) => setRules({ ...rules, timeoutsPerPeriod: e.target.value })}
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Timeout Length (sec)</label>
+            <input
+              type="number"
+              min="1"
+              className="form-input"
+              value={rules.timeoutSeconds}
+              onChange={(e) => setRules({ ...rules, timeoutSeconds: e.target.value })}
+            />
+          </div>
+        </div>
+
+        <div className="grid grid-cols-3 gap-4">
+          <div className="form-group">
+            <label className="form-label">Power Play After a Red (sec)</label>
+            <input
+              type="number"
+              min="1"
+              className="form-input"
+              value={rules.powerPlaySeconds}
+              onChange={(e) => setRules({ ...rules, powerPlaySeconds: e.target.value })}
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Matches Banned for Yellows</label>
+            <input
+              type="number"
+              min="1"
+              className="form-input"
+              value={rules.yellowCardSuspensionMatches}
+              onChange={(e) => setRules({ ...rules, yellowCardSuspensionMatches: e.target.value })}
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">Matches Banned for a Red</label>
+            <input
+              type="number"
+              min="1"
+              className="form-input"
+              value={rules.redCardSuspensionMatches}
+              onChange={(e) => setRules({ ...rules, redCardSuspensionMatches: e.target.value })}
+            />
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 gap-3 mb-3">
+          <div className="form-group">
+            <label className="form-label">Forfeit Scoreline (winner - loser)</label>
+            <div className="flex items-center space-x-2">
+              <input
+                type="number"
+                min="1"
+                className="form-input"
+                value={rules.forfeit.winnerScore}
+                onChange={(e) => setRules({ ...rules, forfeit: { ...rules.forfeit, winnerScore: e.target.value } })}
+              />
+              <span>-</span>
+              <input
+                type="number"
+                min="0"
+                className="form-input"
+                value={rules.forfeit.loserScore}
+                onChange={(e) => setRules({ ...rules, forfeit: { ...rules.forfeit, loserScore: e.target.value } })}
+              />
+            </div>
+          </div>
+          <div className="form-group space-y-1">
+            <label className="form-label">Player Stats Count For</label>
+            <label className="flex items-center space-x-2 text-sm">
+              <input
+                type="checkbox"
+                checked={rules.forfeit.countPlayerStats}
+                onChange={(e) => setRules({ ...rules, forfeit: { ...rules.forfeit, countPlayerStats: e.target.checked } })}
+              />
+              <span>Forfeited matches (not walkovers)</span>
+            </label>
+            <label className="flex items-center space-x-2 text-sm">
+              <input
+                type="checkbox"
+                checked={rules.abandoned.countPlayerStats}
+                onChange={(e) => setRules({ ...rules, abandoned: { ...rules.abandoned, countPlayerStats: e.target.checked } })}
+              />
+              <span>Abandoned matches that are replayed</span>
+            </label>
+          </div>
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Tie-Breakers</label>
+          <p className="text-xs text-gray-500 mb-2">
+            Teams level on points are separated by these criteria in order, then alphabetically
+          </p>
+          <ol className="space-y-1 mb-2">
+            {rules.tieBreakers.map((key, index) => (
+              <li key={key} className="flex items-center justify-between bg-gray-50 rounded px-3 py-1 text-sm">
+                <span>{index + 1}. {TIE_BREAKER_CATALOGUE[key].label}</span>
+                <span className="flex items-center space-x-1">
+                  <button type="button" onClick={() => moveTieBreaker(index, -1)} disabled={index === 0} className="text-gray-500 hover:text-gray-900 disabled:opacity-30">
+                    <ArrowUp className="w-4 h-4" />
+                  </button>
+                  <button type="button" onClick={() => moveTieBreaker(index, 1)} disabled={index === rules.tieBreakers.length - 1} className="text-gray-500 hover:text-gray-900 disabled:opacity-30">
+                    <ArrowDown className="w-4 h-4" />
+                  </button>
+                  <button type="button" onClick={() => removeTieBreaker(key)} className="text-red-500 hover:text-red-700">
+                    <X className="w-4 h-4" />
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ol>
+          {rules.tieBreakers.length < TIE_BREAKER_KEYS.length && (
+            <select
+              className="form-input"
+              value=""
+              onChange={(e) => addTieBreaker(e.target.value)}
+            >
+              <option value="">Add tie-breaker...</option>
+              {TIE_BREAKER_KEYS.filter(key => !rules.tieBreakers.includes(key)).map(key => (
+                <option key={key} value={key}>{TIE_BREAKER_CATALOGUE[key].label}</option>
+              ))}
+            </select>
+          )}
+        </div>
+      </div>
+
       <div className="form-group">
         <label className="flex items-center">
           <input
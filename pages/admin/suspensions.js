@@ -0,0 +1,232 @@
+// ===========================================
+// FILE: pages/admin/suspensions.js
+// Suspensions register: bans from red cards and yellow card accumulation, counted down as the
+// suspended players' teams complete matches (lib/suspensions)
+// ===========================================
+import { useState, useEffect } from 'react';
+import { useSession } from 'next-auth/react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import { Ban, RefreshCw } from 'lucide-react';
+import LoadingSpinner from '../../components/ui/LoadingSpinner';
+import toast from 'react-hot-toast';
+import { format } from 'date-fns';
+import { SUSPENSION_REASONS } from '../../utils/suspensions';
+
+const STATUS_STYLES = {
+  active: 'bg-red-100 text-red-800',
+  served: 'bg-green-100 text-green-800',
+  cancelled: 'bg-gray-100 text-gray-600'
+};
+
+export default function AdminSuspensions() {
+  const { data: session, status } = useSession();
+  const router = useRouter();
+  const [seasons, setSeasons] = useState([]);
+  const [selectedSeason, setSelectedSeason] = useState('');
+  const [statusFilter, setStatusFilter] = useState('active');
+  const [suspensions, setSuspensions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRebuilding, setIsRebuilding] = useState(false);
+
+  useEffect(() => {
+    if (status === 'loading') return;
+    if (!session || session.user.role !== 'admin') {
+      router.push('/');
+      return;
+    }
+    fetchSeasons();
+  }, [session, status, router]);
+
+  useEffect(() => {
+    if (selectedSeason) {
+      fetchSuspensions();
+    }
+  }, [selectedSeason, statusFilter]);
+
+  const fetchSeasons = async () => {
+    try {
+      const response = await fetch('/api/admin/seasons');
+      const data = await response.json();
+      setSeasons(data);
+
+      const activeSeason = data.find(s => s.isActive);
+      if (activeSeason) {
+        setSelectedSeason(activeSeason._id);
+      } else if (data.length > 0) {
+        setSelectedSeason(data[0]._id);
+      } else {
+        setIsLoading(false);
+      }
+    } catch (error) {
+      toast.error('Failed to fetch seasons');
+      setIsLoading(false);
+    }
+  };
+
+  const fetchSuspensions = async () => {
+    try {
+      setIsLoading(true);
+      const response = await fetch(`/api/admin/suspensions?season=${selectedSeason}&status=${statusFilter}`);
+      const data = await response.json();
+      setSuspensions(Array.isArray(data) ? data : []);
+    } catch (error) {
+      toast.error('Failed to fetch suspensions');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleRebuild = async () => {
+    setIsRebuilding(true);
+    try {
+      const response = await fetch('/api/admin/suspensions', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ season: selectedSeason }),
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        toast.success(`${data.message}: ${data.active} active`);
+        fetchSuspensions();
+      } else {
+        toast.error(data.message || 'Failed to rebuild suspensions');
+      }
+    } catch (error) {
+      toast.error('Failed to rebuild suspensions');
+    } finally {
+      setIsRebuilding(false);
+    }
+  };
+
+  const handleToggleCancelled = async (suspension) => {
+    const cancelled = !suspension.cancelled;
+    if (cancelled && !confirm(`Cancel the suspension of ${suspension.player?.name}? Their later suspensions move forward.`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/admin/suspensions?id=${suspension._id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ cancelled }),
+      });
+      const data = await response.json();
+
+      if (response.ok) {
+        toast.success(cancelled ? 'Suspension cancelled' : 'Suspension reinstated');
+        fetchSuspensions();
+      } else {
+        toast.error(data.message || 'Failed to update suspension');
+      }
+    } catch (error) {
+      toast.error('Failed to update suspension');
+    }
+  };
+
+  if (status === 'loading') {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-col sm:flex-row sm:justify-between sm:items-center gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Suspensions</h1>
+          <p className="text-gray-600 mt-1">Bans from red cards and yellow card accumulation, served as teams complete matches</p>
+        </div>
+        <div className="flex space-x-2">
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+            className="form-input w-36"
+          >
+            <option value="active">Active</option>
+            <option value="served">Served</option>
+            <option value="cancelled">Cancelled</option>
+            <option value="all">All</option>
+          </select>
+          <select
+            value={selectedSeason}
+            onChange={(e) => setSelectedSeason(e.target.value)}
+            className="form-input w-48"
+          >
+            {seasons.map(season => (
+              <option key={season._id} value={season._id}>
+                {season.name} {season.isActive && '(Active)'}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold">Register</h3>
+          <button
+            onClick={handleRebuild}
+            disabled={!selectedSeason || isRebuilding}
+            className="btn btn-secondary flex items-center"
+          >
+            <RefreshCw className={`w-4 h-4 mr-2 ${isRebuilding ? 'animate-spin' : ''}`} />
+            {isRebuilding ? 'Rebuilding...' : 'Rebuild from Cards'}
+          </button>
+        </div>
+
+        {isLoading ? (
+          <div className="flex justify-center py-8">
+            <LoadingSpinner />
+          </div>
+        ) : suspensions.length === 0 ? (
+          <p className="text-gray-500 text-sm">No {statusFilter === 'all' ? '' : `${statusFilter} `}suspensions this season.</p>
+        ) : (
+          <div className="divide-y">
+            {suspensions.map(suspension => (
+              <div key={suspension._id} className="py-3 flex items-center justify-between">
+                <div>
+                  <div className="font-medium text-gray-900 flex items-center">
+                    <Ban className="w-4 h-4 mr-2 text-red-500" />
+                    {suspension.player ? (
+                      <Link href={`/players/${suspension.player._id}`} className="hover:underline">
+                        {suspension.player.name}
+                      </Link>
+                    ) : 'Unknown player'}
+                    <span className="ml-2 text-sm text-gray-500">{suspension.team?.name}</span>
+                    <span className={`ml-2 px-2 py-0.5 rounded text-xs capitalize ${STATUS_STYLES[suspension.status]}`}>
+                      {suspension.status}
+                    </span>
+                  </div>
+                  <div className="text-sm text-gray-600">
+                    {SUSPENSION_REASONS[suspension.reason]}
+                    {suspension.yellowCards && ` (${suspension.yellowCards} yellows)`}
+                    {' • '}
+                    {suspension.matchesServed.length}/{suspension.matchesBanned} matches served
+                    {suspension.matchesRemaining > 0 && `, ${suspension.matchesRemaining} left`}
+                  </div>
+                  {suspension.sourceMatch && (
+                    <div className="text-xs text-gray-500">
+                      {suspension.sourceMatch.homeTeam?.name} vs {suspension.sourceMatch.awayTeam?.name}
+                      {suspension.sourceMatch.matchDate && ` • ${format(new Date(suspension.sourceMatch.matchDate), 'MMM dd, yyyy')}`}
+                    </div>
+                  )}
+                  {suspension.notes && <div className="text-xs text-gray-500 italic">{suspension.notes}</div>}
+                </div>
+                <button
+                  onClick={() => handleToggleCancelled(suspension)}
+                  className="btn btn-secondary text-sm"
+                >
+                  {suspension.cancelled ? 'Reinstate' : 'Cancel'}
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -296,6 +296,9 @@ function TeamForm({ team, seasons, selectedSeason, onClose, onSuccess }) {
       phone: team?.contact?.phone || '',
     },
     season: team?.season?._id || selectedSeason,
+    blackoutDates: (team?.blackoutDates || [])
+      .map(b => (b.reason ? `${b.date} ${b.reason}` : b.date))
+      .join('\n'),
   });
   const [logoFile, setLogoFile] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
@@ -303,6 +306,19 @@ function TeamForm({ team, seasons, selectedSeason, onClose, onSuccess }) {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+
+    // One "YYYY-MM-DD reason" entry per line
+    const blackoutLines = formData.blackoutDates.split('\n').map(line => line.trim()).filter(Boolean);
+    const invalidLine = blackoutLines.find(line => !/^\d{4}-\d{2}-\d{2}(\s|$)/.test(line));
+    if (invalidLine) {
+      toast.error(`Invalid blackout date: ${invalidLine}`);
+      return;
+    }
+    const blackoutDates = blackoutLines.map(line => ({
+      date: line.slice(0, 10),
+      reason: line.slice(10).trim()
+    }));
+
     setIsSubmitting(true);
 
     try {
@@ -346,8 +362,8 @@ function TeamForm({ team, seasons, selectedSeason, onClose, onSuccess }) {
 
       const method = team ? 'PUT' : 'POST';
       const body = team 
-        ? { ...formData, id: team._id, logo: logoData }
-        : { ...formData, logo: logoData };
+        ? { ...formData, blackoutDates, id: team._id, logo: logoData }
+        : { ...formData, blackoutDates, logo: logoData };
 
       const response = await fetch('/api/admin/teams', {
         method,
@@ -501,6 +517,20 @@ function TeamForm({ team, seasons, selectedSeason, onClose, onSuccess }) {
         />
       </div>
 
+      <div className="form-group">
+        <label className="form-label">Blackout Dates</label>
+        <textarea
+          className="form-input font-mono text-sm"
+          rows="3"
+          value={formData.blackoutDates}
+          onChange={(e) => setFormData({ ...formData, blackoutDates: e.target.value })}
+          placeholder={'2024-12-24 Christmas Eve\n2025-01-10'}
+        />
+        <p className="text-xs text-gray-500 mt-1">
+          One date per line (YYYY-MM-DD), optionally followed by a reason. No fixtures will be scheduled for the team on these days.
+        </p>
+      </div>
+
       <div className="flex justify-end space-x-4">
         <button type="button" onClick={onClose} className="btn btn-secondary">
           Cancel
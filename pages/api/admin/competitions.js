@@ -0,0 +1,123 @@
+// ===========================================
+// FILE: pages/api/admin/competitions.js
+// Create, list and delete cup competitions (knockout or groups + knockout)
+// ===========================================
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../auth/[...nextauth]';
+import dbConnect from '../../../lib/mongodb';
+import Competition from '../../../models/Competition';
+import Season from '../../../models/Season';
+import { createKnockoutCompetition, createGroupCompetition, deleteCompetition } from '../../../lib/competitions';
+
+export default async function handler(req, res) {
+  const session = await getServerSession(req, res, authOptions);
+
+  if (!session || session.user.role !== 'admin') {
+    return res.status(401).json({ message: 'Unauthorized' });
+  }
+
+  await dbConnect();
+
+  try {
+    switch (req.method) {
+      case 'GET':
+        return await handleGET(req, res);
+      case 'POST':
+        return await handlePOST(req, res);
+      case 'DELETE':
+        return await handleDELETE(req, res);
+      default:
+        return res.status(405).json({ message: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('Competitions API Error:', error);
+    return res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+async function handleGET(req, res) {
+  const { seasonId } = req.query;
+
+  const query = {};
+  if (seasonId) query.season = seasonId;
+
+  const competitions = await Competition.find(query)
+    .populate('teams.team', 'name')
+    .populate('groups.teams', 'name')
+    .populate('winner', 'name')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return res.status(200).json(competitions);
+}
+
+async function handlePOST(req, res) {
+  const {
+    name, seasonId, type = 'knockout', teamIds, seeding = 'seeded',
+    groups, qualification, twoLegged, firstRoundDate, daysBetweenRounds = 7, venue = ''
+  } = req.body;
+
+  if (!name || !seasonId) {
+    return res.status(400).json({ message: 'Name and season are required' });
+  }
+
+  if (!['knockout', 'groups_knockout'].includes(type)) {
+    return res.status(400).json({ message: 'Type must be knockout or groups_knockout' });
+  }
+
+  if (!['seeded', 'drawn'].includes(seeding)) {
+    return res.status(400).json({ message: 'Seeding must be seeded or drawn' });
+  }
+
+  const season = await Season.findById(seasonId).select('_id').lean();
+  if (!season) {
+    return res.status(404).json({ message: 'Season not found' });
+  }
+
+  const existing = await Competition.findOne({ season: seasonId, name: name.trim() }).select('_id').lean();
+  if (existing) {
+    return res.status(400).json({ message: 'A competition with this name already exists in the season' });
+  }
+
+  let competition;
+  try {
+    competition = type === 'groups_knockout'
+      ? await createGroupCompetition({
+        name: name.trim(), seasonId, groups, qualification, twoLegged, firstRoundDate, daysBetweenRounds, venue
+      })
+      : await createKnockoutCompetition({
+        name: name.trim(), seasonId, teamIds, seeding, twoLegged, firstRoundDate, daysBetweenRounds, venue
+      });
+  } catch (bracketError) {
+    return res.status(400).json({ message: bracketError.message });
+  }
+
+  return res.status(201).json({
+    message: `Created ${competition.name} with ${competition.teams.length} teams`,
+    competition: competition.toObject()
+  });
+}
+
+async function handleDELETE(req, res) {
+  const { id } = req.query;
+
+  if (!id) {
+    return res.status(400).json({ message: 'Competition ID is required' });
+  }
+
+  const competition = await Competition.findById(id).select('_id').lean();
+  if (!competition) {
+    return res.status(404).json({ message: 'Competition not found' });
+  }
+
+  try {
+    await deleteCompetition(id);
+  } catch (deleteError) {
+    return res.status(400).json({ message: deleteError.message });
+  }
+
+  return res.status(200).json({ message: 'Competition deleted successfully' });
+}
@@ -62,6 +62,7 @@ async function getContracts(req, res) {
     }
     
     const players = await Player.find(query)
+      .select('-matchHistory')
       .populate('currentTeam', 'name logo')
       .populate('currentContract.team', 'name logo')
       .populate('currentContract.season', 'name isActive startDate endDate')
@@ -5,6 +5,7 @@ import { getServerSession } from 'next-auth/next';
 import { authOptions } from '../auth/[...nextauth]';
 import dbConnect from '../../../lib/mongodb';
 import FairPlayRecord from '../../../models/FairPlayRecord';
+import { refreshSeasonStandings } from '../../../lib/standings';
 import mongoose from 'mongoose';
 
 export default async function handler(req, res) {
@@ -194,6 +195,9 @@ async function createFairPlayRecord(req, res, session) {
     const newRecord = new FairPlayRecord(recordData);
     await newRecord.save();
 
+    // Fair play points break ties in the league table
+    await refreshSeasonStandings(newRecord.season, [newRecord.team]);
+
     // Populate for response
     const populatedRecord = await FairPlayRecord.findById(newRecord._id)
       .populate('team', 'name logo')
@@ -335,6 +339,11 @@ async function updateFairPlayRecord(req, res) {
      .populate('season', 'name')
      .populate('addedBy', 'name');
 
+    await refreshSeasonStandings(updatedRecord.season, [updatedRecord.team, existingRecord.team]);
+    if (existingRecord.season.toString() !== updatedRecord.season._id.toString()) {
+      await refreshSeasonStandings(existingRecord.season, [existingRecord.team]);
+    }
+
     console.log('Fair play record updated:', {
       id: updatedRecord._id,
       changes: Object.keys(updateData)
@@ -379,6 +388,7 @@ async function deleteFairPlayRecord(req, res) {
     }
 
     await FairPlayRecord.findByIdAndDelete(id);
+    await refreshSeasonStandings(record.season, [record.team]);
 
     console.log('Fair play record deleted:', {
       id,
@@ -7,7 +7,27 @@ import dbConnect from '../../../lib/mongodb';
 import Match from '../../../models/Match';
 import Team from '../../../models/Team';
 import Season from '../../../models/Season';
-import Player from '../../../models/Player';
+import Competition from '../../../models/Competition';
+import { createSeasonConstraintChecker } from '../../../lib/scheduling';
+import { loadSeasonRules } from '../../../lib/seasonRules';
+import { maxMatchMinute, resolveSeasonRules } from '../../../utils/seasonRules';
+import { validateEventMinutes } from '../../../utils/matchValidation';
+import { suggestFreeSlots, formatViolations } from '../../../utils/schedulingConstraints';
+import { processCompetitionMatch } from '../../../lib/competitions';
+import { normalizeKnockoutResult, determineKnockoutWinner, determineTieWinner } from '../../../utils/bracket';
+import { TABLE_STATUSES, forfeitScoreline } from '../../../utils/matchStatus';
+import { refreshPlayerStatsForMatch } from '../../../lib/playerStats';
+import { refreshSuspensionsForMatch } from '../../../lib/suspensions';
+import { publishMatchUpdate } from '../../../lib/liveFeed';
+import { refreshSeasonStandings, refreshStandingsForMatch } from '../../../lib/standings';
+
+// Only fixtures that are still to be played are held to the scheduling constraints
+const CONSTRAINED_STATUSES = ['draft', 'scheduled'];
+
+// Statuses that keep the score entered for what was played
+const SCORED_STATUSES = ['completed', 'live', 'forfeit', 'abandoned'];
+
+const NO_FORFEIT = { team: null, walkover: false, reason: null, homeScore: null, awayScore: null };
 
 /**
  * Validates and parses ISO date string
@@ -42,240 +62,73 @@ function parseAndValidateDate(dateString, status = 'scheduled') {
 }
 
 /**
- * Auto-update player statistics when match is completed
+ * Check a fixture against the season's scheduling constraints
+ * Returns null when the fixture is fine, otherwise the violations and free-slot suggestions
  */
-async function updatePlayerStatistics(match, events) {
-  if (!events || events.length === 0) {
-    console.log('No events to process for player stats');
-    return;
+async function findSchedulingViolations(candidate, seasonId) {
+  const checker = await createSeasonConstraintChecker(seasonId);
+  const violations = checker.check(candidate);
+
+  if (violations.length === 0) {
+    return null;
   }
 
-  console.log(`Updating player stats for match: ${match._id}`);
+  return {
+    message: `Scheduling constraints violated: ${formatViolations(violations)}`,
+    violations,
+    suggestions: suggestFreeSlots(checker, candidate, { from: new Date(candidate.matchDate) })
+  };
+}
 
-  try {
-    // Group events by player
-    const playerEvents = {};
-    const allPlayerIds = new Set();
-
-    events.forEach(event => {
-      if (event.player) {
-        allPlayerIds.add(event.player);
-        if (!playerEvents[event.player]) {
-          playerEvents[event.player] = [];
+/**
+ * Forfeit and abandonment details to store with a match's status
+ * Forfeits take their table scoreline from the season's rules; abandoned matches need the minute play stopped
+ * @param {string} status - New match status
+ * @param {Object} body - Request body ({ forfeit: { team, walkover, reason }, abandonment: { minute, reason } })
+ * @param {Object} rules - Resolved season rules
+ * @param {Object} options - { existingMatch }
+ * @returns {Object} - { fields } to store, or { error }
+ */
+function buildOutcomeFields(status, { forfeit, abandonment }, rules, { existingMatch = null } = {}) {
+  if (status === 'forfeit') {
+    if (!['home', 'away'].includes(forfeit?.team)) {
+      return { error: 'Choose which team forfeited the match' };
+    }
+    return {
+      fields: {
+        forfeit: {
+          team: forfeit.team,
+          walkover: Boolean(forfeit.walkover),
+          reason: forfeit.reason?.trim() || null,
+          ...forfeitScoreline(forfeit.team, rules)
         }
-        playerEvents[event.player].push(event);
-      }
-    });
-
-    // Process each player
-    for (const playerId of allPlayerIds) {
-      const player = await Player.findById(playerId);
-      if (!player) {
-        console.warn(`Player not found: ${playerId}`);
-        continue;
-      }
-
-      const playerEventsList = playerEvents[playerId];
-      const seasonId = match.season.toString();
-
-      // Initialize season stats if not exists
-      if (!player.seasonStats) {
-        player.seasonStats = {};
-      }
-
-      if (!player.seasonStats[seasonId]) {
-        player.seasonStats[seasonId] = {
-          season: match.season,
-          appearances: 0,
-          goals: 0,
-          assists: 0,
-          yellowCards: 0,
-          redCards: 0,
-          minutesPlayed: 0
-        };
       }
+    };
+  }
 
-      // Initialize career stats if not exists
-      if (!player.careerStats) {
-        player.careerStats = {
-          appearances: 0,
-          goals: 0,
-          assists: 0,
-          yellowCards: 0,
-          redCards: 0,
-          minutesPlayed: 0
-        };
-      }
-
-      const seasonStats = player.seasonStats[seasonId];
-      let hasUpdatedAppearance = false;
-
-      // Check if player already has stats for this match (prevent double counting)
-      const hasExistingMatch = player.matchHistory?.some(
-        h => h.match.toString() === match._id.toString()
-      );
-
-      // Process events for this player
-      playerEventsList.forEach(event => {
-        switch (event.type) {
-          case 'goal':
-            if (!hasExistingMatch) {
-              seasonStats.goals += 1;
-              player.careerStats.goals += 1;
-            }
-            break;
-          case 'assist':
-            if (!hasExistingMatch) {
-              seasonStats.assists += 1;
-              player.careerStats.assists += 1;
-            }
-            break;
-          case 'yellow_card':
-            if (!hasExistingMatch) {
-              seasonStats.yellowCards += 1;
-              player.careerStats.yellowCards += 1;
-            }
-            break;
-          case 'red_card':
-            if (!hasExistingMatch) {
-              seasonStats.redCards += 1;
-              player.careerStats.redCards += 1;
-            }
-            break;
-        }
-
-        // Count appearance only once per player per match
-        if (!hasUpdatedAppearance && !hasExistingMatch) {
-          seasonStats.appearances += 1;
-          player.careerStats.appearances += 1;
-          seasonStats.minutesPlayed += 90; // Default full match
-          player.careerStats.minutesPlayed += 90;
-          hasUpdatedAppearance = true;
-        }
-      });
-
-      // Add to match history if not already exists
-      if (!hasExistingMatch && hasUpdatedAppearance) {
-        if (!player.matchHistory) player.matchHistory = [];
-        
-        const homeScore = match.homeScore || 0;
-        const awayScore = match.awayScore || 0;
-        const isHomeTeam = player.currentTeam.toString() === match.homeTeam.toString();
-        
-        let result;
-        if (homeScore === awayScore) {
-          result = 'draw';
-        } else if ((isHomeTeam && homeScore > awayScore) || (!isHomeTeam && awayScore > homeScore)) {
-          result = 'win';
-        } else {
-          result = 'loss';
-        }
-
-        player.matchHistory.push({
-          match: match._id,
-          season: match.season,
-          team: player.currentTeam,
-          date: match.matchDate,
-          opponent: isHomeTeam ? match.awayTeam : match.homeTeam,
-          homeTeam: match.homeTeam,
-          awayTeam: match.awayTeam,
-          result: result,
-          goals: playerEventsList.filter(e => e.type === 'goal').length,
-          assists: playerEventsList.filter(e => e.type === 'assist').length,
-          yellowCards: playerEventsList.filter(e => e.type === 'yellow_card').length,
-          redCards: playerEventsList.filter(e => e.type === 'red_card').length,
-          minutesPlayed: 90
-        });
-      }
+  const fields = { forfeit: NO_FORFEIT };
 
-      await player.save();
-      console.log(`Updated stats for ${player.name}: ${seasonStats.goals}G ${seasonStats.assists}A`);
+  if (status === 'abandoned') {
+    const minute = parseInt(abandonment?.minute);
+    if (!(minute >= 0 && minute <= maxMatchMinute(rules))) {
+      return { error: `Record the minute the match was abandoned (0-${maxMatchMinute(rules)})` };
     }
-
-    console.log(`✅ Player statistics updated successfully for ${allPlayerIds.size} players`);
-
-  } catch (error) {
-    console.error('❌ Error updating player statistics:', error);
-    throw error;
-  }
-}
-
-/**
- * Auto-update team statistics when match is completed
- */
-async function updateTeamStatistics(match) {
-  if (match.status !== 'completed' || match.statsUpdated) {
-    return; // Skip if not completed or already updated
+    fields.abandonment = {
+      minute,
+      reason: abandonment.reason?.trim() || null,
+      abandonedAt: existingMatch?.abandonment?.abandonedAt || new Date(),
+      // Keep a resume or replay already arranged
+      resolution: existingMatch?.abandonment?.resolution || null,
+      replayMatch: existingMatch?.abandonment?.replayMatch || null,
+      homeScore: existingMatch?.abandonment?.homeScore ?? null,
+      awayScore: existingMatch?.abandonment?.awayScore ?? null
+    };
   }
 
-  const homeScore = match.homeScore || 0;
-  const awayScore = match.awayScore || 0;
-  
-  // Determine results and points
-  let homeResult, awayResult, homePoints, awayPoints;
-  
-  if (homeScore > awayScore) {
-    homeResult = 'win'; awayResult = 'loss';
-    homePoints = 3; awayPoints = 0;
-  } else if (homeScore < awayScore) {
-    homeResult = 'loss'; awayResult = 'win';
-    homePoints = 0; awayPoints = 3;
-  } else {
-    homeResult = 'draw'; awayResult = 'draw';
-    homePoints = 1; awayPoints = 1;
-  }
-  
-  // Get teams
-  const [homeTeam, awayTeam] = await Promise.all([
-    Team.findById(match.homeTeam),
-    Team.findById(match.awayTeam)
-  ]);
-  
-  if (!homeTeam || !awayTeam) {
-    console.error('Teams not found for stats update');
-    return;
-  }
-  
-  // Initialize stats if they don't exist
-  const homeStats = homeTeam.stats || {
-    matchesPlayed: 0, wins: 0, draws: 0, losses: 0,
-    goalsFor: 0, goalsAgainst: 0, points: 0
-  };
-  
-  const awayStats = awayTeam.stats || {
-    matchesPlayed: 0, wins: 0, draws: 0, losses: 0,
-    goalsFor: 0, goalsAgainst: 0, points: 0
-  };
-  
-  // Update team statistics
-  await Promise.all([
-    Team.findByIdAndUpdate(match.homeTeam, {
-      stats: {
-        matchesPlayed: homeStats.matchesPlayed + 1,
-        wins: homeStats.wins + (homeResult === 'win' ? 1 : 0),
-        draws: homeStats.draws + (homeResult === 'draw' ? 1 : 0),
-        losses: homeStats.losses + (homeResult === 'loss' ? 1 : 0),
-        goalsFor: homeStats.goalsFor + homeScore,
-        goalsAgainst: homeStats.goalsAgainst + awayScore,
-        points: homeStats.points + homePoints
-      }
-    }),
-    Team.findByIdAndUpdate(match.awayTeam, {
-      stats: {
-        matchesPlayed: awayStats.matchesPlayed + 1,
-        wins: awayStats.wins + (awayResult === 'win' ? 1 : 0),
-        draws: awayStats.draws + (awayResult === 'draw' ? 1 : 0),
-        losses: awayStats.losses + (awayResult === 'loss' ? 1 : 0),
-        goalsFor: awayStats.goalsFor + awayScore,
-        goalsAgainst: awayStats.goalsAgainst + homeScore,
-        points: awayStats.points + awayPoints
-      }
-    })
-  ]);
-  
-  console.log(`✅ Team stats updated: ${homeTeam.name} ${homeScore}-${awayScore} ${awayTeam.name}`);
+  return { fields };
 }
 
+
 export default async function handler(req, res) {
   const session = await getServerSession(req, res, authOptions);
   
@@ -320,6 +173,7 @@ async function handleGET(req, res) {
       .populate('homeTeam', 'name logo')
       .populate('awayTeam', 'name logo')
       .populate('season', 'name isActive')
+      .populate('competition', 'name')
       .sort({ matchDate: 1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
@@ -335,7 +189,9 @@ async function handleGET(req, res) {
 async function handlePOST(req, res) {
   const {
     homeTeam, awayTeam, matchDate, venue, round, referee, season,
-    status = 'scheduled', homeScore = 0, awayScore = 0, notes, events = []
+    status = 'scheduled', homeScore = 0, awayScore = 0, notes, events = [],
+    forfeit, abandonment,
+    overrideConstraints = false
   } = req.body;
 
   try {
@@ -375,6 +231,18 @@ async function handlePOST(req, res) {
       return res.status(400).json({ message: 'Season not found' });
     }
 
+    // Event minutes cannot run past the season's match length plus extra time
+    const rules = resolveSeasonRules(seasonDoc);
+    const minuteCheck = validateEventMinutes(Array.isArray(events) ? events : [], rules);
+    if (!minuteCheck.isValid) {
+      return res.status(400).json({ message: minuteCheck.error });
+    }
+
+    const outcome = buildOutcomeFields(status, { forfeit, abandonment }, rules);
+    if (outcome.error) {
+      return res.status(400).json({ message: outcome.error });
+    }
+
     // Check for conflicting matches (same teams, same date within 2 hours)
     const twoHoursBefore = new Date(parsedDate.getTime() - 2 * 60 * 60 * 1000);
     const twoHoursAfter = new Date(parsedDate.getTime() + 2 * 60 * 60 * 1000);
@@ -397,6 +265,16 @@ async function handlePOST(req, res) {
       });
     }
 
+    // Blackout dates, rest periods and venue usage (admins may knowingly override)
+    if (CONSTRAINED_STATUSES.includes(status) && !overrideConstraints) {
+      const schedulingIssues = await findSchedulingViolations(
+        { homeTeam, awayTeam, matchDate: parsedDate, venue }, season
+      );
+      if (schedulingIssues) {
+        return res.status(409).json(schedulingIssues);
+      }
+    }
+
     // Create match data
     const matchData = {
       homeTeam, awayTeam,
@@ -406,37 +284,29 @@ async function handlePOST(req, res) {
       referee: referee || null,
       season, status,
       notes: notes || null,
-      events: Array.isArray(events) ? events : []
+      events: Array.isArray(events) ? events : [],
+      ...outcome.fields
     };
 
-    // Include scores for completed or live matches
-    if (status === 'completed' || status === 'live') {
+    // Include scores for matches that were (partly) played; a walkover was not played at all
+    if (SCORED_STATUSES.includes(status) && !matchData.forfeit.walkover) {
       matchData.homeScore = parseInt(homeScore) || 0;
       matchData.awayScore = parseInt(awayScore) || 0;
+    } else if (matchData.forfeit.walkover) {
+      matchData.events = [];
     }
 
     const match = new Match(matchData);
     await match.save();
 
-    // Auto-update statistics for completed matches
-    if (status === 'completed') {
-      try {
-        // Update team statistics
-        await updateTeamStatistics(match);
-        
-        // Update player statistics if events exist
-        if (events.length > 0) {
-          await updatePlayerStatistics(match, events);
-        }
-        
-        // Mark as stats updated
-        await Match.findByIdAndUpdate(match._id, { statsUpdated: true });
-        
-        console.log('✅ Auto-updated statistics for completed match');
-      } catch (statsError) {
-        console.error('❌ Failed to update statistics:', statsError);
-        // Don't fail the match creation if stats update fails
-      }
+    // Auto-update statistics for completed and forfeited matches
+    if (TABLE_STATUSES.includes(status)) {
+      // Player stat lines from the events (if they count under the season's rules)
+      await refreshPlayerStatsForMatch(match);
+      await refreshSuspensionsForMatch(match);
+
+      // Recomputes the table and the team stats
+      await refreshStandingsForMatch(match);
     }
 
     // Populate the response
@@ -471,7 +341,9 @@ async function handlePOST(req, res) {
 async function handlePUT(req, res) {
   const {
     id, homeTeam, awayTeam, matchDate, venue, round, referee, season,
-    status, homeScore, awayScore, notes, events = []
+    status, homeScore, awayScore, notes, events = [],
+    extraTime, penalties, forfeit, abandonment,
+    overrideConstraints = false
   } = req.body;
 
   try {
@@ -516,6 +388,18 @@ async function handlePUT(req, res) {
       return res.status(400).json({ message: 'Away team not found or does not belong to selected season' });
     }
 
+    // Event minutes cannot run past the season's match length plus extra time
+    const rules = await loadSeasonRules(season);
+    const minuteCheck = validateEventMinutes(Array.isArray(events) ? events : [], rules);
+    if (!minuteCheck.isValid) {
+      return res.status(400).json({ message: minuteCheck.error });
+    }
+
+    const outcome = buildOutcomeFields(status, { forfeit, abandonment }, rules, { existingMatch });
+    if (outcome.error) {
+      return res.status(400).json({ message: outcome.error });
+    }
+
     // Check for conflicting matches (excluding current match)
     const twoHoursBefore = new Date(parsedDate.getTime() - 2 * 60 * 60 * 1000);
     const twoHoursAfter = new Date(parsedDate.getTime() + 2 * 60 * 60 * 1000);
@@ -539,6 +423,22 @@ async function handlePUT(req, res) {
       });
     }
 
+    // Re-check constraints only when the slot or the teams change
+    const slotChanged =
+      existingMatch.matchDate.getTime() !== parsedDate.getTime() ||
+      (existingMatch.venue || '') !== (venue || '') ||
+      existingMatch.homeTeam.toString() !== homeTeam ||
+      existingMatch.awayTeam.toString() !== awayTeam;
+
+    if (CONSTRAINED_STATUSES.includes(status || existingMatch.status) && slotChanged && !overrideConstraints) {
+      const schedulingIssues = await findSchedulingViolations(
+        { _id: id, homeTeam, awayTeam, matchDate: parsedDate, venue }, season
+      );
+      if (schedulingIssues) {
+        return res.status(409).json(schedulingIssues);
+      }
+    }
+
     // Update match data
     const updateData = {
       homeTeam, awayTeam,
@@ -549,22 +449,54 @@ async function handlePUT(req, res) {
       season, status: status || 'scheduled',
       notes: notes || null,
       events: Array.isArray(events) ? events : [],
+      ...outcome.fields,
       updatedAt: new Date()
     };
 
-    // Handle scores based on status
-    if (status === 'completed' || status === 'live') {
+    // Handle scores based on status; a walkover was not played at all
+    if (SCORED_STATUSES.includes(status) && !updateData.forfeit.walkover) {
       updateData.homeScore = parseInt(homeScore) || 0;
       updateData.awayScore = parseInt(awayScore) || 0;
     } else {
       updateData.homeScore = 0;
       updateData.awayScore = 0;
+      if (updateData.forfeit.walkover) updateData.events = [];
     }
 
-    // Check if this is a status change to completed
-    const wasCompleted = existingMatch.status === 'completed';
-    const nowCompleted = status === 'completed';
-    const shouldUpdateStats = nowCompleted && (!wasCompleted || !existingMatch.statsUpdated);
+    // Knockout matches carry extra time and penalties and must produce a winner
+    // A first leg is an ordinary match; the second leg must settle the tie on aggregate
+    if (existingMatch.competition && !existingMatch.group && existingMatch.leg !== 1) {
+      Object.assign(updateData, normalizeKnockoutResult({ extraTime, penalties }));
+
+      if (status === 'completed' && existingMatch.leg === 2) {
+        const [firstLeg, competition] = await Promise.all([
+          Match.findById(existingMatch.otherLeg).lean(),
+          Competition.findById(existingMatch.competition).select('twoLegged').lean()
+        ]);
+
+        if (firstLeg?.status !== 'completed') {
+          return res.status(400).json({ message: 'Complete the first leg before the second leg' });
+        }
+        if (updateData.extraTime.played && competition?.twoLegged?.extraTime === false) {
+          return res.status(400).json({
+            message: 'This competition goes straight to penalties when level on aggregate: remove the extra time'
+          });
+        }
+        if (!determineTieWinner(firstLeg, updateData, competition?.twoLegged).winner) {
+          return res.status(400).json({
+            message: 'The tie is level on aggregate: record extra time or a penalty shootout with a winner'
+          });
+        }
+      } else if (status === 'completed' && !determineKnockoutWinner(updateData).winner) {
+        return res.status(400).json({
+          message: 'A knockout match cannot end level: record extra time or a penalty shootout with a winner'
+        });
+      }
+    }
+
+    // Check if this is a status change to a result that counts (completed or forfeit)
+    const wasCompleted = TABLE_STATUSES.includes(existingMatch.status);
+    const nowCompleted = TABLE_STATUSES.includes(status);
 
     const updatedMatch = await Match.findByIdAndUpdate(
       id, updateData, { new: true, runValidators: true }
@@ -574,24 +506,25 @@ async function handlePUT(req, res) {
       { path: 'season', select: 'name isActive' }
     ]);
 
-    // Auto-update statistics if match is now completed
-    if (shouldUpdateStats) {
+    // Player stat lines follow the edited events and status (corrections are taken back out)
+    await refreshPlayerStatsForMatch(updatedMatch);
+    await refreshSuspensionsForMatch(updatedMatch);
+    await publishMatchUpdate(updatedMatch);
+
+    // The stored table and team stats change with any edit to a result they count (or used to count)
+    if (wasCompleted || nowCompleted) {
+      await refreshStandingsForMatch(updatedMatch, { previous: existingMatch });
+      if (existingMatch.season.toString() !== updatedMatch.season._id.toString()) {
+        await refreshSeasonStandings(existingMatch.season, [existingMatch.homeTeam, existingMatch.awayTeam]);
+      }
+    }
+
+    // Competition matches: finish the group stage or move the knockout winner on (also after a corrected result)
+    if (updatedMatch.competition && (nowCompleted || updatedMatch.status === 'cancelled')) {
       try {
-        // Update team statistics
-        await updateTeamStatistics(updatedMatch);
-        
-        // Update player statistics if events exist
-        if (events.length > 0) {
-          await updatePlayerStatistics(updatedMatch, events);
-        }
-        
-        // Mark as stats updated
-        await Match.findByIdAndUpdate(id, { statsUpdated: true });
-        
-        console.log('✅ Auto-updated statistics for completed match');
-      } catch (statsError) {
-        console.error('❌ Failed to update statistics:', statsError);
-        // Don't fail the match update if stats update fails
+        await processCompetitionMatch(updatedMatch);
+      } catch (advanceError) {
+        console.error('❌ Failed to update competition:', advanceError);
       }
     }
 
@@ -638,7 +571,18 @@ async function handleDELETE(req, res) {
       return res.status(400).json({ message: 'Cannot delete a live match' });
     }
 
+    // Competition matches are removed together with their competition
+    if (match.competition) {
+      return res.status(400).json({ message: 'Cannot delete a competition match; edit it or delete the competition instead' });
+    }
+
     await Match.findByIdAndDelete(id);
+    await refreshPlayerStatsForMatch(id);
+    await refreshSuspensionsForMatch(match);
+
+    if (TABLE_STATUSES.includes(match.status)) {
+      await refreshStandingsForMatch(match);
+    }
 
     console.log('Match deleted successfully:', {
       id: match._id,
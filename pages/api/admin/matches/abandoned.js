@@ -0,0 +1,144 @@
+// ===========================================
+// FILE: pages/api/admin/matches/abandoned.js
+// Resolve an abandoned match: resume it from the minute it stopped, or replay it in full
+// ===========================================
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../../auth/[...nextauth]';
+import dbConnect from '../../../../lib/mongodb';
+import Match from '../../../../models/Match';
+import { createSeasonConstraintChecker } from '../../../../lib/scheduling';
+import { refreshPlayerStatsForMatch } from '../../../../lib/playerStats';
+import { refreshSuspensionsForMatch } from '../../../../lib/suspensions';
+import { validateMatchDate } from '../../../../utils/matchValidation';
+import { suggestFreeSlots, formatViolations } from '../../../../utils/schedulingConstraints';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const session = await getServerSession(req, res, authOptions);
+    if (!session || session.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Admin access required' });
+    }
+
+    await dbConnect();
+
+    const { matchId, action, matchDate, venue, overrideConstraints = false } = req.body;
+
+    if (!matchId || !['resume', 'replay'].includes(action)) {
+      return res.status(400).json({ message: 'Match ID and an action (resume or replay) are required' });
+    }
+
+    const match = await Match.findById(matchId);
+    if (!match) {
+      return res.status(404).json({ message: 'Match not found' });
+    }
+
+    if (match.status !== 'abandoned') {
+      return res.status(400).json({ message: 'Only abandoned matches can be resumed or replayed' });
+    }
+    if (match.abandonment?.resolution) {
+      return res.status(400).json({ message: `This match is already set to ${match.abandonment.resolution}` });
+    }
+    if (action === 'replay' && match.competition && !match.group) {
+      return res.status(400).json({ message: 'Knockout ties are resumed, not replayed, so the tie keeps its bracket place' });
+    }
+
+    const dateCheck = validateMatchDate(matchDate, 'scheduled');
+    if (!dateCheck.isValid) {
+      return res.status(400).json({ message: dateCheck.error });
+    }
+
+    const fixture = {
+      // Resuming keeps the same match, so it must not clash with itself
+      _id: action === 'resume' ? match._id : undefined,
+      homeTeam: match.homeTeam,
+      awayTeam: match.awayTeam,
+      matchDate: dateCheck.date,
+      venue: venue !== undefined ? venue || null : match.venue
+    };
+
+    if (!overrideConstraints) {
+      const checker = await createSeasonConstraintChecker(match.season);
+      const violations = checker.check(fixture);
+      if (violations.length > 0) {
+        return res.status(409).json({
+          message: `Scheduling constraints violated: ${formatViolations(violations)}`,
+          violations,
+          suggestions: suggestFreeSlots(checker, fixture, { from: dateCheck.date })
+        });
+      }
+    }
+
+    let resultMatch;
+
+    if (action === 'resume') {
+      // Same match, back on the schedule: events are kept and the clock restarts at the minute it stopped.
+      // A scheduled match has no score, so the score so far waits in abandonment until play restarts
+      resultMatch = await Match.findByIdAndUpdate(match._id, {
+        $set: {
+          status: 'scheduled',
+          matchDate: fixture.matchDate,
+          venue: fixture.venue,
+          homeScore: 0,
+          awayScore: 0,
+          'abandonment.homeScore': match.homeScore || 0,
+          'abandonment.awayScore': match.awayScore || 0,
+          'abandonment.resolution': 'resume',
+          'liveData.isLive': false,
+          'liveData.currentMinute': match.abandonment.minute || 0
+        }
+      }, { new: true });
+    } else {
+      resultMatch = await Match.create({
+        homeTeam: match.homeTeam,
+        awayTeam: match.awayTeam,
+        matchDate: fixture.matchDate,
+        venue: fixture.venue,
+        round: match.round,
+        referee: match.referee,
+        season: match.season,
+        status: 'scheduled',
+        competition: match.competition,
+        group: match.group,
+        matchday: match.matchday,
+        replayOf: match._id
+      });
+
+      await Match.findByIdAndUpdate(match._id, {
+        $set: {
+          'abandonment.resolution': 'replay',
+          'abandonment.replayMatch': resultMatch._id
+        }
+      });
+
+      // The abandoned match is final now: its events count for players if the season allows
+      await refreshPlayerStatsForMatch(match._id);
+      await refreshSuspensionsForMatch(match);
+    }
+
+    console.log(`Abandoned match ${match._id} (${match.abandonment.minute}') set to ${action}:`, {
+      matchId: resultMatch._id,
+      date: fixture.matchDate.toISOString()
+    });
+
+    const populated = await Match.findById(resultMatch._id)
+      .populate('homeTeam', 'name logo')
+      .populate('awayTeam', 'name logo')
+      .populate('season', 'name isActive')
+      .lean();
+
+    return res.status(200).json({
+      message: action === 'resume' ? 'Match rescheduled to resume' : 'Replay scheduled',
+      match: populated
+    });
+  } catch (error) {
+    console.error('Abandoned match API error:', error);
+    return res.status(500).json({
+      message: 'Failed to resolve abandoned match',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
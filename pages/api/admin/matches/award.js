@@ -0,0 +1,109 @@
+// ===========================================
+// FILE: pages/api/admin/matches/award.js
+// Award (or withdraw) a disciplinary result for a league match
+// ===========================================
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../../auth/[...nextauth]';
+import dbConnect from '../../../../lib/mongodb';
+import Match from '../../../../models/Match';
+import { tableScore } from '../../../../utils/standings';
+import { TABLE_STATUSES } from '../../../../utils/matchStatus';
+import { refreshStandingsForMatch } from '../../../../lib/standings';
+import { refreshPlayerStatsForMatch } from '../../../../lib/playerStats';
+import { refreshSuspensionsForMatch } from '../../../../lib/suspensions';
+
+export default async function handler(req, res) {
+  try {
+    const session = await getServerSession(req, res, authOptions);
+    if (!session || session.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Admin access required' });
+    }
+
+    await dbConnect();
+
+    if (req.method !== 'POST' && req.method !== 'DELETE') {
+      return res.status(405).json({ message: 'Method not allowed' });
+    }
+
+    const matchId = req.method === 'POST' ? req.body.matchId : req.query.matchId;
+    if (!matchId) {
+      return res.status(400).json({ message: 'Match ID is required' });
+    }
+
+    const match = await Match.findById(matchId);
+    if (!match) {
+      return res.status(404).json({ message: 'Match not found' });
+    }
+
+    if (match.competition) {
+      return res.status(400).json({ message: 'Awarded results only apply to league matches' });
+    }
+
+    const before = tableScore(match);
+    let awardedResult;
+
+    if (req.method === 'POST') {
+      const { homeScore, awayScore, reason, decisionReference } = req.body;
+      const home = parseInt(homeScore);
+      const away = parseInt(awayScore);
+
+      if (!TABLE_STATUSES.includes(match.status)) {
+        return res.status(400).json({ message: 'Only completed or forfeited matches can have an awarded result' });
+      }
+      if (!Number.isInteger(home) || !Number.isInteger(away) || home < 0 || away < 0) {
+        return res.status(400).json({ message: 'Awarded scores must be whole numbers of at least 0' });
+      }
+      if (!reason?.trim()) {
+        return res.status(400).json({ message: 'A reason is required for an awarded result' });
+      }
+
+      awardedResult = {
+        homeScore: home,
+        awayScore: away,
+        reason: reason.trim(),
+        decisionReference: decisionReference?.trim() || null,
+        awardedAt: new Date()
+      };
+    } else {
+      if (match.awardedResult?.homeScore == null) {
+        return res.status(400).json({ message: 'This match has no awarded result' });
+      }
+      awardedResult = {
+        homeScore: null,
+        awayScore: null,
+        reason: null,
+        decisionReference: null,
+        awardedAt: null
+      };
+    }
+
+    // Update only the awarded result: saving the document would recount the played score from events
+    await Match.findByIdAndUpdate(match._id, { $set: { awardedResult } });
+    const after = tableScore({ ...match.toObject(), awardedResult });
+
+    // The table and team stats are recomputed with the new table score
+    await refreshStandingsForMatch(match);
+    await refreshPlayerStatsForMatch(match);
+    await refreshSuspensionsForMatch(match);
+
+    console.log(`Awarded result ${req.method === 'POST' ? 'set' : 'withdrawn'} for match ${match._id}: ` +
+      `table ${before.homeScore}-${before.awayScore} -> ${after.homeScore}-${after.awayScore} ` +
+      `(played ${match.homeScore}-${match.awayScore})`);
+
+    const populated = await Match.findById(match._id)
+      .populate('homeTeam', 'name logo')
+      .populate('awayTeam', 'name logo')
+      .lean();
+
+    return res.status(200).json({
+      message: req.method === 'POST' ? 'Result awarded successfully' : 'Awarded result withdrawn',
+      match: populated
+    });
+  } catch (error) {
+    console.error('Award result API error:', error);
+    return res.status(500).json({
+      message: 'Failed to update awarded result',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -0,0 +1,75 @@
+// ===========================================
+// FILE: pages/api/admin/matches/constraints.js
+// Report every scheduling constraint violation in a season with free-slot suggestions
+// ===========================================
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../../auth/[...nextauth]';
+import dbConnect from '../../../../lib/mongodb';
+import Match from '../../../../models/Match';
+import Season from '../../../../models/Season';
+import { createSeasonConstraintChecker } from '../../../../lib/scheduling';
+import { buildViolationReport } from '../../../../utils/schedulingConstraints';
+
+export default async function handler(req, res) {
+  const session = await getServerSession(req, res, authOptions);
+
+  if (!session || session.user.role !== 'admin') {
+    return res.status(401).json({ message: 'Unauthorized' });
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  await dbConnect();
+
+  try {
+    let { seasonId } = req.query;
+
+    if (!seasonId) {
+      const activeSeason = await Season.findOne({ isActive: true }).select('_id').lean();
+      if (!activeSeason) {
+        return res.status(400).json({ message: 'Season is required' });
+      }
+      seasonId = activeSeason._id;
+    }
+
+    const [checker, fixtures] = await Promise.all([
+      createSeasonConstraintChecker(seasonId),
+      Match.find({ season: seasonId, status: { $in: ['draft', 'scheduled'] } })
+        .populate('homeTeam', 'name')
+        .populate('awayTeam', 'name')
+        .sort({ matchDate: 1 })
+        .lean()
+    ]);
+
+    const report = buildViolationReport(checker, fixtures);
+
+    console.log(`Scheduling report for season ${seasonId}: ${report.length} of ${fixtures.length} fixtures have violations`);
+
+    return res.status(200).json({
+      seasonId,
+      checked: fixtures.length,
+      rules: checker.rules,
+      report: report.map(entry => ({
+        match: {
+          _id: entry.match._id,
+          homeTeam: entry.match.homeTeam,
+          awayTeam: entry.match.awayTeam,
+          matchDate: entry.match.matchDate,
+          venue: entry.match.venue,
+          status: entry.match.status,
+          round: entry.match.round
+        },
+        violations: entry.violations,
+        suggestions: entry.suggestions
+      }))
+    });
+  } catch (error) {
+    console.error('Scheduling report error:', error);
+    return res.status(500).json({
+      message: 'Failed to build scheduling report',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
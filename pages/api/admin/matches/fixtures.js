@@ -0,0 +1,184 @@
+// ===========================================
+// FILE: pages/api/admin/matches/fixtures.js
+// Generate round-robin fixtures as drafts, then publish or discard them
+// ===========================================
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../../auth/[...nextauth]';
+import dbConnect from '../../../../lib/mongodb';
+import Match from '../../../../models/Match';
+import Team from '../../../../models/Team';
+import Season from '../../../../models/Season';
+import { createSeasonConstraintChecker } from '../../../../lib/scheduling';
+import { generateRoundRobin, assignFixtureCalendar } from '../../../../utils/fixtureGenerator';
+
+export default async function handler(req, res) {
+  const session = await getServerSession(req, res, authOptions);
+
+  if (!session || session.user.role !== 'admin') {
+    return res.status(401).json({ message: 'Unauthorized' });
+  }
+
+  await dbConnect();
+
+  try {
+    switch (req.method) {
+      case 'POST':
+        return await handleGenerate(req, res);
+      case 'PUT':
+        return await handlePublish(req, res);
+      case 'DELETE':
+        return await handleDiscard(req, res);
+      default:
+        return res.status(405).json({ message: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('Fixtures API Error:', error);
+    return res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+/**
+ * Build the fixture list for a season and either preview it or save it as drafts
+ */
+async function handleGenerate(req, res) {
+  const {
+    seasonId,
+    format = 'single',
+    startDate,
+    matchDays,
+    timeSlots,
+    venues,
+    daysBetweenMatchdays,
+    excludedDates,
+    preview = false,
+    replaceDrafts = true
+  } = req.body;
+
+  if (!seasonId) {
+    return res.status(400).json({ message: 'Season is required' });
+  }
+
+  if (!['single', 'double'].includes(format)) {
+    return res.status(400).json({ message: 'Format must be single or double round-robin' });
+  }
+
+  const season = await Season.findById(seasonId).lean();
+  if (!season) {
+    return res.status(404).json({ message: 'Season not found' });
+  }
+
+  const teams = await Team.find({ season: seasonId, isActive: true })
+    .select('name')
+    .sort({ name: 1 })
+    .lean();
+
+  if (teams.length < 2) {
+    return res.status(400).json({ message: 'At least two active teams are required to generate fixtures' });
+  }
+
+  // Existing drafts are ignored when they are about to be replaced
+  const checker = await createSeasonConstraintChecker(seasonId, { includeDrafts: !replaceDrafts });
+
+  let fixtures;
+  let rounds;
+  try {
+    rounds = generateRoundRobin(teams.map(t => t._id), { doubleRound: format === 'double' });
+    fixtures = assignFixtureCalendar(rounds, {
+      startDate, matchDays, timeSlots, venues, daysBetweenMatchdays, excludedDates
+    }, {
+      reserveSlot: (candidate) => checker.reserve(candidate)
+    });
+  } catch (calendarError) {
+    return res.status(400).json({ message: calendarError.message });
+  }
+
+  const teamNames = {};
+  teams.forEach(team => { teamNames[team._id.toString()] = team.name; });
+
+  const byes = rounds
+    .filter(round => round.bye)
+    .map(round => ({ matchday: round.matchday, team: teamNames[round.bye.toString()] }));
+
+  console.log(`Generated ${fixtures.length} fixtures over ${rounds.length} matchdays for ${season.name}`);
+
+  if (preview) {
+    return res.status(200).json({
+      matchdays: rounds.length,
+      fixtures: fixtures.map(fixture => ({
+        ...fixture,
+        homeTeamName: teamNames[fixture.homeTeam.toString()],
+        awayTeamName: teamNames[fixture.awayTeam.toString()]
+      })),
+      byes
+    });
+  }
+
+  if (replaceDrafts) {
+    const removed = await Match.deleteMany({ season: seasonId, status: 'draft' });
+    console.log(`Removed ${removed.deletedCount} previous draft fixtures`);
+  }
+
+  const created = await Match.create(fixtures.map(fixture => ({
+    homeTeam: fixture.homeTeam,
+    awayTeam: fixture.awayTeam,
+    matchDate: fixture.matchDate,
+    venue: fixture.venue,
+    matchday: fixture.matchday,
+    round: `Matchday ${fixture.matchday}`,
+    season: seasonId,
+    status: 'draft'
+  })));
+
+  return res.status(201).json({
+    message: `Created ${created.length} draft fixtures over ${rounds.length} matchdays`,
+    created: created.length,
+    matchdays: rounds.length,
+    byes
+  });
+}
+
+/**
+ * Publish draft fixtures so they become regular scheduled matches
+ */
+async function handlePublish(req, res) {
+  const { seasonId, matchIds } = req.body;
+
+  if (!seasonId) {
+    return res.status(400).json({ message: 'Season is required' });
+  }
+
+  const query = { season: seasonId, status: 'draft' };
+  if (Array.isArray(matchIds) && matchIds.length > 0) {
+    query._id = { $in: matchIds };
+  }
+
+  const result = await Match.updateMany(query, { $set: { status: 'scheduled' } });
+
+  console.log(`Published ${result.modifiedCount} draft fixtures for season ${seasonId}`);
+
+  return res.status(200).json({
+    message: `Published ${result.modifiedCount} fixtures`,
+    published: result.modifiedCount
+  });
+}
+
+/**
+ * Discard all draft fixtures of a season
+ */
+async function handleDiscard(req, res) {
+  const { seasonId } = req.query;
+
+  if (!seasonId) {
+    return res.status(400).json({ message: 'Season is required' });
+  }
+
+  const result = await Match.deleteMany({ season: seasonId, status: 'draft' });
+
+  return res.status(200).json({
+    message: `Discarded ${result.deletedCount} draft fixtures`,
+    discarded: result.deletedCount
+  });
+}
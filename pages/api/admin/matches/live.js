@@ -1,6 +1,9 @@
 import dbConnect from '../../../../lib/mongodb';
 import Match from '../../../../models/Match';
 import { getSession } from 'next-auth/react';
+import { loadSeasonRules } from '../../../../lib/seasonRules';
+import { applyClockAction, liveDataUpdate } from '../../../../utils/matchClock';
+import { publishMatchUpdate } from '../../../../lib/liveFeed';
 
 export default async function handler(req, res) {
   const session = await getSession({ req });
@@ -16,18 +19,26 @@ export default async function handler(req, res) {
   await dbConnect();
 
   try {
-    const { matchId, action, currentMinute } = req.body;
+    const { matchId, action } = req.body;
 
-    const updateData = {
-      'liveData.currentMinute': currentMinute,
-      'liveData.lastUpdate': new Date(),
-    };
+    if (!['start', 'pause', 'resume'].includes(action)) {
+      return res.status(400).json({ message: 'Invalid action. Use: start, pause or resume' });
+    }
+
+    const existing = await Match.findById(matchId).select('season status liveData').lean();
+    if (!existing) {
+      return res.status(404).json({ message: 'Match not found' });
+    }
 
+    // The clock runs on the server from the stored start, pause and resume times
+    const clock = applyClockAction(existing.liveData, action, await loadSeasonRules(existing.season));
+    if (clock.error) {
+      return res.status(400).json({ message: clock.error });
+    }
+
+    const updateData = liveDataUpdate(clock.liveData);
     if (action === 'start') {
       updateData.status = 'live';
-      updateData['liveData.isLive'] = true;
-    } else if (action === 'pause') {
-      updateData['liveData.isLive'] = false;
     }
 
     const match = await Match.findByIdAndUpdate(matchId, updateData, { new: true })
@@ -38,7 +49,9 @@ export default async function handler(req, res) {
       return res.status(404).json({ message: 'Match not found' });
     }
 
-    res.status(200).json({ message: 'Match updated successfully', match });
+    await publishMatchUpdate(match);
+
+    res.status(200).json({ message: 'Match updated successfully', match, serverTime: new Date() });
   } catch (error) {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
@@ -6,6 +6,11 @@ import dbConnect from '../../../../lib/mongodb';
 import Match from '../../../../models/Match';
 import { getServerSession } from 'next-auth/next';
 import { authOptions } from '../../auth/[...nextauth]';
+import { refreshStandingsForMatch } from '../../../../lib/standings';
+import { refreshPlayerStatsForMatch } from '../../../../lib/playerStats';
+import { refreshSuspensionsForMatch } from '../../../../lib/suspensions';
+import { publishMatchUpdate } from '../../../../lib/liveFeed';
+import { TABLE_STATUSES } from '../../../../utils/matchStatus';
 
 export default async function handler(req, res) {
   // CORS headers
@@ -45,7 +50,6 @@ export default async function handler(req, res) {
       homeScore: 0,
       awayScore: 0,
       events: [],
-      statsUpdated: false,
       liveData: {
         isLive: false,
         currentMinute: 0,
@@ -57,6 +61,8 @@ export default async function handler(req, res) {
       }
     };
 
+    const previous = await Match.findById(matchId).select('status').lean();
+
     const match = await Match.findByIdAndUpdate(
       matchId,
       resetData,
@@ -69,6 +75,14 @@ export default async function handler(req, res) {
       return res.status(404).json({ message: 'Match not found' });
     }
 
+    // A reset result leaves the league table, and its events leave the players' stats
+    if (TABLE_STATUSES.includes(previous?.status)) {
+      await refreshStandingsForMatch(match);
+    }
+    await refreshPlayerStatsForMatch(match);
+    await refreshSuspensionsForMatch(match);
+    await publishMatchUpdate(match);
+
     console.log(`Match reset successful: ${match.homeTeam.name} vs ${match.awayTeam.name}`);
 
     return res.status(200).json({ 
@@ -6,6 +6,16 @@ import dbConnect from '../../../../lib/mongodb';
 import Match from '../../../../models/Match';
 import { getServerSession } from 'next-auth/next';
 import { authOptions } from '../../auth/[...nextauth]';
+import { refreshStandingsForMatch } from '../../../../lib/standings';
+import { refreshPlayerStatsForMatch } from '../../../../lib/playerStats';
+import { refreshSuspensionsForMatch } from '../../../../lib/suspensions';
+import { publishMatchUpdate } from '../../../../lib/liveFeed';
+import { TABLE_STATUSES } from '../../../../utils/matchStatus';
+import { loadSeasonRules } from '../../../../lib/seasonRules';
+import { eventTime } from '../../../../utils/matchClock';
+import { accumulateFoul } from '../../../../utils/accumulatedFouls';
+import { isPowerPlayGoal } from '../../../../utils/powerPlay';
+import { checkEventParticipant, recordIneligibleParticipation } from '../../../../lib/eligibility';
 
 export default async function handler(req, res) {
   // CORS headers
@@ -46,20 +56,49 @@ export default async function handler(req, res) {
       'liveData.lastUpdate': new Date()
     };
 
-    // Update current minute if provided
-    if (typeof currentMinute === 'number' && currentMinute >= 0) {
-      updateData['liveData.currentMinute'] = currentMinute;
-    }
-
-    // Add event to match events if provided
+    // Add event to match events if provided, timed by the server clock unless a minute is given
+    // An ineligible player, or one left out of the matchday squad, needs the admin's confirmation
+    // (event.confirmIneligible) before being recorded
+    let ineligible = [];
+    let eventMatch = null;
     if (event && event.type) {
-      const match = await Match.findById(matchId);
+      const { confirmIneligible, recordFairPlay, ...eventFields } = event;
+      const match = await Match.findById(matchId).select('homeTeam awayTeam season matchDate squads liveData events').lean();
       if (match) {
+        const eventTeam = event.team === 'away' ? match.awayTeam : match.homeTeam;
+        const participantCheck = await checkEventParticipant(event, match);
+        if (participantCheck && !confirmIneligible) {
+          return res.status(409).json({
+            message: participantCheck.message,
+            requiresConfirmation: true,
+            ineligible: participantCheck.ineligible,
+            notInSquad: participantCheck.notInSquad
+          });
+        }
+        ineligible = participantCheck?.ineligible || [];
+        if (ineligible.length > 0 && recordFairPlay) {
+          eventMatch = { match, team: eventTeam };
+        }
+
+        const rules = await loadSeasonRules(match.season);
+        const time = typeof currentMinute === 'number'
+          ? { minute: currentMinute, second: null, period: null }
+          : eventTime(match.liveData, rules) || { minute: 0, second: null, period: null };
         const newEvent = {
-          ...event,
-          minute: currentMinute || match.liveData?.currentMinute || 0,
+          ...eventFields,
+          minute: time.minute,
+          second: time.second,
+          period: time.period,
           timestamp: new Date()
         };
+        // Futsal accumulated fouls: flag the foul that gives a kick from the second penalty mark
+        if (newEvent.type === 'foul') {
+          Object.assign(newEvent, accumulateFoul(match.events || [], newEvent, rules));
+        }
+        // Goals by the team with more players on court while the other is short after a red card
+        if (newEvent.type === 'goal' || newEvent.type === 'own_goal') {
+          newEvent.powerPlayGoal = isPowerPlayGoal(match.events || [], newEvent, rules);
+        }
         updateData.$push = { events: newEvent };
       }
     }
@@ -77,6 +116,19 @@ export default async function handler(req, res) {
       return res.status(404).json({ message: 'Match not found' });
     }
 
+    if (eventMatch) {
+      await recordIneligibleParticipation(ineligible, eventMatch.match, eventMatch.team, session);
+    }
+
+    // A corrected score on a finished match changes the league table
+    if (TABLE_STATUSES.includes(match.status)) {
+      await refreshStandingsForMatch(match);
+      await refreshPlayerStatsForMatch(match);
+      await refreshSuspensionsForMatch(match);
+    }
+
+    await publishMatchUpdate(match);
+
     console.log(`Score updated: ${match.homeTeam.name} ${homeScore}-${awayScore} ${match.awayTeam.name}`);
 
     return res.status(200).json({ 
@@ -0,0 +1,152 @@
+// ===========================================
+// FILE: pages/api/admin/matches/squad.js
+// Matchday squads of a match: GET ?matchId= for both squads and the players each team can name,
+// PUT { matchId, team ('home' | 'away'), players: [{ player, starting }], goalkeeper, captain } to submit one
+// Ineligible players (lib/eligibility) are refused with 409 unless confirmIneligible is set, and with
+// recordFairPlay a fair-play record is created for each of them
+// ===========================================
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../../auth/[...nextauth]';
+import dbConnect from '../../../../lib/mongodb';
+import Match from '../../../../models/Match';
+import Player from '../../../../models/Player';
+import { loadSeasonRules } from '../../../../lib/seasonRules';
+import { refreshPlayerStatsForMatch } from '../../../../lib/playerStats';
+import { publishMatchUpdate } from '../../../../lib/liveFeed';
+import { findTeamPlayersOnDate, loadEligibility, recordIneligibleParticipation } from '../../../../lib/eligibility';
+import { MATCH_SIDES, normalizeSquad, validateSquad } from '../../../../utils/matchSquads';
+
+// Squads of these matches change who appeared in them
+const PLAYED_STATUSES = ['completed', 'forfeit', 'abandoned'];
+
+const PLAYER_FIELDS = 'name jerseyNumber position photo status';
+
+const loadSquads = (matchId) => Match.findById(matchId)
+  .select('homeTeam awayTeam season status matchDate squads')
+  .populate('homeTeam', 'name')
+  .populate('awayTeam', 'name')
+  .populate('squads.home.players.player', PLAYER_FIELDS)
+  .populate('squads.away.players.player', PLAYER_FIELDS)
+  .lean();
+
+export default async function handler(req, res) {
+  try {
+    const session = await getServerSession(req, res, authOptions);
+    if (!session || session.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Admin access required' });
+    }
+
+    await dbConnect();
+
+    switch (req.method) {
+      case 'GET': {
+        const { matchId } = req.query;
+        if (!matchId) {
+          return res.status(400).json({ message: 'Match ID is required' });
+        }
+
+        const match = await loadSquads(matchId);
+        if (!match) {
+          return res.status(404).json({ message: 'Match not found' });
+        }
+
+        const rules = await loadSeasonRules(match.season);
+        // The players each team had on the match date, so a player since transferred can still be named
+        const [homePlayers, awayPlayers] = await Promise.all([match.homeTeam, match.awayTeam].map(async team => {
+          const playerIds = await findTeamPlayersOnDate(team._id, match.matchDate);
+          return Player.find({ _id: { $in: playerIds } }).select(PLAYER_FIELDS).sort({ jerseyNumber: 1, name: 1 }).lean();
+        }));
+        const [homeEligibility, awayEligibility] = await Promise.all([
+          loadEligibility(homePlayers.map(player => player._id), match, match.homeTeam._id),
+          loadEligibility(awayPlayers.map(player => player._id), match, match.awayTeam._id)
+        ]);
+
+        return res.status(200).json({
+          squads: { home: match.squads?.home || null, away: match.squads?.away || null },
+          players: { home: homePlayers, away: awayPlayers },
+          eligibility: { home: Object.fromEntries(homeEligibility), away: Object.fromEntries(awayEligibility) },
+          teams: { home: match.homeTeam, away: match.awayTeam },
+          limits: { maxSquadSize: rules.maxSquadSize, maxPlayersOnCourt: rules.maxPlayersOnCourt }
+        });
+      }
+
+      case 'PUT': {
+        const { matchId, team, confirmIneligible = false, recordFairPlay = false } = req.body;
+        if (!matchId) {
+          return res.status(400).json({ message: 'Match ID is required' });
+        }
+        if (!MATCH_SIDES.includes(team)) {
+          return res.status(400).json({ message: 'Team must be home or away' });
+        }
+
+        const match = await Match.findById(matchId).select('homeTeam awayTeam season status matchDate').lean();
+        if (!match) {
+          return res.status(404).json({ message: 'Match not found' });
+        }
+        if (['cancelled', 'postponed'].includes(match.status)) {
+          return res.status(400).json({ message: `Squads cannot be submitted for a ${match.status} match` });
+        }
+
+        const rules = await loadSeasonRules(match.season);
+        const teamId = team === 'home' ? match.homeTeam : match.awayTeam;
+        const teamPlayerIds = await findTeamPlayersOnDate(teamId, match.matchDate);
+        const squad = normalizeSquad(req.body);
+
+        const squadError = validateSquad(squad, rules, teamPlayerIds);
+        if (squadError) {
+          return res.status(400).json({ message: squadError });
+        }
+
+        const eligibility = await loadEligibility(squad.players.map(entry => entry.player), match, teamId);
+        const ineligible = [...eligibility.values()].filter(result => !result.eligible);
+        if (ineligible.length > 0 && !confirmIneligible) {
+          return res.status(409).json({
+            message: `${ineligible.length} squad player${ineligible.length === 1 ? ' is' : 's are'} not eligible for this match`,
+            requiresConfirmation: true,
+            ineligible
+          });
+        }
+
+        // Update only the squad: saving the document would recount the played score from events
+        await Match.findByIdAndUpdate(matchId, {
+          $set: {
+            [`squads.${team}`]: {
+              ...squad,
+              submittedAt: new Date(),
+              submittedBy: session.user.email || session.user.name || null
+            }
+          }
+        }, { runValidators: true });
+
+        console.log(`Squad submitted for the ${team} team of match ${matchId}: ${squad.players.length} players`);
+
+        let fairPlayRecords = 0;
+        if (ineligible.length > 0 && recordFairPlay) {
+          fairPlayRecords = await recordIneligibleParticipation(ineligible, match, teamId, session);
+        }
+
+        if (PLAYED_STATUSES.includes(match.status)) {
+          await refreshPlayerStatsForMatch(match);
+        }
+        await publishMatchUpdate(match);
+
+        const updated = await loadSquads(matchId);
+        return res.status(200).json({
+          message: 'Squad saved successfully',
+          squads: { home: updated.squads?.home || null, away: updated.squads?.away || null },
+          warnings: [...eligibility.values()].filter(result => result.issues.length > 0),
+          fairPlayRecords
+        });
+      }
+
+      default:
+        return res.status(405).json({ message: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('Match squad API error:', error);
+    return res.status(500).json({
+      message: 'Failed to update match squad',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -0,0 +1,135 @@
+// ===========================================
+// FILE: pages/api/admin/migrate-match-history.js
+// One-off migration: move the embedded Player.matchHistory arrays into the PlayerMatchStat collection
+// Entries for a match the player already has a stat line for are left to the line (it is rebuilt from events);
+// entries for deleted matches are dropped. Migrated lines are marked source 'legacy' so stat rebuilds keep
+// them. Every migrated player loses the embedded array.
+// ===========================================
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../auth/[...nextauth]';
+import dbConnect from '../../../lib/mongodb';
+import Player from '../../../models/Player';
+import Match from '../../../models/Match';
+import PlayerMatchStat from '../../../models/PlayerMatchStat';
+import { refreshPlayerTotals } from '../../../lib/playerStats';
+import { PLAYER_STAT_FIELDS } from '../../../utils/playerStats';
+
+const idOf = (value) => (value && value._id ? value._id : value)?.toString();
+
+// Legacy entries lack isHome; everything else maps one to one
+const REQUIRED_FIELDS = ['match', 'season', 'team', 'opponent', 'homeTeam', 'awayTeam', 'date', 'result'];
+
+/**
+ * Stat line of a legacy match history entry, or null if the entry is incomplete
+ * @param {Object} playerId - Player the entry belongs to
+ * @param {Object} entry - Raw matchHistory entry
+ */
+const lineFromHistoryEntry = (playerId, entry) => {
+  if (REQUIRED_FIELDS.some(field => entry[field] == null)) return null;
+
+  const line = {
+    player: playerId,
+    match: entry.match,
+    season: entry.season,
+    team: entry.team,
+    opponent: entry.opponent,
+    homeTeam: entry.homeTeam,
+    awayTeam: entry.awayTeam,
+    isHome: idOf(entry.team) === idOf(entry.homeTeam),
+    date: entry.date,
+    result: entry.result,
+    source: 'legacy'
+  };
+  PLAYER_STAT_FIELDS.forEach(field => {
+    line[field] = entry[field] || 0;
+  });
+  return line;
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const session = await getServerSession(req, res, authOptions);
+    if (!session || session.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Admin access required' });
+    }
+
+    await dbConnect();
+
+    console.log('Starting migration: Player.matchHistory → PlayerMatchStat...');
+
+    // The field is no longer in the schema, so read and unset it on the raw collection
+    const players = await Player.collection
+      .find({ matchHistory: { $exists: true } }, { projection: { name: 1, matchHistory: 1 } })
+      .toArray();
+
+    console.log(`Found ${players.length} players with embedded match history`);
+
+    const historyMatchIds = [...new Set(players.flatMap(player => (player.matchHistory || []).map(entry => idOf(entry.match))))]
+      .filter(Boolean);
+    const existingMatches = new Set(
+      (await Match.distinct('_id', { _id: { $in: historyMatchIds } })).map(idOf)
+    );
+
+    const summary = { players: players.length, entries: 0, migrated: 0, alreadyPresent: 0, skipped: 0 };
+    const migratedPlayers = [];
+    const errors = [];
+
+    for (const player of players) {
+      try {
+        const entries = player.matchHistory || [];
+        summary.entries += entries.length;
+
+        const operations = [];
+        entries.forEach(entry => {
+          const line = lineFromHistoryEntry(player._id, entry);
+          if (!line || !existingMatches.has(idOf(line.match))) {
+            summary.skipped++;
+            return;
+          }
+          operations.push({
+            updateOne: {
+              filter: { player: line.player, match: line.match },
+              update: { $setOnInsert: line },
+              upsert: true
+            }
+          });
+        });
+
+        if (operations.length > 0) {
+          const result = await PlayerMatchStat.bulkWrite(operations, { ordered: false });
+          summary.migrated += result.upsertedCount;
+          summary.alreadyPresent += operations.length - result.upsertedCount;
+          if (result.upsertedCount > 0) migratedPlayers.push(player._id);
+        }
+
+        await Player.collection.updateOne({ _id: player._id }, { $unset: { matchHistory: '' } });
+      } catch (error) {
+        console.error(`Error migrating match history of ${player.name}:`, error);
+        errors.push({ player: player.name, error: error.message });
+      }
+    }
+
+    // Totals are always the sum of a player's stat lines
+    await refreshPlayerTotals(migratedPlayers);
+
+    console.log('Match history migration completed:', summary);
+
+    return res.status(200).json({
+      success: true,
+      message: `Moved ${summary.migrated} match history entries of ${players.length} players into stat lines`,
+      summary: { ...summary, errors: errors.length },
+      errors: errors.length > 0 ? errors : undefined
+    });
+  } catch (error) {
+    console.error('Match history migration failed:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Migration failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+}
@@ -1,9 +1,11 @@
 // ===========================================
 // FILE: pages/api/admin/migrate-minutes.js
-// API endpoint to migrate player minutes from 90 to 40
+// API endpoint to migrate player minutes from the flat per-match value (90, then 40) to each player's
+// time on court from the starting lineups and substitutions; POST { seasonId } limits it to one season
+// Works on the stat lines (appearances) and re-sums the affected players' totals from them
 // ===========================================
 import dbConnect from '../../../lib/mongodb';
-import Player from '../../../models/Player';
+import { recomputeMinutesPlayed } from '../../../lib/playerStats';
 import { getServerSession } from 'next-auth/next';
 import { authOptions } from '../auth/[...nextauth]';
 
@@ -21,77 +23,12 @@ export default async function handler(req, res) {
 
     await dbConnect();
 
-    console.log('Starting migration: 90 minutes → 40 minutes...');
+    const { seasonId = null } = req.body || {};
 
-    // Find all players with match history
-    const players = await Player.find({
-      'matchHistory': { $exists: true, $not: { $size: 0 } }
-    });
-
-    console.log(`Found ${players.length} players with match history`);
-
-    let totalUpdated = 0;
-    let playersUpdated = 0;
-    let errors = [];
-
-    for (const player of players) {
-      try {
-        let playerNeedsUpdate = false;
-        let matchesUpdated = 0;
-
-        // Update match history
-        if (player.matchHistory && player.matchHistory.length > 0) {
-          for (let match of player.matchHistory) {
-            if (match.minutesPlayed === 90) {
-              match.minutesPlayed = 40;
-              matchesUpdated++;
-              playerNeedsUpdate = true;
-            }
-          }
-        }
-
-        // Update season stats minutesPlayed
-        if (player.seasonStats) {
-          for (const seasonId in player.seasonStats) {
-            const seasonStat = player.seasonStats[seasonId];
-            if (seasonStat.minutesPlayed > 0) {
-              // Calculate total minutes: appearances * 40 (instead of 90)
-              const newMinutes = seasonStat.appearances * 40;
-              if (seasonStat.minutesPlayed !== newMinutes) {
-                seasonStat.minutesPlayed = newMinutes;
-                playerNeedsUpdate = true;
-              }
-            }
-          }
-        }
+    console.log('Starting migration: flat minutes → minutes on court...');
 
-        // Update career stats minutesPlayed
-        if (player.careerStats && player.careerStats.minutesPlayed > 0) {
-          // Calculate total career minutes: appearances * 40
-          const newCareerMinutes = player.careerStats.appearances * 40;
-          if (player.careerStats.minutesPlayed !== newCareerMinutes) {
-            player.careerStats.minutesPlayed = newCareerMinutes;
-            playerNeedsUpdate = true;
-          }
-        }
-
-        // Save player if updates were made
-        if (playerNeedsUpdate) {
-          await player.save();
-          playersUpdated++;
-          totalUpdated += matchesUpdated;
-          
-          console.log(`Updated ${player.name}: ${matchesUpdated} matches`);
-        }
-
-      } catch (error) {
-        console.error(`Error updating player ${player.name}:`, error);
-        errors.push({
-          player: player.name,
-          error: error.message
-        });
-      }
-    }
+    // Career and season minutes are re-summed from the stat lines that changed
+    const { matches, linesUpdated, players } = await recomputeMinutesPlayed({ seasonId });
 
     console.log('Migration completed!');
 
@@ -99,12 +36,11 @@ export default async function handler(req, res) {
       success: true,
       message: 'Migration completed successfully',
       summary: {
-        playersUpdated,
-        matchRecordsUpdated: totalUpdated,
-        totalPlayersProcessed: players.length,
-        errors: errors.length
-      },
-      errors: errors.length > 0 ? errors : undefined
+        playersUpdated: players,
+        matchRecordsUpdated: linesUpdated,
+        matchesProcessed: matches,
+        errors: 0
+      }
     });
 
   } catch (error) {
@@ -0,0 +1,47 @@
+// ===========================================
+// FILE: pages/api/admin/player-stats.js
+// Rebuild player stat lines from match events, for one season or all time, and re-sum player totals
+// ===========================================
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../auth/[...nextauth]';
+import dbConnect from '../../../lib/mongodb';
+import Season from '../../../models/Season';
+import { rebuildPlayerStats } from '../../../lib/playerStats';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  try {
+    const session = await getServerSession(req, res, authOptions);
+    if (!session || session.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Admin access required' });
+    }
+
+    await dbConnect();
+
+    const { seasonId } = req.body || {};
+
+    let season = null;
+    if (seasonId) {
+      season = await Season.findById(seasonId).select('name').lean();
+      if (!season) {
+        return res.status(404).json({ message: 'Season not found' });
+      }
+    }
+
+    const result = await rebuildPlayerStats({ seasonId: season?._id || null });
+
+    return res.status(200).json({
+      message: `Player stats rebuilt for ${season ? season.name : 'all seasons'}`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Player stats rebuild error:', error);
+    return res.status(500).json({
+      message: 'Failed to rebuild player stats',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
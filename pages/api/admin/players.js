@@ -9,6 +9,7 @@ import Team from '../../../models/Team';
 import Transfer from '../../../models/Transfer';
 import Season from '../../../models/Season';
 import mongoose from 'mongoose';
+import { loadSeasonRules } from '../../../lib/seasonRules';
 
 export default async function handler(req, res) {
   try {
@@ -92,6 +93,7 @@ async function getPlayers(req, res) {
 
     // Remove limit to get ALL players
     const players = await Player.find(query)
+      .select('-matchHistory')
       .populate('currentTeam', 'name logo')
       .populate('currentContract.team', 'name logo')
       .populate('currentContract.season', 'name isActive')
@@ -145,6 +147,29 @@ async function getPlayers(req, res) {
 }
 
 // PUT - Update player with career stats preservation
+/**
+ * Check a team assignment against the squad size limit of the team's season
+ * @param {string} teamId - Team the player joins
+ * @param {string} playerId - Player being moved (excluded from the count), null for new players
+ * @returns {Promise<string|null>} - Error message, or null when the player fits
+ */
+async function checkSquadSize(teamId, playerId = null) {
+  const team = await Team.findById(teamId).select('name season').lean();
+  if (!team) return null;
+
+  const rules = await loadSeasonRules(team.season);
+  const squadSize = await Player.countDocuments({
+    currentTeam: teamId,
+    _id: { $ne: playerId },
+    status: { $in: ['active', 'injured', 'suspended'] }
+  });
+
+  if (squadSize >= rules.maxSquadSize) {
+    return `${team.name} already has ${squadSize} players; this season allows at most ${rules.maxSquadSize}`;
+  }
+  return null;
+}
+
 async function updatePlayer(req, res) {
   try {
     const { id } = req.body;
@@ -202,9 +227,20 @@ async function updatePlayer(req, res) {
       }
     });
 
+    if (updateData.status && updateData.status !== existingPlayer.status) {
+      updateData.statusSince = new Date();
+    }
+
     // Handle team assignment changes WITHOUT affecting career statistics
     if (updateData.currentTeam) {
       const newTeamId = updateData.currentTeam.toString();
+
+      if (oldTeamId !== newTeamId) {
+        const squadError = await checkSquadSize(newTeamId, id);
+        if (squadError) {
+          return res.status(400).json({ message: squadError });
+        }
+      }
       
       if (oldTeamId !== newTeamId && oldContractTeamId !== newTeamId) {
         console.log(`Team change detected for ${existingPlayer.name} - PRESERVING career stats`);
@@ -377,6 +413,13 @@ async function createPlayer(req, res) {
       }
     });
 
+    if (playerData.currentTeam) {
+      const squadError = await checkSquadSize(playerData.currentTeam);
+      if (squadError) {
+        return res.status(400).json({ message: squadError });
+      }
+    }
+
     const player = new Player(playerData);
     await player.save();
 
@@ -0,0 +1,182 @@
+// ===========================================
+// FILE: pages/api/admin/point-deductions.js
+// Disciplinary point deductions applied by the league standings
+// ===========================================
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../auth/[...nextauth]';
+import dbConnect from '../../../lib/mongodb';
+import PointDeduction from '../../../models/PointDeduction';
+import Team from '../../../models/Team';
+import { refreshSeasonStandings } from '../../../lib/standings';
+import mongoose from 'mongoose';
+
+export default async function handler(req, res) {
+  try {
+    await dbConnect();
+
+    const session = await getServerSession(req, res, authOptions);
+    if (!session || session.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Admin access required' });
+    }
+
+    switch (req.method) {
+      case 'GET':
+        return await getPointDeductions(req, res);
+      case 'POST':
+        return await createPointDeduction(req, res, session);
+      case 'PUT':
+        return await updatePointDeduction(req, res);
+      case 'DELETE':
+        return await deletePointDeduction(req, res);
+      default:
+        return res.status(405).json({ message: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('Point deductions API error:', error);
+    return res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Server error'
+    });
+  }
+}
+
+// GET - Deductions for a season and/or team
+async function getPointDeductions(req, res) {
+  const { season, team, status = 'all' } = req.query;
+
+  const filter = {};
+  if (season) filter.season = season;
+  if (team) filter.team = team;
+  if (status !== 'all') filter.status = status;
+
+  const deductions = await PointDeduction.find(filter)
+    .populate('team', 'name logo')
+    .populate('season', 'name isActive')
+    .populate('addedBy', 'name')
+    .sort({ decisionDate: -1, createdAt: -1 });
+
+  return res.status(200).json(deductions);
+}
+
+// POST - Record a new deduction
+async function createPointDeduction(req, res, session) {
+  const { team, season, points, reason, decisionReference, decisionDate } = req.body;
+
+  if (!team || !season || !points || !reason?.trim()) {
+    return res.status(400).json({
+      message: 'Missing required fields: team, season, points and reason are required'
+    });
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(team) || !mongoose.Types.ObjectId.isValid(season)) {
+    return res.status(400).json({ message: 'Invalid team or season ID' });
+  }
+
+  const pointsValue = parseInt(points);
+  if (!(pointsValue >= 1 && pointsValue <= 100)) {
+    return res.status(400).json({ message: 'Points must be between 1 and 100' });
+  }
+
+  const teamDoc = await Team.findOne({ _id: team, season }).select('name');
+  if (!teamDoc) {
+    return res.status(400).json({ message: 'Team not found or does not belong to selected season' });
+  }
+
+  const deduction = await PointDeduction.create({
+    team,
+    season,
+    points: pointsValue,
+    reason: reason.trim(),
+    decisionReference: decisionReference?.trim() || null,
+    decisionDate: decisionDate ? new Date(decisionDate) : new Date(),
+    addedBy: session.user.id
+  });
+
+  // The table and the stored team points are recomputed with the deduction
+  await refreshSeasonStandings(season, [team]);
+
+  const populated = await PointDeduction.findById(deduction._id)
+    .populate('team', 'name logo')
+    .populate('season', 'name')
+    .populate('addedBy', 'name');
+
+  console.log('Point deduction recorded:', {
+    id: deduction._id,
+    team: teamDoc.name,
+    points: pointsValue,
+    reference: deduction.decisionReference
+  });
+
+  return res.status(201).json({
+    message: 'Point deduction recorded successfully',
+    deduction: populated
+  });
+}
+
+// PUT - Change points, reason or status (e.g. overturned on appeal)
+async function updatePointDeduction(req, res) {
+  const { id } = req.query;
+  const { points, reason, decisionReference, decisionDate, status } = req.body;
+
+  if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ message: 'Valid deduction ID is required' });
+  }
+
+  const updateData = {};
+  if (points !== undefined) {
+    const pointsValue = parseInt(points);
+    if (!(pointsValue >= 1 && pointsValue <= 100)) {
+      return res.status(400).json({ message: 'Points must be between 1 and 100' });
+    }
+    updateData.points = pointsValue;
+  }
+  if (reason !== undefined) {
+    if (!reason?.trim()) {
+      return res.status(400).json({ message: 'Reason cannot be empty' });
+    }
+    updateData.reason = reason.trim();
+  }
+  if (decisionReference !== undefined) updateData.decisionReference = decisionReference?.trim() || null;
+  if (decisionDate) updateData.decisionDate = new Date(decisionDate);
+  if (status) updateData.status = status;
+
+  const existing = await PointDeduction.findById(id).lean();
+  if (!existing) {
+    return res.status(404).json({ message: 'Point deduction not found' });
+  }
+
+  const deduction = await PointDeduction.findByIdAndUpdate(
+    id, updateData, { new: true, runValidators: true }
+  ).populate('team', 'name logo')
+   .populate('season', 'name')
+   .populate('addedBy', 'name');
+
+  await refreshSeasonStandings(existing.season, [existing.team]);
+
+  console.log('Point deduction updated:', { id, changes: Object.keys(updateData) });
+
+  return res.status(200).json({
+    message: 'Point deduction updated successfully',
+    deduction
+  });
+}
+
+// DELETE - Remove a deduction recorded in error
+async function deletePointDeduction(req, res) {
+  const { id } = req.query;
+
+  if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ message: 'Valid deduction ID is required' });
+  }
+
+  const deduction = await PointDeduction.findByIdAndDelete(id);
+  if (!deduction) {
+    return res.status(404).json({ message: 'Point deduction not found' });
+  }
+
+  await refreshSeasonStandings(deduction.season, [deduction.team]);
+
+  console.log('Point deduction deleted:', { id, team: deduction.team.toString(), points: deduction.points });
+
+  return res.status(200).json({ message: 'Point deduction deleted successfully' });
+}
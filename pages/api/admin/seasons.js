@@ -4,6 +4,9 @@ import dbConnect from '../../../lib/mongodb';
 import Season from '../../../models/Season';
 import { getServerSession } from 'next-auth';
 import { authOptions } from '../auth/[...nextauth]';
+import Standing from '../../../models/Standing';
+import { validateSeasonRules } from '../../../utils/seasonRules';
+import { refreshSeasonStandings } from '../../../lib/standings';
 
 export default async function handler(req, res) {
   // Use getServerSession instead of getSession
@@ -27,6 +30,11 @@ export default async function handler(req, res) {
   if (req.method === 'POST') {
     try {
       const seasonData = req.body;
+
+      const rulesError = validateSeasonRules(seasonData.rules);
+      if (rulesError) {
+        return res.status(400).json({ message: rulesError });
+      }
       
       // If this season is set as active, deactivate others
       if (seasonData.isActive) {
@@ -47,6 +55,11 @@ export default async function handler(req, res) {
   if (req.method === 'PUT') {
     try {
       const { id, ...updateData } = req.body;
+
+      const rulesError = validateSeasonRules(updateData.rules);
+      if (rulesError) {
+        return res.status(400).json({ message: rulesError });
+      }
       
       // If this season is set as active, deactivate others
       if (updateData.isActive) {
@@ -62,6 +75,9 @@ export default async function handler(req, res) {
         return res.status(404).json({ message: 'Season not found' });
       }
 
+      // Points per result and tie-breakers may have changed
+      await refreshSeasonStandings(season);
+
       res.status(200).json({
         message: 'Season updated successfully',
         season,
@@ -79,6 +95,7 @@ export default async function handler(req, res) {
       if (!season) {
         return res.status(404).json({ message: 'Season not found' });
       }
+      await Standing.deleteMany({ season: season._id });
 
       res.status(200).json({ message: 'Season deleted successfully' });
     } catch (error) {
@@ -0,0 +1,83 @@
+// ===========================================
+// FILE: pages/api/admin/standings.js
+// Check the stored league tables against a full recalculation, and rebuild them
+// ===========================================
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../auth/[...nextauth]';
+import dbConnect from '../../../lib/mongodb';
+import Season from '../../../models/Season';
+import { checkSeasonStandings, rebuildSeasonStandings, rebuildAllStandings } from '../../../lib/standings';
+
+export default async function handler(req, res) {
+  try {
+    await dbConnect();
+
+    const session = await getServerSession(req, res, authOptions);
+    if (!session || session.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Admin access required' });
+    }
+
+    switch (req.method) {
+      case 'GET':
+        return await checkStandings(req, res);
+      case 'POST':
+        return await rebuildStandings(req, res);
+      default:
+        return res.status(405).json({ message: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('Admin standings API error:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
+
+// Compare one season's stored rows with the table recalculated match by match
+async function checkStandings(req, res) {
+  const { seasonId } = req.query;
+
+  const season = seasonId
+    ? await Season.findById(seasonId).lean()
+    : await Season.findOne({ isActive: true }).lean();
+
+  if (!season) {
+    return res.status(404).json({ message: 'Season not found' });
+  }
+
+  const result = await checkSeasonStandings(season);
+  console.log(`Standings check for ${season.name}: ${result.differences.length} differences over ${result.checkedTeams} teams`);
+
+  return res.status(200).json({
+    season: { _id: season._id, name: season.name },
+    ...result
+  });
+}
+
+// Rebuild one season's stored table, or every season's when none is given
+async function rebuildStandings(req, res) {
+  const { seasonId } = req.body || {};
+
+  if (!seasonId) {
+    const seasons = await rebuildAllStandings();
+    console.log(`Rebuilt standings of ${seasons.length} seasons`);
+    return res.status(200).json({
+      message: `Standings rebuilt for ${seasons.length} seasons`,
+      seasons
+    });
+  }
+
+  const season = await Season.findById(seasonId).lean();
+  if (!season) {
+    return res.status(404).json({ message: 'Season not found' });
+  }
+
+  const teams = await rebuildSeasonStandings(season);
+  console.log(`Rebuilt standings of ${season.name}: ${teams} teams`);
+
+  return res.status(200).json({
+    message: `Standings rebuilt for ${season.name}`,
+    seasons: [{ season: season._id, name: season.name, teams }]
+  });
+}
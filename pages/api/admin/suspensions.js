@@ -0,0 +1,119 @@
+// ===========================================
+// FILE: pages/api/admin/suspensions.js
+// Suspensions register: GET a season's suspensions, POST { season } to replay them from the match events,
+// PUT ?id= { cancelled, notes } to cancel or reinstate one (the season is replayed with it)
+// ===========================================
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../auth/[...nextauth]';
+import dbConnect from '../../../lib/mongodb';
+import Season from '../../../models/Season';
+import Suspension from '../../../models/Suspension';
+import { rebuildSeasonSuspensions } from '../../../lib/suspensions';
+import { matchesRemaining } from '../../../utils/suspensions';
+import mongoose from 'mongoose';
+
+export default async function handler(req, res) {
+  try {
+    await dbConnect();
+
+    const session = await getServerSession(req, res, authOptions);
+    if (!session || session.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Admin access required' });
+    }
+
+    switch (req.method) {
+      case 'GET':
+        return await getSuspensions(req, res);
+      case 'POST':
+        return await rebuildSuspensions(req, res);
+      case 'PUT':
+        return await updateSuspension(req, res);
+      default:
+        return res.status(405).json({ message: 'Method not allowed' });
+    }
+  } catch (error) {
+    console.error('Suspensions API error:', error);
+    return res.status(500).json({
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Server error'
+    });
+  }
+}
+
+// GET - Suspensions of a season, optionally for one team or status
+async function getSuspensions(req, res) {
+  const { season, team, status = 'all' } = req.query;
+
+  const filter = {};
+  if (season) filter.season = season;
+  if (team) filter.team = team;
+  if (status !== 'all') filter.status = status;
+
+  const suspensions = await Suspension.find(filter)
+    .populate('player', 'name jerseyNumber photo')
+    .populate('team', 'name logo')
+    .populate({ path: 'sourceMatch', select: 'homeTeam awayTeam matchDate matchday', populate: [
+      { path: 'homeTeam', select: 'name' },
+      { path: 'awayTeam', select: 'name' }
+    ] })
+    .populate('matchesServed', 'matchDate')
+    .sort({ sourceDate: -1, createdAt: -1 })
+    .lean();
+
+  return res.status(200).json(suspensions.map(suspension => ({
+    ...suspension,
+    matchesRemaining: matchesRemaining(suspension)
+  })));
+}
+
+// POST - Replay a season's suspensions (the active season by default)
+async function rebuildSuspensions(req, res) {
+  const { season: seasonId } = req.body || {};
+
+  const season = seasonId
+    ? await Season.findById(seasonId).select('name').lean()
+    : await Season.findOne({ isActive: true }).select('name').lean();
+  if (!season) {
+    return res.status(404).json({ message: 'Season not found' });
+  }
+
+  const result = await rebuildSeasonSuspensions(season._id);
+  console.log(`Suspensions rebuilt for ${season.name}:`, result);
+
+  return res.status(200).json({
+    message: `Suspensions rebuilt for ${season.name}`,
+    ...result
+  });
+}
+
+// PUT - Cancel or reinstate a suspension (e.g. a red card rescinded on appeal) and update its notes
+async function updateSuspension(req, res) {
+  const { id } = req.query;
+  const { cancelled, notes } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ message: 'Invalid suspension ID' });
+  }
+
+  const update = {};
+  if (cancelled !== undefined) update.cancelled = Boolean(cancelled);
+  if (notes !== undefined) update.notes = String(notes).trim();
+
+  const suspension = await Suspension.findByIdAndUpdate(id, { $set: update }, { new: true, runValidators: true });
+  if (!suspension) {
+    return res.status(404).json({ message: 'Suspension not found' });
+  }
+
+  // A cancelled suspension stops being served, which moves the player's later suspensions forward
+  if (cancelled !== undefined) {
+    await rebuildSeasonSuspensions(suspension.season);
+  }
+
+  const updated = await Suspension.findById(id).lean();
+  console.log(`Suspension ${id} updated:`, update);
+
+  return res.status(200).json({
+    message: 'Suspension updated successfully',
+    suspension: updated ? { ...updated, matchesRemaining: matchesRemaining(updated) } : null
+  });
+}
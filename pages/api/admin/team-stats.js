@@ -0,0 +1,49 @@
+// ===========================================
+// FILE: pages/api/admin/team-stats.js
+// Verify stored team stats against stats recomputed from the matches, and repair the teams that differ
+// ===========================================
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '../auth/[...nextauth]';
+import dbConnect from '../../../lib/mongodb';
+import { verifyTeamStats } from '../../../lib/teamStats';
+
+export default async function handler(req, res) {
+  try {
+    await dbConnect();
+
+    const session = await getServerSession(req, res, authOptions);
+    if (!session || session.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Admin access required' });
+    }
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      return res.status(405).json({ message: 'Method not allowed' });
+    }
+
+    // GET only reports; POST repairs what it reports
+    const repair = req.method === 'POST';
+    const { seasonId } = repair ? req.body || {} : req.query;
+
+    const seasons = await verifyTeamStats({ seasonId: seasonId || null, repair });
+    if (seasonId && seasons.length === 0) {
+      return res.status(404).json({ message: 'Season not found' });
+    }
+
+    const mismatchedTeams = seasons.reduce((sum, season) => sum + season.teams.length, 0);
+    console.log(`Team stats ${repair ? 'repair' : 'check'}: ${mismatchedTeams} teams differ across ${seasons.length} seasons`);
+
+    return res.status(200).json({
+      consistent: mismatchedTeams === 0,
+      checkedTeams: seasons.reduce((sum, season) => sum + season.checkedTeams, 0),
+      mismatchedTeams,
+      repaired: repair ? mismatchedTeams : 0,
+      seasons
+    });
+  } catch (error) {
+    console.error('Team stats API error:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}
@@ -5,6 +5,7 @@ import Team from '../../../models/Team';
 import Season from '../../../models/Season';
 import { getServerSession } from 'next-auth';
 import { authOptions } from '../auth/[...nextauth]';
+import { refreshSeasonStandings } from '../../../lib/standings';
 
 export default async function handler(req, res) {
   const session = await getServerSession(req, res, authOptions);
@@ -34,6 +35,7 @@ export default async function handler(req, res) {
     try {
       const team = await Team.create(req.body);
       const populatedTeam = await Team.findById(team._id).populate('season', 'name');
+      await refreshSeasonStandings(team.season);
       
       res.status(201).json({
         message: 'Team created successfully',
@@ -47,6 +49,7 @@ export default async function handler(req, res) {
   if (req.method === 'PUT') {
     try {
       const { id, ...updateData } = req.body;
+      const previous = await Team.findById(id).select('season').lean();
       
       const team = await Team.findByIdAndUpdate(id, updateData, {
         new: true,
@@ -57,6 +60,12 @@ export default async function handler(req, res) {
         return res.status(404).json({ message: 'Team not found' });
       }
 
+      // Names settle the last ties, and a team moved to another season changes both tables
+      await refreshSeasonStandings(team.season?._id);
+      if (previous?.season && previous.season.toString() !== team.season?._id?.toString()) {
+        await refreshSeasonStandings(previous.season);
+      }
+
       res.status(200).json({
         message: 'Team updated successfully',
         team,
@@ -74,6 +83,7 @@ export default async function handler(req, res) {
       if (!team) {
         return res.status(404).json({ message: 'Team not found' });
       }
+      await refreshSeasonStandings(team.season);
 
       res.status(200).json({ message: 'Team deleted successfully' });
     } catch (error) {
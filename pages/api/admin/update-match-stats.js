@@ -1,12 +1,14 @@
 // ===========================================
 // FILE: pages/api/admin/update-match-stats.js (FIXED VERSION)
-// Updates team statistics when matches are completed
+// Recomputes team statistics (and the stored table) from completed matches
 // ===========================================
 import dbConnect from '../../../lib/mongodb';
 import Match from '../../../models/Match';
 import Team from '../../../models/Team';
 import { getServerSession } from 'next-auth/next';
 import { authOptions } from '../auth/[...nextauth]';
+import { TABLE_STATUSES } from '../../../utils/matchStatus';
+import { rebuildSeasonStandings, rebuildAllStandings } from '../../../lib/standings';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -58,7 +60,7 @@ async function updateSingleMatchStats(matchId) {
     throw new Error('Match not found');
   }
   
-  if (match.status !== 'completed') {
+  if (!TABLE_STATUSES.includes(match.status)) {
     return { 
       message: 'Match not completed yet', 
       matchStatus: match.status,
@@ -66,12 +68,16 @@ async function updateSingleMatchStats(matchId) {
     };
   }
 
-  // Validate scores exist
-  if (match.homeScore == null || match.awayScore == null) {
-    throw new Error('Match scores are missing');
+  // Cup matches do not count towards the league table
+  if (match.competition) {
+    return {
+      message: 'Knockout matches do not affect league stats',
+      matchId: matchId
+    };
   }
-  
-  await updateTeamStatsFromMatch(match);
+
+  // Stats are recomputed from all the season's matches, so counting this one again is safe
+  await rebuildSeasonStandings(match.season);
   
   return {
     message: 'Single match stats updated successfully',
@@ -85,6 +91,13 @@ async function updateSingleMatchStats(matchId) {
   };
 }
 
+// Matches of a season (or all seasons) that count towards team stats
+const countedMatches = (filter) => Match.countDocuments({
+  ...filter,
+  status: { $in: TABLE_STATUSES },
+  competition: null
+});
+
 async function updateSeasonStats(seasonId) {
   // Validate season exists
   const seasonExists = await Team.findOne({ season: seasonId });
@@ -92,163 +105,27 @@ async function updateSeasonStats(seasonId) {
     throw new Error('No teams found for this season');
   }
 
-  // Reset all team stats for the season first
-  const teams = await Team.find({ season: seasonId });
-  
-  for (const team of teams) {
-    // Initialize stats object if it doesn't exist
-    await Team.findByIdAndUpdate(team._id, {
-      $set: {
-        'stats.matchesPlayed': 0,
-        'stats.wins': 0,
-        'stats.draws': 0,
-        'stats.losses': 0,
-        'stats.goalsFor': 0,
-        'stats.goalsAgainst': 0,
-        'stats.goalDifference': 0,
-        'stats.points': 0
-      }
-    }, { upsert: true });
-  }
-  
-  // Get all completed matches for the season with valid scores
-  const matches = await Match.find({ 
-    season: seasonId,
-    status: 'completed',
-    homeScore: { $exists: true, $ne: null },
-    awayScore: { $exists: true, $ne: null }
-  }).populate('homeTeam awayTeam season');
-  
-  let updatedCount = 0;
-  let errorCount = 0;
-  
-  for (const match of matches) {
-    try {
-      await updateTeamStatsFromMatch(match);
-      updatedCount++;
-    } catch (error) {
-      console.error(`Error updating match ${match._id}:`, error);
-      errorCount++;
-    }
-  }
+  const teamsUpdated = await rebuildSeasonStandings(seasonId);
   
   return {
     message: 'Season stats updated successfully',
     seasonId,
-    matchesProcessed: updatedCount,
-    teamsUpdated: teams.length,
-    errors: errorCount
+    matchesProcessed: await countedMatches({ season: seasonId }),
+    teamsUpdated,
+    standingsRows: teamsUpdated,
+    errors: 0
   };
 }
 
 async function updateAllMatchStats() {
-  // Reset all team stats first - ensure stats object exists
-  await Team.updateMany({}, {
-    $set: {
-      'stats.matchesPlayed': 0,
-      'stats.wins': 0,
-      'stats.draws': 0,
-      'stats.losses': 0,
-      'stats.goalsFor': 0,
-      'stats.goalsAgainst': 0,
-      'stats.goalDifference': 0,
-      'stats.points': 0
-    }
-  });
-  
-  // Get all completed matches with valid scores
-  const matches = await Match.find({ 
-    status: 'completed',
-    homeScore: { $exists: true, $ne: null },
-    awayScore: { $exists: true, $ne: null }
-  }).populate('homeTeam awayTeam season');
-  
-  let updatedCount = 0;
-  let errorCount = 0;
-  
-  for (const match of matches) {
-    try {
-      await updateTeamStatsFromMatch(match);
-      updatedCount++;
-    } catch (error) {
-      console.error(`Error updating match ${match._id}:`, error);
-      errorCount++;
-    }
-  }
-  
-  const totalTeams = await Team.countDocuments();
+  const standings = await rebuildAllStandings();
+  const teamsUpdated = standings.reduce((sum, season) => sum + season.teams, 0);
   
   return {
     message: 'All match stats updated successfully',
-    matchesProcessed: updatedCount,
-    teamsUpdated: totalTeams,
-    errors: errorCount
+    matchesProcessed: await countedMatches({}),
+    teamsUpdated,
+    standingsRows: teamsUpdated,
+    errors: 0
   };
 }
-
-async function updateTeamStatsFromMatch(match) {
-  if (!match.homeTeam || !match.awayTeam) {
-    throw new Error('Match missing team information');
-  }
-
-  const homeScore = parseInt(match.homeScore) || 0;
-  const awayScore = parseInt(match.awayScore) || 0;
-  const goalDifference = homeScore - awayScore;
-  
-  // Determine results
-  let homeResult, awayResult, homePoints, awayPoints;
-  
-  if (homeScore > awayScore) {
-    // Home win
-    homeResult = 'wins';
-    awayResult = 'losses';
-    homePoints = 3;
-    awayPoints = 0;
-  } else if (homeScore < awayScore) {
-    // Away win
-    homeResult = 'losses';
-    awayResult = 'wins';
-    homePoints = 0;
-    awayPoints = 3;
-  } else {
-    // Draw
-    homeResult = 'draws';
-    awayResult = 'draws';
-    homePoints = 1;
-    awayPoints = 1;
-  }
-  
-  // Update home team stats
-  const homeUpdate = await Team.findByIdAndUpdate(match.homeTeam._id, {
-    $inc: {
-      'stats.matchesPlayed': 1,
-      [`stats.${homeResult}`]: 1,
-      'stats.goalsFor': homeScore,
-      'stats.goalsAgainst': awayScore,
-      'stats.goalDifference': goalDifference,
-      'stats.points': homePoints
-    }
-  }, { new: true });
-
-  if (!homeUpdate) {
-    throw new Error(`Failed to update home team: ${match.homeTeam._id}`);
-  }
-  
-  // Update away team stats
-  const awayUpdate = await Team.findByIdAndUpdate(match.awayTeam._id, {
-    $inc: {
-      'stats.matchesPlayed': 1,
-      [`stats.${awayResult}`]: 1,
-      'stats.goalsFor': awayScore,
-      'stats.goalsAgainst': homeScore,
-      'stats.goalDifference': -goalDifference, // Negative for away team
-      'stats.points': awayPoints
-    }
-  }, { new: true });
-
-  if (!awayUpdate) {
-    throw new Error(`Failed to update away team: ${match.awayTeam._id}`);
-  }
-  
-  console.log(`✅ Updated stats: ${match.homeTeam.name} ${homeScore}-${awayScore} ${match.awayTeam.name}`);
-}
@@ -5,6 +5,8 @@ import connectDB from '../../lib/mongodb';
 import Match from '../../models/Match';
 import Team from '../../models/Team';
 import Season from '../../models/Season';
+import { createSeasonConstraintChecker } from '../../lib/scheduling';
+import { formatViolations } from '../../utils/schedulingConstraints';
 import { getServerSession } from 'next-auth/next';
 import { authOptions } from './auth/[...nextauth]';
 import formidable from 'formidable';
@@ -142,6 +144,16 @@ export default async function handler(req, res) {
       created: []
     };
 
+    // One constraint checker per season, fed with every match created by this import
+    const checkers = {};
+    const getChecker = async (seasonId) => {
+      const key = seasonId.toString();
+      if (!checkers[key]) {
+        checkers[key] = await createSeasonConstraintChecker(seasonId);
+      }
+      return checkers[key];
+    };
+
     // Process each row
     for (let i = 0; i < rows.length; i++) {
       const row = rows[i];
@@ -239,9 +251,21 @@ export default async function handler(req, res) {
           continue;
         }
 
+        // Blackout dates, rest periods and venue usage
+        const checker = await getChecker(seasonId);
+        const violations = checker.check(matchData);
+        if (violations.length > 0) {
+          results.errors.push({
+            row: rowNum,
+            error: formatViolations(violations)
+          });
+          continue;
+        }
+
         // Create match
         const match = new Match(matchData);
         await match.save();
+        checker.reserve({ ...matchData, _id: match._id });
 
         results.success++;
         results.created.push({
@@ -3,7 +3,11 @@
 // ===========================================
 import connectDB from '../../../lib/mongodb';
 import Match from '../../../models/Match';
+import Competition from '../../../models/Competition';
 import mongoose from 'mongoose';
+import { determineTieWinner } from '../../../utils/bracket';
+import { TABLE_STATUSES } from '../../../utils/matchStatus';
+import { resolveSeasonRules } from '../../../utils/seasonRules';
 
 export default async function handler(req, res) {
   // Add CORS headers
@@ -32,7 +36,7 @@ export default async function handler(req, res) {
       const match = await Match.findById(id)
         .populate('homeTeam', 'name logo')
         .populate('awayTeam', 'name logo')
-        .populate('season', 'name isActive')
+        .populate('season', 'name isActive rules')
         .lean();
 
       if (!match) {
@@ -42,6 +46,44 @@ export default async function handler(req, res) {
 
       console.log('Match found:', match.homeTeam?.name, 'vs', match.awayTeam?.name);
 
+      // Two-legged ties: the other leg and the aggregate, seen from this match's home and away teams
+      if (match.leg && match.otherLeg) {
+        const [otherLeg, competition] = await Promise.all([
+          Match.findById(match.otherLeg)
+            .select('homeTeam awayTeam matchDate status homeScore awayScore extraTime penalties forfeit leg')
+            .populate('homeTeam', 'name logo')
+            .populate('awayTeam', 'name logo')
+            .lean(),
+          Competition.findById(match.competition).select('name twoLegged').lean()
+        ]);
+
+        if (otherLeg) {
+          const [firstLeg, secondLeg] = match.leg === 1 ? [match, otherLeg] : [otherLeg, match];
+          const tie = determineTieWinner(firstLeg, secondLeg, competition?.twoLegged);
+          const forfeited = firstLeg.status === 'forfeit' || secondLeg.status === 'forfeit';
+          const decided = (forfeited || (TABLE_STATUSES.includes(firstLeg.status) && TABLE_STATUSES.includes(secondLeg.status)))
+            && tie.winner;
+          const swap = match.leg === 2;
+
+          match.twoLegTie = {
+            competitionName: competition?.name || null,
+            otherLeg,
+            aggregate: {
+              home: swap ? tie.aggregate.away : tie.aggregate.home,
+              away: swap ? tie.aggregate.home : tie.aggregate.away
+            },
+            awayGoalsRule: Boolean(competition?.twoLegged?.awayGoals),
+            winner: decided ? (tie.winner === 'home' ? firstLeg.homeTeam : firstLeg.awayTeam) : null,
+            decidedBy: decided ? tie.decidedBy : null
+          };
+        }
+      }
+
+      // Season rules drive the live clock (periods, match length, extra time)
+      match.rules = resolveSeasonRules(match.season);
+      // Clients read the clock from liveData at server time (utils/matchClock)
+      match.serverTime = new Date();
+
       // Ensure liveData exists with default structure
       if (!match.liveData) {
         match.liveData = {
@@ -3,95 +3,25 @@
 // ===========================================
 import dbConnect from '../../../../lib/mongodb';
 import Match from '../../../../models/Match';
-import Team from '../../../../models/Team';
 import { getServerSession } from 'next-auth/next';
 import { authOptions } from '../../auth/[...nextauth]';
-
-// Helper function to update team statistics when match is completed
-async function updateTeamStatsFromMatch(match) {
-  if (match.status !== 'completed' || match.homeScore === null || match.awayScore === null) {
-    return; // Only update completed matches with scores
-  }
-  
-  const homeScore = match.homeScore || 0;
-  const awayScore = match.awayScore || 0;
-  
-  // Determine results
-  let homeResult, awayResult, homePoints, awayPoints;
-  
-  if (homeScore > awayScore) {
-    homeResult = 'win';
-    awayResult = 'loss';
-    homePoints = 3;
-    awayPoints = 0;
-  } else if (homeScore < awayScore) {
-    homeResult = 'loss';
-    awayResult = 'win';
-    homePoints = 0;
-    awayPoints = 3;
-  } else {
-    homeResult = 'draw';
-    awayResult = 'draw';
-    homePoints = 1;
-    awayPoints = 1;
-  }
-  
-  // Get current teams
-  const homeTeam = await Team.findById(match.homeTeam._id || match.homeTeam);
-  const awayTeam = await Team.findById(match.awayTeam._id || match.awayTeam);
-  
-  if (!homeTeam || !awayTeam) {
-    console.error('Teams not found for stats update');
-    return;
-  }
-  
-  // Initialize stats if they don't exist
-  const homeStats = homeTeam.stats || {
-    matchesPlayed: 0, wins: 0, draws: 0, losses: 0,
-    goalsFor: 0, goalsAgainst: 0, points: 0
-  };
-  
-  const awayStats = awayTeam.stats || {
-    matchesPlayed: 0, wins: 0, draws: 0, losses: 0,
-    goalsFor: 0, goalsAgainst: 0, points: 0
-  };
-  
-  // Check if this match was already counted (prevent double counting)
-  const wasAlreadyCounted = match.statsUpdated;
-  
-  if (!wasAlreadyCounted) {
-    // Update home team stats
-    await Team.findByIdAndUpdate(match.homeTeam._id || match.homeTeam, {
-      stats: {
-        matchesPlayed: homeStats.matchesPlayed + 1,
-        wins: homeStats.wins + (homeResult === 'win' ? 1 : 0),
-        draws: homeStats.draws + (homeResult === 'draw' ? 1 : 0),
-        losses: homeStats.losses + (homeResult === 'loss' ? 1 : 0),
-        goalsFor: homeStats.goalsFor + homeScore,
-        goalsAgainst: homeStats.goalsAgainst + awayScore,
-        points: homeStats.points + homePoints
-      }
-    });
-    
-    // Update away team stats
-    await Team.findByIdAndUpdate(match.awayTeam._id || match.awayTeam, {
-      stats: {
-        matchesPlayed: awayStats.matchesPlayed + 1,
-        wins: awayStats.wins + (awayResult === 'win' ? 1 : 0),
-        draws: awayStats.draws + (awayResult === 'draw' ? 1 : 0),
-        losses: awayStats.losses + (awayResult === 'loss' ? 1 : 0),
-        goalsFor: awayStats.goalsFor + awayScore,
-        goalsAgainst: awayStats.goalsAgainst + homeScore,
-        points: awayStats.points + awayPoints
-      }
-    });
-    
-    // Mark match as stats updated
-    await Match.findByIdAndUpdate(match._id, { statsUpdated: true });
-    
-    console.log(`✅ Stats updated: ${homeTeam.name} ${homeScore}-${awayScore} ${awayTeam.name}`);
-  }
-}
+import { processCompetitionMatch, unsettledKnockoutResult } from '../../../../lib/competitions';
+import { loadSeasonRules } from '../../../../lib/seasonRules';
+import {
+  CLOCK_ACTIONS,
+  applyClockAction,
+  clockState,
+  eventTime,
+  liveDataUpdate,
+  nextEventId,
+  timeoutsAllowed,
+  timeoutsTaken
+} from '../../../../utils/matchClock';
+import { refreshStandingsForMatch } from '../../../../lib/standings';
+import { refreshPlayerStatsForMatch } from '../../../../lib/playerStats';
+import { refreshSuspensionsForMatch } from '../../../../lib/suspensions';
+import { publishMatchUpdate } from '../../../../lib/liveFeed';
+import { startingScore } from '../../../../utils/matchStatus';
 
 export default async function handler(req, res) {
   // CORS headers
@@ -117,58 +47,112 @@ export default async function handler(req, res) {
       return res.status(403).json({ message: 'Admin access required' });
     }
 
-    const { matchId, action, currentMinute } = req.body;
+    const { matchId, action, periodSeconds, reason, team } = req.body;
 
-    console.log('Live match control request:', { matchId, action, currentMinute });
+    console.log('Live match control request:', { matchId, action, periodSeconds, team });
 
     if (!matchId) {
       return res.status(400).json({ message: 'Match ID is required' });
     }
 
-    if (!['start', 'pause', 'stop', 'resume'].includes(action)) {
-      return res.status(400).json({ message: 'Invalid action. Use: start, pause, stop, or resume' });
+    if (!CLOCK_ACTIONS.includes(action)) {
+      return res.status(400).json({ message: `Invalid action. Use: ${CLOCK_ACTIONS.join(', ')}` });
     }
 
     console.log(`Live match control: ${action} for match ${matchId}`);
 
-    // Prepare update data based on action
-    let updateData = {
-      'liveData.lastUpdate': new Date()
-    };
+    // Periods and their length come from the season's rules
+    const existingMatch = await Match.findById(matchId)
+      .select('season status liveData abandonment events homeTeam awayTeam homeScore awayScore competition group leg otherLeg forfeit extraTime penalties')
+      .populate('homeTeam', 'name')
+      .populate('awayTeam', 'name')
+      .lean();
+    if (!existingMatch) {
+      return res.status(404).json({ message: 'Match not found' });
+    }
+    const rules = await loadSeasonRules(existingMatch.season);
+
+    // Only a scheduled match kicks off, as with /api/matches/live/start
+    if (action === 'start' && existingMatch.status !== 'scheduled') {
+      return res.status(400).json({
+        message: existingMatch.status === 'live' ? 'The match is already live' : 'Match cannot be started'
+      });
+    }
+    if (action !== 'start' && existingMatch.status !== 'live') {
+      return res.status(400).json({ message: 'The match is not live' });
+    }
 
-    // Update current minute if provided
-    if (typeof currentMinute === 'number' && currentMinute >= 0) {
-      updateData['liveData.currentMinute'] = currentMinute;
+    // Each team has a limited number of timeouts per period
+    const current = clockState(existingMatch.liveData, rules);
+    const teamName = team === 'away' ? existingMatch.awayTeam?.name : existingMatch.homeTeam?.name;
+    if (action === 'timeout' && (team === 'home' || team === 'away')) {
+      const allowed = timeoutsAllowed(current.period, rules);
+      if (timeoutsTaken(existingMatch.events, current.period.index, team) >= allowed) {
+        return res.status(400).json({
+          message: allowed === 0
+            ? `No timeouts can be taken in the ${current.period.label.toLowerCase()}`
+            : `${teamName} has used its ${allowed === 1 ? 'timeout' : `${allowed} timeouts`} in the ${current.period.label.toLowerCase()}`
+        });
+      }
     }
 
+    // The clock is kept on the server: the action moves it from its stored state
+    const clock = applyClockAction(existingMatch.liveData, action, rules, {
+      // A resumed abandoned match carries on from the minute it was stopped
+      startMinute: existingMatch.abandonment?.resolution === 'resume' ? existingMatch.abandonment.minute || 0 : 0,
+      periodSeconds: typeof periodSeconds === 'number' ? periodSeconds : Number(periodSeconds),
+      team
+    });
+    if (clock.error) {
+      return res.status(400).json({ message: clock.error });
+    }
+
+    const updateData = liveDataUpdate(clock.liveData);
+
     switch (action) {
       case 'start':
         updateData.status = 'live';
-        updateData['liveData.isLive'] = true;
-        updateData['liveData.startedAt'] = new Date();
-        if (typeof currentMinute !== 'number') {
-          updateData['liveData.currentMinute'] = 0;
-        }
+        Object.assign(updateData, startingScore(existingMatch));
         break;
-        
-      case 'pause':
-        updateData['liveData.isLive'] = false;
-        updateData['liveData.pausedAt'] = new Date();
+
+      case 'stop': {
+        // A knockout match needs a winner, which a level score only gets from the result form
+        const unsettled = await unsettledKnockoutResult(existingMatch, existingMatch);
+        if (unsettled) {
+          return res.status(400).json({ message: unsettled });
+        }
+        updateData.status = 'completed';
         break;
-        
-      case 'resume':
-        updateData['liveData.isLive'] = true;
-        updateData['liveData.resumedAt'] = new Date();
+      }
+
+      case 'abandon':
+        updateData.status = 'abandoned';
+        updateData.abandonment = {
+          minute: clock.liveData.currentMinute,
+          reason: reason?.trim() || null,
+          abandonedAt: new Date(),
+          resolution: null,
+          replayMatch: null
+        };
         break;
-        
-      case 'stop':
-        updateData.status = 'completed';
-        updateData['liveData.isLive'] = false;
-        updateData['liveData.endedAt'] = new Date();
-        if (typeof currentMinute !== 'number') {
-          updateData['liveData.currentMinute'] = 90;
-        }
+
+      case 'timeout': {
+        // On the match timeline, at the time the clock stopped
+        const time = eventTime(existingMatch.liveData, rules);
+        updateData.$push = {
+          events: {
+            id: nextEventId(existingMatch.events || []),
+            type: 'timeout',
+            team,
+            minute: time.minute,
+            second: time.second,
+            period: time.period,
+            description: `Timeout - ${teamName}`,
+            timestamp: new Date()
+          }
+        };
         break;
+      }
     }
 
     console.log('Update data:', updateData);
@@ -186,18 +170,23 @@ export default async function handler(req, res) {
       return res.status(404).json({ message: 'Match not found' });
     }
 
-    // AUTO-UPDATE TEAM STATS when match is stopped/completed
+    // AUTO-UPDATE TEAM AND PLAYER STATS when match is stopped/completed (both are recomputed)
     if (action === 'stop' && updateData.status === 'completed') {
+      await refreshStandingsForMatch(match);
+      await refreshPlayerStatsForMatch(match);
+      await refreshSuspensionsForMatch(match);
+
+      // Competition matches: finish the group stage or move the knockout winner on
       try {
-        console.log('🔄 Auto-updating team stats for completed match...');
-        await updateTeamStatsFromMatch(match);
-        console.log('✅ Team stats updated successfully');
-      } catch (statsError) {
-        console.error('❌ Failed to update team stats:', statsError);
-        // Don't fail the match completion if stats update fails
+        await processCompetitionMatch(match);
+      } catch (advanceError) {
+        console.error('❌ Failed to update competition:', advanceError);
       }
     }
 
+    // Spectators on the live feed see the clock and status change
+    await publishMatchUpdate(match);
+
     console.log(`Match ${action} successful: ${match.homeTeam.name} vs ${match.awayTeam.name}`);
     console.log('Updated match status:', match.status);
     
@@ -207,6 +196,8 @@ export default async function handler(req, res) {
       message: `Match ${action} successful`,
       match,
       liveData: match.liveData,
+      clock: clockState(match.liveData, rules),
+      serverTime: new Date(),
       status: match.status,
       statsUpdated: action === 'stop' ? true : undefined
     });
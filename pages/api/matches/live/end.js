@@ -4,6 +4,13 @@ import connectDB from '../../../../lib/mongodb';
 import Match from '../../../../models/Match';
 import { getServerSession } from 'next-auth/next';
 import { authOptions } from '../../auth/[...nextauth]';
+import { processCompetitionMatch, unsettledKnockoutResult } from '../../../../lib/competitions';
+import { loadSeasonRules } from '../../../../lib/seasonRules';
+import { applyClockAction, liveDataUpdate } from '../../../../utils/matchClock';
+import { refreshStandingsForMatch } from '../../../../lib/standings';
+import { refreshPlayerStatsForMatch } from '../../../../lib/playerStats';
+import { refreshSuspensionsForMatch } from '../../../../lib/suspensions';
+import { publishMatchUpdate } from '../../../../lib/liveFeed';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -18,25 +25,40 @@ export default async function handler(req, res) {
       return res.status(403).json({ message: 'Admin access required' });
     }
 
-    const { matchId, homeScore, awayScore, events } = req.body;
+    const { matchId, homeScore, awayScore } = req.body;
 
     const match = await Match.findById(matchId);
     if (!match) {
       return res.status(404).json({ message: 'Match not found' });
     }
 
-    // End the match
-    await Match.findByIdAndUpdate(matchId, {
+    // A knockout match needs a winner, which a level score only gets from the result form
+    const unsettled = await unsettledKnockoutResult(match.toObject(), { homeScore, awayScore });
+    if (unsettled) {
+      return res.status(400).json({ message: unsettled });
+    }
+
+    // End the match and stop the server clock at full time
+    const clock = applyClockAction(match.liveData, 'stop', await loadSeasonRules(match.season));
+    const updateData = {
       status: 'completed',
       homeScore: homeScore || 0,
       awayScore: awayScore || 0,
-      liveData: {
-        ...match.liveData,
-        isLive: false,
-        events: events || [],
-        endedAt: new Date()
-      }
-    });
+      ...liveDataUpdate(clock.liveData)
+    };
+    const endedMatch = await Match.findByIdAndUpdate(matchId, updateData, { new: true });
+
+    await refreshStandingsForMatch(endedMatch);
+    await refreshPlayerStatsForMatch(endedMatch);
+    await refreshSuspensionsForMatch(endedMatch);
+    await publishMatchUpdate(endedMatch);
+
+    // Competition matches: finish the group stage or move the knockout winner on
+    try {
+      await processCompetitionMatch(endedMatch);
+    } catch (advanceError) {
+      console.error('Failed to update competition:', advanceError);
+    }
 
     console.log(`Match ended: ${matchId}, Score: ${homeScore}-${awayScore}`);
     return res.status(200).json({ message: 'Match ended successfully' });
@@ -4,6 +4,9 @@ import connectDB from '../../../../lib/mongodb';
 import Match from '../../../../models/Match';
 import { getServerSession } from 'next-auth/next';
 import { authOptions } from '../../auth/[...nextauth]';
+import { loadSeasonRules } from '../../../../lib/seasonRules';
+import { applyClockAction, liveDataUpdate } from '../../../../utils/matchClock';
+import { publishMatchUpdate } from '../../../../lib/liveFeed';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -25,11 +28,15 @@ export default async function handler(req, res) {
       return res.status(404).json({ message: 'Match not found' });
     }
 
-    // Update live data to paused
-    await Match.findByIdAndUpdate(matchId, {
-      'liveData.isLive': false,
-      'liveData.pausedAt': new Date()
-    });
+    // Stop the server clock (futsal stop clock)
+    const clock = applyClockAction(match.liveData, 'pause', await loadSeasonRules(match.season));
+    if (clock.error) {
+      return res.status(400).json({ message: clock.error });
+    }
+
+    await Match.findByIdAndUpdate(matchId, liveDataUpdate(clock.liveData));
+
+    await publishMatchUpdate(matchId);
 
     return res.status(200).json({ message: 'Match paused successfully' });
 
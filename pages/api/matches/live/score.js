@@ -5,6 +5,17 @@ import dbConnect from '../../../../lib/mongodb';
 import Match from '../../../../models/Match';
 import { getServerSession } from 'next-auth/next';
 import { authOptions } from '../../auth/[...nextauth]';
+import { refreshStandingsForMatch } from '../../../../lib/standings';
+import { refreshPlayerStatsForMatch } from '../../../../lib/playerStats';
+import { refreshSuspensionsForMatch } from '../../../../lib/suspensions';
+import { publishMatchUpdate } from '../../../../lib/liveFeed';
+import { TABLE_STATUSES } from '../../../../utils/matchStatus';
+import { loadSeasonRules } from '../../../../lib/seasonRules';
+import { maxMatchMinute } from '../../../../utils/seasonRules';
+import { eventTime, nextEventId } from '../../../../utils/matchClock';
+import { accumulateFoul } from '../../../../utils/accumulatedFouls';
+import { isPowerPlayGoal } from '../../../../utils/powerPlay';
+import { checkEventParticipant, recordIneligibleParticipation } from '../../../../lib/eligibility';
 
 export default async function handler(req, res) {
   // CORS headers
@@ -44,6 +55,14 @@ export default async function handler(req, res) {
       return res.status(404).json({ message: 'Match not found' });
     }
 
+    // The clock cannot run past the season's match length plus extra time
+    const rules = await loadSeasonRules(match.season);
+    if (typeof currentMinute === 'number' && currentMinute > maxMatchMinute(rules)) {
+      return res.status(400).json({
+        message: `Minute ${currentMinute} is past the ${maxMatchMinute(rules)}-minute limit of this season's rules`
+      });
+    }
+
     // Prepare update data
     const updateData = {
       homeScore: parseInt(homeScore) || 0,
@@ -51,22 +70,60 @@ export default async function handler(req, res) {
       'liveData.lastUpdate': new Date()
     };
 
-    // Update current minute if provided
-    if (typeof currentMinute === 'number' && currentMinute >= 0) {
-      updateData['liveData.currentMinute'] = currentMinute;
+    // An ineligible player, or one left out of the matchday squad, needs the admin's confirmation
+    // (event.confirmIneligible) before being recorded
+    const eventTeam = event?.team === 'away' ? match.awayTeam : match.homeTeam;
+    const participantCheck = await checkEventParticipant(event, match);
+    if (participantCheck && !event.confirmIneligible) {
+      return res.status(409).json({
+        message: participantCheck.message,
+        requiresConfirmation: true,
+        ineligible: participantCheck.ineligible,
+        notInSquad: participantCheck.notInSquad
+      });
     }
+    const ineligible = participantCheck?.ineligible || [];
 
-    // Add event if provided
+    // Add event if provided, timed by the server clock unless a minute is given
     if (event && event.type) {
+      const time = typeof currentMinute === 'number'
+        ? { minute: currentMinute, second: null, period: null }
+        : eventTime(match.liveData, rules) || { minute: 0, second: null, period: null };
       const eventData = {
-        id: match.events.length + 1,
+        id: nextEventId(match.events),
         type: event.type,
         team: event.team || 'home',
-        minute: currentMinute || match.liveData?.currentMinute || 0,
+        minute: time.minute,
+        second: time.second,
+        period: time.period,
         player: event.player || null,
+        playerName: event.playerName || null,
+        isOfficial: Boolean(event.isOfficial),
         description: event.description || `${event.type} event`,
         timestamp: new Date()
       };
+      if (event.type === 'own_goal') {
+        eventData.isOwnGoal = true;
+        eventData.beneficiaryTeam = eventData.team === 'home' ? 'away' : 'home';
+      }
+      // Rolling substitutions: who went off and came on decides each player's minutes played
+      if (event.type === 'substitution') {
+        eventData.playerOut = event.playerOut || null;
+        eventData.playerIn = event.playerIn || null;
+      }
+
+      // Goals by the team with more players on court while the other is short after a red card
+      if (event.type === 'goal' || event.type === 'own_goal') {
+        eventData.powerPlayGoal = isPowerPlayGoal(match.events, eventData, rules);
+      }
+
+      // Futsal accumulated fouls: flag the foul that gives a kick from the second penalty mark
+      if (event.type === 'foul') {
+        Object.assign(eventData, accumulateFoul(match.events, eventData, rules));
+        if (eventData.secondPenaltyKick) {
+          eventData.description += ` (foul ${eventData.accumulatedFoul}: 10 m kick)`;
+        }
+      }
 
       updateData.$push = { events: eventData };
       console.log(`Adding event:`, eventData);
@@ -85,13 +142,26 @@ export default async function handler(req, res) {
       return res.status(404).json({ message: 'Match not found after update' });
     }
 
+    if (ineligible.length > 0 && event.recordFairPlay) {
+      await recordIneligibleParticipation(ineligible, match, eventTeam, session);
+    }
+
+    // A corrected score on a finished match changes the league table
+    if (TABLE_STATUSES.includes(updatedMatch.status)) {
+      await refreshStandingsForMatch(updatedMatch);
+      await refreshPlayerStatsForMatch(updatedMatch);
+      await refreshSuspensionsForMatch(updatedMatch);
+    }
+
+    await publishMatchUpdate(updatedMatch);
+
     console.log(`Score updated successfully: ${updatedMatch.homeTeam.name} ${homeScore}-${awayScore} ${updatedMatch.awayTeam.name}`);
 
     return res.status(200).json({ 
       message: 'Score updated successfully', 
       match: updatedMatch,
       currentScore: `${homeScore}-${awayScore}`,
-      minute: currentMinute || updatedMatch.liveData?.currentMinute || 0
+      minute: currentMinute ?? eventTime(updatedMatch.liveData, rules)?.minute ?? 0
     });
 
   } catch (error) {
@@ -4,6 +4,10 @@ import connectDB from '../../../../lib/mongodb';
 import Match from '../../../../models/Match';
 import { getServerSession } from 'next-auth/next';
 import { authOptions } from '../../auth/[...nextauth]';
+import { loadSeasonRules } from '../../../../lib/seasonRules';
+import { applyClockAction } from '../../../../utils/matchClock';
+import { startingScore } from '../../../../utils/matchStatus';
+import { publishMatchUpdate } from '../../../../lib/liveFeed';
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -34,18 +38,19 @@ export default async function handler(req, res) {
       return res.status(400).json({ message: 'Match cannot be started' });
     }
 
-    // Start the match
+    // Start the server clock; a resumed abandoned match carries on from the minute and score it was stopped at
+    const startMinute = match.abandonment?.resolution === 'resume' ? match.abandonment.minute || 0 : 0;
+    const rules = await loadSeasonRules(match.season);
+    const clock = applyClockAction(null, 'start', rules, { startMinute });
     await Match.findByIdAndUpdate(matchId, {
       status: 'live',
-      liveData: {
-        currentMinute: 0,
-        events: [],
-        isLive: true,
-        startedAt: new Date()
-      }
+      ...startingScore(match),
+      liveData: clock.liveData
     });
 
-    console.log(`Match started: ${matchId}`);
+    await publishMatchUpdate(matchId);
+
+    console.log(`Match started: ${matchId}${startMinute ? ` (resumed at ${startMinute}')` : ''}`);
     return res.status(200).json({ message: 'Match started successfully' });
 
   } catch (error) {
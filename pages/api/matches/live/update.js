@@ -4,6 +4,11 @@ import connectDB from '../../../../lib/mongodb';
 import Match from '../../../../models/Match';
 import { getServerSession } from 'next-auth/next';
 import { authOptions } from '../../auth/[...nextauth]';
+import { refreshStandingsForMatch } from '../../../../lib/standings';
+import { refreshPlayerStatsForMatch } from '../../../../lib/playerStats';
+import { refreshSuspensionsForMatch } from '../../../../lib/suspensions';
+import { TABLE_STATUSES } from '../../../../utils/matchStatus';
+import { publishMatchUpdate } from '../../../../lib/liveFeed';
 
 export default async function handler(req, res) {
   if (req.method !== 'PUT') {
@@ -34,6 +39,13 @@ export default async function handler(req, res) {
 
     await Match.findByIdAndUpdate(matchId, updateData);
 
+    if (TABLE_STATUSES.includes(match.status) || TABLE_STATUSES.includes(updateData.status)) {
+      await refreshStandingsForMatch(match);
+      await refreshPlayerStatsForMatch(match);
+      await refreshSuspensionsForMatch(match);
+    }
+    await publishMatchUpdate(match);
+
     return res.status(200).json({ message: 'Match updated successfully' });
 
   } catch (error) {
@@ -5,6 +5,8 @@ import dbConnect from '../../../lib/mongodb';
 import Player from '../../../models/Player';
 import Match from '../../../models/Match';
 import Transfer from '../../../models/Transfer';
+import { getActiveSuspensions } from '../../../lib/suspensions';
+import { matchesRemaining } from '../../../utils/suspensions';
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
@@ -22,6 +24,7 @@ export default async function handler(req, res) {
   try {
     // Fetch player with populated contract data
     const player = await Player.findById(id)
+      .select('-matchHistory')
       .populate('currentTeam', 'name logo season')
       .populate('currentContract.team', 'name logo')
       .populate('currentContract.season', 'name isActive startDate endDate')
@@ -38,6 +41,8 @@ export default async function handler(req, res) {
       currentContract: player.currentContract
     });
 
+    const suspensions = await getActiveSuspensions([player._id]);
+
     // Remove private/sensitive data before sending to frontend
     const publicPlayerData = {
       _id: player._id,
@@ -99,7 +104,17 @@ export default async function handler(req, res) {
         yellowCards: player.careerStats?.yellowCards || 0,
         redCards: player.careerStats?.redCards || 0,
         minutesPlayed: player.careerStats?.minutesPlayed || 0
-      }
+      },
+
+      // Running bans from cards (lib/suspensions)
+      suspensions: suspensions.map(suspension => ({
+        _id: suspension._id,
+        reason: suspension.reason,
+        team: suspension.team ? { _id: suspension.team._id, name: suspension.team.name } : null,
+        sourceDate: suspension.sourceDate,
+        matchesBanned: suspension.matchesBanned,
+        matchesRemaining: matchesRemaining(suspension)
+      }))
     };
 
     console.log(`Individual player API: Found player ${player.name} with contract status: ${publicPlayerData.contractStatus}`);
@@ -0,0 +1,50 @@
+// ===========================================
+// FILE: pages/api/public/appearances.js
+// A player's appearances (stat lines), newest first and paged: ?playerId=...&page=1&limit=10[&seasonId=...]
+// ===========================================
+import mongoose from 'mongoose';
+import dbConnect from '../../../lib/mongodb';
+import { getPlayerAppearances } from '../../../lib/playerStats';
+
+const MAX_LIMIT = 50;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  const { playerId, seasonId, page = '1', limit = '10' } = req.query;
+
+  if (!playerId || !mongoose.Types.ObjectId.isValid(playerId)) {
+    return res.status(400).json({ message: 'A valid playerId is required' });
+  }
+  if (seasonId && !mongoose.Types.ObjectId.isValid(seasonId)) {
+    return res.status(400).json({ message: 'Invalid seasonId' });
+  }
+
+  const pageNumber = parseInt(page);
+  const pageSize = parseInt(limit);
+  if (isNaN(pageNumber) || pageNumber < 1 || isNaN(pageSize) || pageSize < 1 || pageSize > MAX_LIMIT) {
+    return res.status(400).json({ message: `page must be 1 or more and limit between 1 and ${MAX_LIMIT}` });
+  }
+
+  await dbConnect();
+
+  try {
+    const result = await getPlayerAppearances(playerId, {
+      page: pageNumber,
+      limit: pageSize,
+      seasonId: seasonId || null
+    });
+
+    console.log(`Public appearances API: player ${playerId}, page ${result.page}/${result.totalPages}, ${result.total} total`);
+
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('❌ Public appearances API error:', error);
+    res.status(500).json({
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+}
@@ -0,0 +1,65 @@
+// ===========================================
+// FILE: pages/api/public/competitions.js
+// Cup competitions of a season: brackets and group tables
+// ===========================================
+import dbConnect from '../../../lib/mongodb';
+import Competition from '../../../models/Competition';
+import Season from '../../../models/Season';
+import { buildGroupTables } from '../../../lib/competitions';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  await dbConnect();
+
+  try {
+    const { id, seasonId } = req.query;
+
+    // Single competition with its full bracket
+    if (id) {
+      const competition = await Competition.findById(id)
+        .populate('ties.homeTeam', 'name logo')
+        .populate('ties.awayTeam', 'name logo')
+        .populate('ties.winner', 'name')
+        .populate('ties.match', 'matchDate venue status homeScore awayScore extraTime penalties decidedBy')
+        .populate('ties.secondLeg', 'matchDate venue status homeScore awayScore extraTime penalties decidedBy')
+        .populate('winner', 'name logo')
+        .populate('season', 'name')
+        .lean();
+
+      if (!competition) {
+        return res.status(404).json({ message: 'Competition not found' });
+      }
+
+      // Group tables use the same tie-breakers as the league standings
+      if (competition.type === 'groups_knockout') {
+        competition.groupTables = await buildGroupTables(competition);
+      }
+
+      return res.status(200).json(competition);
+    }
+
+    const query = {};
+    if (seasonId) {
+      query.season = seasonId;
+    } else {
+      const activeSeason = await Season.findOne({ isActive: true }).select('_id').lean();
+      if (activeSeason) {
+        query.season = activeSeason._id;
+      }
+    }
+
+    const competitions = await Competition.find(query)
+      .select('name season type stage status winner rounds createdAt')
+      .populate('winner', 'name')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return res.status(200).json(competitions);
+  } catch (error) {
+    console.error('Public competitions API error:', error);
+    return res.status(500).json({ message: 'Failed to fetch competitions' });
+  }
+}
@@ -0,0 +1,117 @@
+// ===========================================
+// FILE: pages/api/public/live-feed.js
+// Server-Sent Events stream of live match changes
+// ?matchId=...: a "match" event with the match now, then one per change to it
+// no matchId: a "live" event with every live match now, then a "match" event per change to any match
+// (a match whose status is no longer "live" has finished, been abandoned or reset)
+// Streams subscribe to the process's change reader (lib/liveFeed), which reads the database every few
+// seconds for all of them, so writes made by any server instance reach the stream. A stream ends itself before the platform's function time limit with a "reconnect" event, and
+// the browser opens a new one
+// ===========================================
+import mongoose from 'mongoose';
+import dbConnect from '../../../lib/mongodb';
+import { loadLiveSnapshots, loadMatchSnapshot, subscribeToMatches } from '../../../lib/liveFeed';
+
+// Comment line that keeps proxies from closing an idle stream
+const HEARTBEAT_MS = 25000;
+// How long the browser waits before reconnecting a dropped stream
+const RETRY_MS = 5000;
+// How long one stream stays open: under the function time limit (maxDuration)
+const STREAM_LIFETIME_MS = 25000;
+
+export const config = {
+  api: {
+    // The response stays open; the handler resolving is not the end of it
+    externalResolver: true,
+  },
+  maxDuration: 30,
+};
+
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  // Flush through compression middleware when present
+  if (typeof res.flush === 'function') res.flush();
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  const { matchId } = req.query;
+
+  if (matchId && !mongoose.Types.ObjectId.isValid(matchId)) {
+    return res.status(400).json({ message: 'Invalid matchId' });
+  }
+
+  let initial;
+  try {
+    await dbConnect();
+    initial = matchId ? await loadMatchSnapshot(matchId) : await loadLiveSnapshots();
+  } catch (error) {
+    console.error('❌ Live feed error:', error);
+    return res.status(500).json({
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+
+  if (matchId && !initial) {
+    return res.status(404).json({ message: 'Match not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  // Version of each match last sent, so a change seen both in-process and in the database goes out once
+  // (a deleted match has no version and is sent once). The all-matches stream only sends live matches,
+  // and the change that ends one it sent
+  const sent = new Map();
+  const versionOf = (snapshot) => (snapshot.deleted ? Infinity : new Date(snapshot.updatedAt || 0).getTime());
+  (matchId ? [initial] : initial).forEach(snapshot => sent.set(snapshot._id, versionOf(snapshot)));
+
+  if (matchId) {
+    sendEvent(res, 'match', initial);
+  } else {
+    sendEvent(res, 'live', initial);
+  }
+
+  let closed = false;
+  const sendMatch = (snapshot) => {
+    if (closed || (matchId && snapshot._id !== matchId)) return;
+    if (!matchId && snapshot.status !== 'live' && !sent.has(snapshot._id)) return;
+    const version = versionOf(snapshot);
+    if (sent.get(snapshot._id) >= version) return;
+    sent.set(snapshot._id, version);
+    sendEvent(res, 'match', snapshot);
+  };
+
+  const unsubscribe = subscribeToMatches(sendMatch, matchId || null);
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, HEARTBEAT_MS);
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    clearTimeout(lifetime);
+    unsubscribe();
+    res.end();
+  };
+
+  // End the stream before the platform cuts it off; the client reconnects and gets a fresh snapshot
+  const lifetime = setTimeout(() => {
+    sendEvent(res, 'reconnect', { after: RETRY_MS });
+    close();
+  }, STREAM_LIFETIME_MS);
+
+  req.on('close', close);
+}
@@ -28,9 +28,11 @@ export default async function handler(req, res) {
     
     let query = {};
     
-    // Filter by status
-    if (status && status !== 'all') {
+    // Filter by status (draft fixtures are never public)
+    if (status && status !== 'all' && status !== 'draft') {
       query.status = status;
+    } else {
+      query.status = { $ne: 'draft' };
     }
     
     // Filter by season
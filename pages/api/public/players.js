@@ -57,7 +57,9 @@ export default async function handler(req, res) {
     console.log('🔍 Player query built:', JSON.stringify(query, null, 2));
     
     // FIXED: Fetch ALL players without limit
+    // Appearances are paged from /api/public/appearances; never load legacy embedded history
     const players = await Player.find(query)
+      .select('-matchHistory')
       .populate('currentTeam', 'name logo season')
       .populate('currentContract.team', 'name logo')
       .populate('currentContract.season', 'name isActive startDate endDate')
@@ -1,10 +1,17 @@
 // ===========================================
 // FILE: pages/api/public/standings.js (UPDATED WITH TIE-BREAKING RULES)
+// League table now (stored in the standings collection) or as of a date (?asOf=YYYY-MM-DD) or matchday (?matchday=N)
+// ?view=home|away|first_half|second_half splits the table; every team carries its last ?form=N results and streaks
 // ===========================================
 import dbConnect from '../../../lib/mongodb';
-import Team from '../../../models/Team';
 import Season from '../../../models/Season';
-import Match from '../../../models/Match';
+import {
+  STANDINGS_VIEWS, buildLeagueTable, buildViewTable, matchesAsOf, recordsAsOf, teamForm, viewMatches
+} from '../../../utils/standings';
+import Competition from '../../../models/Competition';
+import { buildGroupTables } from '../../../lib/competitions';
+import { STORED_FORM_LENGTH, getStoredStandings } from '../../../lib/standings';
+import { loadLeagueData } from '../../../lib/leagueData';
 
 export default async function handler(req, res) {
   if (req.method !== 'GET') {
@@ -14,260 +21,88 @@ export default async function handler(req, res) {
   await dbConnect();
 
   try {
-    const { seasonId, limit } = req.query;
+    const { seasonId, limit, competitionId, asOf: asOfDate, matchday, view = 'overall', form = '5' } = req.query;
+
+    // Group-stage tables of a competition: [{ name, standings }]
+    if (competitionId) {
+      const competition = await Competition.findById(competitionId).lean();
+      if (!competition || competition.type !== 'groups_knockout') {
+        return res.status(404).json({ message: 'Group competition not found' });
+      }
+      const groupTables = await buildGroupTables(competition);
+      return res.status(200).json(groupTables);
+    }
     
-    let query = {};
     let activeSeason = null;
     
     if (seasonId) {
-      query.season = seasonId;
       activeSeason = await Season.findById(seasonId);
     } else {
       // Get active season
       activeSeason = await Season.findOne({ isActive: true });
-      if (activeSeason) {
-        query.season = activeSeason._id;
+    }
+
+    // Table as it stood on a date or after a matchday
+    const asOf = {};
+    if (asOfDate) {
+      const parsed = new Date(asOfDate);
+      if (isNaN(parsed.getTime())) {
+        return res.status(400).json({ message: 'Invalid asOf date' });
+      }
+      // A plain date includes every match played that day
+      if (!asOfDate.includes('T')) parsed.setHours(23, 59, 59, 999);
+      asOf.date = parsed;
+    }
+    if (matchday) {
+      asOf.matchday = parseInt(matchday);
+      if (!(asOf.matchday >= 1)) {
+        return res.status(400).json({ message: 'Matchday must be a positive number' });
       }
     }
     
-    console.log('Standings query:', query);
-    
-    // Get teams with their current stats
-    let teams = await Team.find(query)
-      .populate('season', 'name')
-      .lean();
-    
-    console.log(`Found ${teams.length} teams for standings`);
-    
-    // Calculate enhanced stats for each team including fair play
-    const teamsWithEnhancedStats = await Promise.all(
-      teams.map(async (team) => {
-        try {
-          // Get all matches for this team in this season
-          const teamMatches = await Match.find({
-            $or: [
-              { homeTeam: team._id },
-              { awayTeam: team._id }
-            ],
-            season: query.season,
-            status: 'completed'
-          }).populate('homeTeam awayTeam', 'name').lean();
-          
-          console.log(`${team.name}: Found ${teamMatches.length} completed matches`);
-          
-          // Calculate comprehensive stats
-          const stats = {
-            matchesPlayed: 0,
-            wins: 0,
-            draws: 0,
-            losses: 0,
-            goalsFor: 0,
-            goalsAgainst: 0,
-            points: 0,
-            goalDifference: 0,
-            fairPlayPoints: 0, // Lower is better (yellow cards = 1 point, red cards = 3 points)
-            headToHeadResults: {} // Will store results against other teams
-          };
-          
-          teamMatches.forEach(match => {
-            const isHome = match.homeTeam._id.toString() === team._id.toString();
-            const teamScore = isHome ? match.homeScore || 0 : match.awayScore || 0;
-            const opponentScore = isHome ? match.awayScore || 0 : match.homeScore || 0;
-            const opponentId = isHome ? match.awayTeam._id.toString() : match.homeTeam._id.toString();
-            
-            // Basic stats
-            stats.matchesPlayed++;
-            stats.goalsFor += teamScore;
-            stats.goalsAgainst += opponentScore;
-            
-            // Points and results
-            if (teamScore > opponentScore) {
-              stats.wins++;
-              stats.points += 3;
-              // Head to head
-              if (!stats.headToHeadResults[opponentId]) {
-                stats.headToHeadResults[opponentId] = { points: 0, goalsFor: 0, goalsAgainst: 0 };
-              }
-              stats.headToHeadResults[opponentId].points += 3;
-              stats.headToHeadResults[opponentId].goalsFor += teamScore;
-              stats.headToHeadResults[opponentId].goalsAgainst += opponentScore;
-            } else if (teamScore < opponentScore) {
-              stats.losses++;
-              // Head to head
-              if (!stats.headToHeadResults[opponentId]) {
-                stats.headToHeadResults[opponentId] = { points: 0, goalsFor: 0, goalsAgainst: 0 };
-              }
-              stats.headToHeadResults[opponentId].goalsFor += teamScore;
-              stats.headToHeadResults[opponentId].goalsAgainst += opponentScore;
-            } else {
-              stats.draws++;
-              stats.points += 1;
-              // Head to head
-              if (!stats.headToHeadResults[opponentId]) {
-                stats.headToHeadResults[opponentId] = { points: 0, goalsFor: 0, goalsAgainst: 0 };
-              }
-              stats.headToHeadResults[opponentId].points += 1;
-              stats.headToHeadResults[opponentId].goalsFor += teamScore;
-              stats.headToHeadResults[opponentId].goalsAgainst += opponentScore;
-            }
-            
-            // Fair play calculation from match events
-            if (match.events && Array.isArray(match.events)) {
-              match.events.forEach(event => {
-                // Only count cards for this team
-                const eventForThisTeam = (event.team === 'home' && isHome) || (event.team === 'away' && !isHome);
-                
-                if (eventForThisTeam) {
-                  if (event.type === 'yellow_card') {
-                    stats.fairPlayPoints += 1;
-                  } else if (event.type === 'red_card') {
-                    stats.fairPlayPoints += 3;
-                  }
-                }
-              });
-            }
-          });
-          
-          stats.goalDifference = stats.goalsFor - stats.goalsAgainst;
-          
-          // Add manual fair play points from administrative actions
-          try {
-            const FairPlayRecord = require('../../../models/FairPlayRecord').default;
-            const manualFairPlayRecords = await FairPlayRecord.find({
-              team: team._id,
-              season: query.season,
-              status: 'active' // Only count active records
-            }).lean();
-            
-            manualFairPlayRecords.forEach(record => {
-              stats.fairPlayPoints += record.points;
-            });
-            
-            console.log(`${team.name}: Added ${manualFairPlayRecords.reduce((sum, r) => sum + r.points, 0)} manual fair play points`);
-          } catch (fairPlayError) {
-            console.log(`Could not load manual fair play records for ${team.name}:`, fairPlayError.message);
-          }
-          
-          console.log(`${team.name} stats:`, {
-            points: stats.points,
-            goalDifference: stats.goalDifference,
-            goalsFor: stats.goalsFor,
-            goalsAgainst: stats.goalsAgainst,
-            fairPlay: stats.fairPlayPoints
-          });
-          
-          return {
-            ...team,
-            stats,
-            enhancedStats: stats // Keep enhanced stats separate for tie-breaking
-          };
-        } catch (error) {
-          console.error(`Error calculating stats for ${team.name}:`, error);
-          // Return team with default stats if calculation fails
-          return {
-            ...team,
-            stats: team.stats || {
-              matchesPlayed: 0,
-              wins: 0,
-              draws: 0,
-              losses: 0,
-              goalsFor: 0,
-              goalsAgainst: 0,
-              points: 0,
-              goalDifference: 0
-            },
-            enhancedStats: {
-              matchesPlayed: 0,
-              wins: 0,
-              draws: 0,
-              losses: 0,
-              goalsFor: 0,
-              goalsAgainst: 0,
-              points: 0,
-              goalDifference: 0,
-              fairPlayPoints: 0,
-              headToHeadResults: {}
-            }
-          };
-        }
-      })
-    );
+    if (!STANDINGS_VIEWS[view]) {
+      return res.status(400).json({ message: `View must be one of: ${Object.keys(STANDINGS_VIEWS).join(', ')}` });
+    }
+    const formLength = parseInt(form);
+    if (!(formLength >= 0 && formLength <= STORED_FORM_LENGTH)) {
+      return res.status(400).json({ message: `Form length must be between 0 and ${STORED_FORM_LENGTH}` });
+    }
     
-    // Advanced sorting with tie-breaking rules
-    const sortedTeams = teamsWithEnhancedStats.sort((teamA, teamB) => {
-      const statsA = teamA.enhancedStats;
-      const statsB = teamB.enhancedStats;
-      
-      // 1. Points (highest first)
-      if (statsA.points !== statsB.points) {
-        return statsB.points - statsA.points;
-      }
-      
-      console.log(`Tie on points between ${teamA.name} and ${teamB.name} (${statsA.points} pts each)`);
-      
-      // 2. Goal Difference (highest first)
-      if (statsA.goalDifference !== statsB.goalDifference) {
-        console.log(`Decided by goal difference: ${teamA.name} (${statsA.goalDifference}) vs ${teamB.name} (${statsB.goalDifference})`);
-        return statsB.goalDifference - statsA.goalDifference;
-      }
-      
-      // 3. Goals For (highest first)
-      if (statsA.goalsFor !== statsB.goalsFor) {
-        console.log(`Decided by goals for: ${teamA.name} (${statsA.goalsFor}) vs ${teamB.name} (${statsB.goalsFor})`);
-        return statsB.goalsFor - statsA.goalsFor;
-      }
-      
-      // 4. Goals Against (lowest first)
-      if (statsA.goalsAgainst !== statsB.goalsAgainst) {
-        console.log(`Decided by goals against: ${teamA.name} (${statsA.goalsAgainst}) vs ${teamB.name} (${statsB.goalsAgainst})`);
-        return statsA.goalsAgainst - statsB.goalsAgainst;
-      }
-      
-      // 5. Head-to-Head comparison
-      const teamAId = teamA._id.toString();
-      const teamBId = teamB._id.toString();
-      
-      const headToHeadA = statsA.headToHeadResults[teamBId];
-      const headToHeadB = statsB.headToHeadResults[teamAId];
-      
-      if (headToHeadA && headToHeadB) {
-        // Compare head-to-head points
-        if (headToHeadA.points !== headToHeadB.points) {
-          console.log(`Decided by head-to-head points: ${teamA.name} (${headToHeadA.points}) vs ${teamB.name} (${headToHeadB.points})`);
-          return headToHeadB.points - headToHeadA.points;
-        }
-        
-        // Head-to-head goal difference
-        const h2hGDA = headToHeadA.goalsFor - headToHeadA.goalsAgainst;
-        const h2hGDB = headToHeadB.goalsFor - headToHeadB.goalsAgainst;
-        
-        if (h2hGDA !== h2hGDB) {
-          console.log(`Decided by head-to-head goal difference: ${teamA.name} (${h2hGDA}) vs ${teamB.name} (${h2hGDB})`);
-          return h2hGDB - h2hGDA;
-        }
-      }
-      
-      // 6. Fair Play (lowest points first - fewer cards is better)
-      if (statsA.fairPlayPoints !== statsB.fairPlayPoints) {
-        console.log(`Decided by fair play: ${teamA.name} (${statsA.fairPlayPoints}) vs ${teamB.name} (${statsB.fairPlayPoints})`);
-        return statsA.fairPlayPoints - statsB.fairPlayPoints;
+    let rankedTeams = [];
+    let formOf = (team) => teamForm(team._id, [], formLength);
+    if (activeSeason && view === 'overall' && !asOf.date && !asOf.matchday) {
+      // The current table, form and streaks are precomputed whenever a result changes
+      rankedTeams = await getStoredStandings(activeSeason);
+      formOf = (team) => ({ form: formLength > 0 ? team.form.slice(-formLength) : [], streaks: team.streaks });
+    } else if (activeSeason) {
+      const league = await loadLeagueData(activeSeason);
+      const { matches: countedMatches, cutoff } = matchesAsOf(league.matches, asOf);
+      const { rules } = league;
+      formOf = (team) => teamForm(team._id, viewMatches(team._id, countedMatches, view, rules), formLength);
+
+      if (view !== 'overall') {
+        rankedTeams = buildViewTable(league.teams, countedMatches, view, { rules });
+      } else {
+        // Past tables are calculated from the season's matches up to the cut-off
+        rankedTeams = buildLeagueTable(league.teams, countedMatches, {
+          rules,
+          deductions: recordsAsOf(league.deductions, 'decisionDate', cutoff),
+          fairPlayRecords: recordsAsOf(league.fairPlayRecords, 'actionDate', cutoff)
+        });
       }
-      
-      // 7. Alphabetical as final tie-breaker
-      console.log(`Final tie-breaker - alphabetical: ${teamA.name} vs ${teamB.name}`);
-      return teamA.name.localeCompare(teamB.name);
-    });
+    }
     
     // Apply limit if specified
-    let finalTeams = sortedTeams;
+    let finalTeams = rankedTeams;
     if (limit && !isNaN(parseInt(limit))) {
-      finalTeams = sortedTeams.slice(0, parseInt(limit));
+      finalTeams = rankedTeams.slice(0, parseInt(limit));
     }
     
-    // Add position information
-    const teamsWithPositions = finalTeams.map((team, index) => ({
+    // Add tie-breaking information
+    const teamsWithPositions = finalTeams.map(team => ({
       ...team,
-      position: index + 1,
+      // Recent results in the same view, with links to the matches
+      ...formOf(team),
       // Add tie-breaking info for display
       tieBreakingInfo: {
         goalDifference: team.enhancedStats.goalDifference,
@@ -277,15 +112,7 @@ export default async function handler(req, res) {
       }
     }));
     
-    console.log('Final standings calculated:', teamsWithPositions.slice(0, 5).map(t => ({
-      pos: t.position,
-      name: t.name,
-      pts: t.enhancedStats.points,
-      gd: t.enhancedStats.goalDifference,
-      gf: t.enhancedStats.goalsFor,
-      ga: t.enhancedStats.goalsAgainst,
-      fp: t.enhancedStats.fairPlayPoints
-    })));
+    console.log(`Standings (${view}) for ${activeSeason?.name || 'no season'}: ${teamsWithPositions.length} teams`, asOf);
     
     res.status(200).json(teamsWithPositions);
   } catch (error) {
@@ -0,0 +1,58 @@
+// ===========================================
+// FILE: pages/api/public/standings/history.js
+// League position and points after each matchday of a season, for every team or one team
+// ===========================================
+import dbConnect from '../../../../lib/mongodb';
+import Season from '../../../../models/Season';
+import { loadLeagueData } from '../../../../lib/leagueData';
+import { buildStandingsHistory } from '../../../../utils/standings';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ message: 'Method not allowed' });
+  }
+
+  await dbConnect();
+
+  try {
+    const { seasonId, teamId } = req.query;
+
+    const season = seasonId
+      ? await Season.findById(seasonId)
+      : await Season.findOne({ isActive: true });
+
+    if (!season) {
+      return res.status(404).json({ message: 'Season not found' });
+    }
+
+    const { rules, teams, matches, deductions, fairPlayRecords } = await loadLeagueData(season);
+    const history = buildStandingsHistory(teams, matches, { rules, deductions, fairPlayRecords });
+
+    console.log(`Standings history for ${season.name}: ${history.length} matchdays, ${teams.length} teams`);
+
+    if (!teamId) {
+      return res.status(200).json({
+        season: { _id: season._id, name: season.name },
+        teamCount: teams.length,
+        matchdays: history
+      });
+    }
+
+    if (!teams.some(team => team._id.toString() === teamId)) {
+      return res.status(404).json({ message: 'Team not found in this season' });
+    }
+
+    // One team's line through the season
+    return res.status(200).json({
+      season: { _id: season._id, name: season.name },
+      teamCount: teams.length,
+      matchdays: history.map(({ matchday, date, standings }) => {
+        const { position, points, matchesPlayed } = standings.find(entry => entry.team === teamId);
+        return { matchday, date, position, points, matchesPlayed };
+      })
+    });
+  } catch (error) {
+    console.error('Standings history API error:', error);
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+}
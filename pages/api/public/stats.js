@@ -16,7 +16,7 @@ export default async function handler(req, res) {
     const { teamId, seasonId } = req.query;
     
     // Get all players and calculate enhanced totals
-    const allPlayers = await Player.find({}).lean();
+    const allPlayers = await Player.find({}).select('-matchHistory').lean();
     
     const enhancedStats = allPlayers.reduce((totals, player) => ({
       totalGoals: totals.totalGoals + (player.careerStats?.goals || 0),
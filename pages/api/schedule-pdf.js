@@ -18,7 +18,7 @@ export default async function handler(req, res) {
     }
 
     // Get matches for the season
-    const matches = await Match.find({ season: seasonId })
+    const matches = await Match.find({ season: seasonId, status: { $ne: 'draft' } })
       .populate('homeTeam', 'name')
       .populate('awayTeam', 'name')
       .populate('season', 'name')
@@ -0,0 +1,312 @@
+// ===========================================
+// FILE: pages/bracket.js
+// Public cup page: group tables and knockout bracket for the season's competitions
+// ===========================================
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { Trophy, Calendar } from 'lucide-react';
+import { format } from 'date-fns';
+import LoadingSpinner from '../components/ui/LoadingSpinner';
+import { aggregateScore } from '../utils/bracket';
+
+export default function BracketPage() {
+  const [seasons, setSeasons] = useState([]);
+  const [selectedSeason, setSelectedSeason] = useState('');
+  const [competitions, setCompetitions] = useState([]);
+  const [selectedCompetition, setSelectedCompetition] = useState('');
+  const [competition, setCompetition] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    fetchSeasons();
+  }, []);
+
+  useEffect(() => {
+    if (selectedSeason) {
+      fetchCompetitions();
+    }
+  }, [selectedSeason]);
+
+  useEffect(() => {
+    if (selectedCompetition) {
+      fetchBracket();
+    } else {
+      setCompetition(null);
+    }
+  }, [selectedCompetition]);
+
+  const fetchSeasons = async () => {
+    try {
+      const response = await fetch('/api/public/seasons');
+      const data = await response.json();
+      setSeasons(data);
+
+      const activeSeason = data.find(s => s.isActive);
+      if (activeSeason) {
+        setSelectedSeason(activeSeason._id);
+      } else if (data.length > 0) {
+        setSelectedSeason(data[0]._id);
+      } else {
+        setIsLoading(false);
+      }
+    } catch (error) {
+      console.error('Error fetching seasons:', error);
+      setIsLoading(false);
+    }
+  };
+
+  const fetchCompetitions = async () => {
+    try {
+      setIsLoading(true);
+      const response = await fetch(`/api/public/competitions?seasonId=${selectedSeason}`);
+      const data = await response.json();
+      const list = Array.isArray(data) ? data : [];
+      setCompetitions(list);
+      setSelectedCompetition(list.length > 0 ? list[0]._id : '');
+      if (list.length === 0) setIsLoading(false);
+    } catch (error) {
+      console.error('Error fetching competitions:', error);
+      setIsLoading(false);
+    }
+  };
+
+  const fetchBracket = async () => {
+    try {
+      setIsLoading(true);
+      const response = await fetch(`/api/public/competitions?id=${selectedCompetition}`);
+      const data = await response.json();
+      setCompetition(response.ok ? data : null);
+    } catch (error) {
+      console.error('Error fetching bracket:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="space-y-8">
+      <div className="flex flex-col lg:flex-row lg:justify-between lg:items-center gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Cup Bracket</h1>
+          <p className="text-gray-600 mt-1">Group tables, knockout rounds and who goes through</p>
+        </div>
+
+        <div className="flex flex-col sm:flex-row items-start sm:items-center gap-4">
+          {competitions.length > 1 && (
+            <select
+              value={selectedCompetition}
+              onChange={(e) => setSelectedCompetition(e.target.value)}
+              className="form-input w-full sm:w-56"
+            >
+              {competitions.map(c => (
+                <option key={c._id} value={c._id}>{c.name}</option>
+              ))}
+            </select>
+          )}
+
+          {seasons.length > 0 && (
+            <select
+              value={selectedSeason}
+              onChange={(e) => setSelectedSeason(e.target.value)}
+              className="form-input w-full sm:w-48"
+            >
+              {seasons.map(season => (
+                <option key={season._id} value={season._id}>
+                  {season.name} {season.isActive && '(Active)'}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center items-center min-h-64">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : !competition ? (
+        <div className="card text-center py-12">
+          <Trophy className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No cup competitions</h3>
+          <p className="text-gray-500">There is no knockout competition for this season yet.</p>
+        </div>
+      ) : (
+        <>
+          {competition.winner && (
+            <div className="card bg-yellow-50 border border-yellow-200 flex items-center">
+              <Trophy className="w-8 h-8 text-yellow-500 mr-3" />
+              <div>
+                <div className="text-sm text-gray-600">{competition.name} winner</div>
+                <div className="text-xl font-bold text-gray-900">{competition.winner.name}</div>
+              </div>
+            </div>
+          )}
+
+          {competition.groupTables && (
+            <GroupTables competition={competition} />
+          )}
+
+          {competition.stage === 'groups' ? (
+            <div className="card text-center py-8 text-gray-600">
+              The knockout bracket is drawn automatically once every group match has been played.
+            </div>
+          ) : (
+            <div className="overflow-x-auto pb-4">
+              <div className="flex gap-6 min-w-max">
+                {competition.rounds.map(round => (
+                  <div key={round.number} className="w-64 flex flex-col">
+                    <div className="mb-4">
+                      <h3 className="font-semibold text-gray-900">{round.name}</h3>
+                      {round.date && (
+                        <div className="text-xs text-gray-500 flex items-center mt-1">
+                          <Calendar className="w-3 h-3 mr-1" />
+                          {format(new Date(round.date), 'MMM dd, yyyy')}
+                          {round.legs === 2 && round.secondLegDate && ` & ${format(new Date(round.secondLegDate), 'MMM dd')}`}
+                        </div>
+                      )}
+                    </div>
+                    <div className="flex flex-col justify-around flex-1 gap-4">
+                      {competition.ties
+                        .filter(tie => tie.round === round.number)
+                        .sort((a, b) => a.position - b.position)
+                        .map(tie => (
+                          <BracketTie key={`${tie.round}-${tie.position}`} tie={tie} />
+                        ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+function GroupTables({ competition }) {
+  const { topPerGroup, bestNextPlaced } = competition.qualification || {};
+
+  const rowClass = (position) => {
+    if (position <= topPerGroup) return 'bg-green-50';
+    if (bestNextPlaced > 0 && position === topPerGroup + 1) return 'bg-yellow-50';
+    return '';
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {competition.groupTables.map(group => (
+          <div key={group.name} className="card p-0 overflow-hidden">
+            <div className="px-4 py-3 border-b font-semibold text-gray-900">Group {group.name}</div>
+            <table className="min-w-full text-sm">
+              <thead className="bg-gray-50 text-gray-500">
+                <tr>
+                  <th className="px-3 py-2 text-left">#</th>
+                  <th className="px-3 py-2 text-left">Team</th>
+                  <th className="px-2 py-2 text-center">P</th>
+                  <th className="px-2 py-2 text-center">W</th>
+                  <th className="px-2 py-2 text-center">D</th>
+                  <th className="px-2 py-2 text-center">L</th>
+                  <th className="px-2 py-2 text-center">GD</th>
+                  <th className="px-2 py-2 text-center">Pts</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y">
+                {group.standings.map(team => (
+                  <tr key={team._id} className={rowClass(team.position)}>
+                    <td className="px-3 py-2">{team.position}</td>
+                    <td className="px-3 py-2 font-medium text-gray-900">{team.name}</td>
+                    <td className="px-2 py-2 text-center">{team.stats.matchesPlayed}</td>
+                    <td className="px-2 py-2 text-center">{team.stats.wins}</td>
+                    <td className="px-2 py-2 text-center">{team.stats.draws}</td>
+                    <td className="px-2 py-2 text-center">{team.stats.losses}</td>
+                    <td className="px-2 py-2 text-center">{team.stats.goalDifference}</td>
+                    <td className="px-2 py-2 text-center font-bold">{team.stats.points}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500">
+        Top {topPerGroup} of each group qualify
+        {bestNextPlaced > 0 && `, plus the best ${bestNextPlaced} team${bestNextPlaced > 1 ? 's' : ''} in position ${topPerGroup + 1}`}.
+      </p>
+    </div>
+  );
+}
+
+function BracketTie({ tie }) {
+  const match = tie.match;
+  const secondLeg = tie.secondLeg;
+  const hasResult = match && (match.status === 'completed' || match.status === 'live');
+  const winnerId = tie.winner?._id;
+
+  // Two-legged ties show the aggregate; the shootout, if any, is in the second leg with sides reversed
+  const scores = secondLeg
+    ? {
+      ...aggregateScore(match, secondLeg),
+      penalties: secondLeg.penalties,
+      homePenalties: secondLeg.penalties?.awayScore,
+      awayPenalties: secondLeg.penalties?.homeScore
+    }
+    : {
+      home: match?.homeScore,
+      away: match?.awayScore,
+      penalties: match?.penalties,
+      homePenalties: match?.penalties?.homeScore,
+      awayPenalties: match?.penalties?.awayScore
+    };
+  const liveMatch = [match, secondLeg].find(m => m?.status === 'live');
+  const currentLeg = secondLeg && match?.status === 'completed' ? secondLeg : match;
+
+  const teamRow = (team, seed, score, penaltyScore) => {
+    const isWinner = team && winnerId && team._id === winnerId;
+    return (
+      <div className={`flex items-center justify-between px-3 py-2 ${isWinner ? 'font-bold text-gray-900' : 'text-gray-700'}`}>
+        <span className="truncate">
+          {seed && <span className="text-xs text-gray-400 mr-1">{seed}</span>}
+          {team?.name || (tie.isBye ? 'Bye' : 'TBD')}
+        </span>
+        {hasResult && (
+          <span className="ml-2">
+            {score || 0}
+            {scores.penalties?.taken && (
+              <span className="text-xs text-gray-500 ml-1">({penaltyScore})</span>
+            )}
+          </span>
+        )}
+      </div>
+    );
+  };
+
+  const card = (
+    <div className={`bg-white rounded-lg shadow border ${liveMatch ? 'border-red-400' : 'border-gray-200'} divide-y`}>
+      {teamRow(tie.homeTeam, tie.homeSeed, scores.home, scores.homePenalties)}
+      {teamRow(tie.awayTeam, tie.awaySeed, scores.away, scores.awayPenalties)}
+      {match && (
+        <div className="px-3 py-1 text-xs text-gray-500 flex justify-between">
+          <span>
+            {secondLeg && (currentLeg === secondLeg ? '2nd leg ' : '1st leg ')}
+            {format(new Date(currentLeg.matchDate), 'MMM dd, HH:mm')}
+          </span>
+          <span>
+            {liveMatch && <span className="text-red-600 font-medium">LIVE</span>}
+            {!liveMatch && secondLeg && hasResult && 'agg.'}
+            {!liveMatch && currentLeg.status === 'completed' && currentLeg.extraTime?.played && ' a.e.t.'}
+          </span>
+        </div>
+      )}
+    </div>
+  );
+
+  if (!match) return card;
+
+  return (
+    <Link href={`/matches/${(liveMatch || currentLeg)._id}`} className="block hover:opacity-90">
+      {card}
+    </Link>
+  );
+}
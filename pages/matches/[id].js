@@ -16,10 +16,18 @@ import {
   AlertCircle,
   Play,
   Trophy,
-  Flag
+  Flag,
+  Timer
 } from 'lucide-react';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
 import { format } from 'date-fns';
+import { matchStatusLabel } from '../../utils/matchStatus';
+import useLiveFeed from '../../lib/useLiveFeed';
+import MatchClock from '../../components/match/MatchClock';
+import PowerPlays from '../../components/match/PowerPlays';
+import { formatClock } from '../../utils/matchClock';
+import { foulTotals } from '../../utils/accumulatedFouls';
+import { powerPlayGoals } from '../../utils/powerPlay';
 
 // Helper function to extract image URL from various formats
 const getImageUrl = (imageData) => {
@@ -36,6 +44,9 @@ const getImageUrl = (imageData) => {
   return null;
 };
 
+// Events recorded live carry the second of the match; older ones only the minute
+const eventSeconds = (event) => (event.second != null ? event.second : (event.minute || 0) * 60);
+
 export default function MatchDetails() {
   const router = useRouter();
   const { id } = router.query;
@@ -116,12 +127,45 @@ export default function MatchDetails() {
     }
   };
 
+  // Fallback when the live feed is unavailable: refetch the match without the loading screen
+  const refreshMatch = async () => {
+    try {
+      const response = await fetch(`/api/matches/${id}`);
+      if (response.ok) {
+        setMatch(await response.json());
+      }
+    } catch (error) {
+      console.error('Error refreshing match:', error);
+    }
+  };
+
+  // Score, clock and events are pushed while the match is upcoming or live
+  useLiveFeed({
+    matchId: id,
+    enabled: Boolean(id && ['scheduled', 'live'].includes(match?.status)),
+    onMatch: snapshot => {
+      if (snapshot.deleted) return;
+      setMatch(prev => prev && ({
+        ...prev,
+        status: snapshot.status,
+        homeScore: snapshot.homeScore,
+        awayScore: snapshot.awayScore,
+        liveData: snapshot.liveData,
+        events: snapshot.events,
+        serverTime: snapshot.serverTime
+      }));
+    },
+    poll: refreshMatch
+  });
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'live': return 'bg-red-100 text-red-800';
       case 'completed': return 'bg-green-100 text-green-800';
       case 'postponed': return 'bg-yellow-100 text-yellow-800';
       case 'cancelled': return 'bg-gray-100 text-gray-800';
+      case 'forfeit': return 'bg-orange-100 text-orange-800';
+      case 'abandoned': return 'bg-purple-100 text-purple-800';
       default: return 'bg-blue-100 text-blue-800';
     }
   };
@@ -131,6 +175,8 @@ export default function MatchDetails() {
       case 'goal': return <Target className="w-4 h-4 text-green-600" />;
       case 'yellow_card': return <Award className="w-4 h-4 text-yellow-600" />;
       case 'red_card': return <Award className="w-4 h-4 text-red-600" />;
+      case 'foul': return <Flag className="w-4 h-4 text-purple-600" />;
+      case 'timeout': return <Timer className="w-4 h-4 text-gray-600" />;
       case 'substitution': return <Users className="w-4 h-4 text-blue-600" />;
       default: return <Flag className="w-4 h-4 text-gray-600" />;
     }
@@ -189,10 +235,24 @@ export default function MatchDetails() {
               <div className="inline-flex items-center bg-red-100 text-red-800 px-4 py-2 rounded-full">
                 <div className="w-2 h-2 bg-red-500 rounded-full animate-pulse mr-2"></div>
                 <span className="font-semibold">LIVE MATCH</span>
-                {match.liveData?.currentMinute && (
-                  <span className="ml-2">{match.liveData.currentMinute}'</span>
-                )}
+                <MatchClock
+                  liveData={match.liveData}
+                  rules={match.rules}
+                  serverTime={match.serverTime}
+                  homeTeamName={match.homeTeam?.name}
+                  awayTeamName={match.awayTeam?.name}
+                  className="ml-2"
+                />
               </div>
+              <PowerPlays
+                events={match.events || []}
+                liveData={match.liveData}
+                rules={match.rules}
+                serverTime={match.serverTime}
+                homeTeamName={match.homeTeam?.name}
+                awayTeamName={match.awayTeam?.name}
+                className="mt-2"
+              />
             </div>
           )}
 
@@ -218,7 +278,13 @@ export default function MatchDetails() {
 
             {/* Score */}
             <div className="text-center">
-              {match.status === 'completed' || match.status === 'live' ? (
+              {match.status === 'forfeit' ? (
+                <div className="text-5xl font-bold text-gray-900 mb-2">
+                  <span className="text-blue-600">{match.forfeit?.homeScore}</span>
+                  <span className="text-gray-400 mx-4">-</span>
+                  <span className="text-red-600">{match.forfeit?.awayScore}</span>
+                </div>
+              ) : ['completed', 'live', 'abandoned'].includes(match.status) ? (
                 <div className="text-5xl font-bold text-gray-900 mb-2">
                   <span className="text-blue-600">{match.homeScore || 0}</span>
                   <span className="text-gray-400 mx-4">-</span>
@@ -227,6 +293,66 @@ export default function MatchDetails() {
               ) : (
                 <div className="text-3xl font-bold text-gray-500 mb-2">VS</div>
               )}
+
+              {(match.extraTime?.played || match.penalties?.taken) && (
+                <div className="text-sm font-medium text-gray-700 mb-2">
+                  {match.extraTime?.played && 'After extra time'}
+                  {match.extraTime?.played && match.penalties?.taken && ' • '}
+                  {match.penalties?.taken && `Penalties ${match.penalties.homeScore} - ${match.penalties.awayScore}`}
+                </div>
+              )}
+
+              {match.status === 'forfeit' && (
+                <div className="text-sm font-medium text-orange-700 mb-2">
+                  {match.forfeit?.walkover ? 'Walkover' : 'Forfeit'}:{' '}
+                  {match.forfeit?.team === 'home' ? match.homeTeam?.name : match.awayTeam?.name} did not{' '}
+                  {match.forfeit?.walkover ? 'turn up' : 'complete the match'}
+                  {match.forfeit?.reason && ` (${match.forfeit.reason})`}
+                  {!match.forfeit?.walkover && ` • Played ${match.homeScore || 0} - ${match.awayScore || 0}`}
+                </div>
+              )}
+
+              {match.status === 'abandoned' && (
+                <div className="text-sm font-medium text-purple-700 mb-2">
+                  Abandoned in minute {match.abandonment?.minute}
+                  {match.abandonment?.reason && ` (${match.abandonment.reason})`}
+                  {match.abandonment?.replayMatch && (
+                    <>
+                      {' • '}
+                      <Link href={`/matches/${match.abandonment.replayMatch}`} className="underline">
+                        View replay
+                      </Link>
+                    </>
+                  )}
+                </div>
+              )}
+
+              {match.abandonment?.resolution === 'resume' && match.status !== 'abandoned' && (
+                <div className="text-sm font-medium text-purple-700 mb-2">
+                  Resumed from minute {match.abandonment.minute} after being abandoned
+                </div>
+              )}
+
+              {match.replayOf && (
+                <div className="text-sm font-medium text-purple-700 mb-2">
+                  <Link href={`/matches/${match.replayOf}`} className="underline">
+                    Replay of an abandoned match
+                  </Link>
+                </div>
+              )}
+
+              {match.awardedResult?.homeScore != null && (
+                <div className="text-sm font-medium text-red-700 mb-2" title={match.awardedResult.reason || ''}>
+                  Result awarded {match.awardedResult.homeScore} - {match.awardedResult.awayScore}
+                  {match.awardedResult.decisionReference && ` (Ref. ${match.awardedResult.decisionReference})`}
+                </div>
+              )}
+
+              {match.twoLegTie && (
+                <div className="text-sm font-medium text-gray-700 mb-2">
+                  Aggregate {match.twoLegTie.aggregate.home} - {match.twoLegTie.aggregate.away}
+                </div>
+              )}
               
               <div className="text-lg text-gray-600">
                 {format(new Date(match.matchDate), 'MMM dd, yyyy')}
@@ -258,7 +384,7 @@ export default function MatchDetails() {
           {/* Match Status */}
           <div className="flex justify-center items-center space-x-6">
             <span className={`px-4 py-2 rounded-full text-sm font-medium ${getStatusColor(match.status)}`}>
-              {match.status?.charAt(0).toUpperCase() + match.status?.slice(1)}
+              {match.status && matchStatusLabel(match)}
             </span>
             
             {match.venue && (
@@ -291,6 +417,11 @@ export default function MatchDetails() {
         </div>
       </div>
 
+      {/* Two-legged Tie */}
+      {match.twoLegTie && (
+        <TwoLegTieCard match={match} />
+      )}
+
       {/* Match Details Grid */}
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
         {/* Match Information */}
@@ -370,6 +501,42 @@ export default function MatchDetails() {
                       {match.events.filter(e => e.type === 'yellow_card' || e.type === 'red_card').length}
                     </span>
                   </div>
+                  {match.events.some(e => e.powerPlayGoal) && (() => {
+                    const goals = powerPlayGoals(match.events);
+                    return (
+                      <div className="flex justify-between items-center">
+                        <span className="text-gray-600">Power-Play Goals</span>
+                        <div className="flex items-center space-x-4">
+                          <span className="font-bold text-blue-600">{goals.home}</span>
+                          <span className="text-gray-400">-</span>
+                          <span className="font-bold text-red-600">{goals.away}</span>
+                        </div>
+                      </div>
+                    );
+                  })()}
+                  {match.events.some(e => e.type === 'foul') && (() => {
+                    const fouls = foulTotals(match.events);
+                    return (
+                      <>
+                        <div className="flex justify-between items-center">
+                          <span className="text-gray-600">Fouls</span>
+                          <div className="flex items-center space-x-4">
+                            <span className="font-bold text-blue-600">{fouls.home}</span>
+                            <span className="text-gray-400">-</span>
+                            <span className="font-bold text-red-600">{fouls.away}</span>
+                          </div>
+                        </div>
+                        <div className="flex justify-between items-center">
+                          <span className="text-gray-600">10 m Kicks</span>
+                          <div className="flex items-center space-x-4">
+                            <span className="font-bold text-blue-600">{fouls.secondPenaltyKicks.home}</span>
+                            <span className="text-gray-400">-</span>
+                            <span className="font-bold text-red-600">{fouls.secondPenaltyKicks.away}</span>
+                          </div>
+                        </div>
+                      </>
+                    );
+                  })()}
                 </>
               )}
             </div>
@@ -417,7 +584,7 @@ export default function MatchDetails() {
           </h3>
           <div className="space-y-3">
             {match.events
-              .sort((a, b) => (b.minute || 0) - (a.minute || 0))
+              .sort((a, b) => eventSeconds(b) - eventSeconds(a))
               .map((event, index) => (
                 <div key={index} className="flex items-center justify-between p-4 bg-gray-50 rounded-lg">
                   <div className="flex items-center space-x-3">
@@ -430,11 +597,21 @@ export default function MatchDetails() {
                       </div>
                       <div className="text-sm text-gray-600">
                         {event.team === 'home' ? match.homeTeam?.name : match.awayTeam?.name}
+                        {event.type === 'foul' && event.accumulatedFoul && (
+                          <span className={event.secondPenaltyKick ? 'ml-2 font-medium text-purple-600' : 'ml-2'}>
+                            Foul {event.accumulatedFoul} of the half{event.secondPenaltyKick ? ' - 10 m kick' : ''}
+                          </span>
+                        )}
+                        {event.powerPlayGoal && (
+                          <span className="ml-2 font-medium text-red-600">Power-play goal</span>
+                        )}
                       </div>
                     </div>
                   </div>
                   <div className="text-right">
-                    <div className="font-bold text-blue-600">{event.minute || 0}'</div>
+                    <div className="font-bold text-blue-600">
+                      {event.second != null ? formatClock(event.second) : `${event.minute || 0}'`}
+                    </div>
                     <div className="text-xs text-gray-500 capitalize">
                       {event.type?.replace('_', ' ')}
                     </div>
@@ -553,3 +730,60 @@ export default function MatchDetails() {
     </div>
   );
 }
+
+const DECIDED_BY_LABELS = {
+  aggregate: 'on aggregate',
+  extra_time: 'after extra time',
+  away_goals: 'on away goals',
+  penalties: 'on penalties',
+  forfeit: 'by forfeit'
+};
+
+function TwoLegTieCard({ match }) {
+  const { otherLeg, aggregate, awayGoalsRule, winner, decidedBy, competitionName } = match.twoLegTie;
+  const otherPlayed = otherLeg.status === 'completed' || otherLeg.status === 'live';
+
+  return (
+    <div className="card">
+      <h3 className="text-lg font-semibold mb-4 flex items-center">
+        <Trophy className="w-5 h-5 mr-2 text-yellow-500" />
+        {competitionName ? `${competitionName} - ` : ''}Two-legged Tie
+      </h3>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <div className="text-sm text-gray-600 mb-1">
+            Aggregate ({match.leg === 1 ? 'after the first leg' : 'both legs'})
+          </div>
+          <div className="text-2xl font-bold text-gray-900">
+            {match.homeTeam?.name} {aggregate.home} - {aggregate.away} {match.awayTeam?.name}
+          </div>
+          {winner ? (
+            <div className="text-sm font-medium text-green-700 mt-1">
+              {winner.name} go through {DECIDED_BY_LABELS[decidedBy] || ''}
+            </div>
+          ) : (
+            <div className="text-xs text-gray-500 mt-1">
+              Level on aggregate: {awayGoalsRule ? 'away goals, then ' : ''}extra time and penalties in the second leg
+            </div>
+          )}
+        </div>
+        <Link href={`/matches/${otherLeg._id}`} className="block p-3 rounded border border-gray-200 hover:bg-gray-50">
+          <div className="text-sm text-gray-600 mb-1">
+            {otherLeg.leg === 1 ? 'First leg' : 'Second leg'} • {format(new Date(otherLeg.matchDate), 'MMM dd, yyyy HH:mm')}
+          </div>
+          <div className="font-medium text-gray-900">
+            {otherLeg.homeTeam?.name}{' '}
+            {otherPlayed ? `${otherLeg.homeScore || 0} - ${otherLeg.awayScore || 0}` : 'vs'}{' '}
+            {otherLeg.awayTeam?.name}
+          </div>
+          {otherLeg.extraTime?.played && <div className="text-xs text-gray-500">After extra time</div>}
+          {otherLeg.penalties?.taken && (
+            <div className="text-xs text-gray-500">
+              Penalties {otherLeg.penalties.homeScore} - {otherLeg.penalties.awayScore}
+            </div>
+          )}
+        </Link>
+      </div>
+    </div>
+  );
+}
@@ -3,6 +3,7 @@ import Link from 'next/link';
 import { Calendar, MapPin, Clock, Users } from 'lucide-react';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
 import { format } from 'date-fns';
+import { matchStatusLabel } from '../../utils/matchStatus';
 
 export default function MatchesPage() {
   const [matches, setMatches] = useState([]);
@@ -63,6 +64,8 @@ export default function MatchesPage() {
       case 'completed': return 'bg-green-100 text-green-800';
       case 'postponed': return 'bg-yellow-100 text-yellow-800';
       case 'cancelled': return 'bg-gray-100 text-gray-800';
+      case 'forfeit': return 'bg-orange-100 text-orange-800';
+      case 'abandoned': return 'bg-purple-100 text-purple-800';
       default: return 'bg-blue-100 text-blue-800';
     }
   };
@@ -93,6 +96,8 @@ export default function MatchesPage() {
             <option value="completed">Completed</option>
             <option value="postponed">Postponed</option>
             <option value="cancelled">Cancelled</option>
+            <option value="forfeit">Forfeit / Walkover</option>
+            <option value="abandoned">Abandoned</option>
           </select>
           
           {/* Season Filter */}
@@ -142,7 +147,7 @@ export default function MatchesPage() {
                   </div>
                   
                   <span className={`px-3 py-1 rounded-full text-sm font-medium ${getStatusColor(match.status)}`}>
-                    {match.status.charAt(0).toUpperCase() + match.status.slice(1)}
+                    {matchStatusLabel(match)}
                     {match.status === 'live' && match.liveData?.currentMinute && (
                       <span className="ml-1">{match.liveData.currentMinute}'</span>
                     )}
@@ -165,7 +170,16 @@ export default function MatchesPage() {
 
                     {/* Score or VS */}
                     <div className="text-center">
-                      {match.status === 'completed' || match.status === 'live' ? (
+                      {match.status === 'forfeit' ? (
+                        <div>
+                          <div className="text-2xl font-bold text-gray-900">
+                            {match.forfeit?.homeScore} - {match.forfeit?.awayScore}
+                          </div>
+                          <div className="text-xs text-orange-700">
+                            {match.forfeit?.walkover ? 'W/O' : 'Forfeit'}
+                          </div>
+                        </div>
+                      ) : match.status === 'completed' || match.status === 'live' || match.status === 'abandoned' ? (
                         <div className="text-2xl font-bold text-gray-900">
                           {match.homeScore} - {match.awayScore}
                         </div>
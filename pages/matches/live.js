@@ -14,11 +14,23 @@ import {
   Target,
   AlertTriangle,
   Plus,
-  Minus 
+  Minus,
+  XOctagon,
+  Flag,
+  Timer
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 import Modal from '../../components/ui/Modal';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
+import { resolveSeasonRules } from '../../utils/seasonRules';
+import { matchPeriods, formatClock, nextEventId, timeoutsAllowed, timeoutsTaken } from '../../utils/matchClock';
+import useLiveFeed from '../../lib/useLiveFeed';
+import { useMatchClock } from '../../components/match/MatchClock';
+import PowerPlays from '../../components/match/PowerPlays';
+import SquadEditor from '../../components/match/SquadEditor';
+import { accumulatedFouls, isSecondPenaltyFoul } from '../../utils/accumulatedFouls';
+import { squadOf, squadPlayerIds } from '../../utils/matchSquads';
+import { playersOnCourt } from '../../utils/minutesPlayed';
 
 export default function LiveMatchManager() {
   const { data: session, status } = useSession();
@@ -27,8 +39,7 @@ export default function LiveMatchManager() {
 
   const [match, setMatch] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
-  const [isLive, setIsLive] = useState(false);
-  const [currentMinute, setCurrentMinute] = useState(0);
+  const [clockInput, setClockInput] = useState('');
   const [homeScore, setHomeScore] = useState(0);
   const [awayScore, setAwayScore] = useState(0);
   const [events, setEvents] = useState([]);
@@ -40,6 +51,7 @@ export default function LiveMatchManager() {
   const [eventType, setEventType] = useState('');
   const [eventTeam, setEventTeam] = useState('');
   const [showOfficialModal, setShowOfficialModal] = useState(false);
+  const [showSquadModal, setShowSquadModal] = useState(false);
 
   useEffect(() => {
     if (matchId) {
@@ -54,8 +66,6 @@ export default function LiveMatchManager() {
       if (response.ok) {
         const matchData = await response.json();
         setMatch(matchData);
-        setCurrentMinute(matchData.liveData?.currentMinute || 0);
-        setIsLive(matchData.liveData?.isLive || false);
         
         // Enhanced score handling
         if (matchData.stats) {
@@ -77,6 +87,46 @@ export default function LiveMatchManager() {
     }
   };
 
+  // Stored state pushed by the live feed; the admin running the match keeps their own
+  // score and event list and only follows the status and clock
+  const applyLiveState = (snapshot) => {
+    setMatch(prev => prev && ({
+      ...prev,
+      status: snapshot.status,
+      liveData: snapshot.liveData,
+      serverTime: snapshot.serverTime
+    }));
+    if (session?.user?.role === 'admin') return;
+
+    setHomeScore(snapshot.homeScore || 0);
+    setAwayScore(snapshot.awayScore || 0);
+    setEvents(snapshot.events || []);
+  };
+
+  // Fallback when the live feed is unavailable
+  const refreshLiveState = async () => {
+    try {
+      const response = await fetch(`/api/matches/${matchId}`);
+      if (response.ok) {
+        applyLiveState(await response.json());
+      }
+    } catch (error) {
+      console.error('Error refreshing match state:', error);
+    }
+  };
+
+  useLiveFeed({
+    matchId,
+    enabled: Boolean(matchId && match),
+    onMatch: snapshot => {
+      if (!snapshot.deleted) applyLiveState(snapshot);
+    },
+    poll: refreshLiveState
+  });
+
+  // The clock is read from the server's stored clock, never counted here
+  const clock = useMatchClock(match?.liveData, match?.rules, match?.serverTime);
+
   const fetchTeamPlayers = async (matchData) => {
     try {
       const [homeResponse, awayResponse] = await Promise.all([
@@ -115,18 +165,22 @@ export default function LiveMatchManager() {
     setShowOfficialModal(true);
   };
 
-  const addEventWithPlayer = async (playerId, playerName = null) => {
+  // extra carries event fields beyond the player, e.g. playerIn and playerOut of a substitution
+  const addEventWithPlayer = async (playerId, playerName = null, extra = {}) => {
     try {
       const newEvent = {
-        id: events.length + 1,
+        id: nextEventId(events),
         type: eventType,
         team: eventTeam,
-        minute: currentMinute,
+        minute: clock.minute,
+        second: clock.matchSeconds,
+        period: clock.period.index,
         player: playerId,
         playerName: playerName,
         isOfficial: !playerId, // True if no player ID (official)
-        description: generateEventDescription(playerId, playerName),
+        description: generateEventDescription(playerId, playerName, extra),
         timestamp: new Date(),
+        ...extra,
         // Enhanced fields for specific event types
         ...(eventType === 'own_goal' && {
           isOwnGoal: true,
@@ -134,38 +188,48 @@ export default function LiveMatchManager() {
         })
       };
 
-      const updatedEvents = [...events, newEvent];
-      setEvents(updatedEvents);
+      setEvents([...events, newEvent]);
 
-      // Update score for goals
-      if (eventType === 'goal') {
-        if (eventTeam === 'home') {
-          setHomeScore(prev => prev + 1);
-        } else {
-          setAwayScore(prev => prev + 1);
-        }
-      } else if (eventType === 'own_goal') {
-        // Own goal benefits the opposing team
-        if (eventTeam === 'home') {
-          setAwayScore(prev => prev + 1);
-        } else {
-          setHomeScore(prev => prev + 1);
-        }
-      }
+      // Update score for goals; an own goal benefits the opposing team
+      const scoringTeam = eventType === 'goal' ? eventTeam : eventType === 'own_goal' ? newEvent.beneficiaryTeam : null;
+      const newHomeScore = homeScore + (scoringTeam === 'home' ? 1 : 0);
+      const newAwayScore = awayScore + (scoringTeam === 'away' ? 1 : 0);
+      setHomeScore(newHomeScore);
+      setAwayScore(newAwayScore);
 
-      // Send to server
-      await updateMatchScore(updatedEvents);
+      // Send to server, which times the event by its clock and counts accumulated fouls
+      const data = await updateMatchScore({ homeScore: newHomeScore, awayScore: newAwayScore, event: newEvent });
+
+      // An ineligible player, or one outside the matchday squad, is only recorded once confirmed,
+      // optionally with a fair-play record when they were ineligible
+      if (data?.requiresConfirmation) {
+        setEvents(events);
+        setHomeScore(homeScore);
+        setAwayScore(awayScore);
+        if (!confirm(`${data.message}\n\nRecord the event anyway?`)) return;
+        const recordFairPlay = data.ineligible?.length > 0
+          && confirm('Create a "Suspended Player Participated" fair-play record for this player?');
+        return addEventWithPlayer(playerId, playerName, { ...extra, confirmIneligible: true, recordFairPlay });
+      }
+      const recorded = data?.match?.events?.[data.match.events.length - 1];
+      if (data?.match?.events) {
+        setEvents(data.match.events);
+      }
       setShowEventModal(false);
       setShowOfficialModal(false);
       
       toast.success(`${eventType.replace('_', ' ').toUpperCase()} recorded successfully`);
+      if (recorded?.secondPenaltyKick) {
+        const teamName = recorded.team === 'home' ? match.homeTeam.name : match.awayTeam.name;
+        toast(`Foul ${recorded.accumulatedFoul} for ${teamName}: kick from the second penalty mark (10 m)`, { icon: '⚠️', duration: 6000 });
+      }
     } catch (error) {
       console.error('Error adding event:', error);
       toast.error('Failed to add event');
     }
   };
 
-  const generateEventDescription = (playerId, playerName) => {
+  const generateEventDescription = (playerId, playerName, extra = {}) => {
     const name = playerName || getPlayerName(playerId) || 'Official';
     
     switch (eventType) {
@@ -179,20 +243,31 @@ export default function LiveMatchManager() {
         return `Yellow card - ${name}`;
       case 'red_card':
         return `Red card - ${name}`;
+      case 'foul':
+        return `Foul - ${name}`;
       case 'substitution':
-        return `Substitution - ${name}`;
+        return extra.playerOut
+          ? `Substitution - ${getPlayerName(extra.playerIn)} on, ${getPlayerName(extra.playerOut)} off`
+          : `Substitution - ${name}`;
       default:
         return `${eventType.replace('_', ' ')} - ${name}`;
     }
   };
 
+  // Once a team's matchday squad is in, only its players can be picked for the team's events
+  const pickablePlayers = (team) => {
+    const players = team === 'home' ? homePlayers : awayPlayers;
+    const squadIds = squadPlayerIds(match, team);
+    return squadIds ? players.filter(player => squadIds.has(player._id)) : players;
+  };
+
   const getPlayerName = (playerId) => {
     const allPlayers = [...homePlayers, ...awayPlayers];
     const player = allPlayers.find(p => p._id === playerId);
     return player ? `${player.name} (#${player.jerseyNumber})` : 'Unknown Player';
   };
 
-  const updateMatchScore = async (updatedEvents = events) => {
+  const updateMatchScore = async ({ homeScore: newHomeScore = homeScore, awayScore: newAwayScore = awayScore, event } = {}) => {
     try {
       const response = await fetch('/api/matches/live/score', {
         method: 'POST',
@@ -201,44 +276,97 @@ export default function LiveMatchManager() {
         },
         body: JSON.stringify({
           matchId,
-          homeScore,
-          awayScore,
-          currentMinute,
-          events: updatedEvents
+          homeScore: newHomeScore,
+          awayScore: newAwayScore,
+          event
         }),
       });
 
-      if (!response.ok) {
+      // 409: the event's player is not eligible and the server wants confirmation
+      if (!response.ok && response.status !== 409) {
         throw new Error('Failed to update score');
       }
+      return response.json();
     } catch (error) {
       console.error('Error updating score:', error);
       throw error;
     }
   };
 
-  const toggleMatchState = async () => {
+  // Clock actions run on the server (start, stop/restart, end period, next period, penalties, full time, abandon)
+  const sendClockAction = async (action, extra = {}) => {
     try {
       const response = await fetch('/api/matches/live/control', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({
-          matchId,
-          action: isLive ? 'pause' : 'start',
-          currentMinute
-        }),
+        body: JSON.stringify({ matchId, action, ...extra }),
       });
 
+      const data = await response.json();
       if (response.ok) {
-        setIsLive(!isLive);
-        toast.success(`Match ${isLive ? 'paused' : 'started'}`);
+        if (action === 'timeout') {
+          setEvents(data.match.events);
+        }
+        // A resumed abandoned match starts again from the score it was stopped at
+        if (action === 'start') {
+          setHomeScore(data.match.homeScore || 0);
+          setAwayScore(data.match.awayScore || 0);
+        }
+        setMatch(prev => ({
+          ...prev,
+          status: data.status,
+          liveData: data.liveData,
+          serverTime: data.serverTime,
+          abandonment: data.match.abandonment
+        }));
+        return data;
       }
+      toast.error(data.message || 'Failed to update match state');
     } catch (error) {
-      console.error('Error toggling match state:', error);
+      console.error(`Error sending clock action ${action}:`, error);
       toast.error('Failed to update match state');
     }
+    return null;
+  };
+
+  const runClockAction = async (action, successMessage) => {
+    const data = await sendClockAction(action);
+    if (data) toast.success(successMessage);
+  };
+
+  // Correct the clock of the current period, e.g. "12:30"
+  const adjustClock = async () => {
+    const [minutes, seconds = '0'] = clockInput.split(':');
+    const periodSeconds = parseInt(minutes) * 60 + parseInt(seconds);
+    if (!/^\d+(:[0-5]\d)?$/.test(clockInput.trim()) || isNaN(periodSeconds)) {
+      toast.error('Enter the clock as mm:ss');
+      return;
+    }
+    const data = await sendClockAction('adjust', { periodSeconds });
+    if (data) {
+      setClockInput('');
+      toast.success(`Clock set to ${formatClock(periodSeconds)}`);
+    }
+  };
+
+  // A team's timeout stops the clock until it is restarted
+  const callTimeout = async (team) => {
+    const data = await sendClockAction('timeout', { team });
+    if (data) {
+      toast.success(`Timeout - ${team === 'home' ? match.homeTeam.name : match.awayTeam.name}`);
+    }
+  };
+
+  const abandonMatch = async () => {
+    const reason = window.prompt(`Abandon the match in minute ${clock.minute}? Enter the reason:`);
+    if (reason === null) return;
+
+    const data = await sendClockAction('abandon', { reason });
+    if (data) {
+      toast.success(`Match abandoned in minute ${data.match.abandonment?.minute ?? clock.minute}`);
+    }
   };
 
   const updateScore = (team, delta) => {
@@ -266,6 +394,31 @@ export default function LiveMatchManager() {
     );
   }
 
+  // Periods and their length come from the season's rules
+  const rules = resolveSeasonRules(match.rules);
+  const nextPeriod = matchPeriods(rules)[clock.period.index + 1];
+  const canStartPenalties = clock.phase === 'break' && clock.period.index >= rules.periods.count - 1;
+  // Timeouts left to each team in the period being played
+  const timeoutsLeft = (team) => Math.max(0, timeoutsAllowed(clock.period, rules) - timeoutsTaken(events, clock.period.index, team));
+  const canCallTimeout = (team) => clock.phase === 'in_play' && !clock.expired && !clock.timeout && timeoutsLeft(team) > 0;
+
+  // Accumulated fouls of the half being played; the count starts again each half
+  const fouls = accumulatedFouls(events, clock.period.index, rules);
+  const foulCounter = (team) => {
+    const count = fouls[team];
+    const nextIsKick = isSecondPenaltyFoul(count + 1, rules);
+    return (
+      <div className="text-center">
+        <div className={`text-2xl font-bold ${nextIsKick ? 'text-red-600' : count === rules.accumulatedFoulLimit - 1 ? 'text-orange-500' : 'text-gray-700'}`}>
+          {count}
+        </div>
+        {nextIsKick && (
+          <div className="text-xs font-medium text-red-600">Next foul: 10 m kick</div>
+        )}
+      </div>
+    );
+  };
+
   return (
     <div className="space-y-6 max-w-4xl mx-auto">
       {/* Match Header */}
@@ -274,9 +427,18 @@ export default function LiveMatchManager() {
           <h1 className="text-2xl font-bold mb-2">Live Match Manager</h1>
           <div className="flex justify-center items-center space-x-2 mb-4">
             <Clock className="w-5 h-5" />
-            <span className={`font-bold ${isLive ? 'text-red-600' : 'text-gray-600'}`}>
-              {isLive ? 'LIVE' : 'PAUSED'} - {currentMinute}'
+            <span className={`font-bold ${clock.running ? 'text-red-600' : 'text-gray-600'}`}>
+              {clock.running ? 'LIVE' : 'STOPPED'} - {clock.display} ({clock.label})
             </span>
+            {clock.breakRemainingSeconds > 0 && (
+              <span className="text-sm text-gray-500">restart in {formatClock(clock.breakRemainingSeconds)}</span>
+            )}
+            {clock.timeout && (
+              <span className="text-sm text-gray-500">
+                {clock.timeout.team === 'home' ? match.homeTeam.name : match.awayTeam.name}
+                {clock.timeout.remainingSeconds > 0 ? ` - ${formatClock(clock.timeout.remainingSeconds)} left` : ' - time is up'}
+              </span>
+            )}
           </div>
           
           <div className="grid grid-cols-3 items-center gap-4">
@@ -331,6 +493,29 @@ export default function LiveMatchManager() {
               <div className="text-4xl font-bold text-red-600">{awayScore}</div>
             </div>
           </div>
+
+          {/* Teams playing short after a red card */}
+          <PowerPlays
+            events={events}
+            liveData={match.liveData}
+            rules={match.rules}
+            serverTime={match.serverTime}
+            homeTeamName={match.homeTeam.name}
+            awayTeamName={match.awayTeam.name}
+            className="mt-4"
+          />
+
+          {/* Accumulated fouls */}
+          {clock.phase !== 'not_started' && (
+            <div className="grid grid-cols-3 items-center gap-4 mt-4 pt-4 border-t">
+              {foulCounter('home')}
+              <div className="text-center text-sm text-gray-600">
+                <div className="font-medium">Accumulated fouls</div>
+                <div className="text-xs">{clock.period.label} (limit {rules.accumulatedFoulLimit})</div>
+              </div>
+              {foulCounter('away')}
+            </div>
+          )}
         </div>
       </div>
 
@@ -341,27 +526,119 @@ export default function LiveMatchManager() {
           
           {/* Match State Controls */}
           <div className="flex justify-center space-x-4 mb-6">
-            <button
-              onClick={toggleMatchState}
-              className={`btn ${isLive ? 'btn-danger' : 'btn-success'} flex items-center`}
-            >
-              {isLive ? <Pause className="w-4 h-4 mr-2" /> : <Play className="w-4 h-4 mr-2" />}
-              {isLive ? 'Pause Match' : 'Start Match'}
+            {match.status !== 'live' && (
+              <button
+                onClick={() => runClockAction('start', 'Match started')}
+                className="btn btn-success flex items-center"
+              >
+                <Play className="w-4 h-4 mr-2" />
+                Start Match
+              </button>
+            )}
+
+            {clock.phase === 'in_play' && clock.running && rules.stopClock && (
+              <button
+                onClick={() => runClockAction('pause', 'Clock stopped')}
+                className="btn btn-danger flex items-center"
+              >
+                <Pause className="w-4 h-4 mr-2" />
+                Stop Clock
+              </button>
+            )}
+
+            {clock.phase === 'in_play' && !clock.running && !clock.expired && (
+              <button
+                onClick={() => runClockAction('resume', 'Clock restarted')}
+                className="btn btn-success flex items-center"
+              >
+                <Play className="w-4 h-4 mr-2" />
+                Restart Clock
+              </button>
+            )}
+
+            {clock.phase === 'in_play' && (
+              <button
+                onClick={() => runClockAction('end_period', `End of the ${clock.period.label.toLowerCase()}`)}
+                className="btn btn-secondary flex items-center"
+              >
+                <Clock className="w-4 h-4 mr-2" />
+                End {clock.period.label}
+              </button>
+            )}
+
+            {clock.phase === 'break' && nextPeriod && (
+              <button
+                onClick={() => runClockAction('next_period', `${nextPeriod.label} started`)}
+                className="btn btn-success flex items-center"
+              >
+                <Play className="w-4 h-4 mr-2" />
+                Start {nextPeriod.label}
+              </button>
+            )}
+
+            {canStartPenalties && (
+              <button
+                onClick={() => runClockAction('penalties', 'Penalty shootout started')}
+                className="btn btn-secondary flex items-center"
+              >
+                <Target className="w-4 h-4 mr-2" />
+                Penalties
+              </button>
+            )}
+
+            {match.status === 'live' && (clock.phase === 'break' || clock.phase === 'penalties') && (
+              <button
+                onClick={() => runClockAction('stop', 'Full time')}
+                className="btn btn-primary flex items-center"
+              >
+                <Shield className="w-4 h-4 mr-2" />
+                Full Time
+              </button>
+            )}
+
+            {match.status === 'live' && (
+              <button
+                onClick={abandonMatch}
+                className="btn btn-secondary flex items-center"
+              >
+                <XOctagon className="w-4 h-4 mr-2" />
+                Abandon Match
+              </button>
+            )}
+          </div>
+
+          {/* Matchday squads */}
+          <div className="flex justify-center items-center space-x-3 mb-6 text-sm">
+            {['home', 'away'].map(team => (
+              <span key={team} className={squadOf(match, team) ? 'text-green-700' : 'text-orange-600'}>
+                {team === 'home' ? match.homeTeam.name : match.awayTeam.name}: {squadOf(match, team)
+                  ? `${squadOf(match, team).players.length} in squad`
+                  : 'no squad'}
+              </span>
+            ))}
+            <button onClick={() => setShowSquadModal(true)} className="btn btn-secondary flex items-center">
+              <Users className="w-4 h-4 mr-2" />
+              Squads
             </button>
-            
-            <div className="flex items-center space-x-2">
-              <label htmlFor="minute" className="text-sm font-medium">Minute:</label>
+          </div>
+
+          {/* Clock correction */}
+          {(clock.phase === 'in_play' || clock.phase === 'break') && (
+            <div className="flex justify-center items-center space-x-2 mb-6">
+              <label htmlFor="clock" className="text-sm font-medium">Set {clock.period.label} clock:</label>
               <input
-                id="minute"
-                type="number"
-                min="0"
-                max="120"
-                value={currentMinute}
-                onChange={(e) => setCurrentMinute(parseInt(e.target.value) || 0)}
-                className="form-input w-20"
+                id="clock"
+                type="text"
+                placeholder={clock.display}
+                value={clockInput}
+                onChange={(e) => setClockInput(e.target.value)}
+                className="form-input w-24"
               />
+              <button onClick={adjustClock} className="btn btn-secondary" disabled={!clockInput}>
+                Set
+              </button>
             </div>
-          </div>
+          )}
 
           {/* Enhanced Event Buttons */}
           <div className="space-y-4">
@@ -436,6 +713,44 @@ export default function LiveMatchManager() {
               </button>
             </div>
 
+            {/* Fouls */}
+            <div className="grid grid-cols-2 gap-2">
+              <button
+                onClick={() => openEventModal('foul', 'home')}
+                className="btn btn-secondary flex items-center justify-center"
+              >
+                <Flag className="w-4 h-4 mr-1" />
+                Foul (Home) - {fouls.home}
+              </button>
+              <button
+                onClick={() => openEventModal('foul', 'away')}
+                className="btn btn-secondary flex items-center justify-center"
+              >
+                <Flag className="w-4 h-4 mr-1" />
+                Foul (Away) - {fouls.away}
+              </button>
+            </div>
+
+            {/* Timeouts */}
+            <div className="grid grid-cols-2 gap-2">
+              <button
+                onClick={() => callTimeout('home')}
+                className="btn btn-secondary flex items-center justify-center"
+                disabled={!canCallTimeout('home')}
+              >
+                <Timer className="w-4 h-4 mr-1" />
+                Timeout (Home) - {timeoutsLeft('home')} left
+              </button>
+              <button
+                onClick={() => callTimeout('away')}
+                className="btn btn-secondary flex items-center justify-center"
+                disabled={!canCallTimeout('away')}
+              >
+                <Timer className="w-4 h-4 mr-1" />
+                Timeout (Away) - {timeoutsLeft('away')} left
+              </button>
+            </div>
+
             {/* Substitutions */}
             <div className="grid grid-cols-2 gap-2">
               <button
@@ -474,10 +789,14 @@ export default function LiveMatchManager() {
                 event.type === 'goal' ? 'bg-green-50 border-l-4 border-green-500' :
                 event.type === 'yellow_card' ? 'bg-yellow-50 border-l-4 border-yellow-500' :
                 event.type === 'red_card' ? 'bg-red-50 border-l-4 border-red-500' :
+                event.secondPenaltyKick ? 'bg-purple-50 border-l-4 border-purple-500' :
+                event.type === 'timeout' ? 'bg-blue-50 border-l-4 border-blue-300' :
                 'bg-gray-50'
               }`}>
                 <div className="flex items-center space-x-3">
-                  <span className="font-mono text-sm font-medium">{event.minute}'</span>
+                  <span className="font-mono text-sm font-medium">
+                    {event.second != null ? formatClock(event.second) : `${event.minute}'`}
+                  </span>
                   <span className={`px-2 py-1 rounded-full text-xs font-medium ${
                     event.type === 'goal' ? 'bg-green-100 text-green-800' :
                     event.type === 'own_goal' ? 'bg-orange-100 text-orange-800' :
@@ -489,12 +808,20 @@ export default function LiveMatchManager() {
                     {event.type.replace('_', ' ').toUpperCase()}
                   </span>
                   <span className="text-sm font-medium">
-                    {event.playerName || getPlayerName(event.player) || 'Unknown Player'}
+                    {event.type === 'timeout' || (event.type === 'substitution' && event.playerOut) ? event.description : event.playerName || getPlayerName(event.player) || 'Unknown Player'}
                     {event.isOfficial && <span className="ml-1 text-purple-600">(Official)</span>}
                   </span>
                   <span className="text-sm text-gray-600">
                     ({eventTeam === 'home' ? match.homeTeam.name : match.awayTeam.name})
                   </span>
+                  {event.type === 'foul' && event.accumulatedFoul && (
+                    <span className={`text-xs font-medium ${event.secondPenaltyKick ? 'text-purple-600' : 'text-gray-500'}`}>
+                      Foul {event.accumulatedFoul}{event.secondPenaltyKick ? ' - 10 m kick' : ''}
+                    </span>
+                  )}
+                  {event.powerPlayGoal && (
+                    <span className="text-xs text-red-600 font-medium">Power-play goal</span>
+                  )}
                   {event.type === 'own_goal' && (
                     <span className="text-xs text-orange-600 font-medium">
                       (Benefits {event.beneficiaryTeam === 'home' ? match.homeTeam.name : match.awayTeam.name})
@@ -514,14 +841,40 @@ export default function LiveMatchManager() {
         title={`Select Player/Official - ${eventType.replace('_', ' ').toUpperCase()}`}
         size="md"
       >
-        <EnhancedPlayerSelectionModal
-          players={eventTeam === 'home' ? homePlayers : awayPlayers}
-          teamName={eventTeam === 'home' ? match.homeTeam.name : match.awayTeam.name}
-          onSelectPlayer={addEventWithPlayer}
-          onClose={() => setShowEventModal(false)}
-          eventType={eventType}
-          allowOfficialEntry={eventType === 'yellow_card' || eventType === 'red_card'}
-        />
+        {eventType === 'substitution' ? (
+          <SubstitutionModal
+            players={pickablePlayers(eventTeam)}
+            onCourt={playersOnCourt({ squads: match.squads, events }, eventTeam)}
+            teamName={eventTeam === 'home' ? match.homeTeam.name : match.awayTeam.name}
+            onSubstitute={(playerOut, playerIn) => addEventWithPlayer(playerIn, null, { playerIn, playerOut })}
+            onClose={() => setShowEventModal(false)}
+          />
+        ) : (
+          <EnhancedPlayerSelectionModal
+            players={pickablePlayers(eventTeam)}
+            teamName={eventTeam === 'home' ? match.homeTeam.name : match.awayTeam.name}
+            onSelectPlayer={addEventWithPlayer}
+            onClose={() => setShowEventModal(false)}
+            eventType={eventType}
+            allowOfficialEntry={eventType === 'yellow_card' || eventType === 'red_card'}
+          />
+        )}
+      </Modal>
+
+      {/* Matchday Squads Modal */}
+      <Modal
+        isOpen={showSquadModal}
+        onClose={() => setShowSquadModal(false)}
+        title="Matchday Squads"
+        size="lg"
+      >
+        {showSquadModal && (
+          <SquadEditor
+            matchId={matchId}
+            onClose={() => setShowSquadModal(false)}
+            onSaved={squads => setMatch(prev => ({ ...prev, squads }))}
+          />
+        )}
       </Modal>
     </div>
   );
@@ -638,3 +991,63 @@ function EnhancedPlayerSelectionModal({
     </div>
   );
 }
+
+// Rolling substitution: the player coming off (from those on court once the squad is in) and the player coming on
+function SubstitutionModal({ players, onCourt, teamName, onSubstitute, onClose }) {
+  const [playerOut, setPlayerOut] = useState('');
+  const [playerIn, setPlayerIn] = useState('');
+
+  const offOptions = onCourt ? players.filter(player => onCourt.has(player._id)) : players;
+  const onOptions = players.filter(player => player._id !== playerOut && !(onCourt && onCourt.has(player._id)));
+
+  const playerLabel = (player) => `${player.name}${player.jerseyNumber ? ` (#${player.jerseyNumber})` : ''}`;
+
+  return (
+    <div className="space-y-4">
+      <div className="text-center">
+        <h3 className="text-lg font-medium text-gray-900 mb-2">{teamName} - SUBSTITUTION</h3>
+        <p className="text-sm text-gray-600">Players can come back on later; every change counts towards minutes played</p>
+      </div>
+
+      <div>
+        <label className="form-label">Player off</label>
+        <select
+          value={playerOut}
+          onChange={(e) => {
+            setPlayerOut(e.target.value);
+            if (e.target.value === playerIn) setPlayerIn('');
+          }}
+          className="form-input w-full"
+        >
+          <option value="">Select player coming off</option>
+          {offOptions.map(player => (
+            <option key={player._id} value={player._id}>{playerLabel(player)}</option>
+          ))}
+        </select>
+      </div>
+
+      <div>
+        <label className="form-label">Player on</label>
+        <select value={playerIn} onChange={(e) => setPlayerIn(e.target.value)} className="form-input w-full">
+          <option value="">Select player coming on</option>
+          {onOptions.map(player => (
+            <option key={player._id} value={player._id}>{playerLabel(player)}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="flex justify-end space-x-2">
+        <button onClick={onClose} className="btn btn-secondary">
+          Cancel
+        </button>
+        <button
+          onClick={() => onSubstitute(playerOut, playerIn)}
+          className="btn btn-primary"
+          disabled={!playerOut || !playerIn}
+        >
+          Make Substitution
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -7,13 +7,28 @@ import Image from 'next/image';
 import Link from 'next/link';
 import { 
   User, Trophy, Target, Calendar, MapPin, Mail, Phone, Users,
-  TrendingUp, Award, Activity, Clock, Heart, Shield, ChevronRight,
+  TrendingUp, Award, Activity, Clock, Heart, Shield, ChevronRight, ChevronLeft,
   FileText, AlertCircle, ArrowLeft, Share2, Star, BarChart3,
   Zap, Crown, CheckCircle, XCircle, Eye, Download
 } from 'lucide-react';
 import LoadingSpinner from '../../components/ui/LoadingSpinner';
 import { format, isToday, isTomorrow, isYesterday } from 'date-fns';
 import { calculateAge } from '../../lib/utils';
+import { SUSPENSION_REASONS } from '../../utils/suspensions';
+
+const APPEARANCES_PER_PAGE = 10;
+
+// Matches a player still has to sit out over all their running suspensions
+const suspendedLabel = (suspensions) => {
+  const left = suspensions.reduce((sum, suspension) => sum + suspension.matchesRemaining, 0);
+  return `Suspended - ${left} match${left === 1 ? '' : 'es'} left`;
+};
+
+const RESULT_BADGES = {
+  win: { label: 'W', className: 'bg-green-500 text-white' },
+  draw: { label: 'D', className: 'bg-yellow-500 text-white' },
+  loss: { label: 'L', className: 'bg-red-500 text-white' }
+};
 
 // Helper function to extract image URL from various formats
 const getImageUrl = (imageData) => {
@@ -34,7 +49,10 @@ export default function PlayerProfile() {
   const router = useRouter();
   const { id } = router.query;
   const [player, setPlayer] = useState(null);
-  const [playerMatches, setPlayerMatches] = useState([]);
+  const [appearances, setAppearances] = useState([]);
+  const [appearancesPage, setAppearancesPage] = useState(1);
+  const [appearancesInfo, setAppearancesInfo] = useState({ total: 0, totalPages: 0 });
+  const [appearancesLoading, setAppearancesLoading] = useState(false);
   const [playerTransfers, setPlayerTransfers] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('overview');
@@ -43,9 +61,36 @@ export default function PlayerProfile() {
   useEffect(() => {
     if (id) {
       fetchPlayerData();
+      setAppearancesPage(1);
     }
   }, [id]);
 
+  useEffect(() => {
+    if (id) {
+      fetchAppearances(appearancesPage);
+    }
+  }, [id, appearancesPage]);
+
+  // Appearances are paged from their own collection rather than loaded with the player
+  const fetchAppearances = async (page) => {
+    try {
+      setAppearancesLoading(true);
+      const response = await fetch(`/api/public/appearances?playerId=${id}&page=${page}&limit=${APPEARANCES_PER_PAGE}`);
+      if (!response.ok) {
+        console.log('❌ Appearances API failed with status:', response.status);
+        return;
+      }
+
+      const data = await response.json();
+      setAppearances(data.appearances || []);
+      setAppearancesInfo({ total: data.total || 0, totalPages: data.totalPages || 0 });
+    } catch (error) {
+      console.error('❌ Error fetching appearances:', error);
+    } finally {
+      setAppearancesLoading(false);
+    }
+  };
+
   // FIXED fetchPlayerData function
   const fetchPlayerData = async () => {
     try {
@@ -114,13 +159,6 @@ export default function PlayerProfile() {
       // Parallel fetch of related data (these can fail without breaking the page)
       const relatedDataPromises = [];
       
-      // Get player matches
-      relatedDataPromises.push(
-        fetch(`/api/public/matches?playerId=${id}&limit=20`)
-          .then(res => res.ok ? res.json() : [])
-          .catch(() => [])
-      );
-      
       // Get player transfers  
       relatedDataPromises.push(
         fetch(`/api/public/transfers?playerId=${id}&limit=10`)
@@ -139,17 +177,15 @@ export default function PlayerProfile() {
         relatedDataPromises.push(Promise.resolve([]));
       }
       
-      const [matchesData, transfersData, teamPlayersData] = await Promise.all(relatedDataPromises);
+      const [transfersData, teamPlayersData] = await Promise.all(relatedDataPromises);
       
       console.log('✅ Player profile data loaded:', {
         player: foundPlayer.name,
-        matches: Array.isArray(matchesData) ? matchesData.length : 0,
         transfers: Array.isArray(transfersData) ? transfersData.length : 0,
         teamPlayers: Array.isArray(teamPlayersData) ? teamPlayersData.length : 0
       });
       
       // Set related data
-      setPlayerMatches(Array.isArray(matchesData) ? matchesData : []);
       setPlayerTransfers(Array.isArray(transfersData) ? transfersData : []);
       setTeamPlayers(Array.isArray(teamPlayersData) ? teamPlayersData : []);
       
@@ -369,6 +405,17 @@ export default function PlayerProfile() {
                   <span className={`px-3 py-1 rounded-full text-sm font-medium ${getStatusColor(player.status)}`}>
                     {player.status?.charAt(0).toUpperCase() + player.status?.slice(1) || 'Active'}
                   </span>
+
+                  {/* Bans from cards, counted down as the team completes matches */}
+                  {player.suspensions?.length > 0 && (
+                    <span
+                      className="inline-flex items-center px-3 py-1 rounded-full text-sm font-medium bg-red-600 text-white"
+                      title={player.suspensions.map(suspension => SUSPENSION_REASONS[suspension.reason]).join(', ')}
+                    >
+                      <XCircle className="w-4 h-4 mr-1" />
+                      {suspendedLabel(player.suspensions)}
+                    </span>
+                  )}
                 </div>
               </div>
             </div>
@@ -441,7 +488,7 @@ export default function PlayerProfile() {
             { id: 'overview', name: 'Overview', icon: User },
             { id: 'contract', name: 'Contract', icon: FileText },
             { id: 'stats', name: 'Statistics', icon: BarChart3 },
-            { id: 'matches', name: `Matches (${playerMatches.length})`, icon: Calendar },
+            { id: 'matches', name: `Matches (${appearancesInfo.total})`, icon: Calendar },
             { id: 'transfers', name: `Transfers (${playerTransfers.length})`, icon: Activity },
           ].map((tab) => (
             <button
@@ -940,162 +987,130 @@ export default function PlayerProfile() {
         {/* Enhanced Matches Tab */}
         {activeTab === 'matches' && (
           <div className="space-y-6">
-            {/* Match History Options */}
+            {/* Appearances */}
             <div className="bg-white rounded-xl shadow-lg p-6">
               <div className="flex justify-between items-center mb-6">
                 <h3 className="text-xl font-bold">Match History</h3>
                 <div className="text-sm text-gray-600">
-                  {playerMatches.length} matches found
+                  {appearancesInfo.total} appearances
                 </div>
               </div>
 
-              {/* Info Banner */}
-              <div className="mb-6 p-4 bg-blue-50 border border-blue-200 rounded-lg">
-                <div className="flex items-start space-x-3">
-                  <AlertCircle className="w-5 h-5 text-blue-600 mt-0.5 flex-shrink-0" />
-                  <div>
-                    <h4 className="font-semibold text-blue-900 mb-1">Match History Display</h4>
-                    <p className="text-blue-800 text-sm mb-2">
-                      Currently showing matches from <strong>{player.currentTeam?.name || "the player's team"}</strong> during their active period.
-                    </p>
-                    <div className="text-xs text-blue-700">
-                      <strong>Note:</strong> Individual player participation tracking (substitutions, minutes played, specific match events) 
-                      is not yet implemented in the current system. This shows team matches during the player's contract period.
-                    </div>
-                  </div>
+              {appearancesLoading && appearances.length === 0 ? (
+                <div className="flex justify-center py-12">
+                  <LoadingSpinner />
                 </div>
-              </div>
-              
-              {playerMatches.length > 0 ? (
-                <div className="space-y-4">
-                  {playerMatches.map((match, index) => {
-                    // Determine if this was a match where the player's team participated
-                    const playerTeams = [
-                      player.currentTeam?._id,
-                      // Add historical teams if available in player data
-                      ...(player.contractHistory?.map(contract => contract.team?._id) || [])
-                    ].filter(Boolean);
+              ) : appearances.length > 0 ? (
+                <div className={`space-y-4 ${appearancesLoading ? 'opacity-50' : ''}`}>
+                  {appearances.map((appearance) => {
+                    const badge = RESULT_BADGES[appearance.result];
 
-                    const isPlayerTeamHome = playerTeams.includes(match.homeTeam?._id);
-                    const isPlayerTeamAway = playerTeams.includes(match.awayTeam?._id);
-                    const isPlayerInvolved = isPlayerTeamHome || isPlayerTeamAway;
-
-                    // If player not involved in this match, skip or mark as unclear
-                    if (!isPlayerInvolved) {
-                      return (
-                        <div key={match._id || index} className="border border-yellow-200 bg-yellow-50 rounded-lg p-4">
-                          <div className="flex items-center justify-between">
-                            <div className="flex items-center space-x-4">
-                              <div className="text-sm text-yellow-700 w-16">
-                                {formatMatchDate(match.matchDate)}
-                              </div>
-                              <div className="font-medium text-yellow-800">
-                                {match.homeTeam?.name} vs {match.awayTeam?.name}
-                              </div>
-                              <div className="text-xs bg-yellow-200 text-yellow-800 px-2 py-1 rounded-full">
-                                Team Unknown
-                              </div>
-                            </div>
-                            <div className="text-yellow-600 text-sm">
-                              Player team unclear
-                            </div>
-                          </div>
-                        </div>
-                      );
-                    }
-
-                    const teamScore = isPlayerTeamHome ? match.homeScore : match.awayScore;
-                    const opponentScore = isPlayerTeamHome ? match.awayScore : match.homeScore;
-                    const opponent = isPlayerTeamHome ? match.awayTeam : match.homeTeam;
-                    const playerTeam = isPlayerTeamHome ? match.homeTeam : match.awayTeam;
-                    
-                    let result = '';
-                    let resultColor = '';
-                    if (match.status === 'completed') {
-                      if (teamScore > opponentScore) {
-                        result = 'W';
-                        resultColor = 'bg-green-500 text-white';
-                      } else if (teamScore < opponentScore) {
-                        result = 'L';
-                        resultColor = 'bg-red-500 text-white';
-                      } else {
-                        result = 'D';
-                        resultColor = 'bg-yellow-500 text-white';
-                      }
-                    }
-                    
                     return (
-                      <div key={match._id || index} className="border border-gray-200 rounded-lg p-4 hover:shadow-md transition-shadow">
+                      <div key={appearance._id} className="border border-gray-200 rounded-lg p-4 hover:shadow-md transition-shadow">
                         <div className="flex items-center justify-between">
                           <div className="flex items-center space-x-4">
                             <div className="text-sm text-gray-600 w-16">
-                              {formatMatchDate(match.matchDate)}
+                              {formatMatchDate(appearance.date)}
                             </div>
                             <div className="flex flex-col">
                               <div className="font-medium">
-                                <span className="text-blue-600">{playerTeam?.name}</span>
-                                <span className="mx-2 text-gray-400">{isPlayerTeamHome ? 'vs' : '@'}</span>
-                                <span>{opponent?.name}</span>
+                                <span className="text-blue-600">{appearance.team?.name || 'Unknown team'}</span>
+                                <span className="mx-2 text-gray-400">{appearance.isHome ? 'vs' : '@'}</span>
+                                <span>{appearance.opponent?.name || 'Unknown team'}</span>
+                              </div>
+                              <div className="text-xs text-gray-500">
+                                {appearance.season?.name}
+                                {appearance.match?.matchday && ` · Matchday ${appearance.match.matchday}`}
+                                {appearance.match?.venue && ` · at ${appearance.match.venue}`}
                               </div>
-                              {match.venue && (
-                                <div className="text-xs text-gray-500">
-                                  at {match.venue}
-                                </div>
-                              )}
                             </div>
-                            
-                            {/* Player Participation Status */}
+
+                            {/* Player's contribution in this match */}
                             <div className="hidden md:flex items-center space-x-2">
-                              {/* This would be where actual participation data goes */}
-                              <div className="text-xs bg-gray-100 text-gray-600 px-2 py-1 rounded-full">
-                                Team Match
-                              </div>
-                              {/* Future: Add participation indicators like:
-                                  - Started / Substitute / Bench
-                                  - Minutes played
-                                  - Goals/assists in this match
-                              */}
+                              {appearance.goals > 0 && (
+                                <span className="text-xs bg-green-100 text-green-800 px-2 py-1 rounded-full">
+                                  {appearance.goals} {appearance.goals === 1 ? 'goal' : 'goals'}
+                                </span>
+                              )}
+                              {appearance.assists > 0 && (
+                                <span className="text-xs bg-blue-100 text-blue-800 px-2 py-1 rounded-full">
+                                  {appearance.assists} {appearance.assists === 1 ? 'assist' : 'assists'}
+                                </span>
+                              )}
+                              {appearance.ownGoals > 0 && (
+                                <span className="text-xs bg-orange-100 text-orange-800 px-2 py-1 rounded-full">
+                                  {appearance.ownGoals} OG
+                                </span>
+                              )}
+                              {appearance.yellowCards > 0 && (
+                                <span className="text-xs bg-yellow-100 text-yellow-800 px-2 py-1 rounded-full">
+                                  {appearance.yellowCards} YC
+                                </span>
+                              )}
+                              {appearance.redCards > 0 && (
+                                <span className="text-xs bg-red-100 text-red-800 px-2 py-1 rounded-full">
+                                  {appearance.redCards} RC
+                                </span>
+                              )}
+                              <span className="text-xs bg-gray-100 text-gray-600 px-2 py-1 rounded-full">
+                                {appearance.minutesPlayed}&apos;
+                              </span>
                             </div>
                           </div>
-                          
+
                           <div className="flex items-center space-x-3">
-                            {match.status === 'completed' && (
-                              <>
-                                <div className="font-bold text-lg">
-                                  {teamScore} - {opponentScore}
-                                </div>
-                                {result && (
-                                  <div className={`w-8 h-8 rounded-full flex items-center justify-center text-sm font-bold ${resultColor}`}>
-                                    {result}
-                                  </div>
-                                )}
-                              </>
-                            )}
-                            {match.status === 'scheduled' && (
-                              <div className="text-blue-600 text-sm">
-                                {format(new Date(match.matchDate), 'HH:mm')}
+                            {appearance.goalsFor != null && (
+                              <div className="font-bold text-lg">
+                                {appearance.goalsFor} - {appearance.goalsAgainst}
                               </div>
                             )}
-                            {match.status === 'live' && (
-                              <div className="text-red-600 text-sm font-medium animate-pulse">
-                                LIVE
+                            {badge && (
+                              <div className={`w-8 h-8 rounded-full flex items-center justify-center text-sm font-bold ${badge.className}`}>
+                                {badge.label}
                               </div>
                             )}
-                            <Link href={`/matches/${match._id}`} className="text-blue-600 hover:text-blue-800 text-sm flex items-center">
-                              <Eye className="w-4 h-4 mr-1" />
-                              View
-                            </Link>
+                            {appearance.match?._id && (
+                              <Link href={`/matches/${appearance.match._id}`} className="text-blue-600 hover:text-blue-800 text-sm flex items-center">
+                                <Eye className="w-4 h-4 mr-1" />
+                                View
+                              </Link>
+                            )}
                           </div>
                         </div>
                       </div>
                     );
                   })}
+
+                  {/* Pagination */}
+                  {appearancesInfo.totalPages > 1 && (
+                    <div className="flex items-center justify-between pt-4 border-t">
+                      <button
+                        onClick={() => setAppearancesPage(page => page - 1)}
+                        disabled={appearancesPage <= 1 || appearancesLoading}
+                        className="flex items-center text-sm text-blue-600 hover:text-blue-800 disabled:text-gray-400 disabled:cursor-not-allowed"
+                      >
+                        <ChevronLeft className="w-4 h-4 mr-1" />
+                        Newer
+                      </button>
+                      <span className="text-sm text-gray-600">
+                        Page {appearancesPage} of {appearancesInfo.totalPages}
+                      </span>
+                      <button
+                        onClick={() => setAppearancesPage(page => page + 1)}
+                        disabled={appearancesPage >= appearancesInfo.totalPages || appearancesLoading}
+                        className="flex items-center text-sm text-blue-600 hover:text-blue-800 disabled:text-gray-400 disabled:cursor-not-allowed"
+                      >
+                        Older
+                        <ChevronRight className="w-4 h-4 ml-1" />
+                      </button>
+                    </div>
+                  )}
                 </div>
               ) : (
                 <div className="text-center py-12">
                   <Calendar className="w-16 h-16 text-gray-400 mx-auto mb-4" />
                   <h4 className="text-lg font-semibold text-gray-700 mb-2">No Match History</h4>
-                  <p className="text-gray-500 mb-4">No match history available for this player's current team</p>
+                  <p className="text-gray-500 mb-4">This player has no recorded appearances yet</p>
                   {player.currentTeam && (
                     <Link 
                       href={`/teams/${player.currentTeam._id}`}
@@ -1121,7 +1136,6 @@ export default function PlayerProfile() {
                 <ul className="list-disc list-inside space-y-1 ml-4">
                   <li>Starting lineup vs. substitute appearances</li>
                   <li>Minutes played per match</li>
-                  <li>Goals, assists, and cards in specific matches</li>
                   <li>Player performance ratings per match</li>
                   <li>Substitution timing and reasons</li>
                 </ul>
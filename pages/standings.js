@@ -3,13 +3,64 @@
 // ===========================================
 import { useState, useEffect } from 'react';
 import Image from 'next/image';
+import Link from 'next/link';
 import { Trophy, TrendingUp, TrendingDown, Minus, Info, Award, Target, Shield } from 'lucide-react';
 import LoadingSpinner from '../components/ui/LoadingSpinner';
+import { resolveSeasonRules } from '../utils/seasonRules';
+import { TIE_BREAKER_CATALOGUE } from '../utils/tieBreakers';
+import { STANDINGS_VIEWS } from '../utils/standings';
+
+const TIE_BREAKER_ICONS = {
+  goal_difference: Target,
+  goals_for: Trophy,
+  goals_against: Shield,
+  wins: Trophy,
+  head_to_head_points: TrendingUp,
+  head_to_head_goal_difference: TrendingUp,
+  fair_play: Award
+};
+
+const FORM_STYLES = {
+  W: 'bg-green-500 hover:bg-green-600',
+  D: 'bg-yellow-400 hover:bg-yellow-500',
+  L: 'bg-red-500 hover:bg-red-600'
+};
+
+// Last results, oldest first, each linking to its match
+function FormGuide({ form = [] }) {
+  if (form.length === 0) {
+    return <span className="text-xs text-gray-400">-</span>;
+  }
+
+  return (
+    <div className="flex items-center space-x-1">
+      {form.map(entry => (
+        <Link
+          key={entry.match}
+          href={`/matches/${entry.match}`}
+          title={`${entry.goalsFor}-${entry.goalsAgainst} ${entry.home ? 'vs' : 'at'} ${entry.opponent?.name || 'opponent'}${entry.awarded ? ' (awarded)' : ''} - ${new Date(entry.date).toLocaleDateString()}`}
+          className={`w-5 h-5 rounded-full text-white text-xs font-bold flex items-center justify-center ${FORM_STYLES[entry.result]}`}
+        >
+          {entry.result}
+        </Link>
+      ))}
+    </div>
+  );
+}
+
+// Current run, e.g. "W3", with the unbeaten run when it is longer
+const formatStreak = (streaks) => {
+  if (!streaks?.current) return '-';
+  const { current, unbeaten } = streaks;
+  const streak = `${current.result}${current.count}`;
+  return unbeaten > current.count ? `${streak} (${unbeaten} unbeaten)` : streak;
+};
 
 export default function StandingsPage() {
   const [standings, setStandings] = useState([]);
   const [seasons, setSeasons] = useState([]);
   const [selectedSeason, setSelectedSeason] = useState('');
+  const [view, setView] = useState('overall');
   const [isLoading, setIsLoading] = useState(true);
   const [showTieBreakingInfo, setShowTieBreakingInfo] = useState(false);
 
@@ -21,7 +72,7 @@ export default function StandingsPage() {
     if (selectedSeason) {
       fetchStandings();
     }
-  }, [selectedSeason]);
+  }, [selectedSeason, view]);
 
   const fetchSeasons = async () => {
     try {
@@ -43,7 +94,7 @@ export default function StandingsPage() {
   const fetchStandings = async () => {
     try {
       setIsLoading(true);
-      const response = await fetch(`/api/public/standings?seasonId=${selectedSeason}`);
+      const response = await fetch(`/api/public/standings?seasonId=${selectedSeason}&view=${view}&form=5`);
       const data = await response.json();
       setStandings(Array.isArray(data) ? data : []);
       console.log('Standings loaded:', data.length, 'teams');
@@ -78,33 +129,21 @@ export default function StandingsPage() {
     return '';
   };
 
-  // Function to detect teams that are tied and how they're separated
+  // Tie-breaker order of the selected season, for the rules panel
+  const seasonTieBreakers = resolveSeasonRules(seasons.find(s => s._id === selectedSeason)).tieBreakers;
+
+  // The standings API records which criterion put each team below the one above it
   const getTieBreakingInfo = (team, index) => {
-    if (index === 0) return null;
-    
-    const prevTeam = standings[index - 1];
-    const currentStats = team.enhancedStats || team.stats;
-    const prevStats = prevTeam.enhancedStats || prevTeam.stats;
-    
-    if (!currentStats || !prevStats) return null;
-    
-    // If they have the same points, show what separated them
-    if (currentStats.points === prevStats.points) {
-      if (currentStats.goalDifference !== prevStats.goalDifference) {
-        return { criteria: 'Goal Difference', icon: Target };
-      }
-      if (currentStats.goalsFor !== prevStats.goalsFor) {
-        return { criteria: 'Goals For', icon: Trophy };
-      }
-      if (currentStats.goalsAgainst !== prevStats.goalsAgainst) {
-        return { criteria: 'Goals Against', icon: Shield };
-      }
-      if (currentStats.fairPlayPoints !== prevStats.fairPlayPoints) {
-        return { criteria: 'Fair Play', icon: Award };
-      }
-    }
-    
-    return null;
+    if (index === 0 || !team.separatedBy) return null;
+    if (team.separatedBy.criterion === 'points') return null;
+
+    const { criterion, label, tiedTeams } = team.separatedBy;
+    const isMiniLeague = TIE_BREAKER_CATALOGUE[criterion]?.headToHead && tiedTeams > 2;
+
+    return {
+      criteria: isMiniLeague ? `${label} (${tiedTeams}-team mini-league)` : label,
+      icon: TIE_BREAKER_ICONS[criterion] || Info
+    };
   };
 
   if (isLoading) {
@@ -120,7 +159,11 @@ export default function StandingsPage() {
       <div className="flex flex-col lg:flex-row lg:justify-between lg:items-center gap-4">
         <div>
           <h1 className="text-3xl font-bold text-gray-900">League Standings</h1>
-          <p className="text-gray-600 mt-1">Teams ranked by points, then tie-breaking criteria</p>
+          <p className="text-gray-600 mt-1">
+            {view === 'overall'
+              ? 'Teams ranked by points, then tie-breaking criteria'
+              : `${STANDINGS_VIEWS[view]} table: only ${view === 'home' || view === 'away' ? `${view} matches` : `goals and cards of the ${STANDINGS_VIEWS[view]}`} count`}
+          </p>
         </div>
         
         <div className="flex flex-col sm:flex-row items-start sm:items-center gap-4">
@@ -148,6 +191,21 @@ export default function StandingsPage() {
         </div>
       </div>
 
+      {/* Table view */}
+      <div className="flex flex-wrap gap-2">
+        {Object.entries(STANDINGS_VIEWS).map(([key, label]) => (
+          <button
+            key={key}
+            onClick={() => setView(key)}
+            className={`px-3 py-1 rounded-full text-sm font-medium ${
+              view === key ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
       {/* Tie-Breaking Rules Info */}
       {showTieBreakingInfo && (
         <div className="card bg-blue-50 border border-blue-200">
@@ -156,14 +214,16 @@ export default function StandingsPage() {
             <div>
               <h3 className="font-semibold text-blue-900 mb-2">Tie-Breaking Criteria</h3>
               <p className="text-blue-800 text-sm mb-3">
-                When teams are level on points, they are separated by the following criteria in order:
+                When teams are level on points, they are separated by the following criteria in order.
+                Head-to-head criteria only count matches among the tied teams, and are applied again
+                to any smaller group still level:
               </p>
               <ol className="text-blue-800 text-sm space-y-1 list-decimal list-inside">
-                <li><strong>Goal Difference</strong> - Goals scored minus goals conceded</li>
-                <li><strong>Goals For</strong> - Total goals scored (higher is better)</li>
-                <li><strong>Goals Against</strong> - Total goals conceded (lower is better)</li>
-                <li><strong>Head-to-Head</strong> - Direct results between tied teams</li>
-                <li><strong>Fair Play</strong> - Disciplinary record (fewer cards is better)</li>
+                {seasonTieBreakers.map(key => (
+                  <li key={key}>
+                    <strong>{TIE_BREAKER_CATALOGUE[key].label}</strong> - {TIE_BREAKER_CATALOGUE[key].description}
+                  </li>
+                ))}
                 <li><strong>Alphabetical</strong> - Team name as final tie-breaker</li>
               </ol>
             </div>
@@ -225,6 +285,9 @@ export default function StandingsPage() {
                     <div className="text-right">
                       <div className="text-lg font-bold text-blue-600">{stats.points || 0}</div>
                       <div className="text-xs text-gray-500">pts</div>
+                      {stats.pointsDeducted > 0 && (
+                        <div className="text-xs text-red-600">-{stats.pointsDeducted} deducted</div>
+                      )}
                     </div>
                   </div>
                   
@@ -275,6 +338,10 @@ export default function StandingsPage() {
                         </span>
                       </div>
                     </div>
+                    <div className="mt-3 flex items-center justify-between">
+                      <FormGuide form={team.form} />
+                      <span className="text-xs text-gray-500">{formatStreak(team.streaks)}</span>
+                    </div>
                   </div>
                 </div>
               );
@@ -321,6 +388,12 @@ export default function StandingsPage() {
                   <th className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Pts
                   </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Form
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Streak
+                  </th>
                 </tr>
               </thead>
               <tbody className="bg-white divide-y divide-gray-200">
@@ -411,6 +484,15 @@ export default function StandingsPage() {
                       </td>
                       <td className="px-6 py-4 whitespace-nowrap text-center text-lg font-bold text-blue-600">
                         {stats.points || 0}
+                        {stats.pointsDeducted > 0 && (
+                          <span className="text-red-600 text-xs align-super ml-0.5" title={`${stats.pointsDeducted} points deducted`}>*</span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <FormGuide form={team.form} />
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                        {formatStreak(team.streaks)}
                       </td>
                     </tr>
                   );
@@ -431,6 +513,25 @@ export default function StandingsPage() {
         </div>
       )}
 
+      {/* Disciplinary point deductions included in the points above */}
+      {standings.some(team => team.pointDeductions?.length > 0) && (
+        <div className="card">
+          <h3 className="text-lg font-semibold mb-3">Point Deductions</h3>
+          <ul className="space-y-2 text-sm">
+            {standings.flatMap(team => (team.pointDeductions || []).map(deduction => (
+              <li key={deduction._id} className="flex flex-wrap gap-x-2">
+                <span className="font-medium text-gray-900">{team.name}</span>
+                <span className="text-red-600">-{deduction.points} pts</span>
+                <span className="text-gray-600">{deduction.reason}</span>
+                {deduction.decisionReference && (
+                  <span className="text-gray-400">Ref. {deduction.decisionReference}</span>
+                )}
+              </li>
+            )))}
+          </ul>
+        </div>
+      )}
+
       {/* Enhanced Legend */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Position Legend */}
@@ -464,6 +565,8 @@ export default function StandingsPage() {
             <div><strong>GA:</strong> Goals Against</div>
             <div><strong>GD:</strong> Goal Difference</div>
             <div><strong>FP:</strong> Fair Play Points</div>
+            <div><strong>Form:</strong> Last 5 results, latest on the right</div>
+            <div><strong>Streak:</strong> Current run of the same result</div>
           </div>
           <div className="mt-3 text-xs text-gray-600">
             <strong>Fair Play:</strong> Yellow cards = 1 point, Red cards = 3 points (lower is better)
@@ -38,6 +38,7 @@ export default function TeamProfile() {
   const [players, setPlayers] = useState([]);
   const [matches, setMatches] = useState([]);
   const [transfers, setTransfers] = useState([]);
+  const [standingsHistory, setStandingsHistory] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('overview');
   const [playerFilter, setPlayerFilter] = useState('all'); // 'all', 'starters', 'substitutes'
@@ -70,6 +71,7 @@ export default function TeamProfile() {
       if (teamResponse.ok) {
         const teamData = await teamResponse.json();
         setTeam(teamData);
+        fetchStandingsHistory(teamData);
       } else {
         console.error('Failed to fetch team:', teamResponse.statusText);
       }
@@ -100,13 +102,28 @@ export default function TeamProfile() {
     }
   };
 
+  // League position and points after each matchday of the team's season
+  const fetchStandingsHistory = async (teamData) => {
+    const seasonId = teamData.season?._id || teamData.season;
+    if (!seasonId) return;
+
+    try {
+      const response = await fetch(`/api/public/standings/history?seasonId=${seasonId}&teamId=${teamData._id}`);
+      if (response.ok) {
+        setStandingsHistory(await response.json());
+      }
+    } catch (error) {
+      console.error('Error fetching standings history:', error);
+    }
+  };
+
   // Enhanced team statistics calculation
   const calculateTeamStats = () => {
     if (!team || !matches || matches.length === 0) {
       return {
         matchesPlayed: 0, wins: 0, draws: 0, losses: 0, points: 0,
         goalsFor: 0, goalsAgainst: 0, goalDifference: 0,
-        winPercentage: 0, cleanSheets: 0, avgGoalsPerMatch: 0,
+        winPercentage: 0, cleanSheets: 0, avgGoalsPerMatch: 0, fouls: 0, avgFoulsPerMatch: 0,
         form: [], homeRecord: {}, awayRecord: {}
       };
     }
@@ -120,7 +137,7 @@ export default function TeamProfile() {
     );
 
     let wins = 0, draws = 0, losses = 0, goalsFor = 0, goalsAgainst = 0;
-    let cleanSheets = 0;
+    let cleanSheets = 0, fouls = 0;
     let homeWins = 0, homeDraws = 0, homeLosses = 0, homeGoalsFor = 0, homeGoalsAgainst = 0;
     let awayWins = 0, awayDraws = 0, awayLosses = 0, awayGoalsFor = 0, awayGoalsAgainst = 0;
     const form = [];
@@ -136,6 +153,7 @@ export default function TeamProfile() {
         goalsAgainst += opponentScore;
 
         if (opponentScore === 0) cleanSheets++;
+        fouls += (match.events || []).filter(event => event.type === 'foul' && event.team === (isHome ? 'home' : 'away')).length;
 
         let result;
         if (teamScore > opponentScore) {
@@ -170,11 +188,12 @@ export default function TeamProfile() {
     const matchesPlayed = validMatches.length;
     const winPercentage = matchesPlayed > 0 ? Math.round((wins / matchesPlayed) * 100) : 0;
     const avgGoalsPerMatch = matchesPlayed > 0 ? Math.round((goalsFor / matchesPlayed) * 10) / 10 : 0;
+    const avgFoulsPerMatch = matchesPlayed > 0 ? Math.round((fouls / matchesPlayed) * 10) / 10 : 0;
 
     return {
       matchesPlayed, wins, draws, losses, points, goalsFor, goalsAgainst,
       goalDifference: goalsFor - goalsAgainst, winPercentage, cleanSheets,
-      avgGoalsPerMatch, form: form.slice(-5), // Last 5 matches
+      avgGoalsPerMatch, fouls, avgFoulsPerMatch, form: form.slice(-5), // Last 5 matches
       homeRecord: {
         played: homeWins + homeDraws + homeLosses,
         wins: homeWins, draws: homeDraws, losses: homeLosses,
@@ -607,6 +626,20 @@ export default function TeamProfile() {
 
             {/* Statistics */}
             <div className="lg:col-span-2 space-y-6">
+              {/* League Position by Matchday */}
+              {standingsHistory?.matchdays?.length > 0 && (
+                <div className="bg-white rounded-xl shadow-lg p-6">
+                  <h3 className="text-xl font-bold mb-4 flex items-center">
+                    <TrendingUp className="w-5 h-5 mr-2 text-blue-600" />
+                    League Position by Matchday
+                  </h3>
+                  <StandingsHistoryChart
+                    history={standingsHistory.matchdays}
+                    teamCount={standingsHistory.teamCount}
+                  />
+                </div>
+              )}
+
               <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                 {/* Match Statistics */}
                 <div className="bg-white rounded-xl shadow-lg p-6">
@@ -639,6 +672,10 @@ export default function TeamProfile() {
                       <span className="text-gray-600">Points</span>
                       <span className="font-bold text-purple-600">{stats.points}</span>
                     </div>
+                    <div className="flex justify-between items-center">
+                      <span className="text-gray-600">Fouls (per match)</span>
+                      <span className="font-bold text-gray-900">{stats.fouls} ({stats.avgFoulsPerMatch})</span>
+                    </div>
                   </div>
                 </div>
 
@@ -997,3 +1034,82 @@ export default function TeamProfile() {
     </div>
   );
 }
+
+// Position (left axis, 1st at the top) and points (right axis) after each matchday
+function StandingsHistoryChart({ history, teamCount }) {
+  const width = 600;
+  const height = 220;
+  const padding = { top: 15, right: 40, bottom: 30, left: 40 };
+  const innerWidth = width - padding.left - padding.right;
+  const innerHeight = height - padding.top - padding.bottom;
+
+  const maxPosition = Math.max(teamCount, 2);
+  const maxPoints = Math.max(...history.map(entry => entry.points), 1);
+  const minPoints = Math.min(...history.map(entry => entry.points), 0);
+
+  const x = (index) => padding.left + (history.length === 1 ? innerWidth / 2 : (index / (history.length - 1)) * innerWidth);
+  const positionY = (position) => padding.top + ((position - 1) / (maxPosition - 1)) * innerHeight;
+  const pointsY = (points) => padding.top + innerHeight - ((points - minPoints) / (maxPoints - minPoints || 1)) * innerHeight;
+
+  const positionLine = history.map((entry, index) => `${x(index)},${positionY(entry.position)}`).join(' ');
+  const pointsLine = history.map((entry, index) => `${x(index)},${pointsY(entry.points)}`).join(' ');
+
+  // Label every matchday on short seasons, every few on long ones
+  const labelEvery = Math.ceil(history.length / 12);
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto">
+        {/* Position grid lines */}
+        {Array.from({ length: maxPosition }, (_, i) => i + 1)
+          .filter(position => maxPosition <= 12 || position === 1 || position % 2 === 0)
+          .map(position => (
+            <g key={position}>
+              <line
+                x1={padding.left} x2={width - padding.right}
+                y1={positionY(position)} y2={positionY(position)}
+                stroke="#e5e7eb" strokeWidth="1"
+              />
+              <text x={padding.left - 8} y={positionY(position) + 4} textAnchor="end" fontSize="11" fill="#2563eb">
+                {position}
+              </text>
+            </g>
+          ))}
+
+        {/* Points axis */}
+        <text x={width - padding.right + 8} y={pointsY(maxPoints) + 4} fontSize="11" fill="#7c3aed">{maxPoints}</text>
+        <text x={width - padding.right + 8} y={pointsY(minPoints) + 4} fontSize="11" fill="#7c3aed">{minPoints}</text>
+
+        {/* Matchday labels */}
+        {history.map((entry, index) => (index % labelEvery === 0 || index === history.length - 1) && (
+          <text key={entry.matchday} x={x(index)} y={height - 8} textAnchor="middle" fontSize="11" fill="#6b7280">
+            {entry.matchday}
+          </text>
+        ))}
+
+        <polyline points={pointsLine} fill="none" stroke="#7c3aed" strokeWidth="2" strokeDasharray="5 4" />
+        <polyline points={positionLine} fill="none" stroke="#2563eb" strokeWidth="3" />
+
+        {history.map((entry, index) => (
+          <circle key={entry.matchday} cx={x(index)} cy={positionY(entry.position)} r="4" fill="#2563eb">
+            <title>
+              {`Matchday ${entry.matchday}: ${entry.position} of ${teamCount}, ${entry.points} pts (${entry.matchesPlayed} played)`}
+            </title>
+          </circle>
+        ))}
+      </svg>
+
+      <div className="flex items-center justify-center space-x-6 text-sm text-gray-600 mt-2">
+        <span className="flex items-center">
+          <span className="inline-block w-6 h-0.5 bg-blue-600 mr-2"></span>
+          Position
+        </span>
+        <span className="flex items-center">
+          <span className="inline-block w-6 border-t-2 border-dashed border-purple-600 mr-2"></span>
+          Points
+        </span>
+        <span className="text-gray-400">Matchday</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+// ===========================================
+// FILE: utils/__tests__/accumulatedFouls.test.js
+// Accumulated fouls per half and the second-penalty-mark (10 m) kick from the sixth foul on
+// ===========================================
+/* eslint-env jest */
+import { DEFAULT_SEASON_RULES } from '../seasonRules';
+import { accumulatedFouls, accumulateFoul, eventPeriod, foulTotals } from '../accumulatedFouls';
+
+const fouls = (team, count, fields) => Array.from({ length: count }, () => ({ type: 'foul', team, ...fields }));
+
+describe('accumulateFoul', () => {
+  it('gives a 10 m kick for the sixth foul of a half, not the fifth', () => {
+    const events = fouls('home', 4, { period: 0 });
+
+    expect(accumulateFoul(events, { team: 'home', period: 0 })).toEqual({ accumulatedFoul: 5, secondPenaltyKick: false });
+    expect(accumulateFoul([...events, ...fouls('home', 1, { period: 0 })], { team: 'home', period: 0 }))
+      .toEqual({ accumulatedFoul: 6, secondPenaltyKick: true });
+  });
+
+  it('counts each team on its own', () => {
+    const events = [...fouls('home', 5, { period: 0 }), ...fouls('away', 2, { period: 0 })];
+
+    expect(accumulateFoul(events, { team: 'away', period: 0 })).toEqual({ accumulatedFoul: 3, secondPenaltyKick: false });
+  });
+
+  it('starts the count again in the second half and carries it into extra time', () => {
+    const events = [...fouls('home', 5, { period: 0 }), ...fouls('home', 5, { period: 1 })];
+
+    expect(accumulatedFouls(events, 1)).toEqual({ home: 5, away: 0 });
+    expect(accumulateFoul(fouls('home', 5, { period: 0 }), { team: 'home', period: 1 }).accumulatedFoul).toBe(1);
+    expect(accumulateFoul(events, { team: 'home', period: 2 })).toEqual({ accumulatedFoul: 6, secondPenaltyKick: true });
+  });
+
+  it('follows the season\'s foul limit', () => {
+    const rules = { ...DEFAULT_SEASON_RULES, accumulatedFoulLimit: 3 };
+
+    expect(accumulateFoul(fouls('away', 3, { period: 0 }), { team: 'away', period: 0 }, rules).secondPenaltyKick).toBe(true);
+  });
+});
+
+describe('eventPeriod', () => {
+  it('reads the period of an event without one from its minute', () => {
+    expect(eventPeriod({ minute: 20 })).toBe(0);
+    expect(eventPeriod({ minute: 21 })).toBe(1);
+    expect(eventPeriod({ minute: 43 })).toBe(2);
+    expect(eventPeriod({ minute: 43, period: 1 })).toBe(1);
+  });
+
+  it('counts fouls recorded by minute in their half', () => {
+    const events = [...fouls('home', 5, { minute: 12 }), ...fouls('home', 2, { minute: 30 })];
+
+    expect(accumulatedFouls(events, 0)).toEqual({ home: 5, away: 0 });
+    expect(accumulateFoul(events, { team: 'home', minute: 19 }).secondPenaltyKick).toBe(true);
+  });
+});
+
+describe('foulTotals', () => {
+  it('adds up the match\'s fouls and the 10 m kicks they gave', () => {
+    const events = [
+      ...fouls('home', 6, { period: 0 }),
+      { type: 'foul', team: 'home', period: 0, secondPenaltyKick: true },
+      { type: 'foul', team: 'away', period: 1 },
+      { type: 'goal', team: 'away', period: 1 }
+    ];
+
+    expect(foulTotals(events)).toEqual({ home: 7, away: 1, secondPenaltyKicks: { home: 1, away: 0 } });
+  });
+});
@@ -0,0 +1,203 @@
+// ===========================================
+// FILE: utils/__tests__/bracket.test.js
+// Knockout brackets (seeding, byes, advancement), knockout winner resolution and two-legged ties
+// ===========================================
+/* eslint-env jest */
+import {
+  seedingOrder,
+  knockoutRoundNames,
+  buildKnockoutBracket,
+  advanceWinner,
+  findTie,
+  normalizeKnockoutResult,
+  determineKnockoutWinner,
+  formatKnockoutScore,
+  aggregateScore,
+  determineTieWinner
+} from '../bracket';
+
+const teamsOf = (count) => Array.from({ length: count }, (_, index) => `T${index + 1}`);
+
+describe('seedingOrder', () => {
+  it('keeps the top seeds apart until the later rounds', () => {
+    expect(seedingOrder(8)).toEqual([1, 8, 4, 5, 2, 7, 3, 6]);
+  });
+});
+
+describe('knockoutRoundNames', () => {
+  it('names the rounds of a bracket rounded up to a power of two', () => {
+    expect(knockoutRoundNames(12)).toEqual(['Round of 16', 'Quarter-finals', 'Semi-finals', 'Final']);
+    expect(knockoutRoundNames(2)).toEqual(['Final']);
+    expect(knockoutRoundNames(1)).toEqual([]);
+  });
+});
+
+describe('buildKnockoutBracket', () => {
+  it('gives byes to the top seeds when the teams do not fill a power of two', () => {
+    const { size, rounds, ties } = buildKnockoutBracket(teamsOf(6));
+
+    expect(size).toBe(8);
+    expect(rounds.map(round => round.name)).toEqual(['Quarter-finals', 'Semi-finals', 'Final']);
+    expect(ties).toHaveLength(7);
+
+    const firstRound = ties.filter(tie => tie.round === 1);
+    expect(firstRound.map(tie => [tie.homeTeam, tie.awayTeam, tie.isBye])).toEqual([
+      ['T1', null, true],
+      ['T4', 'T5', false],
+      ['T2', null, true],
+      ['T3', 'T6', false]
+    ]);
+    // Seeds 1 and 2 wait in the semi-finals, on opposite halves
+    expect(findTie(ties, 1, 0).winner).toBe('T1');
+    expect(findTie(ties, 2, 0)).toMatchObject({ homeTeam: 'T1', homeSeed: 1, awayTeam: null });
+    expect(findTie(ties, 2, 1)).toMatchObject({ homeTeam: 'T2', homeSeed: 2, awayTeam: null });
+  });
+
+  it('plays every first-round tie when the teams fill the bracket', () => {
+    const { ties } = buildKnockoutBracket(teamsOf(4));
+
+    expect(ties.filter(tie => tie.isBye)).toEqual([]);
+    expect(findTie(ties, 2, 0)).toMatchObject({ homeTeam: null, awayTeam: null });
+  });
+
+  it('draws the entrants when the bracket is not seeded', () => {
+    // Always swapping with the first slot draws T2, T3, T4, T1
+    const { ties } = buildKnockoutBracket(teamsOf(4), { seeding: 'drawn', random: () => 0 });
+
+    expect(findTie(ties, 1, 0)).toMatchObject({ homeTeam: 'T2', awayTeam: 'T1' });
+    expect(findTie(ties, 1, 1)).toMatchObject({ homeTeam: 'T3', awayTeam: 'T4' });
+  });
+
+  it('refuses fewer than two teams', () => {
+    expect(() => buildKnockoutBracket(['T1'])).toThrow('At least two teams');
+  });
+});
+
+describe('advanceWinner', () => {
+  it('sends the winner into the next tie with its seed, and stops after the final', () => {
+    const { ties } = buildKnockoutBracket(teamsOf(6));
+
+    const semiFinal = advanceWinner(ties, findTie(ties, 1, 1), 'T5');
+    expect(semiFinal).toBe(findTie(ties, 2, 0));
+    expect(semiFinal).toMatchObject({ homeTeam: 'T1', awayTeam: 'T5', awaySeed: 5 });
+
+    const final = advanceWinner(ties, semiFinal, 'T1');
+    expect(final).toMatchObject({ round: 3, homeTeam: 'T1', homeSeed: 1 });
+    expect(advanceWinner(ties, final, 'T1')).toBeNull();
+    expect(final.winner).toBe('T1');
+  });
+});
+
+describe('normalizeKnockoutResult', () => {
+  it('takes the shootout score from the kicks over the submitted totals', () => {
+    const result = normalizeKnockoutResult({
+      extraTime: { played: true, homeScore: '1', awayScore: '1' },
+      penalties: {
+        homeScore: 9,
+        awayScore: 9,
+        kicks: [
+          { team: 'home', scored: true },
+          { team: 'away', scored: false },
+          { team: 'middle', scored: true },
+          { team: 'home', scored: true }
+        ]
+      }
+    });
+
+    expect(result.extraTime).toEqual({ played: true, homeScore: 1, awayScore: 1 });
+    expect(result.penalties).toMatchObject({ taken: true, homeScore: 2, awayScore: 0 });
+    expect(result.penalties.kicks.map(kick => kick.order)).toEqual([1, 2, 3]);
+  });
+
+  it('drops scores of extra time and penalties that were not played', () => {
+    expect(normalizeKnockoutResult({
+      extraTime: { played: false, homeScore: 2 },
+      penalties: { taken: false, homeScore: 5 }
+    })).toEqual({
+      extraTime: { played: false, homeScore: 0, awayScore: 0 },
+      penalties: { taken: false, homeScore: 0, awayScore: 0, kicks: [] }
+    });
+  });
+});
+
+describe('determineKnockoutWinner', () => {
+  it('decides in regulation or in extra time on the score', () => {
+    expect(determineKnockoutWinner({ status: 'completed', homeScore: 3, awayScore: 1 }))
+      .toEqual({ winner: 'home', decidedBy: 'regulation' });
+    expect(determineKnockoutWinner({ status: 'completed', homeScore: 2, awayScore: 3, extraTime: { played: true } }))
+      .toEqual({ winner: 'away', decidedBy: 'extra_time' });
+  });
+
+  it('decides a level match on the penalty shootout', () => {
+    const match = {
+      status: 'completed',
+      homeScore: 2,
+      awayScore: 2,
+      extraTime: { played: true },
+      penalties: { taken: true, homeScore: 3, awayScore: 4 }
+    };
+
+    expect(determineKnockoutWinner(match)).toEqual({ winner: 'away', decidedBy: 'penalties' });
+    expect(formatKnockoutScore(match)).toBe('2-2 (a.e.t.), 3-4 pens');
+  });
+
+  it('leaves a level match without a shootout undecided', () => {
+    expect(determineKnockoutWinner({ status: 'completed', homeScore: 1, awayScore: 1 }))
+      .toEqual({ winner: null, decidedBy: null });
+  });
+
+  it('sends the other team through on a forfeit, whatever the score', () => {
+    expect(determineKnockoutWinner({ status: 'forfeit', forfeit: { team: 'home' }, homeScore: 5, awayScore: 0 }))
+      .toEqual({ winner: 'away', decidedBy: 'forfeit' });
+  });
+});
+
+describe('determineTieWinner', () => {
+  // The tie's home team is at home in the first leg and away in the second
+  const firstLeg = { status: 'completed', homeScore: 2, awayScore: 1 };
+  const secondLeg = {
+    status: 'completed',
+    homeScore: 1,
+    awayScore: 0,
+    extraTime: { played: true },
+    penalties: { taken: true, homeScore: 3, awayScore: 4 }
+  };
+
+  it('adds up the legs from the first-leg home team\'s side, counting legs not yet played as 0-0', () => {
+    expect(aggregateScore(firstLeg, secondLeg)).toEqual({ home: 2, away: 2, homeAwayGoals: 0, awayAwayGoals: 1 });
+    expect(aggregateScore(firstLeg, { ...secondLeg, status: 'scheduled' }))
+      .toEqual({ home: 2, away: 1, homeAwayGoals: 0, awayAwayGoals: 1 });
+  });
+
+  it('decides on aggregate, after extra time in the second leg when it was played', () => {
+    expect(determineTieWinner(firstLeg, { status: 'completed', homeScore: 0, awayScore: 0 }))
+      .toMatchObject({ winner: 'home', decidedBy: 'aggregate' });
+    expect(determineTieWinner(firstLeg, { ...secondLeg, homeScore: 2 }))
+      .toMatchObject({ winner: 'away', decidedBy: 'extra_time', aggregate: { home: 2, away: 3 } });
+  });
+
+  it('puts away goals ahead of the second-leg shootout when the rule is on', () => {
+    expect(determineTieWinner(firstLeg, secondLeg, { awayGoals: true }))
+      .toMatchObject({ winner: 'away', decidedBy: 'away_goals' });
+  });
+
+  it('goes to the second-leg shootout when away goals are off', () => {
+    expect(determineTieWinner(firstLeg, secondLeg, { awayGoals: false }))
+      .toMatchObject({ winner: 'home', decidedBy: 'penalties' });
+  });
+
+  it('leaves a level tie undecided until the shootout is recorded', () => {
+    const withoutShootout = { ...secondLeg, penalties: { taken: false, homeScore: 0, awayScore: 0 } };
+
+    expect(determineTieWinner(firstLeg, withoutShootout)).toMatchObject({ winner: null, decidedBy: null });
+  });
+
+  it('puts out a team that forfeits either leg', () => {
+    const forfeitedBy = (team) => ({ status: 'forfeit', forfeit: { team }, homeScore: 0, awayScore: 0 });
+
+    expect(determineTieWinner(forfeitedBy('away'), secondLeg)).toMatchObject({ winner: 'home', decidedBy: 'forfeit' });
+    // The second-leg home side is the tie's away team
+    expect(determineTieWinner(firstLeg, forfeitedBy('home'))).toMatchObject({ winner: 'home', decidedBy: 'forfeit' });
+    expect(determineTieWinner(firstLeg, forfeitedBy('away'))).toMatchObject({ winner: 'away', decidedBy: 'forfeit' });
+  });
+});
@@ -0,0 +1,157 @@
+// ===========================================
+// FILE: utils/__tests__/fixtureGenerator.test.js
+// Round-robin generation (byes, home/away runs, second leg) and fixture calendar assignment
+// ===========================================
+/* eslint-env jest */
+import {
+  generateRoundRobin,
+  assignFixtureCalendar,
+  normalizeFixtureCalendar,
+  atTimeSlot,
+  parseCalendarDay
+} from '../fixtureGenerator';
+
+const teamsOf = (count) => Array.from({ length: count }, (_, index) => `T${index + 1}`);
+
+// Every team's home ('H') and away ('A') sequence over the rounds, byes left out
+const venueSequences = (rounds) => {
+  const sequences = {};
+  rounds.forEach(round => round.fixtures.forEach(({ homeTeam, awayTeam }) => {
+    (sequences[homeTeam] = sequences[homeTeam] || []).push('H');
+    (sequences[awayTeam] = sequences[awayTeam] || []).push('A');
+  }));
+  return sequences;
+};
+
+const longestRun = (sequence) => {
+  let longest = 0;
+  let run = 0;
+  sequence.forEach((venue, index) => {
+    run = index > 0 && sequence[index - 1] === venue ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+  return longest;
+};
+
+const pairKey = ({ homeTeam, awayTeam }) => [homeTeam, awayTeam].sort().join('-');
+
+describe('generateRoundRobin', () => {
+  it('pairs every team with every other team once', () => {
+    const rounds = generateRoundRobin(teamsOf(6));
+
+    expect(rounds).toHaveLength(5);
+    const pairs = rounds.flatMap(round => round.fixtures.map(pairKey));
+    expect(new Set(pairs).size).toBe(15);
+    rounds.forEach(round => {
+      const playing = round.fixtures.flatMap(({ homeTeam, awayTeam }) => [homeTeam, awayTeam]);
+      expect(new Set(playing).size).toBe(6);
+      expect(round.bye).toBeNull();
+    });
+  });
+
+  it('gives each team of an odd count exactly one bye', () => {
+    const teams = teamsOf(5);
+    const rounds = generateRoundRobin(teams);
+
+    expect(rounds).toHaveLength(5);
+    expect(rounds.map(round => round.bye).sort()).toEqual(teams);
+    rounds.forEach(round => {
+      expect(round.fixtures).toHaveLength(2);
+      const playing = round.fixtures.flatMap(({ homeTeam, awayTeam }) => [homeTeam, awayTeam]);
+      expect(playing).not.toContain(round.bye);
+    });
+  });
+
+  it('keeps every team to at most two home or away matches in a row, across both legs', () => {
+    for (let count = 2; count <= 12; count++) {
+      const rounds = generateRoundRobin(teamsOf(count), { doubleRound: true });
+      Object.values(venueSequences(rounds)).forEach(sequence => {
+        expect(longestRun(sequence)).toBeLessThanOrEqual(2);
+      });
+    }
+  });
+
+  it('plays the second leg with home and away reversed, numbered after the first', () => {
+    const rounds = generateRoundRobin(teamsOf(4), { doubleRound: true });
+    const firstLeg = rounds.slice(0, 3);
+    const secondLeg = rounds.slice(3);
+
+    expect(rounds.map(round => round.matchday)).toEqual([1, 2, 3, 4, 5, 6]);
+    const firstLegFixtures = new Set(firstLeg.flatMap(round => round.fixtures.map(f => `${f.homeTeam}>${f.awayTeam}`)));
+    secondLeg.flatMap(round => round.fixtures).forEach(({ homeTeam, awayTeam }) => {
+      expect(firstLegFixtures.has(`${awayTeam}>${homeTeam}`)).toBe(true);
+    });
+    // No pair meets again straight away at the turn of the legs
+    const lastOfFirst = new Set(firstLeg[2].fixtures.map(pairKey));
+    secondLeg[0].fixtures.forEach(fixture => expect(lastOfFirst.has(pairKey(fixture))).toBe(false));
+  });
+
+  it('refuses fewer than two teams', () => {
+    expect(() => generateRoundRobin(['T1'])).toThrow('At least two teams');
+  });
+});
+
+describe('normalizeFixtureCalendar', () => {
+  it('rejects a malformed kick-off time or excluded date', () => {
+    expect(() => normalizeFixtureCalendar({ startDate: '2026-11-07', timeSlots: ['25:00'] })).toThrow('Invalid kick-off time');
+    expect(() => normalizeFixtureCalendar({
+      startDate: '2026-11-07', timeSlots: ['18:00'], excludedDates: ['07/11/2026']
+    })).toThrow('Invalid excluded date');
+  });
+
+  it('plays on the start date\'s weekday when no match days are given', () => {
+    // 2026-11-07 is a Saturday
+    expect(normalizeFixtureCalendar({ startDate: '2026-11-07', timeSlots: ['18:00'] }).matchDays).toEqual([6]);
+  });
+});
+
+describe('atTimeSlot', () => {
+  it('reads the slot on the league clock, across a daylight saving change', () => {
+    // Lisbon moves to summer time on 2026-03-29
+    expect(atTimeSlot(parseCalendarDay('2026-03-28'), '18:30', 'Europe/Lisbon').toISOString()).toBe('2026-03-28T18:30:00.000Z');
+    expect(atTimeSlot(parseCalendarDay('2026-03-29'), '18:30', 'Europe/Lisbon').toISOString()).toBe('2026-03-29T17:30:00.000Z');
+  });
+});
+
+describe('assignFixtureCalendar', () => {
+  const calendar = {
+    startDate: '2026-11-06', // a Friday
+    matchDays: [6],
+    timeSlots: ['20:00', '18:00'],
+    venues: ['Hall'],
+    daysBetweenMatchdays: 7
+  };
+
+  it('starts each matchday on the next match day and fills the slots in time order', () => {
+    const fixtures = assignFixtureCalendar(generateRoundRobin(teamsOf(4)), calendar);
+
+    expect(fixtures.map(fixture => [fixture.matchday, fixture.matchDate.toISOString()])).toEqual([
+      [1, '2026-11-07T18:00:00.000Z'],
+      [1, '2026-11-07T20:00:00.000Z'],
+      [2, '2026-11-14T18:00:00.000Z'],
+      [2, '2026-11-14T20:00:00.000Z'],
+      [3, '2026-11-21T18:00:00.000Z'],
+      [3, '2026-11-21T20:00:00.000Z']
+    ]);
+    fixtures.forEach(fixture => expect(fixture.venue).toBe('Hall'));
+  });
+
+  it('skips excluded dates and spills a matchday over when its slots are rejected', () => {
+    const rejected = '2026-11-14T20:00:00.000Z';
+    const fixtures = assignFixtureCalendar(generateRoundRobin(teamsOf(4)), {
+      ...calendar,
+      excludedDates: ['2026-11-07']
+    }, {
+      reserveSlot: (candidate) => candidate.matchDate.toISOString() !== rejected
+    });
+
+    expect(fixtures.map(fixture => [fixture.matchday, fixture.matchDate.toISOString()])).toEqual([
+      [1, '2026-11-14T18:00:00.000Z'],
+      [1, '2026-11-21T18:00:00.000Z'],
+      [2, '2026-11-28T18:00:00.000Z'],
+      [2, '2026-11-28T20:00:00.000Z'],
+      [3, '2026-12-05T18:00:00.000Z'],
+      [3, '2026-12-05T20:00:00.000Z']
+    ]);
+  });
+});
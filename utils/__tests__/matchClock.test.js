@@ -0,0 +1,137 @@
+// ===========================================
+// FILE: utils/__tests__/matchClock.test.js
+// Live match clock: periods, clock actions (stop clock and running clock) and the derived clock state
+// ===========================================
+/* eslint-env jest */
+import { DEFAULT_SEASON_RULES } from '../seasonRules';
+import {
+  matchPeriods,
+  clockState,
+  applyClockAction,
+  eventTime,
+  nextEventId
+} from '../matchClock';
+
+const KICK_OFF = new Date('2026-11-07T18:00:00Z');
+const after = (seconds) => new Date(KICK_OFF.getTime() + seconds * 1000);
+
+// Apply an action and return the resulting liveData, failing the test on a refused action
+const act = (liveData, action, seconds, options = {}, rules = DEFAULT_SEASON_RULES) => {
+  const result = applyClockAction(liveData, action, rules, { now: after(seconds), ...options });
+  expect(result.error).toBeUndefined();
+  return { ...liveData, ...result.liveData };
+};
+
+describe('matchPeriods', () => {
+  it('lists the halves, then extra time split into its periods', () => {
+    expect(matchPeriods().map(period => [period.label, period.minutes, period.startMinute])).toEqual([
+      ['1st half', 20, 0],
+      ['2nd half', 20, 20],
+      ['Extra time 1st half', 5, 40],
+      ['Extra time 2nd half', 5, 45]
+    ]);
+  });
+
+  it('leaves out extra time when the season has none', () => {
+    const rules = { ...DEFAULT_SEASON_RULES, periods: { count: 4, minutes: 12 }, extraTimeMinutes: 0 };
+
+    expect(matchPeriods(rules).map(period => period.label)).toEqual([
+      'Period 1 of 4', 'Period 2 of 4', 'Period 3 of 4', 'Period 4 of 4'
+    ]);
+  });
+});
+
+describe('clockState and applyClockAction', () => {
+  it('counts running time only, across a pause and a restart', () => {
+    let liveData = act({}, 'start', 0);
+    expect(clockState(liveData, DEFAULT_SEASON_RULES, after(90))).toMatchObject({
+      phase: 'in_play', running: true, periodSeconds: 90, minute: 2, display: '01:30'
+    });
+
+    liveData = act(liveData, 'pause', 90);
+    expect(liveData).toMatchObject({ periodElapsedMs: 90000, runningSince: null, currentMinute: 2 });
+    expect(clockState(liveData, DEFAULT_SEASON_RULES, after(600))).toMatchObject({ running: false, periodSeconds: 90 });
+
+    liveData = act(liveData, 'resume', 600);
+    expect(clockState(liveData, DEFAULT_SEASON_RULES, after(630)).periodSeconds).toBe(120);
+  });
+
+  it('stops at the end of the period and refuses to restart it', () => {
+    const liveData = act({}, 'start', 0);
+    const state = clockState(liveData, DEFAULT_SEASON_RULES, after(1250));
+
+    expect(state).toMatchObject({ running: false, expired: true, periodSeconds: 1200, remainingSeconds: 0 });
+    const stoppedAtTime = { phase: 'in_play', period: 0, periodElapsedMs: 1200000, runningSince: null };
+    expect(applyClockAction(stoppedAtTime, 'resume', DEFAULT_SEASON_RULES, { now: after(1250) }))
+      .toEqual({ error: 'The 1st half is over; end the period' });
+  });
+
+  it('goes through half-time into the second half', () => {
+    let liveData = act(act({}, 'start', 0), 'end_period', 1200);
+    expect(clockState(liveData, DEFAULT_SEASON_RULES, after(1260))).toMatchObject({
+      phase: 'break', label: 'Half-time', breakRemainingSeconds: 540
+    });
+    expect(applyClockAction(liveData, 'penalties', DEFAULT_SEASON_RULES, { now: after(1260) }).error)
+      .toBe('A shootout starts after normal time or extra time');
+
+    liveData = act(liveData, 'next_period', 1800);
+    expect(clockState(liveData, DEFAULT_SEASON_RULES, after(1860))).toMatchObject({
+      label: '2nd half', periodSeconds: 60, matchSeconds: 1260, minute: 21
+    });
+
+    liveData = act(liveData, 'end_period', 3000);
+    expect(clockState(liveData, DEFAULT_SEASON_RULES, after(3000)).label).toBe('End of normal time');
+    expect(act(liveData, 'penalties', 3060).phase).toBe('penalties');
+  });
+
+  it('refuses to pause a running clock season', () => {
+    const rules = { ...DEFAULT_SEASON_RULES, stopClock: false };
+    const liveData = act({}, 'start', 0, {}, rules);
+
+    expect(applyClockAction(liveData, 'pause', rules, { now: after(60) }).error)
+      .toBe('This season plays a running clock; end the period to stop it');
+  });
+
+  it('carries on from the minute of a resumed match', () => {
+    const liveData = act({}, 'start', 0, { startMinute: 25 });
+
+    expect(liveData).toMatchObject({ period: 1, periodElapsedMs: 300000 });
+    expect(clockState(liveData, DEFAULT_SEASON_RULES, after(0))).toMatchObject({ label: '2nd half', minute: 25 });
+  });
+
+  it('reads a match stored before the clock from its current minute', () => {
+    expect(clockState({ isLive: true, currentMinute: 25 }, DEFAULT_SEASON_RULES, after(0))).toMatchObject({
+      phase: 'in_play', running: false, periodSeconds: 300, minute: 25
+    });
+    expect(clockState({}, DEFAULT_SEASON_RULES, after(0))).toMatchObject({ phase: 'not_started', label: 'Not started' });
+  });
+
+  it('only corrects the clock within the period', () => {
+    const liveData = act({}, 'start', 0);
+
+    expect(applyClockAction(liveData, 'adjust', DEFAULT_SEASON_RULES, { now: after(60), periodSeconds: 1300 }).error)
+      .toBe('Set the 1st half clock between 00:00 and 20:00');
+    const adjusted = act(liveData, 'adjust', 60, { periodSeconds: 300 });
+    expect(clockState(adjusted, DEFAULT_SEASON_RULES, after(90)).periodSeconds).toBe(330);
+  });
+
+  it('refuses an unknown action', () => {
+    expect(applyClockAction({}, 'rewind')).toEqual({ error: 'Unknown clock action: rewind' });
+  });
+});
+
+describe('eventTime', () => {
+  it('stamps an event with the match minute, second and period, and nothing before kick-off', () => {
+    const liveData = act({}, 'start', 0, { startMinute: 21 });
+
+    expect(eventTime(liveData, DEFAULT_SEASON_RULES, after(75))).toEqual({ minute: 23, second: 1335, period: 1 });
+    expect(eventTime({}, DEFAULT_SEASON_RULES, after(75))).toBeNull();
+  });
+});
+
+describe('nextEventId', () => {
+  it('gives one above the highest id, so removed events leave no duplicates', () => {
+    expect(nextEventId([{ id: 3 }, { id: '7' }, { type: 'goal' }])).toBe(8);
+    expect(nextEventId([])).toBe(1);
+  });
+});
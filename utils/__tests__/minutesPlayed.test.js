@@ -0,0 +1,96 @@
+// ===========================================
+// FILE: utils/__tests__/minutesPlayed.test.js
+// Minutes played from starting players, rolling substitutions and sendings-off
+// ===========================================
+/* eslint-env jest */
+import { matchPlayedSeconds, onCourtSeconds, onCourtMinutes, playersOnCourt } from '../minutesPlayed';
+
+// Full time on the server clock: 2 x 20 minutes played
+const finishedClock = { phase: 'finished', period: 1, periodElapsedMs: 1200000, runningSince: null, endedAt: new Date() };
+
+const homeSquad = {
+  players: ['p1', 'p2', 'p3', 'p4', 'p5', 'p6', 'p7', 'p8'].map((player, index) => ({ player, starting: index < 5 }))
+};
+
+const match = {
+  liveData: finishedClock,
+  squads: { home: homeSquad },
+  events: [
+    { type: 'substitution', team: 'home', second: 600, playerOut: 'p1', playerIn: 'p6' },
+    // Rolling substitution: the same player comes back on
+    { type: 'substitution', team: 'home', second: 900, playerOut: 'p6', playerIn: 'p1' },
+    { type: 'red_card', team: 'home', second: 1500, player: 'p2' },
+    // A squad substitute with no substitution on record comes on at their first event
+    { type: 'goal', team: 'home', second: 2000, player: 'p7' },
+    // Without a squad, the first player taken off is taken to have started
+    { type: 'substitution', team: 'away', minute: 10, playerOut: 'a1', playerIn: 'a2' },
+    { type: 'goal', team: 'away', minute: 30, player: 'a3' }
+  ]
+};
+
+describe('matchPlayedSeconds', () => {
+  it('reads the length of play from the server clock, or an abandonment minute', () => {
+    expect(matchPlayedSeconds(match)).toBe(2400);
+    expect(matchPlayedSeconds({ status: 'abandoned', abandonment: { minute: 27 } })).toBe(1620);
+  });
+
+  it('falls back to regulation time, plus extra time when the match went to it', () => {
+    expect(matchPlayedSeconds({ events: [{ minute: 38 }] })).toBe(2400);
+    expect(matchPlayedSeconds({ events: [{ minute: 44 }] })).toBe(3000);
+    expect(matchPlayedSeconds({ decidedBy: 'penalties', events: [] })).toBe(3000);
+  });
+});
+
+describe('onCourtSeconds', () => {
+  it('adds up each spell on court across rolling substitutions and a sending-off', () => {
+    const seconds = onCourtSeconds(match);
+
+    expect(Object.fromEntries(seconds)).toEqual({
+      p1: 2100,
+      p2: 1500,
+      p3: 2400,
+      p4: 2400,
+      p5: 2400,
+      p6: 300,
+      p7: 400,
+      a1: 600,
+      a2: 1800
+    });
+  });
+
+  it('leaves out unused substitutes and players without a squad or a substitution', () => {
+    const seconds = onCourtSeconds(match);
+
+    expect(seconds.has('p8')).toBe(false);
+    expect(seconds.has('a3')).toBe(false);
+  });
+
+  it('stops the time of events recorded after the end of play at the final whistle', () => {
+    const late = { ...match, events: [{ type: 'substitution', team: 'home', second: 2600, playerOut: 'p3', playerIn: 'p8' }] };
+    const seconds = onCourtSeconds(late);
+
+    expect(seconds.get('p3')).toBe(2400);
+    expect(seconds.get('p8')).toBe(0);
+  });
+});
+
+describe('onCourtMinutes', () => {
+  it('rounds each player\'s time to whole minutes', () => {
+    const minutes = onCourtMinutes(match);
+
+    expect(minutes.get('p1')).toBe(35);
+    expect(minutes.get('p6')).toBe(5);
+    expect(minutes.get('p7')).toBe(7);
+  });
+});
+
+describe('playersOnCourt', () => {
+  it('follows the squad\'s starters through substitutions and sendings-off', () => {
+    expect([...playersOnCourt(match, 'home', 700)].sort()).toEqual(['p2', 'p3', 'p4', 'p5', 'p6']);
+    expect([...playersOnCourt(match, 'home', 1600)].sort()).toEqual(['p1', 'p3', 'p4', 'p5']);
+  });
+
+  it('knows nobody on court for a team without a squad', () => {
+    expect(playersOnCourt(match, 'away', 700)).toBeNull();
+  });
+});
@@ -0,0 +1,108 @@
+// ===========================================
+// FILE: utils/__tests__/playerEligibility.test.js
+// Player eligibility on a match date: status, suspensions, contracts, transfers and season registration
+// ===========================================
+/* eslint-env jest */
+import { playerEligibility, teamOnDate, eligibilityReasons, eventParticipant } from '../playerEligibility';
+
+// With T1 until the end of June, then transferred to T2; injured since September
+const player = {
+  _id: 'p1',
+  name: 'Player One',
+  status: 'injured',
+  statusSince: '2026-09-01',
+  currentTeam: 'T2',
+  contractStatus: 'active',
+  currentContract: { team: 'T2', season: 'S2', startDate: '2026-07-01', endDate: '2027-06-30' },
+  contractHistory: [{ team: 'T1', season: 'S1', startDate: '2026-01-01', endDate: '2026-06-30' }],
+  transferHistory: [{ fromTeam: 'T1', toTeam: 'T2', season: 'S2', transferDate: '2026-07-01' }]
+};
+
+const codesOf = (result) => result.issues.map(entry => entry.code);
+
+describe('teamOnDate', () => {
+  it('gives the team of the last transfer up to the date, or the team left before the first', () => {
+    expect(teamOnDate(player, '2026-03-10')).toBe('T1');
+    expect(teamOnDate(player, '2026-07-01')).toBe('T2');
+    expect(teamOnDate(player)).toBe('T2');
+  });
+
+  it('falls back to the contract running on the date without transfers', () => {
+    const withoutTransfers = { ...player, transferHistory: [] };
+
+    expect(teamOnDate(withoutTransfers, '2026-03-10')).toBe('T1');
+    expect(teamOnDate({ ...withoutTransfers, contractHistory: [] }, '2026-03-10')).toBe('T2');
+  });
+});
+
+describe('playerEligibility', () => {
+  it('judges a past match by the contract, team and status of the time', () => {
+    const result = playerEligibility(player, { team: 'T1', season: 'S1', matchDate: '2026-03-10' });
+
+    expect(result).toEqual({ player: 'p1', name: 'Player One', eligible: true, issues: [] });
+  });
+
+  it('blocks a status from the date it was set', () => {
+    expect(codesOf(playerEligibility(player, { team: 'T2', season: 'S2', matchDate: '2026-09-15' }))).toEqual(['status_injured']);
+    expect(codesOf(playerEligibility(player, { team: 'T2', season: 'S2' }))).toEqual(['status_injured']);
+    // Without a record of when it was set, the status is taken to apply
+    expect(playerEligibility({ ...player, statusSince: null }, { team: 'T2', matchDate: '2026-08-15' }).eligible).toBe(false);
+  });
+
+  it('blocks a player for a team they had left, or not yet joined, on the match date', () => {
+    const afterLeaving = playerEligibility(player, { team: 'T1', matchDate: '2026-09-15' });
+    expect(codesOf(afterLeaving)).toEqual(['status_injured', 'contract_team', 'team']);
+
+    const beforeJoining = playerEligibility(player, { team: 'T2', matchDate: '2026-06-15' });
+    expect(codesOf(beforeJoining)).toEqual(['contract_team', 'team', 'transfer_date']);
+    expect(eligibilityReasons(beforeJoining)).toBe(
+      'Player is contracted to another team; Player is registered to another team; Player joined the team on 2026-07-01, after the match'
+    );
+  });
+
+  it('reports the dates of the team\'s contract when none was running on the match date', () => {
+    const signed = {
+      _id: 'p2',
+      status: 'active',
+      currentTeam: 'T1',
+      contractStatus: 'active',
+      currentContract: { team: 'T1', startDate: '2026-08-01', endDate: '2026-12-31' }
+    };
+
+    expect(eligibilityReasons(playerEligibility(signed, { team: 'T1', matchDate: '2026-07-15' })))
+      .toBe('Contract only starts on 2026-08-01');
+    expect(eligibilityReasons(playerEligibility(signed, { team: 'T1', matchDate: '2027-01-10' })))
+      .toBe('Contract ended on 2026-12-31');
+    expect(codesOf(playerEligibility({ ...signed, contractStatus: 'free_agent' }, { team: 'T1', matchDate: '2026-09-01' })))
+      .toEqual(['no_contract']);
+  });
+
+  it('blocks matches after the one a suspension was earned in, until it is served', () => {
+    const free = { ...player, status: 'active' };
+    const suspension = { _id: 's1', reason: 'red_card', sourceDate: '2026-09-10', matchesBanned: 2, matchesServed: ['m1'], status: 'active' };
+    const context = { team: 'T2', suspensions: [suspension] };
+
+    const later = playerEligibility(free, { ...context, matchDate: '2026-09-20' });
+    expect(later.eligible).toBe(false);
+    expect(eligibilityReasons(later)).toBe('Suspended (red card): 1 match left');
+    expect(playerEligibility(free, { ...context, matchDate: '2026-09-10' }).eligible).toBe(true);
+    expect(playerEligibility(free, {
+      ...context, matchDate: '2026-09-20', suspensions: [{ ...suspension, matchesServed: ['m1', 'm2'], status: 'served' }]
+    }).eligible).toBe(true);
+  });
+
+  it('only warns about a missing season registration', () => {
+    const result = playerEligibility({ ...player, status: 'active' }, { team: 'T2', season: 'S3', matchDate: '2026-09-15' });
+
+    expect(result.eligible).toBe(true);
+    expect(eligibilityReasons(result, 'warn')).toBe('Player is not registered with the team for this season');
+  });
+});
+
+describe('eventParticipant', () => {
+  it('checks the player coming on in a substitution, and nobody for officials', () => {
+    expect(eventParticipant({ type: 'substitution', playerIn: 'p2', playerOut: 'p1' })).toBe('p2');
+    expect(eventParticipant({ type: 'goal', player: { _id: 'p3' } })).toBe('p3');
+    expect(eventParticipant({ type: 'yellow_card', player: 'c1', isOfficial: true })).toBeNull();
+  });
+});
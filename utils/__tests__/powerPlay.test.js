@@ -0,0 +1,89 @@
+// ===========================================
+// FILE: utils/__tests__/powerPlay.test.js
+// Power plays after a sending-off: ended by time or by a goal of the team with more players on court
+// ===========================================
+/* eslint-env jest */
+import { DEFAULT_SEASON_RULES } from '../seasonRules';
+import { powerPlays, activePowerPlays, isPowerPlayGoal, powerPlayGoals } from '../powerPlay';
+
+const redCard = (team, second, fields = {}) => ({ type: 'red_card', team, second, playerName: `${team} player`, ...fields });
+const goal = (team, second, id) => ({ id, type: 'goal', team, second });
+
+const summary = (plays) => plays.map(({ team, startSecond, endSecond, endedBy }) => [team, startSecond, endSecond, endedBy]);
+
+describe('powerPlays', () => {
+  it('runs for the season\'s power-play time when nobody scores', () => {
+    expect(summary(powerPlays([redCard('home', 300)]))).toEqual([['home', 300, 420, 'time']]);
+
+    const rules = { ...DEFAULT_SEASON_RULES, powerPlaySeconds: 60 };
+    expect(summary(powerPlays([redCard('home', 300)], rules))).toEqual([['home', 300, 360, 'time']]);
+  });
+
+  it('ends when the short-handed team concedes', () => {
+    const plays = powerPlays([redCard('home', 300), goal('away', 350, 7), goal('away', 380, 8)]);
+
+    expect(plays).toHaveLength(1);
+    expect(plays[0]).toMatchObject({ team: 'home', endSecond: 350, endedBy: 'goal', goalEventId: 7 });
+  });
+
+  it('ends on an own goal conceded by the short-handed team', () => {
+    const ownGoal = { id: 4, type: 'own_goal', team: 'home', second: 330 };
+
+    expect(powerPlays([redCard('home', 300), ownGoal])[0]).toMatchObject({ endSecond: 330, endedBy: 'goal', goalEventId: 4 });
+  });
+
+  it('carries on when the short-handed team scores, or after it has run out', () => {
+    const plays = powerPlays([redCard('home', 300), goal('home', 350), goal('away', 450)]);
+
+    expect(summary(plays)).toEqual([['home', 300, 420, 'time']]);
+  });
+
+  it('ends only the oldest of two power plays of the same team on a goal', () => {
+    const plays = powerPlays([redCard('home', 300), redCard('home', 320), goal('away', 340, 9)]);
+
+    expect(summary(plays)).toEqual([['home', 300, 340, 'goal'], ['home', 320, 440, 'time']]);
+  });
+
+  it('ends none when both teams are a player short', () => {
+    const plays = powerPlays([redCard('home', 300), redCard('away', 310), goal('away', 330)]);
+
+    expect(plays.every(play => play.endedBy === 'time')).toBe(true);
+  });
+
+  it('ignores red cards shown to officials, and replays events in time order', () => {
+    expect(powerPlays([redCard('home', 300, { isOfficial: true })])).toEqual([]);
+    // Recorded before the live clock: only the minute is known
+    const plays = powerPlays([
+      { id: 3, type: 'goal', team: 'away', minute: 6 },
+      { type: 'red_card', team: 'home', minute: 5 }
+    ]);
+    expect(plays[0]).toMatchObject({ startSecond: 300, endSecond: 360, endedBy: 'goal', goalEventId: 3 });
+  });
+});
+
+describe('activePowerPlays and isPowerPlayGoal', () => {
+  const events = [redCard('away', 600)];
+
+  it('gives the time left on each running power play', () => {
+    expect(activePowerPlays(events, 650).map(play => [play.team, play.remainingSeconds])).toEqual([['away', 70]]);
+    expect(activePowerPlays(events, 720)).toEqual([]);
+  });
+
+  it('flags a goal by the team with more players on court', () => {
+    expect(isPowerPlayGoal(events, goal('home', 650))).toBe(true);
+    expect(isPowerPlayGoal(events, goal('away', 650))).toBe(false);
+    expect(isPowerPlayGoal(events, goal('home', 720))).toBe(false);
+  });
+});
+
+describe('powerPlayGoals', () => {
+  it('counts the flagged goals for the side they count for', () => {
+    const events = [
+      { type: 'goal', team: 'home', powerPlayGoal: true },
+      { type: 'own_goal', team: 'home', powerPlayGoal: true },
+      { type: 'goal', team: 'away' }
+    ];
+
+    expect(powerPlayGoals(events)).toEqual({ home: 1, away: 1 });
+  });
+});
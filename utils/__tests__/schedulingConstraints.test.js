@@ -0,0 +1,127 @@
+// ===========================================
+// FILE: utils/__tests__/schedulingConstraints.test.js
+// Constraint checker: blackouts, overlaps, rest periods and venue capacity, and free-slot suggestions
+// ===========================================
+/* eslint-env jest */
+import {
+  createConstraintChecker,
+  suggestFreeSlots,
+  normalizeSchedulingRules,
+  leagueDay
+} from '../schedulingConstraints';
+
+const at = (iso) => new Date(iso);
+const typesOf = (violations) => violations.map(violation => violation.type).sort();
+
+const rules = {
+  minRestHours: 24,
+  matchDurationMinutes: 60,
+  timeSlots: ['20:00', '18:00'],
+  venues: [{ name: 'Hall', slotsPerDay: 2 }, { name: 'Arena' }]
+};
+
+const booked = [
+  { _id: 'm1', homeTeam: 'A', awayTeam: 'B', matchDate: '2026-11-07T18:00:00Z', venue: 'Hall', status: 'scheduled' },
+  { _id: 'm2', homeTeam: 'C', awayTeam: 'D', matchDate: '2026-11-07T19:00:00Z', venue: 'hall', status: 'scheduled' },
+  // Cancelled matches hold neither the teams nor the venue
+  { _id: 'm3', homeTeam: 'E', awayTeam: 'F', matchDate: '2026-11-08T18:00:00Z', venue: 'Hall', status: 'cancelled' }
+];
+
+const checkerFor = (extra = {}) => createConstraintChecker({
+  rules,
+  matches: booked,
+  blackouts: { E: { '2026-11-10': 'Cup tie' } },
+  teamNames: { A: 'Alpha', B: 'Bravo', C: 'Charlie', D: 'Delta', E: 'Echo', F: 'Foxtrot' },
+  ...extra
+});
+
+describe('normalizeSchedulingRules', () => {
+  it('fills in defaults and sorts the time slots', () => {
+    const settings = normalizeSchedulingRules({ minRestHours: -5, timeSlots: ['20:00', '09:00'], venues: [{}, { name: 'Hall' }] });
+
+    expect(settings).toEqual({
+      minRestHours: 0,
+      matchDurationMinutes: 60,
+      timeSlots: ['09:00', '20:00'],
+      venues: [{ name: 'Hall' }]
+    });
+  });
+});
+
+describe('createConstraintChecker', () => {
+  it('accepts a fixture that breaks no rule', () => {
+    expect(checkerFor().check({ homeTeam: 'E', awayTeam: 'F', matchDate: at('2026-11-08T18:00:00Z'), venue: 'Hall' })).toEqual([]);
+  });
+
+  it('reports a team blackout on the league calendar day', () => {
+    const violations = checkerFor().check({ homeTeam: 'E', awayTeam: 'F', matchDate: at('2026-11-10T20:00:00Z'), venue: 'Arena' });
+
+    expect(violations).toEqual([{ type: 'team_blackout', team: 'E', message: 'Echo is unavailable on 2026-11-10 (Cup tie)' }]);
+  });
+
+  it('reports overlapping matches of a team and of a venue', () => {
+    const violations = checkerFor().check({ homeTeam: 'A', awayTeam: 'E', matchDate: at('2026-11-07T18:30:00Z'), venue: 'Hall' });
+
+    expect(typesOf(violations)).toEqual(['team_overlap', 'venue_capacity', 'venue_overlap', 'venue_overlap']);
+  });
+
+  it('reports too short a rest between a team\'s matches', () => {
+    // Bravo finishes at 19:00 on the 7th; 12:00 on the 8th leaves 17 hours
+    const violations = checkerFor().check({ homeTeam: 'B', awayTeam: 'E', matchDate: at('2026-11-08T12:00:00Z'), venue: 'Arena' });
+
+    expect(violations).toHaveLength(1);
+    expect(violations[0]).toMatchObject({ type: 'rest_period', team: 'B', conflictingMatch: 'm1' });
+    expect(violations[0].message).toBe('Bravo would only get 17h rest (minimum 24h)');
+  });
+
+  it('reports a venue with every slot of the day taken', () => {
+    const violations = checkerFor().check({ homeTeam: 'E', awayTeam: 'F', matchDate: at('2026-11-07T21:00:00Z'), venue: 'Hall' });
+
+    expect(violations).toEqual([{ type: 'venue_capacity', message: 'Hall already has 2 of 2 slots used on 2026-11-07' }]);
+  });
+
+  it('ignores the fixture being moved when checking it against the others', () => {
+    const violations = checkerFor().check({ _id: 'm1', homeTeam: 'A', awayTeam: 'B', matchDate: at('2026-11-07T20:00:00Z'), venue: 'Arena' });
+
+    expect(violations).toEqual([]);
+  });
+
+  it('books reserved fixtures so later ones are checked against them', () => {
+    const checker = checkerFor();
+    const candidate = { homeTeam: 'E', awayTeam: 'F', matchDate: at('2026-11-09T18:00:00Z'), venue: 'Arena' };
+
+    expect(checker.reserve(candidate)).toBe(true);
+    expect(checker.reserve(candidate)).toBe(false);
+    expect(typesOf(checker.check({ ...candidate, homeTeam: 'A', awayTeam: 'B' }))).toEqual(['venue_overlap']);
+  });
+});
+
+describe('suggestFreeSlots', () => {
+  it('suggests the next free slots from a moment, moving off booked and full venues', () => {
+    const checker = checkerFor();
+    const suggestions = suggestFreeSlots(checker, { homeTeam: 'E', awayTeam: 'F', venue: 'Hall' }, {
+      from: at('2026-11-07T12:00:00Z'),
+      limit: 4
+    });
+
+    expect(suggestions.map(({ matchDate, venue }) => [matchDate.toISOString(), venue])).toEqual([
+      ['2026-11-07T18:00:00.000Z', 'Arena'],
+      ['2026-11-07T20:00:00.000Z', 'Arena'],
+      ['2026-11-08T18:00:00.000Z', 'Hall'],
+      ['2026-11-08T20:00:00.000Z', 'Hall']
+    ]);
+  });
+
+  it('suggests nothing without configured time slots', () => {
+    const checker = createConstraintChecker({ rules: {} });
+
+    expect(suggestFreeSlots(checker, { homeTeam: 'A', awayTeam: 'B' })).toEqual([]);
+  });
+});
+
+describe('leagueDay', () => {
+  it('gives the calendar day in the league timezone', () => {
+    expect(leagueDay('2026-11-07T23:30:00Z', 'UTC')).toBe('2026-11-07');
+    expect(leagueDay('2026-11-07T23:30:00Z', 'Asia/Karachi')).toBe('2026-11-08');
+  });
+});
@@ -0,0 +1,91 @@
+// ===========================================
+// FILE: utils/__tests__/suspensions.test.js
+// Automatic suspensions from red cards and yellow-card accumulation, served as the team's matches complete
+// ===========================================
+/* eslint-env jest */
+import { DEFAULT_SEASON_RULES } from '../seasonRules';
+import { computeSuspensions, matchesRemaining, suspensionKey } from '../suspensions';
+
+const rules = { ...DEFAULT_SEASON_RULES, yellowCardSuspensionThreshold: 2, yellowCardSuspensionMatches: 1, redCardSuspensionMatches: 2 };
+
+const card = (type, team, player, fields = {}) => ({ type, team, player, ...fields });
+
+const matchOf = (_id, matchDate, homeTeam, awayTeam, events = [], status = 'completed') => ({
+  _id, season: 'S1', matchDate, homeTeam, awayTeam, status, events
+});
+
+// Player p1 (T1) is sent off in m1; p2 (T1) is booked in m1 and m2; p5 (T1) is sent off in m1 and m2
+const matches = [
+  matchOf('m1', '2026-09-01', 'T1', 'T2', [
+    card('red_card', 'home', 'p1'),
+    card('yellow_card', 'home', 'p2'),
+    card('yellow_card', 'away', 'p3'),
+    card('yellow_card', 'home', 'c1', { isOfficial: true }),
+    card('red_card', 'home', 'p5')
+  ]),
+  matchOf('m2', '2026-09-08', 'T1', 'T3', [
+    card('yellow_card', 'home', 'p2'),
+    card('red_card', 'home', 'p5')
+  ]),
+  matchOf('m3', '2026-09-15', 'T1', 'T2', [], 'scheduled'),
+  matchOf('m4', '2026-09-22', 'T3', 'T1')
+];
+
+const find = (suspensions, player, sourceMatch) => suspensions.find(s => s.player === player && s.sourceMatch === sourceMatch);
+
+describe('computeSuspensions', () => {
+  it('suspends a player sent off for the season\'s red-card matches', () => {
+    const suspension = find(computeSuspensions(matches.slice(0, 1), rules), 'p1', 'm1');
+
+    expect(suspension).toMatchObject({
+      team: 'T1', season: 'S1', reason: 'red_card', sourceDate: '2026-09-01', matchesBanned: 2, matchesServed: [], status: 'active'
+    });
+    expect(matchesRemaining(suspension)).toBe(2);
+  });
+
+  it('suspends on every threshold of yellow cards, counting players only', () => {
+    const suspensions = computeSuspensions(matches.slice(0, 2), rules);
+
+    expect(find(suspensions, 'p2', 'm2')).toMatchObject({ reason: 'yellow_accumulation', yellowCards: 2, matchesBanned: 1 });
+    expect(suspensions.filter(s => s.reason === 'yellow_accumulation')).toHaveLength(1);
+    expect(suspensions.some(s => s.player === 'c1' || s.player === 'p3')).toBe(false);
+  });
+
+  it('serves a suspension in the team\'s completed matches until it expires', () => {
+    const beforeLast = computeSuspensions(matches.slice(0, 3), rules);
+    expect(find(beforeLast, 'p1', 'm1')).toMatchObject({ matchesServed: ['m2'], status: 'active' });
+    expect(matchesRemaining(find(beforeLast, 'p2', 'm2'))).toBe(1);
+
+    // Given out of order, the matches are still replayed by date
+    const all = computeSuspensions([...matches].reverse(), rules);
+    expect(find(all, 'p1', 'm1')).toMatchObject({ matchesServed: ['m2', 'm4'], status: 'served' });
+    expect(find(all, 'p2', 'm2')).toMatchObject({ matchesServed: ['m4'], status: 'served' });
+    expect(matchesRemaining(find(all, 'p1', 'm1'))).toBe(0);
+  });
+
+  it('serves one suspension of a player at a time, oldest first', () => {
+    const suspensions = computeSuspensions(matches, rules);
+
+    expect(find(suspensions, 'p5', 'm1')).toMatchObject({ matchesServed: ['m2', 'm4'], status: 'served' });
+    expect(find(suspensions, 'p5', 'm2')).toMatchObject({ matchesServed: [], status: 'active' });
+  });
+
+  it('keeps a cancelled suspension without ever serving it', () => {
+    const cancelled = new Set([suspensionKey({ player: 'p1', sourceMatch: 'm1', reason: 'red_card' })]);
+    const suspension = find(computeSuspensions(matches, rules, cancelled), 'p1', 'm1');
+
+    expect(suspension).toMatchObject({ status: 'cancelled', matchesServed: [] });
+    expect(matchesRemaining(suspension)).toBe(0);
+  });
+
+  it('ignores cards in a walkover, which still counts as a match served', () => {
+    const walkover = {
+      ...matchOf('m2', '2026-09-08', 'T1', 'T3', [card('red_card', 'home', 'p9')], 'forfeit'),
+      forfeit: { team: 'away', walkover: true }
+    };
+    const suspensions = computeSuspensions([matches[0], walkover], rules);
+
+    expect(suspensions.some(s => s.player === 'p9')).toBe(false);
+    expect(find(suspensions, 'p1', 'm1').matchesServed).toEqual(['m2']);
+  });
+});
@@ -0,0 +1,140 @@
+// ===========================================
+// FILE: utils/__tests__/tieBreakers.test.js
+// Mini-league ordering of tied teams (resolveStandingsOrder)
+// ===========================================
+/* eslint-env jest */
+import { resolveStandingsOrder } from '../tieBreakers';
+
+// Head-to-head criteria first, so the mini-league decides before the overall figures
+const HEAD_TO_HEAD_FIRST = [
+  'head_to_head_points',
+  'head_to_head_goal_difference',
+  'goal_difference',
+  'goals_for',
+  'goals_against',
+  'fair_play'
+];
+
+const pointsFor = (goalsFor, goalsAgainst) => {
+  if (goalsFor > goalsAgainst) return 3;
+  return goalsFor === goalsAgainst ? 1 : 0;
+};
+
+/**
+ * Build teams from the results between them, on top of the same overall record
+ * @param {Array} results - [homeName, awayName, homeGoals, awayGoals]
+ * @param {Object} overall - Team name -> enhancedStats overrides
+ * @returns {Array} - Teams with _id, name and enhancedStats
+ */
+const buildTeams = (results, overall = {}) => {
+  const names = [...new Set(results.flatMap(([home, away]) => [home, away]))];
+  const teams = new Map(names.map(name => [name, {
+    _id: name,
+    name,
+    enhancedStats: {
+      points: 10,
+      goalsFor: 10,
+      goalsAgainst: 10,
+      goalDifference: 0,
+      wins: 3,
+      fairPlayPoints: 0,
+      headToHeadResults: {},
+      ...overall[name]
+    }
+  }]));
+
+  const record = (team, opponent, goalsFor, goalsAgainst) => {
+    const results = teams.get(team).enhancedStats.headToHeadResults;
+    const result = results[opponent] || { points: 0, goalsFor: 0, goalsAgainst: 0 };
+    results[opponent] = {
+      points: result.points + pointsFor(goalsFor, goalsAgainst),
+      goalsFor: result.goalsFor + goalsFor,
+      goalsAgainst: result.goalsAgainst + goalsAgainst
+    };
+  };
+  results.forEach(([home, away, homeGoals, awayGoals]) => {
+    record(home, away, homeGoals, awayGoals);
+    record(away, home, awayGoals, homeGoals);
+  });
+
+  return [...teams.values()];
+};
+
+const namesOf = (order) => order.map(entry => entry.team.name);
+const separationsOf = (order) => order.map(entry => entry.separatedBy && {
+  criterion: entry.separatedBy.criterion,
+  tiedTeams: entry.separatedBy.tiedTeams
+});
+
+describe('resolveStandingsOrder', () => {
+  it('decides a three-way tie on head-to-head points', () => {
+    // Level on points; Charlie has the best overall goal difference but lost both games among them
+    const teams = buildTeams([
+      ['Alpha', 'Bravo', 2, 1],
+      ['Alpha', 'Charlie', 1, 0],
+      ['Bravo', 'Charlie', 3, 2]
+    ], {
+      Charlie: { goalDifference: 9, goalsFor: 19 }
+    });
+
+    const order = resolveStandingsOrder(teams, HEAD_TO_HEAD_FIRST);
+
+    expect(namesOf(order)).toEqual(['Alpha', 'Bravo', 'Charlie']);
+    expect(separationsOf(order)).toEqual([
+      null,
+      { criterion: 'head_to_head_points', tiedTeams: 3 },
+      { criterion: 'head_to_head_points', tiedTeams: 3 }
+    ]);
+  });
+
+  it('splits a four-way tie into two pairs and settles each pair on its own head-to-head', () => {
+    // Mini-league points: Alpha 6, Bravo 6, Charlie 3, Delta 3. Over all four teams Bravo and Delta have
+    // the better head-to-head goal difference, but within each pair Alpha and Charlie won the game
+    const teams = buildTeams([
+      ['Alpha', 'Bravo', 1, 0],
+      ['Alpha', 'Charlie', 1, 0],
+      ['Delta', 'Alpha', 5, 0],
+      ['Bravo', 'Charlie', 5, 0],
+      ['Bravo', 'Delta', 5, 0],
+      ['Charlie', 'Delta', 1, 0]
+    ]);
+
+    const order = resolveStandingsOrder(teams, HEAD_TO_HEAD_FIRST);
+
+    expect(namesOf(order)).toEqual(['Alpha', 'Bravo', 'Charlie', 'Delta']);
+    expect(separationsOf(order)).toEqual([
+      null,
+      { criterion: 'head_to_head_points', tiedTeams: 2 },
+      { criterion: 'head_to_head_points', tiedTeams: 4 },
+      { criterion: 'head_to_head_points', tiedTeams: 2 }
+    ]);
+  });
+
+  it('falls through to the overall criteria when head-to-head cannot separate the teams', () => {
+    // A draw between them leaves head-to-head level; Bravo has the better overall goal difference
+    const teams = buildTeams([
+      ['Alpha', 'Bravo', 2, 2]
+    ], {
+      Bravo: { goalDifference: 4, goalsFor: 14 }
+    });
+
+    const order = resolveStandingsOrder(teams, HEAD_TO_HEAD_FIRST);
+
+    expect(namesOf(order)).toEqual(['Bravo', 'Alpha']);
+    expect(separationsOf(order)).toEqual([
+      null,
+      { criterion: 'goal_difference', tiedTeams: 2 }
+    ]);
+  });
+
+  it('settles teams level on every criterion by name', () => {
+    const teams = buildTeams([
+      ['Charlie', 'Alpha', 1, 1]
+    ]);
+
+    const order = resolveStandingsOrder(teams, HEAD_TO_HEAD_FIRST);
+
+    expect(namesOf(order)).toEqual(['Alpha', 'Charlie']);
+    expect(order[1].separatedBy.criterion).toBe('alphabetical');
+  });
+});
@@ -0,0 +1,85 @@
+// ===========================================
+// FILE: utils/accumulatedFouls.js
+// Futsal accumulated fouls: a team's fouls are counted per half, and once it has committed the season's
+// accumulatedFoulLimit (5) in a half, every further foul (the sixth on) gives a kick from the second
+// penalty mark (10 m). The count starts again each half; the second half's count carries into extra time
+// ===========================================
+import { DEFAULT_SEASON_RULES, periodForMinute } from './seasonRules';
+
+/**
+ * Regulation period whose count an event's fouls add to (extra time counts with the last one)
+ * @param {number} periodIndex - Period index (utils/matchClock matchPeriods)
+ * @param {Object} rules - Resolved season rules
+ */
+export function foulCountPeriod(periodIndex, rules = DEFAULT_SEASON_RULES) {
+  return Math.min(Math.max(0, periodIndex), rules.periods.count - 1);
+}
+
+/**
+ * Period index of an event: stored when recorded on the live clock, otherwise read from its minute
+ * @param {Object} event - Match event
+ * @param {Object} rules - Resolved season rules
+ */
+export function eventPeriod(event, rules = DEFAULT_SEASON_RULES) {
+  if (event.period != null) return event.period;
+  const { period } = periodForMinute(event.minute || 0, rules);
+  // periodForMinute numbers regulation periods from 1 and has no number for extra time
+  return period == null ? rules.periods.count : period - 1;
+}
+
+/**
+ * Each team's accumulated fouls in the half a period belongs to
+ * @param {Array} events - Match events
+ * @param {number} periodIndex - Period being played (or just played)
+ * @param {Object} rules - Resolved season rules
+ * @returns {Object} - { home, away }
+ */
+export function accumulatedFouls(events = [], periodIndex = 0, rules = DEFAULT_SEASON_RULES) {
+  const countPeriod = foulCountPeriod(periodIndex, rules);
+  const counts = { home: 0, away: 0 };
+
+  events.forEach(event => {
+    if (event.type !== 'foul' || !(event.team in counts)) return;
+    if (foulCountPeriod(eventPeriod(event, rules), rules) === countPeriod) {
+      counts[event.team]++;
+    }
+  });
+
+  return counts;
+}
+
+/**
+ * Whether a team's nth accumulated foul of a half gives a second-penalty-mark kick
+ * @param {number} count - Accumulated fouls including this one
+ * @param {Object} rules - Resolved season rules
+ */
+export const isSecondPenaltyFoul = (count, rules = DEFAULT_SEASON_RULES) => count > rules.accumulatedFoulLimit;
+
+/**
+ * Accumulated-foul fields of a foul about to be added to a match
+ * @param {Array} events - Events already recorded
+ * @param {Object} foul - New foul event (team, and period or minute)
+ * @param {Object} rules - Resolved season rules
+ * @returns {Object} - { accumulatedFoul (this team's count in the half, including it), secondPenaltyKick }
+ */
+export function accumulateFoul(events, foul, rules = DEFAULT_SEASON_RULES) {
+  const accumulatedFoul = accumulatedFouls(events, eventPeriod(foul, rules), rules)[foul.team] + 1;
+  return { accumulatedFoul, secondPenaltyKick: isSecondPenaltyFoul(accumulatedFoul, rules) };
+}
+
+/**
+ * Fouls of each team over the whole match, and how many gave a second-penalty-mark kick
+ * @param {Array} events - Match events
+ * @returns {Object} - { home, away, secondPenaltyKicks: { home, away } }
+ */
+export function foulTotals(events = []) {
+  const totals = { home: 0, away: 0, secondPenaltyKicks: { home: 0, away: 0 } };
+
+  events.forEach(event => {
+    if (event.type !== 'foul' || !(event.team in totals.secondPenaltyKicks)) return;
+    totals[event.team]++;
+    if (event.secondPenaltyKick) totals.secondPenaltyKicks[event.team]++;
+  });
+
+  return totals;
+}
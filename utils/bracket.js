@@ -0,0 +1,318 @@
+// ===========================================
+// FILE: utils/bracket.js
+// Knockout bracket construction, byes, advancement and winner resolution
+// ===========================================
+
+/**
+ * Smallest power of two that fits every team
+ * @param {number} teamCount - Number of entrants
+ * @returns {number} - Bracket size
+ */
+export function bracketSize(teamCount) {
+  let size = 2;
+  while (size < teamCount) size *= 2;
+  return size;
+}
+
+/**
+ * Standard seeding order so the top seeds can only meet in the later rounds
+ * e.g. 8 -> [1, 8, 4, 5, 2, 7, 3, 6] (1v8, 4v5, 2v7, 3v6)
+ * @param {number} size - Bracket size (power of two)
+ * @returns {Array<number>} - Seeds in first-round slot order
+ */
+export function seedingOrder(size) {
+  let order = [1, 2];
+  while (order.length < size) {
+    const next = order.length * 2 + 1;
+    order = order.flatMap(seed => [seed, next - seed]);
+  }
+  return order;
+}
+
+/**
+ * Display name of a knockout round
+ * @param {number} round - Round number (1 = first round)
+ * @param {number} totalRounds - Number of rounds in the bracket
+ * @returns {string} - Round name
+ */
+export function roundName(round, totalRounds) {
+  const remaining = totalRounds - round;
+  if (remaining === 0) return 'Final';
+  if (remaining === 1) return 'Semi-finals';
+  if (remaining === 2) return 'Quarter-finals';
+  return `Round of ${Math.pow(2, remaining + 1)}`;
+}
+
+/**
+ * Names of every round of a bracket for this many teams, first round first
+ * @param {number} teamCount - Number of entrants
+ * @returns {Array} - Round names
+ */
+export function knockoutRoundNames(teamCount) {
+  if (teamCount < 2) return [];
+  const totalRounds = Math.log2(bracketSize(teamCount));
+  return Array.from({ length: totalRounds }, (_, index) => roundName(index + 1, totalRounds));
+}
+
+/**
+ * Randomly order the entrants for a drawn bracket
+ * @param {Array} items - Entrants
+ * @param {Function} random - Random source returning [0, 1)
+ * @returns {Array} - Shuffled copy
+ */
+export function drawOrder(items, random = Math.random) {
+  const drawn = [...items];
+  for (let i = drawn.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [drawn[i], drawn[j]] = [drawn[j], drawn[i]];
+  }
+  return drawn;
+}
+
+/**
+ * Where the winner of a tie goes next
+ * @param {Object} tie - { round, position }
+ * @returns {Object} - { round, position, side: 'home' | 'away' }
+ */
+export function nextTieSlot(tie) {
+  return {
+    round: tie.round + 1,
+    position: Math.floor(tie.position / 2),
+    side: tie.position % 2 === 0 ? 'home' : 'away'
+  };
+}
+
+/**
+ * Find a tie by round and position
+ */
+export function findTie(ties, round, position) {
+  return ties.find(t => t.round === round && t.position === position) || null;
+}
+
+/**
+ * Put the winner of a tie into its slot in the next round
+ * @param {Array} ties - All ties of the bracket (mutated)
+ * @param {Object} tie - Decided tie
+ * @param {*} winner - Winning team id
+ * @returns {Object|null} - Next tie, or null when the tie was the final
+ */
+export function advanceWinner(ties, tie, winner) {
+  tie.winner = winner;
+  const slot = nextTieSlot(tie);
+  const next = findTie(ties, slot.round, slot.position);
+  if (!next) return null;
+
+  if (slot.side === 'home') {
+    next.homeTeam = winner;
+    next.homeSeed = tie.homeTeam?.toString() === winner?.toString() ? tie.homeSeed : tie.awaySeed;
+  } else {
+    next.awayTeam = winner;
+    next.awaySeed = tie.homeTeam?.toString() === winner?.toString() ? tie.homeSeed : tie.awaySeed;
+  }
+  return next;
+}
+
+/**
+ * Build a single-elimination bracket of any size
+ * Teams that do not fill a power of two give byes to the top seeds
+ * @param {Array} teamIds - Entrants in seed order (seed 1 first)
+ * @param {Object} options - { seeding: 'seeded' | 'drawn', random }
+ * @returns {Object} - { size, rounds: [{ number, name }], ties: [...] }
+ */
+export function buildKnockoutBracket(teamIds, { seeding = 'seeded', random = Math.random } = {}) {
+  if (!Array.isArray(teamIds) || teamIds.length < 2) {
+    throw new Error('At least two teams are required for a knockout bracket');
+  }
+
+  const entrants = seeding === 'drawn' ? drawOrder(teamIds, random) : [...teamIds];
+  const size = bracketSize(entrants.length);
+  const totalRounds = Math.log2(size);
+  const order = seedingOrder(size);
+
+  const rounds = [];
+  const ties = [];
+  for (let round = 1; round <= totalRounds; round++) {
+    rounds.push({ number: round, name: roundName(round, totalRounds) });
+    const tiesInRound = size / Math.pow(2, round);
+    for (let position = 0; position < tiesInRound; position++) {
+      ties.push({
+        round, position,
+        homeTeam: null, awayTeam: null,
+        homeSeed: null, awaySeed: null,
+        winner: null, isBye: false
+      });
+    }
+  }
+
+  ties.filter(t => t.round === 1).forEach(tie => {
+    const homeSeed = order[tie.position * 2];
+    const awaySeed = order[tie.position * 2 + 1];
+    tie.homeTeam = entrants[homeSeed - 1] ?? null;
+    tie.awayTeam = entrants[awaySeed - 1] ?? null;
+    tie.homeSeed = tie.homeTeam ? homeSeed : null;
+    tie.awaySeed = tie.awayTeam ? awaySeed : null;
+  });
+
+  // Byes: the lone team goes straight through
+  ties.filter(t => t.round === 1).forEach(tie => {
+    if (tie.homeTeam && tie.awayTeam) return;
+    tie.isBye = true;
+    advanceWinner(ties, tie, tie.homeTeam || tie.awayTeam);
+  });
+
+  return { size, rounds, ties };
+}
+
+/**
+ * Score of a penalty shootout from its kick-by-kick record
+ * @param {Array} kicks - [{ team: 'home' | 'away', scored }]
+ * @returns {Object} - { home, away }
+ */
+export function shootoutScore(kicks = []) {
+  return kicks.reduce((score, kick) => {
+    if (kick.scored) score[kick.team]++;
+    return score;
+  }, { home: 0, away: 0 });
+}
+
+/**
+ * Clean up submitted extra-time and penalty data
+ * Kick-by-kick records take precedence over the submitted shootout totals
+ * @param {Object} input - { extraTime, penalties } from a request body
+ * @returns {Object} - { extraTime, penalties } ready to store on a Match
+ */
+export function normalizeKnockoutResult({ extraTime = {}, penalties = {} } = {}) {
+  const kicks = Array.isArray(penalties?.kicks)
+    ? penalties.kicks
+      .filter(kick => kick && ['home', 'away'].includes(kick.team))
+      .map((kick, index) => ({
+        order: index + 1,
+        team: kick.team,
+        player: kick.player || null,
+        playerName: kick.playerName || '',
+        scored: Boolean(kick.scored)
+      }))
+    : [];
+
+  const taken = Boolean(penalties?.taken) || kicks.length > 0;
+  const totals = kicks.length > 0
+    ? shootoutScore(kicks)
+    : { home: parseInt(penalties?.homeScore) || 0, away: parseInt(penalties?.awayScore) || 0 };
+
+  return {
+    extraTime: {
+      played: Boolean(extraTime?.played),
+      homeScore: extraTime?.played ? parseInt(extraTime.homeScore) || 0 : 0,
+      awayScore: extraTime?.played ? parseInt(extraTime.awayScore) || 0 : 0
+    },
+    penalties: {
+      taken,
+      homeScore: taken ? totals.home : 0,
+      awayScore: taken ? totals.away : 0,
+      kicks: taken ? kicks : []
+    }
+  };
+}
+
+// Side that goes through when a team forfeits (or gives a walkover), null when the match was not forfeited
+const forfeitWinner = (match) => {
+  if (match?.status !== 'forfeit' || !['home', 'away'].includes(match.forfeit?.team)) return null;
+  return match.forfeit.team === 'home' ? 'away' : 'home';
+};
+
+/**
+ * Decide who won a knockout match
+ * homeScore/awayScore are the final score including extra time; a forfeit goes to the other team
+ * @param {Object} match - Match with status, forfeit, scores, extraTime and penalties
+ * @returns {Object} - { winner: 'home' | 'away' | null, decidedBy }
+ */
+export function determineKnockoutWinner(match) {
+  const forfeited = forfeitWinner(match);
+  if (forfeited) return { winner: forfeited, decidedBy: 'forfeit' };
+
+  const homeScore = match.homeScore || 0;
+  const awayScore = match.awayScore || 0;
+  const decidedInPlay = match.extraTime?.played ? 'extra_time' : 'regulation';
+
+  if (homeScore > awayScore) return { winner: 'home', decidedBy: decidedInPlay };
+  if (awayScore > homeScore) return { winner: 'away', decidedBy: decidedInPlay };
+
+  const penalties = match.penalties;
+  if (penalties?.taken && penalties.homeScore !== penalties.awayScore) {
+    return {
+      winner: penalties.homeScore > penalties.awayScore ? 'home' : 'away',
+      decidedBy: 'penalties'
+    };
+  }
+
+  return { winner: null, decidedBy: null };
+}
+
+// Legs that have not kicked off yet count as 0-0 in the aggregate
+const PLAYED_STATUSES = ['live', 'completed'];
+
+/**
+ * Aggregate score of a two-legged tie, seen from the first-leg home team
+ * @param {Object} firstLeg - First leg (tie home team at home)
+ * @param {Object} secondLeg - Second leg (tie away team at home), scores include extra time
+ * @returns {Object} - { home, away, homeAwayGoals, awayAwayGoals }
+ */
+export function aggregateScore(firstLeg, secondLeg) {
+  const goals = (leg, side) => (
+    leg && PLAYED_STATUSES.includes(leg.status) ? leg[`${side}Score`] || 0 : 0
+  );
+
+  return {
+    home: goals(firstLeg, 'home') + goals(secondLeg, 'away'),
+    away: goals(firstLeg, 'away') + goals(secondLeg, 'home'),
+    homeAwayGoals: goals(secondLeg, 'away'),
+    awayAwayGoals: goals(firstLeg, 'away')
+  };
+}
+
+/**
+ * Decide a two-legged tie: aggregate, then away goals (when enabled), then the second-leg shootout
+ * Extra time is only played in the second leg and is already part of its score. A team that forfeits
+ * either leg is out of the tie
+ * @param {Object} firstLeg - First leg match
+ * @param {Object} secondLeg - Second leg match
+ * @param {Object} rules - Competition twoLegged settings ({ awayGoals })
+ * @returns {Object} - { winner: 'home' | 'away' | null (first-leg sides), decidedBy, aggregate }
+ */
+export function determineTieWinner(firstLeg, secondLeg, rules = {}) {
+  const aggregate = aggregateScore(firstLeg, secondLeg);
+  const decided = (winner, decidedBy) => ({ winner, decidedBy, aggregate });
+
+  if (forfeitWinner(firstLeg)) return decided(forfeitWinner(firstLeg), 'forfeit');
+  // The second-leg home side is the tie's away team
+  if (forfeitWinner(secondLeg)) return decided(forfeitWinner(secondLeg) === 'home' ? 'away' : 'home', 'forfeit');
+
+  if (aggregate.home !== aggregate.away) {
+    return decided(
+      aggregate.home > aggregate.away ? 'home' : 'away',
+      secondLeg?.extraTime?.played ? 'extra_time' : 'aggregate'
+    );
+  }
+
+  if (rules?.awayGoals && aggregate.homeAwayGoals !== aggregate.awayAwayGoals) {
+    return decided(aggregate.homeAwayGoals > aggregate.awayAwayGoals ? 'home' : 'away', 'away_goals');
+  }
+
+  // The second-leg home side is the tie's away team
+  const penalties = secondLeg?.penalties;
+  if (penalties?.taken && penalties.homeScore !== penalties.awayScore) {
+    return decided(penalties.homeScore > penalties.awayScore ? 'away' : 'home', 'penalties');
+  }
+
+  return decided(null, null);
+}
+
+/**
+ * Short result line, e.g. "2-2 (a.e.t.), 4-3 pens"
+ */
+export function formatKnockoutScore(match) {
+  let line = `${match.homeScore || 0}-${match.awayScore || 0}`;
+  if (match.extraTime?.played) line += ' (a.e.t.)';
+  if (match.penalties?.taken) line += `, ${match.penalties.homeScore}-${match.penalties.awayScore} pens`;
+  return line;
+}
@@ -0,0 +1,296 @@
+// ===========================================
+// FILE: utils/fixtureGenerator.js
+// Round-robin fixture generation and calendar assignment
+// Calendar days and kick-off times are in the league's timezone (LEAGUE_TIMEZONE), whatever the server's
+// own: a calendar day is held as a Date at UTC midnight of that day, and only atTimeSlot turns it into a
+// moment
+// ===========================================
+
+// Blackout dates, venue days, match days and kick-off slots are in this timezone
+export const LEAGUE_TIMEZONE = process.env.LEAGUE_TIMEZONE || 'UTC';
+
+/**
+ * Build a balanced round-robin using the circle method
+ * Odd team counts get a bye slot, home/away is alternated per team
+ * @param {Array} teamIds - Team IDs (ObjectIds or strings)
+ * @param {Object} options - { doubleRound: boolean }
+ * @returns {Array} - [{ matchday, fixtures: [{ homeTeam, awayTeam }], bye }]
+ */
+export function generateRoundRobin(teamIds, { doubleRound = false } = {}) {
+  if (!Array.isArray(teamIds) || teamIds.length < 2) {
+    throw new Error('At least two teams are required to generate fixtures');
+  }
+
+  const slots = [...teamIds];
+  if (slots.length % 2 === 1) {
+    slots.unshift(null); // Bye takes the fixed slot so every team rotates through it
+  }
+
+  const totalSlots = slots.length;
+  const roundsPerLeg = totalSlots - 1;
+  const firstLeg = [];
+
+  for (let round = 0; round < roundsPerLeg; round++) {
+    const fixtures = [];
+    let bye = null;
+
+    for (let i = 0; i < totalSlots / 2; i++) {
+      const top = slots[i];
+      const bottom = slots[totalSlots - 1 - i];
+
+      if (top === null || bottom === null) {
+        bye = top === null ? bottom : top;
+        continue;
+      }
+
+      // Fixed team alternates every round; other pairs alternate by position,
+      // which keeps every team to at most two home or away games in a row
+      const topIsHome = i === 0 ? round % 2 === 0 : i % 2 === 1;
+
+      fixtures.push({
+        homeTeam: topIsHome ? top : bottom,
+        awayTeam: topIsHome ? bottom : top
+      });
+    }
+
+    firstLeg.push({ matchday: round + 1, fixtures, bye });
+
+    // Rotate every slot except the first one
+    slots.splice(1, 0, slots.pop());
+  }
+
+  if (!doubleRound) {
+    return firstLeg;
+  }
+
+  // Second leg mirrors the first with home and away reversed. It starts from the first leg's second
+  // round and ends with its first: opening with the mirror of round one would give the teams that
+  // finish the first leg with two home (or away) games a third one at the turn
+  const secondLegOrder = [...firstLeg.slice(1), firstLeg[0]];
+  const secondLeg = secondLegOrder.map((round, index) => ({
+    matchday: roundsPerLeg + index + 1,
+    fixtures: round.fixtures.map(({ homeTeam, awayTeam }) => ({
+      homeTeam: awayTeam,
+      awayTeam: homeTeam
+    })),
+    bye: round.bye
+  }));
+
+  return [...firstLeg, ...secondLeg];
+}
+
+/**
+ * Calendar day of a moment in the league's timezone
+ * @param {Date|string} date - Moment
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} - YYYY-MM-DD
+ */
+export function leagueDay(date, timeZone = LEAGUE_TIMEZONE) {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .format(new Date(date));
+}
+
+/**
+ * How far a timezone's wall clock is ahead of UTC at a moment
+ * @param {Date} date - Moment (whole seconds)
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} - Offset in ms
+ */
+function timeZoneOffset(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date).map(({ type, value }) => [type, Number(value)]));
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - date.getTime();
+}
+
+/**
+ * Parse a YYYY-MM-DD string as a calendar day
+ * @param {string} value - Date string
+ * @returns {Date|null} - UTC midnight of the day or null if invalid
+ */
+export function parseCalendarDay(value) {
+  if (!value) return null;
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+  if (!match) return null;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Turn a calendar day back into its YYYY-MM-DD key
+ * @param {Date} date - Calendar day (UTC midnight)
+ * @returns {string} - Calendar day key
+ */
+export function toCalendarDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Move a calendar day by whole days
+ * @param {Date} day - Calendar day (UTC midnight)
+ * @param {number} days - Days to add
+ * @returns {Date} - The resulting calendar day
+ */
+export function addDays(day, days) {
+  return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate() + days));
+}
+
+/**
+ * Validate and normalize the calendar used to date fixtures
+ * @param {Object} calendar - Raw calendar settings from the admin form
+ * @returns {Object} - Normalized calendar
+ */
+export function normalizeFixtureCalendar(calendar = {}) {
+  const startDate = parseCalendarDay(calendar.startDate);
+  if (!startDate) {
+    throw new Error('Start date is required (YYYY-MM-DD)');
+  }
+
+  const matchDays = (Array.isArray(calendar.matchDays) ? calendar.matchDays : [])
+    .map((day) => parseInt(day))
+    .filter((day) => day >= 0 && day <= 6);
+  if (matchDays.length === 0) {
+    matchDays.push(startDate.getUTCDay());
+  }
+
+  const timeSlots = (Array.isArray(calendar.timeSlots) ? calendar.timeSlots : [])
+    .map((slot) => String(slot).trim())
+    .filter(Boolean);
+  if (timeSlots.length === 0) {
+    throw new Error('At least one kick-off time slot is required');
+  }
+  timeSlots.forEach((slot) => {
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(slot)) {
+      throw new Error(`Invalid kick-off time "${slot}". Use HH:MM (24-hour format)`);
+    }
+  });
+  timeSlots.sort();
+
+  const venues = (Array.isArray(calendar.venues) ? calendar.venues : [])
+    .map((venue) => String(venue).trim())
+    .filter(Boolean);
+  if (venues.length === 0) {
+    venues.push('');
+  }
+
+  const excludedDates = new Set();
+  (Array.isArray(calendar.excludedDates) ? calendar.excludedDates : []).forEach((value) => {
+    const day = parseCalendarDay(value);
+    if (!day) {
+      throw new Error(`Invalid excluded date "${value}". Use YYYY-MM-DD`);
+    }
+    excludedDates.add(toCalendarDay(day));
+  });
+
+  const daysBetweenMatchdays = Math.max(1, parseInt(calendar.daysBetweenMatchdays) || 7);
+
+  return { startDate, matchDays, timeSlots, venues, excludedDates, daysBetweenMatchdays };
+}
+
+/**
+ * Find the first playable day on or after the given day
+ * @param {Date} fromDay - Calendar day to start searching from
+ * @param {Object} calendar - Normalized calendar
+ * @returns {Date} - Next playable day
+ */
+export function nextPlayableDay(fromDay, calendar) {
+  let day = new Date(fromDay);
+  // Two years is far beyond any season; guards against an unsatisfiable calendar
+  for (let i = 0; i < 730; i++) {
+    if (
+      calendar.matchDays.includes(day.getUTCDay()) &&
+      !calendar.excludedDates.has(toCalendarDay(day))
+    ) {
+      return day;
+    }
+    day = addDays(day, 1);
+  }
+  throw new Error('No playable dates found in the next two years for this calendar');
+}
+
+/**
+ * Combine a calendar day with an HH:MM slot on the league's clock
+ * @param {Date} day - Calendar day (UTC midnight)
+ * @param {string} slot - HH:MM
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} - Kick-off date
+ */
+export function atTimeSlot(day, slot, timeZone = LEAGUE_TIMEZONE) {
+  const [hours, minutes] = slot.split(':').map(Number);
+  const wallClock = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hours, minutes);
+  const guess = wallClock - timeZoneOffset(new Date(wallClock), timeZone);
+  // Take the offset again at the kick-off itself, in case a DST change falls in between
+  return new Date(wallClock - timeZoneOffset(new Date(guess), timeZone));
+}
+
+/**
+ * Assign dates, kick-off slots and venues to generated rounds
+ * Each matchday starts on a playable day and spills over to the next ones
+ * when its slots are full or rejected by the reserveSlot callback
+ * @param {Array} rounds - Output of generateRoundRobin
+ * @param {Object} calendarInput - Raw calendar settings
+ * @param {Object} options - { reserveSlot(candidate) => boolean } to apply scheduling constraints
+ * @returns {Array} - [{ homeTeam, awayTeam, matchday, matchDate, venue }]
+ */
+export function assignFixtureCalendar(rounds, calendarInput, { reserveSlot = () => true } = {}) {
+  const calendar = normalizeFixtureCalendar(calendarInput);
+  const slotsPerDay = [];
+  calendar.timeSlots.forEach((slot) => {
+    calendar.venues.forEach((venue) => slotsPerDay.push({ slot, venue }));
+  });
+
+  // A matchday may spill over this many playable days before we give up on a fixture
+  const maxDaysPerMatchday = 30;
+  const scheduled = [];
+  let earliestDay = calendar.startDate;
+
+  rounds.forEach((round) => {
+    const matchdayStart = nextPlayableDay(earliestDay, calendar);
+    const days = [{ day: matchdayStart, used: new Set() }];
+    let lastDayUsed = matchdayStart;
+
+    round.fixtures.forEach((fixture) => {
+      for (let dayIndex = 0; dayIndex < maxDaysPerMatchday; dayIndex++) {
+        if (dayIndex >= days.length) {
+          days.push({ day: nextPlayableDay(addDays(days[days.length - 1].day, 1), calendar), used: new Set() });
+        }
+
+        const { day, used } = days[dayIndex];
+        const slotIndex = slotsPerDay.findIndex(({ slot, venue }, index) => (
+          !used.has(index) && reserveSlot({ ...fixture, matchDate: atTimeSlot(day, slot), venue })
+        ));
+
+        if (slotIndex !== -1) {
+          used.add(slotIndex);
+          const { slot, venue } = slotsPerDay[slotIndex];
+          scheduled.push({
+            homeTeam: fixture.homeTeam,
+            awayTeam: fixture.awayTeam,
+            matchday: round.matchday,
+            matchDate: atTimeSlot(day, slot),
+            venue
+          });
+          if (day > lastDayUsed) lastDayUsed = day;
+          return;
+        }
+      }
+
+      throw new Error(`No free slot found for matchday ${round.matchday} within ${maxDaysPerMatchday} playable days`);
+    });
+
+    const nextByGap = addDays(matchdayStart, calendar.daysBetweenMatchdays);
+    const dayAfterLast = addDays(lastDayUsed, 1);
+    earliestDay = nextByGap > dayAfterLast ? nextByGap : dayAfterLast;
+  });
+
+  return scheduled;
+}
@@ -0,0 +1,90 @@
+// ===========================================
+// FILE: utils/groupStage.js
+// Group stage helpers: group names, qualification and knockout seeding
+// ===========================================
+import { createStandingsComparator } from './tieBreakers';
+
+const idOf = (value) => (value && value._id ? value._id : value)?.toString();
+
+/**
+ * Group names for a number of groups: A, B, C, ...
+ * @param {number} count - Number of groups
+ * @returns {Array<string>} - Group names
+ */
+export function groupNames(count) {
+  return Array.from({ length: count }, (_, i) => String.fromCharCode(65 + i));
+}
+
+/**
+ * Pick the teams that go through to the knockout stage
+ * Automatic places are seeded by finishing position, then across groups by the table tie-breakers;
+ * the best teams from the next position fill the remaining places (e.g. best third-placed teams)
+ * @param {Array} groupTables - [{ name, standings: [team with enhancedStats, in table order] }]
+ * @param {Object} rule - { topPerGroup, bestNextPlaced }
+ * @param {Array} tieBreakers - Season tie-breaker order (defaults to the league's)
+ * @returns {Array} - [{ team, group, place }] in seed order
+ */
+export function selectQualifiers(groupTables, { topPerGroup = 2, bestNextPlaced = 0 } = {}, tieBreakers) {
+  const compareStandings = createStandingsComparator(tieBreakers);
+  const placedTeams = (place) => groupTables
+    .filter(group => group.standings.length >= place)
+    .map(group => ({ ...group.standings[place - 1], group: group.name, place }))
+    .sort(compareStandings);
+
+  const qualifiers = [];
+  for (let place = 1; place <= topPerGroup; place++) {
+    qualifiers.push(...placedTeams(place));
+  }
+
+  if (bestNextPlaced > 0) {
+    const candidates = placedTeams(topPerGroup + 1);
+    if (candidates.length < bestNextPlaced) {
+      throw new Error(`Only ${candidates.length} groups have a team in position ${topPerGroup + 1}`);
+    }
+    qualifiers.push(...candidates.slice(0, bestNextPlaced));
+  }
+
+  if (qualifiers.length < 2) {
+    throw new Error('The qualification rule must send at least two teams to the knockout stage');
+  }
+
+  return qualifiers.map(team => ({ team: team._id, group: team.group, place: team.place }));
+}
+
+/**
+ * Number of teams a qualification rule sends through
+ * @param {Array} groupSizes - Teams per group
+ * @param {Object} rule - { topPerGroup, bestNextPlaced }
+ * @returns {number} - Qualifier count
+ */
+export function countQualifiers(groupSizes, { topPerGroup = 2, bestNextPlaced = 0 } = {}) {
+  return groupSizes.reduce((sum, size) => sum + Math.min(size, topPerGroup), 0) + bestNextPlaced;
+}
+
+/**
+ * Swap opponents in the opening knockout round so teams from the same group do not meet again
+ * Only swaps away teams between two first-round ties when both pairings end up valid
+ * @param {Array} ties - Bracket ties (mutated)
+ * @param {Object} groupOf - { [teamId]: groupName }
+ * @returns {Array} - The same ties
+ */
+export function separateGroupRematches(ties, groupOf) {
+  const playable = ties.filter(t => t.round === 1 && !t.isBye && t.homeTeam && t.awayTeam);
+  const sameGroup = (a, b) => groupOf[idOf(a)] === groupOf[idOf(b)];
+
+  playable.forEach(tie => {
+    if (!sameGroup(tie.homeTeam, tie.awayTeam)) return;
+
+    const swap = playable.find(other =>
+      other !== tie &&
+      !sameGroup(tie.homeTeam, other.awayTeam) &&
+      !sameGroup(other.homeTeam, tie.awayTeam)
+    );
+    if (!swap) return;
+
+    [tie.awayTeam, swap.awayTeam] = [swap.awayTeam, tie.awayTeam];
+    [tie.awaySeed, swap.awaySeed] = [swap.awaySeed, tie.awaySeed];
+  });
+
+  return ties;
+}
@@ -0,0 +1,350 @@
+// ===========================================
+// FILE: utils/matchClock.js
+// Server-authoritative live match clock. The clock is stored in Match.liveData as the current phase and
+// period, the running time banked in that period and when it last started running; every device derives
+// the same time from those, so nothing is counted on the client
+// ===========================================
+import { DEFAULT_SEASON_RULES, regulationMinutes } from './seasonRules';
+
+// Where a match is: before kick-off, a period being played, between periods, the shootout, or over
+export const CLOCK_PHASES = ['not_started', 'in_play', 'break', 'penalties', 'finished'];
+
+export const CLOCK_ACTIONS = ['start', 'pause', 'resume', 'end_period', 'next_period', 'penalties', 'stop', 'abandon', 'timeout', 'adjust'];
+
+const ORDINALS = ['1st', '2nd', '3rd', '4th'];
+const ordinal = (n) => ORDINALS[n - 1] || `${n}th`;
+
+const regularLabel = (number, count) => (count === 2 ? `${ordinal(number)} half` : `Period ${number} of ${count}`);
+const extraLabel = (number, count) => (count === 1 ? 'Extra time' : `Extra time ${count === 2 ? ordinal(number) + ' half' : `period ${number}`}`);
+
+/**
+ * Periods of a match in order: the regulation periods, then the extra-time periods (if the season has extra time)
+ * @param {Object} rules - Resolved season rules
+ * @returns {Array} - [{ index, type ('regular' | 'extra'), number, label, minutes, startMinute }]
+ */
+export function matchPeriods(rules = DEFAULT_SEASON_RULES) {
+  const { count, minutes } = rules.periods;
+  const periods = [];
+
+  for (let number = 1; number <= count; number++) {
+    periods.push({
+      index: periods.length,
+      type: 'regular',
+      number,
+      label: regularLabel(number, count),
+      minutes,
+      startMinute: (number - 1) * minutes
+    });
+  }
+
+  if (rules.extraTimeMinutes > 0) {
+    const extraCount = rules.extraTimePeriods;
+    const extraMinutes = rules.extraTimeMinutes / extraCount;
+    for (let number = 1; number <= extraCount; number++) {
+      periods.push({
+        index: periods.length,
+        type: 'extra',
+        number,
+        label: extraLabel(number, extraCount),
+        minutes: extraMinutes,
+        startMinute: regulationMinutes(rules) + (number - 1) * extraMinutes
+      });
+    }
+  }
+
+  return periods;
+}
+
+/**
+ * Timeouts each team may take in a period: the season's number in each regular period, none in extra time
+ * @param {Object} period - Period from matchPeriods
+ * @param {Object} rules - Resolved season rules
+ */
+export function timeoutsAllowed(period, rules = DEFAULT_SEASON_RULES) {
+  return period.type === 'regular' ? rules.timeoutsPerPeriod : 0;
+}
+
+/**
+ * Timeouts a team has taken in a period
+ * @param {Array} events - Match events
+ * @param {number} periodIndex - Period index
+ * @param {string} team - 'home' or 'away'
+ */
+export function timeoutsTaken(events = [], periodIndex, team) {
+  return events.filter(event => event.type === 'timeout' && event.team === team && event.period === periodIndex).length;
+}
+
+/**
+ * Period a match minute falls in (a minute on a boundary belongs to the period it ends)
+ * @param {number} minute - Match minute
+ * @param {Object} rules - Resolved season rules
+ */
+function periodIndexForMinute(minute, rules) {
+  const periods = matchPeriods(rules);
+  const index = periods.findIndex(period => minute <= period.startMinute + period.minutes);
+  return index === -1 ? periods.length - 1 : index;
+}
+
+/**
+ * Clock fields of liveData, including matches that were run before the clock was stored (minute only)
+ * @param {Object} liveData - Match liveData
+ * @param {Object} rules - Resolved season rules
+ */
+function storedClock(liveData, rules) {
+  if (liveData?.phase) {
+    return {
+      phase: liveData.phase,
+      period: liveData.period || 0,
+      periodElapsedMs: liveData.periodElapsedMs || 0,
+      runningSince: liveData.runningSince ? new Date(liveData.runningSince) : null
+    };
+  }
+
+  const minute = liveData?.currentMinute || 0;
+  const period = periodIndexForMinute(minute, rules);
+  return {
+    phase: minute > 0 || liveData?.isLive ? 'in_play' : 'not_started',
+    period,
+    periodElapsedMs: Math.max(0, minute - matchPeriods(rules)[period].startMinute) * 60000,
+    runningSince: null
+  };
+}
+
+const twoDigits = (value) => String(value).padStart(2, '0');
+
+/**
+ * Clock time as mm:ss
+ * @param {number} seconds - Seconds
+ */
+export function formatClock(seconds) {
+  const whole = Math.max(0, Math.floor(seconds));
+  return `${twoDigits(Math.floor(whole / 60))}:${twoDigits(whole % 60)}`;
+}
+
+/**
+ * Label of the break after a period, e.g. "Half-time" or "End of normal time"
+ * @param {Array} periods - matchPeriods
+ * @param {number} index - Period just played
+ */
+function breakLabel(periods, index) {
+  const played = periods[index];
+  const next = periods[index + 1];
+  if (!next) return played.type === 'extra' ? 'End of extra time' : 'End of normal time';
+  if (next.type === 'extra' && played.type === 'regular') return 'End of normal time';
+  if (played.type === 'regular' && periods.filter(p => p.type === 'regular').length === 2) return 'Half-time';
+  return `Break after ${played.label.toLowerCase()}`;
+}
+
+/**
+ * The match clock at a moment
+ * @param {Object} liveData - Match liveData
+ * @param {Object} rules - Resolved season rules
+ * @param {number|Date} now - Moment to read the clock at (server time; clients pass their corrected time)
+ * @returns {Object} - { phase, label, period, running, periodSeconds, remainingSeconds, matchSeconds, minute,
+ *   expired (the period's time is up), breakRemainingSeconds (during a break),
+ *   timeout ({ team, remainingSeconds } while a team's timeout stops the clock), display (mm:ss of the period) }
+ */
+export function clockState(liveData, rules = DEFAULT_SEASON_RULES, now = Date.now()) {
+  const periods = matchPeriods(rules);
+  const clock = storedClock(liveData, rules);
+  const period = periods[Math.min(clock.period, periods.length - 1)];
+  const lengthMs = period.minutes * 60000;
+
+  const runningMs = clock.runningSince ? Math.max(0, new Date(now) - clock.runningSince) : 0;
+  const elapsedMs = Math.min(lengthMs, clock.periodElapsedMs + runningMs);
+  const periodSeconds = Math.floor(elapsedMs / 1000);
+  const matchSeconds = period.startMinute * 60 + periodSeconds;
+
+  let label = period.label;
+  let breakRemainingSeconds = null;
+  if (clock.phase === 'not_started') label = 'Not started';
+  if (clock.phase === 'penalties') label = 'Penalties';
+  if (clock.phase === 'finished') label = 'Full time';
+  if (clock.phase === 'break') {
+    label = breakLabel(periods, period.index);
+    const breakStarted = liveData?.pausedAt ? new Date(liveData.pausedAt) : null;
+    if (breakStarted && periods[period.index + 1]) {
+      breakRemainingSeconds = Math.max(0, rules.breakMinutes * 60 - Math.floor((new Date(now) - breakStarted) / 1000));
+    }
+  }
+
+  // A timeout lasts until the clock is restarted; the countdown is only a guide for the scorekeeper
+  let timeout = null;
+  if (clock.phase === 'in_play' && !clock.runningSince && liveData?.timeout?.team) {
+    label = 'Timeout';
+    timeout = {
+      team: liveData.timeout.team,
+      remainingSeconds: Math.max(0, Math.ceil((new Date(liveData.timeout.endsAt) - new Date(now)) / 1000))
+    };
+  }
+
+  return {
+    phase: clock.phase,
+    label,
+    period,
+    running: clock.phase === 'in_play' && Boolean(clock.runningSince) && elapsedMs < lengthMs,
+    periodSeconds,
+    remainingSeconds: period.minutes * 60 - periodSeconds,
+    matchSeconds,
+    // Minute as events count it: 0:01-1:00 is the 1st minute
+    minute: Math.ceil(matchSeconds / 60),
+    expired: elapsedMs >= lengthMs,
+    breakRemainingSeconds,
+    timeout,
+    display: formatClock(periodSeconds)
+  };
+}
+
+/**
+ * Id of the next event of a match: one above the highest so far, so ids stay unique after events
+ * are edited out
+ * @param {Array} events - The match's events
+ * @returns {number}
+ */
+export function nextEventId(events = []) {
+  return events.reduce((max, event) => Math.max(max, Number(event.id) || 0), 0) + 1;
+}
+
+/**
+ * Minute and second of the match for an event recorded now, from the stored clock
+ * @param {Object} liveData - Match liveData
+ * @param {Object} rules - Resolved season rules
+ * @param {number|Date} now - Server time
+ * @returns {Object|null} - { minute, second (of the match), period (index) }, or null before kick-off
+ */
+export function eventTime(liveData, rules = DEFAULT_SEASON_RULES, now = Date.now()) {
+  const clock = clockState(liveData, rules, now);
+  if (clock.phase === 'not_started') return null;
+  return { minute: clock.minute, second: clock.matchSeconds, period: clock.period.index };
+}
+
+/**
+ * New clock fields of liveData after an action, checked against where the match is
+ * @param {Object} liveData - Current match liveData
+ * @param {string} action - One of CLOCK_ACTIONS
+ * @param {Object} rules - Resolved season rules
+ * @param {Object} options - { now, startMinute (start: carry on from this minute), periodSeconds (adjust),
+ *   team (timeout: 'home' or 'away'; the caller checks the team has one left) }
+ * @returns {Object} - { error } or { liveData: fields to set on liveData }
+ */
+export function applyClockAction(liveData, action, rules = DEFAULT_SEASON_RULES, { now = new Date(), startMinute = 0, periodSeconds, team } = {}) {
+  const periods = matchPeriods(rules);
+  const clock = storedClock(liveData, rules);
+  const current = clockState(liveData, rules, now);
+  const at = new Date(now);
+
+  // Running time so far is banked whenever the clock stops
+  const banked = (fields) => {
+    const period = fields.period ?? clock.period;
+    const periodElapsedMs = fields.periodElapsedMs ?? (current.periodSeconds * 1000);
+    const startMinuteOfPeriod = periods[period].startMinute;
+    return {
+      liveData: {
+        period,
+        periodElapsedMs,
+        runningSince: null,
+        isLive: false,
+        currentMinute: Math.ceil((startMinuteOfPeriod * 60 + periodElapsedMs / 1000) / 60),
+        // Any other action ends a timeout
+        timeout: null,
+        ...fields,
+        lastUpdate: at
+      }
+    };
+  };
+  const running = (fields) => {
+    const result = banked(fields);
+    result.liveData.runningSince = at;
+    result.liveData.isLive = true;
+    return result;
+  };
+
+  switch (action) {
+    case 'start': {
+      // Callers check the match is not live already; a resumed abandoned match carries on from its minute
+      const period = periodIndexForMinute(startMinute, rules);
+      const elapsedMs = Math.max(0, startMinute - periods[period].startMinute) * 60000;
+      return running({ phase: 'in_play', period, periodElapsedMs: elapsedMs, startedAt: at });
+    }
+
+    case 'pause':
+      if (clock.phase !== 'in_play' || !current.running) {
+        return { error: 'The clock is not running' };
+      }
+      if (!rules.stopClock) {
+        return { error: 'This season plays a running clock; end the period to stop it' };
+      }
+      return banked({ phase: 'in_play', pausedAt: at });
+
+    case 'resume':
+      if (clock.phase === 'in_play' && current.expired) {
+        return { error: `The ${current.period.label.toLowerCase()} is over; end the period` };
+      }
+      if (clock.phase !== 'in_play' || clock.runningSince) {
+        return { error: 'The clock can only be restarted while a period is stopped' };
+      }
+      return running({ phase: 'in_play', resumedAt: at });
+
+    case 'end_period':
+      if (clock.phase !== 'in_play') {
+        return { error: 'No period is being played' };
+      }
+      return banked({ phase: 'break', pausedAt: at });
+
+    case 'next_period': {
+      const next = periods[clock.period + 1];
+      if (clock.phase !== 'break' || !next) {
+        return { error: 'There is no next period to start' };
+      }
+      return running({ phase: 'in_play', period: next.index, periodElapsedMs: 0, resumedAt: at });
+    }
+
+    case 'penalties':
+      if (clock.phase !== 'break' || (periods[clock.period].type === 'regular' && clock.period < rules.periods.count - 1)) {
+        return { error: 'A shootout starts after normal time or extra time' };
+      }
+      return banked({ phase: 'penalties' });
+
+    case 'timeout':
+      if (clock.phase !== 'in_play' || current.expired) {
+        return { error: 'A timeout can only be taken during a period' };
+      }
+      if (team !== 'home' && team !== 'away') {
+        return { error: 'A timeout needs the team taking it (home or away)' };
+      }
+      // The clock stops for the timeout, whichever way the season runs it
+      return banked({
+        phase: 'in_play',
+        pausedAt: at,
+        timeout: { team, startedAt: at, endsAt: new Date(at.getTime() + rules.timeoutSeconds * 1000) }
+      });
+
+    case 'stop':
+    case 'abandon':
+      return banked({ phase: 'finished', endedAt: at });
+
+    case 'adjust': {
+      if (clock.phase !== 'in_play' && clock.phase !== 'break') {
+        return { error: 'The clock can only be corrected during the match' };
+      }
+      const lengthSeconds = periods[clock.period].minutes * 60;
+      if (!(periodSeconds >= 0 && periodSeconds <= lengthSeconds)) {
+        return { error: `Set the ${periods[clock.period].label.toLowerCase()} clock between 00:00 and ${formatClock(lengthSeconds)}` };
+      }
+      const fields = { phase: clock.phase, periodElapsedMs: Math.round(periodSeconds) * 1000, timeout: liveData?.timeout || null };
+      return clock.runningSince && clock.phase === 'in_play' ? running(fields) : banked(fields);
+    }
+
+    default:
+      return { error: `Unknown clock action: ${action}` };
+  }
+}
+
+/**
+ * Clock fields as a Match update that leaves the rest of liveData alone
+ * @param {Object} fields - liveData fields from applyClockAction
+ * @returns {Object} - { 'liveData.<field>': value }
+ */
+export function liveDataUpdate(fields) {
+  return Object.fromEntries(Object.entries(fields).map(([field, value]) => [`liveData.${field}`, value]));
+}
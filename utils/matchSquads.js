@@ -0,0 +1,98 @@
+// ===========================================
+// FILE: utils/matchSquads.js
+// Matchday squads: the players a team names for a match (up to the season's maxSquadSize), who starts
+// (maxPlayersOnCourt of them), the goalkeeper and the captain. Once a team's squad is submitted it decides
+// who appeared for that team and who can be picked for its live events
+// ===========================================
+import { DEFAULT_SEASON_RULES } from './seasonRules';
+
+const idOf = (value) => (value && value._id ? value._id : value)?.toString();
+
+export const MATCH_SIDES = ['home', 'away'];
+
+/**
+ * Squad as submitted in a request body, with ids as strings and duplicates dropped
+ * @param {Object} input - { players: [{ player, starting }], goalkeeper, captain }
+ * @returns {Object} - { players, goalkeeper, captain }
+ */
+export function normalizeSquad(input = {}) {
+  const seen = new Set();
+  const players = (Array.isArray(input.players) ? input.players : []).reduce((list, entry) => {
+    const player = idOf(entry?.player);
+    if (player && !seen.has(player)) {
+      seen.add(player);
+      list.push({ player, starting: Boolean(entry.starting) });
+    }
+    return list;
+  }, []);
+
+  return {
+    players,
+    goalkeeper: idOf(input.goalkeeper) || null,
+    captain: idOf(input.captain) || null
+  };
+}
+
+/**
+ * Check a squad before it is stored on a match
+ * @param {Object} squad - Squad from normalizeSquad
+ * @param {Object} rules - Resolved season rules (squad size and players on court)
+ * @param {Array} teamPlayerIds - Players of the team the squad is for on the match date
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateSquad(squad, rules = DEFAULT_SEASON_RULES, teamPlayerIds = []) {
+  const teamPlayers = new Set(teamPlayerIds.map(idOf));
+  const squadPlayers = new Set(squad.players.map(entry => entry.player));
+  const starters = squad.players.filter(entry => entry.starting).map(entry => entry.player);
+
+  if (squad.players.length === 0) {
+    return 'A squad needs at least one player';
+  }
+  if (squad.players.length > rules.maxSquadSize) {
+    return `A squad can have at most ${rules.maxSquadSize} players`;
+  }
+  if (squad.players.some(entry => !teamPlayers.has(entry.player))) {
+    return 'Every squad player must belong to the team';
+  }
+  if (starters.length !== Math.min(rules.maxPlayersOnCourt, squad.players.length)) {
+    return `Pick ${rules.maxPlayersOnCourt} starting players`;
+  }
+  if (!squad.goalkeeper || !starters.includes(squad.goalkeeper)) {
+    return 'The goalkeeper must be one of the starting players';
+  }
+  if (!squad.captain || !squadPlayers.has(squad.captain)) {
+    return 'The captain must be in the squad';
+  }
+
+  return null;
+}
+
+/**
+ * A team's submitted squad for a match, or null when it has none
+ * @param {Object} match - Match
+ * @param {string} side - 'home' or 'away'
+ */
+export function squadOf(match, side) {
+  const squad = match?.squads?.[side];
+  return squad && squad.players && squad.players.length > 0 ? squad : null;
+}
+
+/**
+ * Ids of the players in a team's squad, or null when it has none (anyone in the team can then be picked)
+ * @param {Object} match - Match
+ * @param {string} side - 'home' or 'away'
+ * @returns {Set|null}
+ */
+export function squadPlayerIds(match, side) {
+  const squad = squadOf(match, side);
+  return squad ? new Set(squad.players.map(entry => idOf(entry.player))) : null;
+}
+
+/**
+ * Ids of a squad's starting players
+ * @param {Object} squad - Squad
+ * @returns {Set}
+ */
+export function squadStarters(squad) {
+  return new Set((squad?.players || []).filter(entry => entry.starting).map(entry => idOf(entry.player)));
+}
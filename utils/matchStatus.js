@@ -0,0 +1,77 @@
+// ===========================================
+// FILE: utils/matchStatus.js
+// Match statuses and how forfeits, walkovers and abandoned matches count
+// ===========================================
+import { DEFAULT_SEASON_RULES } from './seasonRules';
+
+export const MATCH_STATUSES = [
+  'draft', 'scheduled', 'live', 'completed', 'postponed', 'cancelled', 'forfeit', 'abandoned'
+];
+
+// Results that count in league and group tables
+export const TABLE_STATUSES = ['completed', 'forfeit'];
+
+// Matches that will not be played (any further) as they stand
+export const FINAL_STATUSES = ['completed', 'forfeit', 'cancelled'];
+
+/**
+ * Table scoreline of a forfeit from the season's rules
+ * @param {string} forfeitingTeam - 'home' or 'away'
+ * @param {Object} rules - Resolved season rules
+ * @returns {Object} - { homeScore, awayScore }
+ */
+export function forfeitScoreline(forfeitingTeam, rules = DEFAULT_SEASON_RULES) {
+  const { winnerScore, loserScore } = rules.forfeit;
+  return forfeitingTeam === 'home'
+    ? { homeScore: loserScore, awayScore: winnerScore }
+    : { homeScore: winnerScore, awayScore: loserScore };
+}
+
+/**
+ * Whether the events of a match count towards player statistics
+ * Walkovers were never played; forfeits and abandoned matches follow the season's rules
+ * (an abandoned match only counts once it is replayed rather than resumed)
+ * @param {Object} match - Match
+ * @param {Object} rules - Resolved season rules
+ * @returns {boolean}
+ */
+export function countsPlayerStats(match, rules = DEFAULT_SEASON_RULES) {
+  switch (match.status) {
+    case 'completed':
+      return true;
+    case 'forfeit':
+      return !match.forfeit?.walkover && rules.forfeit.countPlayerStats;
+    case 'abandoned':
+      return match.abandonment?.resolution === 'replay' && rules.abandoned.countPlayerStats;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Score a match starts from: a resumed abandoned match carries on from the score it was stopped at
+ * @param {Object} match - Match with abandonment
+ * @returns {Object} - { homeScore, awayScore }
+ */
+export function startingScore(match) {
+  if (match.abandonment?.resolution !== 'resume') return { homeScore: 0, awayScore: 0 };
+  return {
+    homeScore: match.abandonment.homeScore || 0,
+    awayScore: match.abandonment.awayScore || 0
+  };
+}
+
+/**
+ * Short status text for match lists, e.g. 'Walkover' or "Abandoned 67'"
+ * @param {Object} match - Match
+ * @returns {string}
+ */
+export function matchStatusLabel(match) {
+  if (match.status === 'forfeit') {
+    return match.forfeit?.walkover ? 'Walkover' : 'Forfeit';
+  }
+  if (match.status === 'abandoned' && match.abandonment?.minute != null) {
+    return `Abandoned ${match.abandonment.minute}'`;
+  }
+  return match.status.charAt(0).toUpperCase() + match.status.slice(1);
+}
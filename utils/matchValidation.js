@@ -4,14 +4,16 @@
 // ===========================================
 
 import { isValid, parseISO, format } from 'date-fns';
+import { DEFAULT_SEASON_RULES, maxMatchMinute, regulationMinutes } from './seasonRules';
 
 /**
  * Validate match date based on status with enhanced logic
  * @param {string|Date} dateInput - The date to validate
  * @param {string} status - Match status (scheduled, live, completed, etc.)
+ * @param {Object} rules - Resolved season rules (match length)
  * @returns {Object} - { isValid: boolean, error: string, date: Date }
  */
-export function validateMatchDate(dateInput, status = 'scheduled') {
+export function validateMatchDate(dateInput, status = 'scheduled', rules = DEFAULT_SEASON_RULES) {
   if (!dateInput) {
     return { isValid: false, error: 'Match date is required', date: null };
   }
@@ -64,16 +66,28 @@ export function validateMatchDate(dateInput, status = 'scheduled') {
       break;
 
     case 'completed':
-      // Completed matches can be in the past, but not too far in the future
-      if (timeDifference > 24 * 60 * 60 * 1000) { // More than 24 hours in future
+      // Completed matches can be in the past, but must have had time to finish (24 hours grace)
+      if (timeDifference + regulationMinutes(rules) * 60 * 1000 > 24 * 60 * 60 * 1000) {
         return { 
           isValid: false, 
-          error: 'Completed match date cannot be more than 24 hours in the future', 
+          error: `A completed ${regulationMinutes(rules)}-minute match cannot end more than 24 hours in the future`, 
           date 
         };
       }
       break;
 
+    case 'forfeit':
+    case 'abandoned':
+      // Decided or stopped on the day: the match date must not be more than a day ahead
+      if (timeDifference > 24 * 60 * 60 * 1000) {
+        return {
+          isValid: false,
+          error: `A ${status} match date cannot be more than 24 hours in the future`,
+          date
+        };
+      }
+      break;
+
     case 'postponed':
     case 'cancelled':
       // These can have any date, but let's be reasonable
@@ -93,6 +107,29 @@ export function validateMatchDate(dateInput, status = 'scheduled') {
   return { isValid: true, error: null, date };
 }
 
+/**
+ * Check event minutes against the season's match length plus extra time
+ * @param {Array} events - Match events
+ * @param {Object} rules - Resolved season rules
+ * @returns {Object} - { isValid: boolean, error: string }
+ */
+export function validateEventMinutes(events = [], rules = DEFAULT_SEASON_RULES) {
+  const maxMinute = maxMatchMinute(rules);
+
+  for (let i = 0; i < events.length; i++) {
+    if (events[i]?.minute === undefined || events[i]?.minute === null) continue;
+    const minute = parseInt(events[i].minute);
+    if (isNaN(minute) || minute < 0 || minute > maxMinute) {
+      return {
+        isValid: false,
+        error: `Invalid minute at index ${i}: ${events[i].minute} (this season allows 0-${maxMinute})`
+      };
+    }
+  }
+
+  return { isValid: true, error: null };
+}
+
 /**
  * Validate match teams
  * @param {string} homeTeamId - Home team ID
@@ -149,9 +186,10 @@ export function validateMatchScores(homeScore, awayScore, status) {
  * Validate match events array
  * @param {Array} events - Array of match events
  * @param {string} status - Match status
+ * @param {Object} rules - Resolved season rules (latest allowed minute)
  * @returns {Object} - { isValid: boolean, error: string, processedEvents: Array }
  */
-export function validateMatchEvents(events = [], status) {
+export function validateMatchEvents(events = [], status, rules = DEFAULT_SEASON_RULES) {
   if (!Array.isArray(events)) {
     return { isValid: false, error: 'Events must be an array', processedEvents: [] };
   }
@@ -165,7 +203,7 @@ export function validateMatchEvents(events = [], status) {
     };
   }
 
-  const validEventTypes = ['goal', 'assist', 'yellow_card', 'red_card', 'substitution', 'other'];
+  const validEventTypes = ['goal', 'own_goal', 'assist', 'yellow_card', 'red_card', 'foul', 'timeout', 'substitution', 'other'];
   const validTeams = ['home', 'away'];
   const processedEvents = [];
 
@@ -189,11 +227,11 @@ export function validateMatchEvents(events = [], status) {
     }
 
     if (event.minute !== undefined) {
-      const minute = parseInt(event.minute);
-      if (isNaN(minute) || minute < 0 || minute > 120) {
+      const minuteCheck = validateEventMinutes([event], rules);
+      if (!minuteCheck.isValid) {
         return { 
           isValid: false, 
-          error: `Invalid minute at index ${i}: ${event.minute}`,
+          error: minuteCheck.error.replace('index 0', `index ${i}`),
           processedEvents: []
         };
       }
@@ -222,7 +260,7 @@ export function validateMatchEvents(events = [], status) {
  * @param {Object} matchData - Complete match data object
  * @returns {Object} - { isValid: boolean, errors: Array, warnings: Array }
  */
-export function validateCompleteMatch(matchData) {
+export function validateCompleteMatch(matchData, rules = DEFAULT_SEASON_RULES) {
   const errors = [];
   const warnings = [];
 
@@ -239,7 +277,7 @@ export function validateCompleteMatch(matchData) {
   }
 
   // Date validation
-  const dateValidation = validateMatchDate(matchData.matchDate, matchData.status);
+  const dateValidation = validateMatchDate(matchData.matchDate, matchData.status, rules);
   if (!dateValidation.isValid) {
     errors.push(dateValidation.error);
   }
@@ -255,7 +293,7 @@ export function validateCompleteMatch(matchData) {
   }
 
   // Events validation
-  const eventsValidation = validateMatchEvents(matchData.events, matchData.status);
+  const eventsValidation = validateMatchEvents(matchData.events, matchData.status, rules);
   if (!eventsValidation.isValid) {
     errors.push(eventsValidation.error);
   }
@@ -305,9 +343,10 @@ export function formatValidationMessage(errors = [], warnings = []) {
 /**
  * Client-side validation for match forms
  * @param {Object} formData - Form data object
+ * @param {Object} rules - Resolved season rules
  * @returns {Object} - { isValid: boolean, errors: Object, canSubmit: boolean }
  */
-export function validateMatchForm(formData) {
+export function validateMatchForm(formData, rules = DEFAULT_SEASON_RULES) {
   const fieldErrors = {};
   let canSubmit = true;
 
@@ -326,7 +365,7 @@ export function validateMatchForm(formData) {
   }
 
   // Date validation
-  const dateValidation = validateMatchDate(formData.matchDate, formData.status);
+  const dateValidation = validateMatchDate(formData.matchDate, formData.status, rules);
   if (!dateValidation.isValid) {
     fieldErrors.matchDate = dateValidation.error;
     canSubmit = false;
@@ -0,0 +1,135 @@
+// ===========================================
+// FILE: utils/minutesPlayed.js
+// Time each player spent on court in a match. Futsal substitutions are rolling: a player can go off and
+// come back on any number of times, so on-court time is replayed from the starting players of the
+// matchday squads and the substitution events, timed on the server clock
+// ===========================================
+import { DEFAULT_SEASON_RULES, regulationMinutes, maxMatchMinute } from './seasonRules';
+import { clockState } from './matchClock';
+import { MATCH_SIDES, squadOf, squadStarters } from './matchSquads';
+
+const idOf = (value) => (value && value._id ? value._id : value)?.toString();
+
+// Second of the match an event happened at (events recorded before the live clock only have the minute)
+const eventSecond = (event) => (event.second != null ? event.second : (event.minute || 0) * 60);
+
+/**
+ * Seconds of play in a match: where the server clock stopped, the minute an abandoned match was stopped at
+ * without one, or else regulation time (plus extra time when an event was recorded in it)
+ * @param {Object} match - Match with liveData, events and abandonment
+ * @param {Object} rules - Resolved season rules
+ */
+export function matchPlayedSeconds(match, rules = DEFAULT_SEASON_RULES) {
+  if (match.liveData?.phase && match.liveData.phase !== 'not_started') {
+    return clockState(match.liveData, rules, match.liveData.endedAt || Date.now()).matchSeconds;
+  }
+  if (match.status === 'abandoned' && match.abandonment?.minute != null) {
+    return match.abandonment.minute * 60;
+  }
+
+  const lastMinute = Math.max(0, ...(match.events || []).map(event => event.minute || 0));
+  const extraTime = ['extra_time', 'penalties'].includes(match.decidedBy) || lastMinute > regulationMinutes(rules);
+  return (extraTime ? maxMatchMinute(rules) : regulationMinutes(rules)) * 60;
+}
+
+/**
+ * Seconds each player spent on court
+ * Starting players are on from kick-off; substitutions take players off and put them on, and a red card sends
+ * a player off. Without a squad, a player whose first substitution takes them off is taken to have started;
+ * a squad substitute with an event but no substitution on record is taken to have come on at that event
+ * @param {Object} match - Match with events, squads and the fields matchPlayedSeconds reads
+ * @param {Object} rules - Resolved season rules
+ * @returns {Map} - player id -> seconds, for players whose time is known
+ */
+export function onCourtSeconds(match, rules = DEFAULT_SEASON_RULES) {
+  const end = matchPlayedSeconds(match, rules);
+  const totals = new Map();
+  const onSince = new Map();
+
+  const comeOn = (playerId, second) => {
+    if (!totals.has(playerId)) totals.set(playerId, 0);
+    if (!onSince.has(playerId)) onSince.set(playerId, second);
+  };
+  const goOff = (playerId, second) => {
+    if (!totals.has(playerId)) totals.set(playerId, 0);
+    if (onSince.has(playerId)) {
+      totals.set(playerId, totals.get(playerId) + Math.max(0, second - onSince.get(playerId)));
+      onSince.delete(playerId);
+    }
+  };
+
+  MATCH_SIDES.forEach(side => {
+    squadStarters(squadOf(match, side)).forEach(playerId => comeOn(playerId, 0));
+  });
+
+  (match.events || [])
+    .map((event, index) => ({ event, index, second: Math.min(end, eventSecond(event)) }))
+    .sort((a, b) => a.second - b.second || a.index - b.index)
+    .forEach(({ event, second }) => {
+      const hasSquad = Boolean(squadOf(match, event.team));
+
+      if (event.type === 'substitution') {
+        const playerOut = idOf(event.playerOut);
+        const playerIn = idOf(event.playerIn);
+        if (playerOut) {
+          if (!totals.has(playerOut) && !hasSquad) comeOn(playerOut, 0);
+          goOff(playerOut, second);
+        }
+        if (playerIn) comeOn(playerIn, second);
+        return;
+      }
+
+      // Officials and unnamed players are not on court
+      if (!event.player || event.isOfficial) return;
+      const playerId = idOf(event.player);
+
+      if (event.type === 'red_card') {
+        goOff(playerId, second);
+      } else if (!totals.has(playerId) && hasSquad) {
+        comeOn(playerId, second);
+      }
+    });
+
+  onSince.forEach((since, playerId) => goOff(playerId, end));
+  return totals;
+}
+
+/**
+ * Whole minutes each player spent on court (see onCourtSeconds)
+ * @param {Object} match - Match
+ * @param {Object} rules - Resolved season rules
+ * @returns {Map} - player id -> minutes
+ */
+export function onCourtMinutes(match, rules = DEFAULT_SEASON_RULES) {
+  const minutes = new Map();
+  onCourtSeconds(match, rules).forEach((seconds, playerId) => minutes.set(playerId, Math.round(seconds / 60)));
+  return minutes;
+}
+
+/**
+ * Players of a team on court at a moment, for picking who comes off in a substitution
+ * Only known once the team's squad is submitted
+ * @param {Object} match - Match with events and squads
+ * @param {string} side - 'home' or 'away'
+ * @param {number} second - Second of the match
+ * @returns {Set|null} - Player ids, or null without a squad
+ */
+export function playersOnCourt(match, side, second = Infinity) {
+  const squad = squadOf(match, side);
+  if (!squad) return null;
+
+  const onCourt = new Set(squadStarters(squad));
+  (match.events || [])
+    .filter(event => event.team === side && eventSecond(event) <= second)
+    .map((event, index) => ({ event, index, second: eventSecond(event) }))
+    .sort((a, b) => a.second - b.second || a.index - b.index)
+    .forEach(({ event }) => {
+      if (event.type === 'substitution') {
+        if (event.playerOut) onCourt.delete(idOf(event.playerOut));
+        if (event.playerIn) onCourt.add(idOf(event.playerIn));
+      } else if (event.type === 'red_card' && event.player && !event.isOfficial) {
+        onCourt.delete(idOf(event.player));
+      }
+    });
+  return onCourt;
+}
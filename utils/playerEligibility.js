@@ -0,0 +1,178 @@
+// ===========================================
+// FILE: utils/playerEligibility.js
+// Whether a player may take part in a match for a team: status, running suspensions, contract, transfer
+// date and season registration. Blocking issues stop a player being named or recorded unless an admin confirms it (and
+// may then record a 'suspended_player_participated' fair-play action); warnings are only shown
+// ===========================================
+
+import { SUSPENSION_REASONS, matchesRemaining } from './suspensions';
+
+const idOf = (value) => (value && value._id ? value._id : value)?.toString();
+
+// Player statuses that keep a player out of matches
+const BLOCKING_STATUSES = {
+  suspended: 'Player is suspended',
+  injured: 'Player is injured',
+  retired: 'Player is retired'
+};
+
+const dayOf = (date) => new Date(date).toISOString().slice(0, 10);
+
+const issue = (code, severity, message) => ({ code, severity, message });
+
+const runsOn = (contract, day) => (!contract.startDate || new Date(contract.startDate) <= day)
+  && (!contract.endDate || new Date(contract.endDate) >= day);
+
+/**
+ * Contract a match is judged by: without a match date the current one; otherwise the one running on the
+ * date (the team's, if several), else the team's own so its dates can be reported
+ * @param {Object} player - Player with contractStatus, currentContract and contractHistory
+ * @param {string} teamId - Team the player is named for
+ * @param {Date} date - Match date
+ * @returns {Object|null} - Contract
+ */
+function matchContract(player, teamId, date) {
+  const current = player.contractStatus !== 'free_agent' && player.currentContract?.team ? player.currentContract : null;
+  if (!date) return current;
+
+  const contracts = [current, ...(player.contractHistory || [])].filter(entry => entry?.team);
+  const running = contracts.filter(entry => runsOn(entry, date));
+  return running.find(entry => idOf(entry.team) === teamId)
+    || running[0]
+    || contracts.find(entry => idOf(entry.team) === teamId)
+    || null;
+}
+
+/**
+ * Team a player was registered to on a date: the team of their last transfer up to it, otherwise the team
+ * of a contract running on it, otherwise their current team
+ * @param {Object} player - Player with currentTeam, currentContract, transferHistory and contractHistory
+ * @param {Date|string} date - Match date; without one the current team is taken
+ * @returns {string|null} - Team id, null when the player had no team then
+ */
+export function teamOnDate(player, date = null) {
+  if (!date) return idOf(player.currentTeam) || null;
+  const day = new Date(date);
+
+  const transfers = (player.transferHistory || [])
+    .filter(transfer => transfer.transferDate)
+    .sort((a, b) => new Date(a.transferDate) - new Date(b.transferDate));
+  if (transfers.length > 0) {
+    const last = transfers.filter(transfer => new Date(transfer.transferDate) <= day).pop();
+    // Before the first transfer the player was with the team they left, if any
+    return idOf(last ? last.toTeam : transfers[0].fromTeam) || null;
+  }
+
+  const contract = [player.currentContract, ...(player.contractHistory || [])].find(entry => (
+    entry?.team && entry.startDate && new Date(entry.startDate) <= day && (!entry.endDate || new Date(entry.endDate) >= day)
+  ));
+  return idOf(contract ? contract.team : player.currentTeam) || null;
+}
+
+/**
+ * Eligibility of a player for a match
+ * Status, suspensions and contracts are taken as they stood on the match date where that is known, so
+ * entries for past matches are not blocked by what happened since
+ * @param {Object} player - Player with status, statusSince, currentTeam, contractStatus, currentContract,
+ *   transferHistory, contractHistory and currentTeamHistory
+ * @param {Object} context - { team: team the player is named for, season, matchDate,
+ *   suspensions: the player's active suspensions (lib/suspensions) }
+ * @returns {Object} - { player, name, eligible (no blocking issue), issues: [{ code, severity ('block' | 'warn'), message }] }
+ */
+export function playerEligibility(player, { team, season, matchDate = null, suspensions = [] } = {}) {
+  const teamId = idOf(team);
+  const seasonId = idOf(season);
+  const date = matchDate ? new Date(matchDate) : null;
+  const issues = [];
+
+  // A status set after the match date did not apply to it
+  const statusApplies = !date || !player.statusSince || new Date(player.statusSince) <= date;
+  if (BLOCKING_STATUSES[player.status] && statusApplies) {
+    issues.push(issue(`status_${player.status}`, 'block', BLOCKING_STATUSES[player.status]));
+  } else if (player.status === 'inactive' && statusApplies) {
+    issues.push(issue('status_inactive', 'warn', 'Player is marked inactive'));
+  }
+
+  // A suspension only bans matches after the one it was earned in
+  suspensions.filter(suspension => (
+    matchesRemaining(suspension) > 0 && (!date || !suspension.sourceDate || new Date(suspension.sourceDate) < date)
+  )).forEach(suspension => {
+    const left = matchesRemaining(suspension);
+    issues.push(issue(
+      `suspension_${idOf(suspension._id) || suspension.reason}`,
+      'block',
+      `Suspended (${SUSPENSION_REASONS[suspension.reason].toLowerCase()}): ${left} match${left === 1 ? '' : 'es'} left`
+    ));
+  });
+
+  // Contract: a contract with another team, or one not running on the match date, does not cover the
+  // match. Contracts are only recorded through the contracts page, so a player without one is judged by
+  // their team alone
+  const contract = matchContract(player, teamId, date);
+  if (!contract) {
+    issues.push(issue('no_contract', 'warn', 'No contract on record'));
+  } else if (idOf(contract.team) !== teamId) {
+    issues.push(issue('contract_team', 'block', 'Player is contracted to another team'));
+  } else if (date && contract.startDate && new Date(contract.startDate) > date) {
+    issues.push(issue('contract_not_started', 'block', `Contract only starts on ${dayOf(contract.startDate)}`));
+  } else if (date && contract.endDate && new Date(contract.endDate) < date) {
+    issues.push(issue('contract_ended', 'block', `Contract ended on ${dayOf(contract.endDate)}`));
+  }
+
+  // The team the player was with on the match date, so past matches are judged by the squads of the time
+  const registeredTeam = teamOnDate(player, date);
+  if (!registeredTeam) {
+    issues.push(issue('team', 'warn', 'Player is not registered to a team'));
+  } else if (registeredTeam !== teamId) {
+    issues.push(issue('team', 'block', 'Player is registered to another team'));
+  }
+
+  // A player who joined the team after the match date was not theirs to field
+  const joined = (player.transferHistory || [])
+    .filter(transfer => idOf(transfer.toTeam) === teamId && transfer.transferDate)
+    .map(transfer => new Date(transfer.transferDate))
+    .sort((a, b) => b - a)[0];
+  if (date && joined && joined > date) {
+    issues.push(issue('transfer_date', 'block', `Player joined the team on ${dayOf(joined)}, after the match`));
+  }
+
+  // Season registration: a contract, transfer or team membership of this team in the match's season
+  if (seasonId) {
+    const inSeason = (entry, teamField = 'team') => idOf(entry.season) === seasonId && idOf(entry[teamField]) === teamId;
+    const registered = (contract && inSeason(contract))
+      || (player.contractHistory || []).some(entry => inSeason(entry))
+      || (player.currentTeamHistory || []).some(entry => inSeason(entry))
+      || (player.transferHistory || []).some(entry => inSeason(entry, 'toTeam'));
+    if (!registered) {
+      issues.push(issue('season_registration', 'warn', 'Player is not registered with the team for this season'));
+    }
+  }
+
+  return {
+    player: idOf(player._id),
+    name: player.name,
+    eligible: !issues.some(entry => entry.severity === 'block'),
+    issues
+  };
+}
+
+/**
+ * Reasons a player cannot play, joined for messages and fair-play descriptions
+ * @param {Object} result - playerEligibility result
+ * @param {string} severity - 'block' or 'warn'
+ */
+export function eligibilityReasons(result, severity = 'block') {
+  return result.issues.filter(entry => entry.severity === severity).map(entry => entry.message).join('; ');
+}
+
+/**
+ * Player an event puts on court for eligibility: the player coming on in a substitution, otherwise the
+ * event's player (officials and unnamed players are not checked)
+ * @param {Object} event - Match event
+ * @returns {string|null} - Player id
+ */
+export function eventParticipant(event) {
+  if (!event || event.isOfficial) return null;
+  if (event.type === 'substitution') return idOf(event.playerIn) || null;
+  return idOf(event.player) || null;
+}
@@ -0,0 +1,137 @@
+// ===========================================
+// FILE: utils/playerStats.js
+// Player stat lines of a match from its events, and player totals summed from stat lines
+// ===========================================
+import { DEFAULT_SEASON_RULES } from './seasonRules';
+import { tableScore } from './standings';
+import { MATCH_SIDES, squadOf, squadStarters } from './matchSquads';
+import { matchPlayedSeconds, onCourtMinutes } from './minutesPlayed';
+
+const idOf = (value) => (value && value._id ? value._id : value)?.toString();
+
+// Event type -> stat line field
+const EVENT_FIELDS = {
+  goal: 'goals',
+  own_goal: 'ownGoals',
+  assist: 'assists',
+  yellow_card: 'yellowCards',
+  red_card: 'redCards'
+};
+
+export const PLAYER_STAT_FIELDS = ['goals', 'ownGoals', 'assists', 'yellowCards', 'redCards', 'minutesPlayed'];
+
+const RESULT_FIELDS = { win: 'wins', draw: 'draws', loss: 'losses' };
+
+/**
+ * Empty season or career totals of a player
+ */
+export function emptyPlayerTotals() {
+  return {
+    appearances: 0,
+    goals: 0,
+    ownGoals: 0,
+    assists: 0,
+    yellowCards: 0,
+    redCards: 0,
+    minutesPlayed: 0,
+    wins: 0,
+    losses: 0,
+    draws: 0
+  };
+}
+
+/**
+ * One stat line per player who appeared in a match
+ * A team's matchday squad decides who appeared: its starting players, and substitutes who came on or have an
+ * event; without a squad, players with an event or a substitution appear. A player appears for the side their events are
+ * recorded for. Minutes played are their time on court from the starting players and substitutions
+ * (utils/minutesPlayed), or the whole match when that is not known; the result follows the table score, so
+ * an awarded result or forfeit scoreline applies
+ * @param {Object} match - Match with events and squads (teams and season as ids or documents)
+ * @param {Object} rules - Resolved season rules
+ * @returns {Array} - [{ player, match, season, team, opponent, homeTeam, awayTeam, isHome, date, result, started, goals, ... }]
+ */
+export function buildMatchStatLines(match, rules = DEFAULT_SEASON_RULES) {
+  const { homeScore, awayScore } = tableScore(match);
+  const lines = new Map();
+  const starters = new Map(MATCH_SIDES.map(side => [side, squadStarters(squadOf(match, side))]));
+  const minutesOnCourt = onCourtMinutes(match, rules);
+  const matchMinutes = Math.round(matchPlayedSeconds(match, rules) / 60);
+
+  const lineFor = (playerId, side) => {
+    if (!lines.has(playerId)) {
+      const isHome = side === 'home';
+      const goalsFor = isHome ? homeScore : awayScore;
+      const goalsAgainst = isHome ? awayScore : homeScore;
+
+      lines.set(playerId, {
+        player: playerId,
+        match: idOf(match._id),
+        season: idOf(match.season),
+        team: idOf(isHome ? match.homeTeam : match.awayTeam),
+        opponent: idOf(isHome ? match.awayTeam : match.homeTeam),
+        homeTeam: idOf(match.homeTeam),
+        awayTeam: idOf(match.awayTeam),
+        isHome,
+        date: match.matchDate,
+        result: goalsFor > goalsAgainst ? 'win' : goalsFor < goalsAgainst ? 'loss' : 'draw',
+        started: starters.get(side).has(playerId),
+        goals: 0,
+        ownGoals: 0,
+        assists: 0,
+        yellowCards: 0,
+        redCards: 0,
+        minutesPlayed: minutesOnCourt.has(playerId) ? minutesOnCourt.get(playerId) : matchMinutes
+      });
+    }
+    return lines.get(playerId);
+  };
+
+  // Starting players appear whatever happens; substitutes once they come on
+  MATCH_SIDES.forEach(side => {
+    starters.get(side).forEach(playerId => lineFor(playerId, side));
+  });
+
+  (match.events || []).forEach(event => {
+    // Both players of a substitution were on court at some point
+    if (event.type === 'substitution') {
+      [event.playerOut, event.playerIn].filter(Boolean).forEach(playerId => lineFor(idOf(playerId), event.team));
+    }
+
+    // Officials and unnamed players have no stats
+    if (!event.player || event.isOfficial) return;
+
+    const line = lineFor(idOf(event.player), event.team);
+    const field = EVENT_FIELDS[event.type];
+    if (field) line[field]++;
+  });
+
+  return [...lines.values()];
+}
+
+/**
+ * Career totals and per-season totals of a player from all their stat lines
+ * @param {Array} lines - The player's stat lines
+ * @returns {Object} - { careerStats, seasonStats (season id -> totals) }
+ */
+export function totalsFromStatLines(lines) {
+  const careerStats = emptyPlayerTotals();
+  const seasonStats = {};
+
+  lines.forEach(line => {
+    const season = idOf(line.season);
+    if (!seasonStats[season]) {
+      seasonStats[season] = { season, ...emptyPlayerTotals() };
+    }
+
+    [careerStats, seasonStats[season]].forEach(totals => {
+      totals.appearances++;
+      PLAYER_STAT_FIELDS.forEach(field => {
+        totals[field] += line[field] || 0;
+      });
+      totals[RESULT_FIELDS[line.result]]++;
+    });
+  });
+
+  return { careerStats, seasonStats };
+}
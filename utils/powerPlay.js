@@ -0,0 +1,104 @@
+// ===========================================
+// FILE: utils/powerPlay.js
+// Futsal power plays: a team that has a player sent off plays one short for the season's powerPlaySeconds
+// (two minutes) of clock time, or until the team with more players on court scores. Power plays are
+// derived from the match events on the server clock's time, so every page works them out the same way
+// ===========================================
+import { DEFAULT_SEASON_RULES } from './seasonRules';
+
+// Second of the match an event happened at (events recorded before the live clock only have the minute)
+const eventSecond = (event) => (event.second != null ? event.second : (event.minute || 0) * 60);
+
+const otherTeam = (team) => (team === 'home' ? 'away' : 'home');
+
+// Team a goal event counts for (an own goal counts for the other side)
+const scoringTeam = (event) => {
+  if (event.type === 'goal') return event.team;
+  if (event.type === 'own_goal') return event.beneficiaryTeam || otherTeam(event.team);
+  return null;
+};
+
+// A player sent off; cards shown to officials leave the team at full strength
+const startsPowerPlay = (event) => event.type === 'red_card' && !event.isOfficial && (event.team === 'home' || event.team === 'away');
+
+/**
+ * Every power play of a match, replaying its events in time order
+ * A goal by the team with more players on court ends the scoring side's opponent's oldest running power play;
+ * with the same number of players on each side a goal ends none
+ * @param {Array} events - Match events
+ * @param {Object} rules - Resolved season rules
+ * @returns {Array} - [{ team (short-handed side), player, playerName, startSecond, endSecond,
+ *   endedBy ('time' | 'goal'), goalEventId }]
+ */
+export function powerPlays(events = [], rules = DEFAULT_SEASON_RULES) {
+  const plays = [];
+  const runningAt = (second) => plays.filter(play => play.startSecond <= second && second < play.endSecond);
+
+  events
+    .map((event, index) => ({ event, index, second: eventSecond(event) }))
+    .sort((a, b) => a.second - b.second || a.index - b.index)
+    .forEach(({ event, second }) => {
+      if (startsPowerPlay(event)) {
+        plays.push({
+          team: event.team,
+          player: event.player || null,
+          playerName: event.playerName || null,
+          startSecond: second,
+          endSecond: second + rules.powerPlaySeconds,
+          endedBy: 'time',
+          goalEventId: null
+        });
+        return;
+      }
+
+      const team = scoringTeam(event);
+      if (!team) return;
+      const running = runningAt(second);
+      const shortHanded = running.filter(play => play.team === otherTeam(team));
+      if (shortHanded.length > running.filter(play => play.team === team).length) {
+        Object.assign(shortHanded[0], { endSecond: second, endedBy: 'goal', goalEventId: event.id ?? null });
+      }
+    });
+
+  return plays;
+}
+
+/**
+ * Power plays running at a moment of the match, with the clock time left on each
+ * @param {Array} events - Match events
+ * @param {number} matchSeconds - Second of the match on the server clock (utils/matchClock clockState)
+ * @param {Object} rules - Resolved season rules
+ * @returns {Array} - powerPlays entries with remainingSeconds
+ */
+export function activePowerPlays(events = [], matchSeconds = 0, rules = DEFAULT_SEASON_RULES) {
+  return powerPlays(events, rules)
+    .filter(play => play.startSecond <= matchSeconds && matchSeconds < play.endSecond)
+    .map(play => ({ ...play, remainingSeconds: play.endSecond - matchSeconds }));
+}
+
+/**
+ * Whether a goal about to be recorded is scored by a team with more players on court
+ * @param {Array} events - Events already recorded
+ * @param {Object} goal - New goal or own goal event (team, beneficiaryTeam, and second or minute)
+ * @param {Object} rules - Resolved season rules
+ */
+export function isPowerPlayGoal(events, goal, rules = DEFAULT_SEASON_RULES) {
+  const team = scoringTeam(goal);
+  if (!team) return false;
+  const running = activePowerPlays(events, eventSecond(goal), rules);
+  return running.filter(play => play.team === otherTeam(team)).length > running.filter(play => play.team === team).length;
+}
+
+/**
+ * Power-play goals of each team, from the flag set when the goals were recorded
+ * @param {Array} events - Match events
+ * @returns {Object} - { home, away }
+ */
+export function powerPlayGoals(events = []) {
+  const goals = { home: 0, away: 0 };
+  events.forEach(event => {
+    const team = event.powerPlayGoal ? scoringTeam(event) : null;
+    if (team in goals) goals[team]++;
+  });
+  return goals;
+}
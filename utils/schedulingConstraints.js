@@ -0,0 +1,229 @@
+// ===========================================
+// FILE: utils/schedulingConstraints.js
+// Scheduling constraint checks: blackouts, rest periods and venue usage
+// ===========================================
+import { LEAGUE_TIMEZONE, addDays, atTimeSlot, leagueDay, parseCalendarDay } from './fixtureGenerator';
+
+export { LEAGUE_TIMEZONE, leagueDay };
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Kick-off of a fixture on the league's clock, for messages
+ * @param {Date} date - Moment
+ * @returns {string} - e.g. "Mar 07, 18:30"
+ */
+const formatKickOff = (date) => new Intl.DateTimeFormat('en-US', {
+  timeZone: LEAGUE_TIMEZONE,
+  month: 'short',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+}).format(date);
+
+// Statuses that do not occupy a team or a venue
+const INACTIVE_STATUSES = ['cancelled', 'postponed'];
+
+export const DEFAULT_SCHEDULING_RULES = {
+  minRestHours: 24,
+  matchDurationMinutes: 60,
+  timeSlots: [],
+  venues: []
+};
+
+/**
+ * Merge a season's scheduling settings with the defaults
+ * @param {Object} scheduling - Season.scheduling (may be partial or missing)
+ * @returns {Object} - Complete scheduling rules
+ */
+export function normalizeSchedulingRules(scheduling = {}) {
+  const rules = { ...DEFAULT_SCHEDULING_RULES, ...(scheduling || {}) };
+  return {
+    minRestHours: Math.max(0, Number(rules.minRestHours) || 0),
+    matchDurationMinutes: Math.max(1, Number(rules.matchDurationMinutes) || DEFAULT_SCHEDULING_RULES.matchDurationMinutes),
+    timeSlots: Array.isArray(rules.timeSlots) ? [...rules.timeSlots].sort() : [],
+    venues: Array.isArray(rules.venues) ? rules.venues.filter(v => v && v.name) : []
+  };
+}
+
+const idOf = (value) => (value && value._id ? value._id : value)?.toString();
+
+/**
+ * Create a checker over a season's existing fixtures
+ * @param {Object} context - { rules, matches, blackouts, teamNames }
+ *   blackouts: { [teamId]: { [YYYY-MM-DD]: reason } }
+ * @returns {Object} - { check(candidate), reserve(candidate), matches }
+ */
+export function createConstraintChecker({ rules, matches = [], blackouts = {}, teamNames = {} }) {
+  const settings = normalizeSchedulingRules(rules);
+  const durationMs = settings.matchDurationMinutes * 60 * 1000;
+  const restMs = settings.minRestHours * HOUR_MS;
+  const booked = matches
+    .filter(m => !INACTIVE_STATUSES.includes(m.status))
+    .map(m => ({ ...m, matchDate: new Date(m.matchDate) }));
+
+  const nameOf = (teamId) => teamNames[teamId] || 'Team';
+
+  const venueCapacity = (venue) => {
+    const config = settings.venues.find(v => v.name.toLowerCase() === (venue || '').toLowerCase());
+    return config && config.slotsPerDay ? config.slotsPerDay : null;
+  };
+
+  /**
+   * List every rule the candidate breaks against the booked fixtures
+   * @param {Object} candidate - { _id?, homeTeam, awayTeam, matchDate, venue }
+   * @returns {Array} - [{ type, message, team?, conflictingMatch? }]
+   */
+  const check = (candidate) => {
+    const violations = [];
+    const candidateId = idOf(candidate._id);
+    const kickOff = new Date(candidate.matchDate);
+    const dayKey = leagueDay(kickOff);
+    const teams = [idOf(candidate.homeTeam), idOf(candidate.awayTeam)];
+    const venue = (candidate.venue || '').trim();
+
+    teams.forEach(teamId => {
+      const reason = blackouts[teamId]?.[dayKey];
+      if (reason !== undefined) {
+        violations.push({
+          type: 'team_blackout',
+          team: teamId,
+          message: `${nameOf(teamId)} is unavailable on ${dayKey}${reason ? ` (${reason})` : ''}`
+        });
+      }
+    });
+
+    let sameVenueThatDay = 0;
+
+    booked.forEach(other => {
+      if (candidateId && idOf(other._id) === candidateId) return;
+
+      const gapMs = Math.abs(other.matchDate - kickOff);
+      const otherTeams = [idOf(other.homeTeam), idOf(other.awayTeam)];
+
+      teams.forEach(teamId => {
+        if (!otherTeams.includes(teamId)) return;
+
+        if (gapMs < durationMs) {
+          violations.push({
+            type: 'team_overlap',
+            team: teamId,
+            conflictingMatch: idOf(other._id),
+            message: `${nameOf(teamId)} already plays at ${formatKickOff(other.matchDate)}`
+          });
+        } else if (gapMs - durationMs < restMs) {
+          const restHours = Math.round((gapMs - durationMs) / HOUR_MS * 10) / 10;
+          violations.push({
+            type: 'rest_period',
+            team: teamId,
+            conflictingMatch: idOf(other._id),
+            message: `${nameOf(teamId)} would only get ${restHours}h rest (minimum ${settings.minRestHours}h)`
+          });
+        }
+      });
+
+      if (venue && (other.venue || '').trim().toLowerCase() === venue.toLowerCase()) {
+        if (leagueDay(other.matchDate) === dayKey) {
+          sameVenueThatDay++;
+        }
+        if (gapMs < durationMs) {
+          violations.push({
+            type: 'venue_overlap',
+            conflictingMatch: idOf(other._id),
+            message: `${venue} is already booked at ${formatKickOff(other.matchDate)}`
+          });
+        }
+      }
+    });
+
+    const capacity = venue ? venueCapacity(venue) : null;
+    if (capacity !== null && sameVenueThatDay >= capacity) {
+      violations.push({
+        type: 'venue_capacity',
+        message: `${venue} already has ${sameVenueThatDay} of ${capacity} slots used on ${dayKey}`
+      });
+    }
+
+    return violations;
+  };
+
+  /**
+   * Book the candidate if it breaks no rule
+   * @returns {boolean} - True when the slot was reserved
+   */
+  const reserve = (candidate) => {
+    if (check(candidate).length > 0) return false;
+    booked.push({ ...candidate, matchDate: new Date(candidate.matchDate) });
+    return true;
+  };
+
+  return { check, reserve, matches: booked, rules: settings };
+}
+
+/**
+ * Suggest free kick-off slots for a fixture, starting from a given day
+ * Uses the season's configured time slots and venues
+ * @param {Object} checker - Result of createConstraintChecker
+ * @param {Object} fixture - { _id?, homeTeam, awayTeam, matchDate, venue }
+ * @param {Object} options - { from: Date, days: number, limit: number }
+ * @returns {Array} - [{ matchDate, venue }]
+ */
+export function suggestFreeSlots(checker, fixture, { from = new Date(), days = 28, limit = 3 } = {}) {
+  const { timeSlots, venues } = checker.rules;
+  if (timeSlots.length === 0) return [];
+
+  const venueNames = venues.length > 0 ? venues.map(v => v.name) : [fixture.venue || ''];
+  // Days and slots on the league's clock, the same one the checker validates against
+  const start = parseCalendarDay(leagueDay(from));
+  const suggestions = [];
+
+  for (let offset = 0; offset < days && suggestions.length < limit; offset++) {
+    const day = addDays(start, offset);
+    for (const slot of timeSlots) {
+      const matchDate = atTimeSlot(day, slot);
+      if (matchDate < from) continue;
+
+      for (const venue of venueNames) {
+        if (checker.check({ ...fixture, matchDate, venue }).length === 0) {
+          suggestions.push({ matchDate, venue });
+          break;
+        }
+      }
+      if (suggestions.length >= limit) break;
+    }
+  }
+
+  return suggestions;
+}
+
+/**
+ * Check every upcoming fixture of a season against the others
+ * @param {Object} checker - Result of createConstraintChecker
+ * @param {Array} fixtures - Fixtures to audit (usually draft and scheduled)
+ * @returns {Array} - [{ match, violations, suggestions }]
+ */
+export function buildViolationReport(checker, fixtures) {
+  const now = new Date();
+  return fixtures
+    .map(fixture => {
+      const violations = checker.check(fixture);
+      if (violations.length === 0) return null;
+      const from = new Date(fixture.matchDate) > now ? new Date(fixture.matchDate) : now;
+      return {
+        match: fixture,
+        violations,
+        suggestions: suggestFreeSlots(checker, fixture, { from })
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Format violations into a single line for API error messages
+ * @param {Array} violations - Output of checker.check
+ * @returns {string} - Joined messages
+ */
+export function formatViolations(violations = []) {
+  return violations.map(v => v.message).join('; ');
+}
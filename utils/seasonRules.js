@@ -0,0 +1,205 @@
+// ===========================================
+// FILE: utils/seasonRules.js
+// Per-season competition rules: points, match length, squad and card limits
+// ===========================================
+import { DEFAULT_TIE_BREAKERS, TIE_BREAKER_KEYS, normalizeTieBreakers } from './tieBreakers';
+
+// Futsal defaults, used for any rule a season does not set
+export const DEFAULT_SEASON_RULES = {
+  points: { win: 3, draw: 1, loss: 0 },
+  periods: { count: 2, minutes: 20 },
+  extraTimeMinutes: 10,
+  // Extra time is split into this many equal periods (2 x 5 by default)
+  extraTimePeriods: 2,
+  // Break between periods, shown as a countdown on the live clock
+  breakMinutes: 10,
+  // Futsal stop clock: the clock is stopped whenever the ball is out of play; a running clock only
+  // stops at the end of a period
+  stopClock: true,
+  // Timeouts each team may take per half (none in extra time) and how long one lasts
+  timeoutsPerPeriod: 1,
+  timeoutSeconds: 60,
+  maxSquadSize: 15,
+  yellowCardSuspensionThreshold: 5,
+  // Matches of the player's team a suspension lasts: after reaching the yellow threshold, or after a red card
+  yellowCardSuspensionMatches: 1,
+  redCardSuspensionMatches: 1,
+  maxPlayersOnCourt: 5,
+  // Fouls a team can commit in a half before each further one gives a second-penalty-mark (10 m) kick
+  accumulatedFoulLimit: 5,
+  // Clock time a team plays one short after a player is sent off, unless the other team scores first
+  powerPlaySeconds: 120,
+  // Standings order after points (keys of the tie-breaker catalogue)
+  tieBreakers: DEFAULT_TIE_BREAKERS,
+  // Table scoreline for a forfeit or walkover, and whether events of such matches count for players
+  forfeit: { winnerScore: 3, loserScore: 0, countPlayerStats: false },
+  // Whether events of a match abandoned for good (and replayed) count for players
+  abandoned: { countPlayerStats: false }
+};
+
+const booleanOr = (value, fallback) => (typeof value === 'boolean' ? value : fallback);
+
+const numberOr = (value, fallback) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+/**
+ * Full rules of a season, falling back to the defaults for anything missing
+ * @param {Object} season - Season (or its `rules` object); may be null
+ * @returns {Object} - Complete rules object
+ */
+export function resolveSeasonRules(season) {
+  const rules = (season && season.rules) || season || {};
+  const defaults = DEFAULT_SEASON_RULES;
+
+  return {
+    points: {
+      win: numberOr(rules.points?.win, defaults.points.win),
+      draw: numberOr(rules.points?.draw, defaults.points.draw),
+      loss: numberOr(rules.points?.loss, defaults.points.loss)
+    },
+    periods: {
+      count: numberOr(rules.periods?.count, defaults.periods.count),
+      minutes: numberOr(rules.periods?.minutes, defaults.periods.minutes)
+    },
+    extraTimeMinutes: numberOr(rules.extraTimeMinutes, defaults.extraTimeMinutes),
+    extraTimePeriods: numberOr(rules.extraTimePeriods, defaults.extraTimePeriods),
+    breakMinutes: numberOr(rules.breakMinutes, defaults.breakMinutes),
+    stopClock: booleanOr(rules.stopClock, defaults.stopClock),
+    timeoutsPerPeriod: numberOr(rules.timeoutsPerPeriod, defaults.timeoutsPerPeriod),
+    timeoutSeconds: numberOr(rules.timeoutSeconds, defaults.timeoutSeconds),
+    maxSquadSize: numberOr(rules.maxSquadSize, defaults.maxSquadSize),
+    yellowCardSuspensionThreshold: numberOr(rules.yellowCardSuspensionThreshold, defaults.yellowCardSuspensionThreshold),
+    yellowCardSuspensionMatches: numberOr(rules.yellowCardSuspensionMatches, defaults.yellowCardSuspensionMatches),
+    redCardSuspensionMatches: numberOr(rules.redCardSuspensionMatches, defaults.redCardSuspensionMatches),
+    maxPlayersOnCourt: numberOr(rules.maxPlayersOnCourt, defaults.maxPlayersOnCourt),
+    accumulatedFoulLimit: numberOr(rules.accumulatedFoulLimit, defaults.accumulatedFoulLimit),
+    powerPlaySeconds: numberOr(rules.powerPlaySeconds, defaults.powerPlaySeconds),
+    tieBreakers: normalizeTieBreakers(rules.tieBreakers),
+    forfeit: {
+      winnerScore: numberOr(rules.forfeit?.winnerScore, defaults.forfeit.winnerScore),
+      loserScore: numberOr(rules.forfeit?.loserScore, defaults.forfeit.loserScore),
+      countPlayerStats: booleanOr(rules.forfeit?.countPlayerStats, defaults.forfeit.countPlayerStats)
+    },
+    abandoned: {
+      countPlayerStats: booleanOr(rules.abandoned?.countPlayerStats, defaults.abandoned.countPlayerStats)
+    }
+  };
+}
+
+/**
+ * Playing time of a match without extra time, e.g. 2 x 20 = 40 minutes
+ * @param {Object} rules - Resolved season rules
+ * @returns {number} - Minutes
+ */
+export function regulationMinutes(rules = DEFAULT_SEASON_RULES) {
+  return rules.periods.count * rules.periods.minutes;
+}
+
+/**
+ * Latest minute an event can be recorded at (regulation plus extra time)
+ * @param {Object} rules - Resolved season rules
+ * @returns {number} - Minute
+ */
+export function maxMatchMinute(rules = DEFAULT_SEASON_RULES) {
+  return regulationMinutes(rules) + rules.extraTimeMinutes;
+}
+
+/**
+ * Result and league points for both teams of a finished match
+ * @param {number} homeScore - Home goals
+ * @param {number} awayScore - Away goals
+ * @param {Object} rules - Resolved season rules
+ * @returns {Object} - { homeResult, awayResult ('win' | 'draw' | 'loss'), homePoints, awayPoints }
+ */
+export function matchResultPoints(homeScore, awayScore, rules = DEFAULT_SEASON_RULES) {
+  const home = parseInt(homeScore) || 0;
+  const away = parseInt(awayScore) || 0;
+  const homeResult = home > away ? 'win' : home < away ? 'loss' : 'draw';
+  const awayResult = homeResult === 'win' ? 'loss' : homeResult === 'loss' ? 'win' : 'draw';
+
+  return {
+    homeResult,
+    awayResult,
+    homePoints: rules.points[homeResult],
+    awayPoints: rules.points[awayResult]
+  };
+}
+
+/**
+ * Which period a match minute falls in, for the live clock
+ * @param {number} minute - Match minute
+ * @param {Object} rules - Resolved season rules
+ * @returns {Object} - { period (1-based, null in extra time), label }
+ */
+export function periodForMinute(minute, rules = DEFAULT_SEASON_RULES) {
+  const { count, minutes } = rules.periods;
+
+  if (minute > regulationMinutes(rules) && rules.extraTimeMinutes > 0) {
+    return { period: null, label: 'Extra time' };
+  }
+
+  const period = Math.min(count, Math.floor(Math.max(0, minute - 1) / minutes) + 1);
+  if (count === 2) {
+    return { period, label: period === 1 ? '1st half' : '2nd half' };
+  }
+  return { period, label: `Period ${period} of ${count}` };
+}
+
+/**
+ * Check submitted rules before they are stored on a season
+ * @param {Object} rules - Rules from a request body
+ * @returns {string|null} - Error message, or null when valid
+ */
+export function validateSeasonRules(rules) {
+  if (!rules) return null;
+  const resolved = resolveSeasonRules(rules);
+
+  if (resolved.periods.count < 1 || resolved.periods.minutes < 1) {
+    return 'A match needs at least one period of at least one minute';
+  }
+  if (resolved.extraTimeMinutes < 0) {
+    return 'Extra time cannot be negative';
+  }
+  if (resolved.extraTimePeriods < 1 || !Number.isInteger(resolved.extraTimePeriods)) {
+    return 'Extra time needs a whole number of periods, at least one';
+  }
+  if (resolved.breakMinutes < 0) {
+    return 'The break between periods cannot be negative';
+  }
+  if (resolved.timeoutsPerPeriod < 0 || !Number.isInteger(resolved.timeoutsPerPeriod)) {
+    return 'Timeouts per half must be a whole number';
+  }
+  if (resolved.timeoutSeconds < 1) {
+    return 'A timeout must last at least one second';
+  }
+  if (resolved.points.win < resolved.points.draw || resolved.points.draw < resolved.points.loss) {
+    return 'Points for a win must be at least those for a draw, and a draw at least a loss';
+  }
+  if (resolved.maxPlayersOnCourt < 1 || resolved.maxSquadSize < resolved.maxPlayersOnCourt) {
+    return 'The squad size must be at least the number of players on court';
+  }
+  if (resolved.yellowCardSuspensionThreshold < 1) {
+    return 'The yellow card suspension threshold must be at least 1';
+  }
+  if ([resolved.yellowCardSuspensionMatches, resolved.redCardSuspensionMatches].some(value => value < 1 || !Number.isInteger(value))) {
+    return 'Suspensions must last a whole number of matches, at least 1';
+  }
+  if (resolved.accumulatedFoulLimit < 1 || !Number.isInteger(resolved.accumulatedFoulLimit)) {
+    return 'The accumulated foul limit must be a whole number of at least 1';
+  }
+  if (resolved.powerPlaySeconds < 1) {
+    return 'A power play must last at least one second';
+  }
+  if (resolved.forfeit.loserScore < 0 || resolved.forfeit.winnerScore <= resolved.forfeit.loserScore) {
+    return 'A forfeit scoreline needs the winner ahead, e.g. 3-0';
+  }
+  const unknownTieBreaker = (Array.isArray(rules.tieBreakers) ? rules.tieBreakers : [])
+    .find(key => !TIE_BREAKER_KEYS.includes(key));
+  if (unknownTieBreaker) {
+    return `Unknown tie-breaker: ${unknownTieBreaker}`;
+  }
+
+  return null;
+}
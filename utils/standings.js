@@ -0,0 +1,422 @@
+// ===========================================
+// FILE: utils/standings.js
+// League table calculation and ranking shared by league and group standings
+// ===========================================
+
+import { DEFAULT_SEASON_RULES, regulationMinutes } from './seasonRules';
+import { DEFAULT_TIE_BREAKERS, createStandingsComparator, resolveStandingsOrder } from './tieBreakers';
+
+const idOf = (value) => (value && value._id ? value._id : value)?.toString();
+
+/**
+ * Empty stats record for a team
+ */
+export function emptyStats() {
+  return {
+    matchesPlayed: 0,
+    wins: 0,
+    draws: 0,
+    losses: 0,
+    goalsFor: 0,
+    goalsAgainst: 0,
+    points: 0,
+    goalDifference: 0,
+    fairPlayPoints: 0, // Lower is better (yellow cards = 1 point, red cards = 3 points)
+    fouls: 0, // Fouls committed (futsal accumulated fouls)
+    pointsDeducted: 0, // Disciplinary point deductions, already taken off points
+    headToHeadResults: {} // Results against each opponent
+  };
+}
+
+/**
+ * Score a match counts with in the league table: an awarded result overrides the played score,
+ * and a forfeit counts with the scoreline recorded from the season's rules
+ * @param {Object} match - Match
+ * @returns {Object} - { homeScore, awayScore, awarded }
+ */
+export function tableScore(match) {
+  const awarded = match.awardedResult;
+  if (awarded && awarded.homeScore != null && awarded.awayScore != null) {
+    return { homeScore: awarded.homeScore, awayScore: awarded.awayScore, awarded: true };
+  }
+  const forfeit = match.forfeit;
+  if (match.status === 'forfeit' && forfeit && forfeit.homeScore != null && forfeit.awayScore != null) {
+    return { homeScore: forfeit.homeScore, awayScore: forfeit.awayScore, awarded: true };
+  }
+  return { homeScore: match.homeScore || 0, awayScore: match.awayScore || 0, awarded: false };
+}
+
+/**
+ * Calculate a team's table stats from its completed matches
+ * @param {*} teamId - Team to calculate for
+ * @param {Array} matches - Completed matches involving the team
+ * @param {Object} rules - Resolved season rules (points per result)
+ * @returns {Object} - Stats including head-to-head results and fair play points
+ */
+export function calculateTeamStats(teamId, matches, rules = DEFAULT_SEASON_RULES) {
+  const stats = emptyStats();
+  const team = idOf(teamId);
+  const { points } = rules;
+
+  matches.forEach(match => {
+    const isHome = idOf(match.homeTeam) === team;
+    const { homeScore, awayScore } = tableScore(match);
+    const teamScore = isHome ? homeScore : awayScore;
+    const opponentScore = isHome ? awayScore : homeScore;
+    const opponentId = isHome ? idOf(match.awayTeam) : idOf(match.homeTeam);
+
+    stats.matchesPlayed++;
+    stats.goalsFor += teamScore;
+    stats.goalsAgainst += opponentScore;
+
+    if (!stats.headToHeadResults[opponentId]) {
+      stats.headToHeadResults[opponentId] = { points: 0, goalsFor: 0, goalsAgainst: 0 };
+    }
+    const headToHead = stats.headToHeadResults[opponentId];
+    headToHead.goalsFor += teamScore;
+    headToHead.goalsAgainst += opponentScore;
+
+    if (teamScore > opponentScore) {
+      stats.wins++;
+      stats.points += points.win;
+      headToHead.points += points.win;
+    } else if (teamScore < opponentScore) {
+      stats.losses++;
+      stats.points += points.loss;
+      headToHead.points += points.loss;
+    } else {
+      stats.draws++;
+      stats.points += points.draw;
+      headToHead.points += points.draw;
+    }
+
+    // Fair play from this team's cards, and its fouls
+    (match.events || []).forEach(event => {
+      const eventForThisTeam = (event.team === 'home' && isHome) || (event.team === 'away' && !isHome);
+      if (!eventForThisTeam) return;
+      if (event.type === 'yellow_card') {
+        stats.fairPlayPoints += 1;
+      } else if (event.type === 'red_card') {
+        stats.fairPlayPoints += 3;
+      } else if (event.type === 'foul') {
+        stats.fouls++;
+      }
+    });
+  });
+
+  stats.goalDifference = stats.goalsFor - stats.goalsAgainst;
+  return stats;
+}
+
+/**
+ * Take a team's active point deductions off its table points
+ * @param {Object} stats - Stats from calculateTeamStats (changed in place)
+ * @param {Array} deductions - Active PointDeduction records of the team
+ * @returns {Object} - The same stats, with pointsDeducted set
+ */
+export function applyPointDeductions(stats, deductions = []) {
+  const pointsDeducted = deductions.reduce((sum, deduction) => sum + (deduction.points || 0), 0);
+  stats.pointsDeducted = pointsDeducted;
+  stats.points -= pointsDeducted;
+  return stats;
+}
+
+/**
+ * Default pairwise comparator: points, goal difference, goals for, goals against,
+ * head-to-head, fair play, then alphabetical
+ * For whole tables use rankStandings, which resolves three or more level teams as a mini-league
+ */
+export const compareStandings = createStandingsComparator(DEFAULT_TIE_BREAKERS);
+
+/**
+ * Sort teams into table order, number their positions and note what separated each team from the one above
+ * @param {Array} teams - Teams with enhancedStats
+ * @param {Array} tieBreakers - Season tie-breaker order
+ * @returns {Array} - New array with position and separatedBy ({ criterion, label, tiedTeams } or null) set
+ */
+export function rankStandings(teams, tieBreakers = DEFAULT_TIE_BREAKERS) {
+  return resolveStandingsOrder(teams, tieBreakers).map(({ team, separatedBy }, index) => ({
+    ...team,
+    position: index + 1,
+    separatedBy
+  }));
+}
+
+/**
+ * Matchday of every league match: the stored matchday of generated fixtures or, when any match
+ * lacks one, the order of the calendar days the matches were played on
+ * @param {Array} matches - League matches of a season
+ * @returns {Map} - Match id -> matchday number
+ */
+export function assignMatchdays(matches) {
+  const matchdays = new Map();
+
+  if (matches.every(match => match.matchday)) {
+    matches.forEach(match => matchdays.set(idOf(match._id), match.matchday));
+    return matchdays;
+  }
+
+  const dayKey = (match) => new Date(match.matchDate).toISOString().slice(0, 10);
+  const days = [...new Set(matches.map(dayKey))].sort();
+  matches.forEach(match => matchdays.set(idOf(match._id), days.indexOf(dayKey(match)) + 1));
+  return matchdays;
+}
+
+/**
+ * Matches a table "as of" a date or matchday is built from, and the moment it stands at
+ * @param {Array} matches - League matches of a season
+ * @param {Object} asOf - { date (include matches up to this moment), matchday (up to and including this matchday) }
+ * @param {Map} matchdays - Optional result of assignMatchdays, to avoid recomputing it
+ * @returns {Object} - { matches, cutoff (Date the table stands at, null for now / no matches) }
+ */
+export function matchesAsOf(matches, { date = null, matchday = null } = {}, matchdays = null) {
+  let included = matches;
+
+  if (matchday) {
+    const numbers = matchdays || assignMatchdays(matches);
+    included = matches.filter(match => numbers.get(idOf(match._id)) <= matchday);
+    const lastPlayed = Math.max(...included.map(match => new Date(match.matchDate).getTime()));
+    return { matches: included, cutoff: included.length > 0 ? new Date(lastPlayed) : null };
+  }
+
+  if (date) {
+    included = matches.filter(match => new Date(match.matchDate) <= date);
+    return { matches: included, cutoff: date };
+  }
+
+  return { matches: included, cutoff: null };
+}
+
+/**
+ * Records already decided at a moment in the season (all of them when there is no cut-off)
+ * @param {Array} records - e.g. point deductions or fair play records
+ * @param {string} dateField - Field holding the record's date
+ * @param {Date|null} cutoff - Moment the table stands at
+ * @returns {Array}
+ */
+export function recordsAsOf(records = [], dateField, cutoff) {
+  if (!cutoff) return records;
+  return records.filter(record => !record[dateField] || new Date(record[dateField]) <= cutoff);
+}
+
+/**
+ * Rank a season's teams once their match stats are known
+ * @param {Array} teams - Teams of the season
+ * @param {Function} statsFor - team => fresh stats from its matches (as calculateTeamStats returns)
+ * @param {Object} options - { rules, deductions (active PointDeductions), fairPlayRecords (active manual records) }
+ * @returns {Array} - Ranked teams with stats, enhancedStats, pointDeductions, position and separatedBy
+ */
+export function rankLeagueTable(teams, statsFor, { rules = DEFAULT_SEASON_RULES, deductions = [], fairPlayRecords = [] } = {}) {
+  const withStats = teams.map(team => {
+    const teamId = idOf(team._id);
+    const stats = statsFor(team);
+
+    // Awarded results are already in the stats; deductions come off the points
+    const teamDeductions = deductions.filter(deduction => idOf(deduction.team) === teamId);
+    applyPointDeductions(stats, teamDeductions);
+
+    // Manual fair play points from administrative actions
+    fairPlayRecords
+      .filter(record => idOf(record.team) === teamId)
+      .forEach(record => {
+        stats.fairPlayPoints += record.points;
+      });
+
+    return {
+      ...team,
+      stats,
+      enhancedStats: stats, // Keep enhanced stats separate for tie-breaking
+      pointDeductions: teamDeductions
+    };
+  });
+
+  return rankStandings(withStats, rules.tieBreakers);
+}
+
+/**
+ * Full league table from a season's teams and matches
+ * @param {Array} teams - Teams of the season
+ * @param {Array} matches - Completed and forfeited league matches to count
+ * @param {Object} options - { rules, deductions, fairPlayRecords } as for rankLeagueTable
+ * @returns {Array} - Ranked teams, as rankLeagueTable
+ */
+export function buildLeagueTable(teams, matches, options = {}) {
+  return rankLeagueTable(teams, team => {
+    const teamId = idOf(team._id);
+    const teamMatches = matches.filter(match => idOf(match.homeTeam) === teamId || idOf(match.awayTeam) === teamId);
+
+    // Comprehensive stats (results, head-to-head and card fair play)
+    return calculateTeamStats(team._id, teamMatches, options.rules);
+  }, options);
+}
+
+/**
+ * League position and points of every team after each matchday of a season
+ * Point deductions and fair play records count from the day they were decided
+ * @param {Array} teams - Teams of the season
+ * @param {Array} matches - Completed and forfeited league matches of the season
+ * @param {Object} options - { rules, deductions, fairPlayRecords } as for buildLeagueTable
+ * @returns {Array} - [{ matchday, date, standings: [{ team, name, position, points, matchesPlayed }] }]
+ */
+export function buildStandingsHistory(teams, matches, { rules = DEFAULT_SEASON_RULES, deductions = [], fairPlayRecords = [] } = {}) {
+  const matchdays = assignMatchdays(matches);
+  const numbers = [...new Set(matchdays.values())].sort((a, b) => a - b);
+
+  return numbers.map(matchday => {
+    const { matches: played, cutoff } = matchesAsOf(matches, { matchday }, matchdays);
+    const table = buildLeagueTable(teams, played, {
+      rules,
+      deductions: recordsAsOf(deductions, 'decisionDate', cutoff),
+      fairPlayRecords: recordsAsOf(fairPlayRecords, 'actionDate', cutoff)
+    });
+
+    return {
+      matchday,
+      date: cutoff,
+      standings: table.map(team => ({
+        team: idOf(team._id),
+        name: team.name,
+        position: team.position,
+        points: team.enhancedStats.points,
+        matchesPlayed: team.enhancedStats.matchesPlayed
+      }))
+    };
+  });
+}
+
+// Table views the standings can be split into
+export const STANDINGS_VIEWS = {
+  overall: 'Overall',
+  home: 'Home',
+  away: 'Away',
+  first_half: '1st half',
+  second_half: '2nd half'
+};
+
+/**
+ * Score of one half of a match from its goal events (own goals count for the other side)
+ * The first half runs to half of regulation time, the second to full time; extra time is left out
+ * @param {Object} match - Match with events
+ * @param {string} half - 'first_half' or 'second_half'
+ * @param {Object} rules - Resolved season rules (period length)
+ * @returns {Object|null} - { homeScore, awayScore, events }, or null when the goal events do not
+ *   add up to the played score or the result was awarded, so the halves are unknown
+ */
+export function halfScore(match, half, rules = DEFAULT_SEASON_RULES) {
+  if (tableScore(match).awarded) return null;
+
+  const events = match.events || [];
+  const scoredFor = (event) => {
+    if (event.type === 'goal') return event.team;
+    if (event.type === 'own_goal') return event.team === 'home' ? 'away' : 'home';
+    return null;
+  };
+  const goals = events.filter(scoredFor);
+  const homeGoals = goals.filter(event => scoredFor(event) === 'home').length;
+  if (homeGoals !== (match.homeScore || 0) || goals.length - homeGoals !== (match.awayScore || 0)) {
+    return null;
+  }
+
+  const halfTime = regulationMinutes(rules) / 2;
+  const inHalf = (event) => (half === 'first_half'
+    ? event.minute <= halfTime
+    : event.minute > halfTime && event.minute <= regulationMinutes(rules));
+  const halfEvents = events.filter(inHalf);
+
+  return {
+    homeScore: halfEvents.filter(event => scoredFor(event) === 'home').length,
+    awayScore: halfEvents.filter(event => scoredFor(event) === 'away').length,
+    events: halfEvents
+  };
+}
+
+/**
+ * A team's matches as they count in one table view, oldest first
+ * Home and away views keep the team's matches at that venue; half views replace each score with
+ * the half's score and leave out matches whose halves are unknown
+ * @param {*} teamId - Team
+ * @param {Array} matches - Completed and forfeited league matches, oldest first
+ * @param {string} view - Key of STANDINGS_VIEWS
+ * @param {Object} rules - Resolved season rules
+ * @returns {Array} - Matches to pass to calculateTeamStats
+ */
+export function viewMatches(teamId, matches, view = 'overall', rules = DEFAULT_SEASON_RULES) {
+  const team = idOf(teamId);
+  const teamMatches = matches.filter(match => idOf(match.homeTeam) === team || idOf(match.awayTeam) === team);
+
+  if (view === 'home' || view === 'away') {
+    const homeView = view === 'home';
+    return teamMatches.filter(match => (idOf(match.homeTeam) === team) === homeView);
+  }
+  if (view === 'first_half' || view === 'second_half') {
+    return teamMatches.reduce((counted, match) => {
+      const score = halfScore(match, view, rules);
+      if (score) {
+        counted.push({ _id: match._id, homeTeam: match.homeTeam, awayTeam: match.awayTeam, matchDate: match.matchDate, ...score });
+      }
+      return counted;
+    }, []);
+  }
+  return teamMatches;
+}
+
+/**
+ * A team's recent results and current runs
+ * @param {*} teamId - Team
+ * @param {Array} matches - The team's matches in one view, oldest first (as viewMatches returns)
+ * @param {number} limit - Number of recent results to list
+ * @returns {Object} - { form: [{ result ('W' | 'D' | 'L'), match, date, home, opponent, goalsFor,
+ *   goalsAgainst, awarded }] (most recent last), streaks: { current: { result, count } | null, unbeaten, winless } }
+ */
+export function teamForm(teamId, matches, limit = 5) {
+  const team = idOf(teamId);
+
+  const results = matches.map(match => {
+    const home = idOf(match.homeTeam) === team;
+    const { homeScore, awayScore, awarded } = tableScore(match);
+    const goalsFor = home ? homeScore : awayScore;
+    const goalsAgainst = home ? awayScore : homeScore;
+    const opponent = home ? match.awayTeam : match.homeTeam;
+
+    return {
+      result: goalsFor > goalsAgainst ? 'W' : goalsFor < goalsAgainst ? 'L' : 'D',
+      match: idOf(match._id),
+      date: match.matchDate,
+      home,
+      opponent: { _id: idOf(opponent), name: opponent?.name || null },
+      goalsFor,
+      goalsAgainst,
+      awarded
+    };
+  });
+
+  // Length of the run at the end of the results that satisfies a condition
+  const runOf = (condition) => {
+    let count = 0;
+    for (let i = results.length - 1; i >= 0 && condition(results[i].result); i--) count++;
+    return count;
+  };
+  const last = results[results.length - 1];
+
+  return {
+    form: limit > 0 ? results.slice(-limit) : [],
+    streaks: {
+      current: last ? { result: last.result, count: runOf(result => result === last.result) } : null,
+      unbeaten: runOf(result => result !== 'L'),
+      winless: runOf(result => result !== 'W')
+    }
+  };
+}
+
+/**
+ * Home, away or half table of a season (no point deductions or manual fair play: those belong
+ * to the overall table only)
+ * @param {Array} teams - Teams of the season
+ * @param {Array} matches - Completed and forfeited league matches, oldest first
+ * @param {string} view - Key of STANDINGS_VIEWS other than overall
+ * @param {Object} options - { rules }
+ * @returns {Array} - Ranked teams, as rankLeagueTable
+ */
+export function buildViewTable(teams, matches, view, { rules = DEFAULT_SEASON_RULES } = {}) {
+  return rankLeagueTable(teams, team => calculateTeamStats(team._id, viewMatches(team._id, matches, view, rules), rules), { rules });
+}
@@ -0,0 +1,109 @@
+// ===========================================
+// FILE: utils/suspensions.js
+// Automatic suspensions from cards: a red card, or every yellowCardSuspensionThreshold yellows a player
+// collects in a season, bans the player from the next matches of the team they were booked for
+// (redCardSuspensionMatches / yellowCardSuspensionMatches). Suspensions are replayed from the season's
+// match events in date order, and a player serves one suspension at a time as the team's matches complete
+// ===========================================
+import { DEFAULT_SEASON_RULES } from './seasonRules';
+import { TABLE_STATUSES, countsPlayerStats } from './matchStatus';
+
+const idOf = (value) => (value && value._id ? value._id : value)?.toString();
+
+export const SUSPENSION_REASONS = {
+  red_card: 'Red card',
+  yellow_accumulation: 'Yellow card accumulation'
+};
+
+/**
+ * Key a suspension is stored under: one per player, match it was earned in and reason
+ * @param {Object} suspension - { player, sourceMatch, reason }
+ */
+export function suspensionKey(suspension) {
+  return `${idOf(suspension.player)}:${idOf(suspension.sourceMatch)}:${suspension.reason}`;
+}
+
+// Matches in the order they were played (unplayed ones have no date order guarantee, but do not count)
+const byDate = (a, b) => new Date(a.matchDate) - new Date(b.matchDate) || idOf(a._id).localeCompare(idOf(b._id));
+
+/**
+ * Every suspension of a season, with the matches served so far
+ * @param {Array} matches - The season's matches with status, matchDate, homeTeam, awayTeam and events
+ * @param {Object} rules - Resolved season rules
+ * @param {Set} cancelled - suspensionKey of suspensions an admin cancelled (kept, but never served)
+ * @returns {Array} - [{ player, team, season, reason, sourceMatch, sourceDate, yellowCards,
+ *   matchesBanned, matchesServed (match ids), status ('active' | 'served' | 'cancelled') }]
+ */
+export function computeSuspensions(matches = [], rules = DEFAULT_SEASON_RULES, cancelled = new Set()) {
+  const suspensions = [];
+  const yellows = new Map();
+
+  const pending = (team) => {
+    const firstByPlayer = new Map();
+    suspensions.forEach(suspension => {
+      if (suspension.team === team && suspension.status === 'active' && !firstByPlayer.has(suspension.player)) {
+        firstByPlayer.set(suspension.player, suspension);
+      }
+    });
+    return [...firstByPlayer.values()];
+  };
+
+  [...matches].sort(byDate).forEach(match => {
+    const teams = { home: idOf(match.homeTeam), away: idOf(match.awayTeam) };
+
+    // A completed match serves one match of each suspended player's oldest running suspension
+    if (TABLE_STATUSES.includes(match.status)) {
+      Object.values(teams).forEach(team => {
+        pending(team).forEach(suspension => {
+          suspension.matchesServed.push(idOf(match._id));
+          if (suspension.matchesServed.length >= suspension.matchesBanned) suspension.status = 'served';
+        });
+      });
+    }
+
+    if (!countsPlayerStats(match, rules)) return;
+
+    const suspend = (event, reason, extra = {}) => {
+      const suspension = {
+        player: idOf(event.player),
+        team: teams[event.team],
+        season: idOf(match.season),
+        reason,
+        sourceMatch: idOf(match._id),
+        sourceDate: match.matchDate,
+        yellowCards: null,
+        matchesBanned: reason === 'red_card' ? rules.redCardSuspensionMatches : rules.yellowCardSuspensionMatches,
+        matchesServed: [],
+        ...extra
+      };
+      suspension.status = cancelled.has(suspensionKey(suspension)) ? 'cancelled' : 'active';
+      suspensions.push(suspension);
+    };
+
+    (match.events || [])
+      .filter(event => event.player && !event.isOfficial && teams[event.team])
+      .forEach(event => {
+        if (event.type === 'red_card') {
+          suspend(event, 'red_card');
+        } else if (event.type === 'yellow_card') {
+          const player = idOf(event.player);
+          const count = (yellows.get(player) || 0) + 1;
+          yellows.set(player, count);
+          if (count % rules.yellowCardSuspensionThreshold === 0) {
+            suspend(event, 'yellow_accumulation', { yellowCards: count });
+          }
+        }
+      });
+  });
+
+  return suspensions;
+}
+
+/**
+ * Matches left to serve of a suspension
+ * @param {Object} suspension - Suspension
+ */
+export function matchesRemaining(suspension) {
+  if (suspension.status === 'cancelled') return 0;
+  return Math.max(0, suspension.matchesBanned - (suspension.matchesServed || []).length);
+}
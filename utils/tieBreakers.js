@@ -0,0 +1,221 @@
+// ===========================================
+// FILE: utils/tieBreakers.js
+// Catalogue of standings tie-breakers and mini-league ordering for a season's chosen order
+// ===========================================
+
+const idOf = (value) => (value && value._id ? value._id : value)?.toString();
+
+// Head-to-head record of a team against the other teams in a tie (a mini-league sub-table)
+const miniLeague = (team, tiedTeams) => {
+  const record = { points: 0, goalsFor: 0, goalsAgainst: 0 };
+  tiedTeams.forEach(opponent => {
+    if (idOf(opponent._id) === idOf(team._id)) return;
+    const result = team.enhancedStats.headToHeadResults?.[idOf(opponent._id)];
+    if (!result) return;
+    record.points += result.points;
+    record.goalsFor += result.goalsFor;
+    record.goalsAgainst += result.goalsAgainst;
+  });
+  return record;
+};
+
+/**
+ * Every tie-breaker a season can choose from
+ * value(team, tiedTeams) gives the number teams are ranked on; head-to-head criteria only count
+ * matches among tiedTeams. higherIsBetter sets the direction.
+ */
+export const TIE_BREAKER_CATALOGUE = {
+  goal_difference: {
+    label: 'Goal Difference',
+    description: 'Goals scored minus goals conceded',
+    higherIsBetter: true,
+    value: (team) => team.enhancedStats.goalDifference
+  },
+  goals_for: {
+    label: 'Goals For',
+    description: 'Total goals scored (higher is better)',
+    higherIsBetter: true,
+    value: (team) => team.enhancedStats.goalsFor
+  },
+  goals_against: {
+    label: 'Goals Against',
+    description: 'Total goals conceded (lower is better)',
+    higherIsBetter: false,
+    value: (team) => team.enhancedStats.goalsAgainst
+  },
+  wins: {
+    label: 'Wins',
+    description: 'Number of matches won',
+    higherIsBetter: true,
+    value: (team) => team.enhancedStats.wins
+  },
+  head_to_head_points: {
+    label: 'Head-to-Head Points',
+    description: 'Points won in the matches between the tied teams',
+    headToHead: true,
+    higherIsBetter: true,
+    value: (team, tiedTeams) => miniLeague(team, tiedTeams).points
+  },
+  head_to_head_goal_difference: {
+    label: 'Head-to-Head Goal Difference',
+    description: 'Goal difference in the matches between the tied teams',
+    headToHead: true,
+    higherIsBetter: true,
+    value: (team, tiedTeams) => {
+      const record = miniLeague(team, tiedTeams);
+      return record.goalsFor - record.goalsAgainst;
+    }
+  },
+  fair_play: {
+    label: 'Fair Play',
+    description: 'Disciplinary record (fewer cards is better)',
+    higherIsBetter: false,
+    value: (team) => team.enhancedStats.fairPlayPoints
+  }
+};
+
+export const TIE_BREAKER_KEYS = Object.keys(TIE_BREAKER_CATALOGUE);
+
+// The league's long-standing order
+export const DEFAULT_TIE_BREAKERS = [
+  'goal_difference',
+  'goals_for',
+  'goals_against',
+  'head_to_head_points',
+  'head_to_head_goal_difference',
+  'fair_play'
+];
+
+// Points always come first and the team name always settles what is left
+const POINTS = {
+  label: 'Points',
+  description: 'League points',
+  higherIsBetter: true,
+  value: (team) => team.enhancedStats.points
+};
+const ALPHABETICAL = {
+  label: 'Alphabetical',
+  description: 'Team name as final tie-breaker'
+};
+
+/**
+ * Keep known tie-breakers in order, without duplicates; anything but an array gets the default order
+ * @param {Array} tieBreakers - Tie-breaker keys
+ * @returns {Array} - Clean list of keys
+ */
+export function normalizeTieBreakers(tieBreakers) {
+  if (!Array.isArray(tieBreakers)) return [...DEFAULT_TIE_BREAKERS];
+  return [...new Set(tieBreakers.filter(key => TIE_BREAKER_KEYS.includes(key)))];
+}
+
+const criteriaFor = (tieBreakers) => [
+  ['points', POINTS],
+  ...normalizeTieBreakers(tieBreakers).map(key => [key, TIE_BREAKER_CATALOGUE[key]])
+];
+
+const compareByCriterion = (criterion, teamA, teamB, tiedTeams) => {
+  const difference = criterion.value(teamB, tiedTeams) - criterion.value(teamA, tiedTeams);
+  return criterion.higherIsBetter ? difference : -difference;
+};
+
+/**
+ * First criterion that separates two teams, with head-to-head taken over their own matches only
+ * @param {Object} teamA - Team with enhancedStats
+ * @param {Object} teamB - Team with enhancedStats
+ * @param {Array} tieBreakers - Season tie-breaker order
+ * @returns {Object|null} - { criterion, label, order }, null when nothing separates them
+ */
+export function findSeparatingCriterion(teamA, teamB, tieBreakers = DEFAULT_TIE_BREAKERS) {
+  for (const [criterion, definition] of criteriaFor(tieBreakers)) {
+    const order = compareByCriterion(definition, teamA, teamB, [teamA, teamB]);
+    if (order !== 0) return { criterion, label: definition.label, order };
+  }
+
+  const order = teamA.name.localeCompare(teamB.name);
+  return order !== 0 ? { criterion: 'alphabetical', label: ALPHABETICAL.label, order } : null;
+}
+
+/**
+ * Pairwise sort comparator for a season's tie-breaker order: points, the chosen tie-breakers, then alphabetical
+ * Only consistent for two teams at a time (e.g. best third-placed teams from different groups);
+ * league tables with three or more teams level should use resolveStandingsOrder
+ * @param {Array} tieBreakers - Season tie-breaker order
+ * @returns {Function} - (teamA, teamB) => sort order
+ */
+export function createStandingsComparator(tieBreakers = DEFAULT_TIE_BREAKERS) {
+  return (teamA, teamB) => {
+    const separation = findSeparatingCriterion(teamA, teamB, tieBreakers);
+    return separation ? separation.order : 0;
+  };
+}
+
+/**
+ * Split tied teams into groups by the first criterion that tells them apart, best group first
+ * @param {Array} tiedTeams - Teams level on everything so far
+ * @param {Array} criteria - [key, definition] pairs to try in order
+ * @returns {Object|null} - { criterion, definition, groups }, null when no criterion separates them
+ */
+const splitTiedTeams = (tiedTeams, criteria) => {
+  for (const [criterion, definition] of criteria) {
+    const groups = [];
+    [...tiedTeams]
+      .sort((a, b) => compareByCriterion(definition, a, b, tiedTeams))
+      .forEach(team => {
+        const last = groups[groups.length - 1];
+        if (last && compareByCriterion(definition, last[0], team, tiedTeams) === 0) {
+          last.push(team);
+        } else {
+          groups.push([team]);
+        }
+      });
+
+    if (groups.length > 1) return { criterion, definition, groups };
+  }
+  return null;
+};
+
+/**
+ * Order teams with mini-league tie-breaking
+ * Teams level on points form a mini-league: head-to-head criteria only count matches among them.
+ * Whenever a criterion splits a tie, each group still level is resolved again from the top of the
+ * list with a sub-table of just its own teams; overall criteria in the list apply as they come,
+ * and the team name settles anything left.
+ * @param {Array} teams - Teams with enhancedStats
+ * @param {Array} tieBreakers - Season tie-breaker order
+ * @returns {Array} - [{ team, separatedBy }] in table order; separatedBy is what put a team below
+ *   the one above it: { criterion, label, tiedTeams (size of the tie it split) }, null for the first
+ */
+export function resolveStandingsOrder(teams, tieBreakers = DEFAULT_TIE_BREAKERS) {
+  const criteria = criteriaFor(tieBreakers);
+
+  const resolve = (tiedTeams) => {
+    if (tiedTeams.length === 1) {
+      return [{ team: tiedTeams[0], separatedBy: null }];
+    }
+
+    const split = splitTiedTeams(tiedTeams, criteria);
+    if (!split) {
+      return [...tiedTeams]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map((team, index) => ({
+          team,
+          separatedBy: index > 0
+            ? { criterion: 'alphabetical', label: ALPHABETICAL.label, tiedTeams: tiedTeams.length }
+            : null
+        }));
+    }
+
+    return split.groups.flatMap((group, index) => {
+      const ordered = resolve(group);
+      if (index > 0) {
+        ordered[0] = {
+          ...ordered[0],
+          separatedBy: { criterion: split.criterion, label: split.definition.label, tiedTeams: tiedTeams.length }
+        };
+      }
+      return ordered;
+    });
+  };
+
+  return teams.length > 0 ? resolve(teams) : [];
+}